@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+const { getSecretCipher } = require('./src/utils/SecretCipher');
+const User = require('./src/models/User');
+const Deployment = require('./src/models/Deployment');
+const EnvVersion = require('./src/models/EnvVersion');
+
+// Re-encrypts stored secrets with fresh data keys wrapped by the current
+// ENCRYPTION_MASTER_KEY. Records written before encryption was enabled are
+// encrypted as well.
+//
+// To rotate the master key:
+//   1. Move the old key to ENCRYPTION_PREVIOUS_KEYS and set a new ENCRYPTION_MASTER_KEY
+//   2. Restart the API, then run: node rotate-keys.js
+//   3. Remove the old key from ENCRYPTION_PREVIOUS_KEYS once every record is rotated
+//
+// Pass --all to re-encrypt records already on the current master key too.
+async function rotateKeys() {
+    const cipher = getSecretCipher();
+    const currentKeyId = cipher.getCurrentKeyId();
+    const rotateAll = process.argv.includes('--all');
+
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log(`🔐 Rotating secrets to master key ${currentKeyId}${rotateAll ? ' (all records)' : ''}`);
+
+    let failures = 0;
+
+    for (const Model of [User, Deployment, EnvVersion]) {
+        const filter = rotateAll ? {} : { 'encryption.key_id': { $ne: currentKeyId } };
+        const cursor = Model.find(filter).cursor();
+        let rotated = 0;
+
+        try {
+            for (let doc = await cursor.next(); doc; doc = await cursor.next()) {
+                try {
+                    doc.rotateEncryption();
+                    await doc.save({ validateBeforeSave: false });
+                    rotated++;
+                } catch (error) {
+                    failures++;
+                    console.error(`❌ ${Model.modelName} ${doc._id}: ${error.message}`);
+                }
+            }
+        } catch (error) {
+            // Loading a record fails when its master key is not configured
+            failures++;
+            console.error(`❌ ${Model.modelName}: ${error.message}`);
+        }
+
+        console.log(`✅ ${Model.modelName}: ${rotated} record(s) re-encrypted`);
+    }
+
+    await mongoose.connection.close();
+
+    if (failures > 0) {
+        console.log(`\n⚠️ ${failures} record(s) could not be rotated - keep the old key in ENCRYPTION_PREVIOUS_KEYS and run again`);
+        process.exit(1);
+    }
+
+    console.log('\n✅ All secrets are encrypted with the current master key');
+    process.exit(0);
+}
+
+rotateKeys().catch((error) => {
+    console.error('❌ Key rotation failed:', error.message);
+    process.exit(1);
+});
@@ -5,11 +5,13 @@ const helmet = require('helmet');
 const morgan = require('morgan');
 const rateLimit = require('express-rate-limit');
 const http = require('http');
+const path = require('path');
 const { Server } = require('socket.io');
 const mongoose = require('mongoose');
 
 // Import database
 const { connectDB } = require('./config/database');
+const Deployment = require('./models/Deployment');
 
 // Import routes
 const authRoutes = require('./routes/auth');
@@ -19,12 +21,19 @@ const paymentRoutes = require('./routes/payment');
 const subscriptionRoutes = require('./routes/subscription');
 const adminRoutes = require('./routes/admin');
 const automationRoutes = require('./routes/automation');
+const integrationRoutes = require('./routes/integrations');
+const wakeRoutes = require('./routes/wake');
 
 // Import services
 const { getSSHManager } = require('./services/SSHManager');
-const DeploymentService = require('./services/DeploymentService');
+const { getDeploymentQueue } = require('./services/DeploymentQueue');
+const { getDeploymentScheduler } = require('./services/DeploymentScheduler');
+const { getHibernationService } = require('./services/HibernationService');
+const { getHealthMonitor } = require('./services/HealthMonitor');
+const { getCrashLoopWatcher } = require('./services/CrashLoopWatcher');
 const SubscriptionMonitor = require('./services/SubscriptionMonitor');
 const { authenticate } = require('./middleware/auth');
+const { getSecretCipher } = require('./utils/SecretCipher');
 const jwt = require('jsonwebtoken');
 
 // Initialize Express app
@@ -72,7 +81,13 @@ app.use(cors({
     methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
     allowedHeaders: ['Content-Type', 'Authorization']
 }));
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({
+    limit: '10mb',
+    // Webhook signatures are computed over the exact bytes that were sent
+    verify: (req, res, buf) => {
+        req.rawBody = buf;
+    }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 app.use(morgan('dev'));
 
@@ -98,6 +113,11 @@ app.get('/health', (req, res) => {
     });
 });
 
+// JSON schema for clawdeploy.json / clawdeploy.yaml repository config files
+app.get('/api/schemas/clawdeploy.json', (req, res) => {
+    res.type('application/schema+json').sendFile(path.join(__dirname, 'schemas', 'clawdeploy.schema.json'));
+});
+
 // API Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/deployments', deployRoutes);
@@ -106,6 +126,10 @@ app.use('/api/payments', paymentRoutes);
 app.use('/api/subscription', subscriptionRoutes);
 app.use('/api/admin', adminRoutes);
 app.use('/api/automation', automationRoutes);
+app.use('/api/integrations', integrationRoutes);
+
+// Hibernated sites redirect here; public and outside the API rate limit
+app.use('/wake', wakeRoutes);
 
 // Root endpoint
 app.get('/', (req, res) => {
@@ -126,6 +150,19 @@ app.get('/', (req, res) => {
                 get: 'GET /api/deployments/:id',
                 stop: 'POST /api/deployments/:id/stop',
                 restart: 'POST /api/deployments/:id/restart',
+                redeploy: 'POST /api/deployments/:id/redeploy',
+                releases: 'GET /api/deployments/:id/releases',
+                rollback: 'POST /api/deployments/:id/releases/:releaseId/rollback',
+                previews: 'GET /api/deployments/:id/previews',
+                cancel: 'POST /api/deployments/:id/cancel',
+                progress: 'GET /api/deployments/:id/progress',
+                env: 'GET/PUT/PATCH/DELETE /api/deployments/:id/env',
+                domains: 'GET/POST /api/deployments/:id/domains',
+                schedule: 'GET/PUT/DELETE /api/deployments/:id/schedule',
+                branches: 'GET /api/deployments/:id/branches',
+                gitCredentials: 'GET/PUT /api/deployments/:id/git-credentials',
+                deployKey: 'POST /api/deployments/:id/deploy-key',
+                newDeployKey: 'POST /api/deployments/deploy-keys',
                 delete: 'DELETE /api/deployments/:id',
                 logs: 'GET /api/deployments/:id/logs'
             },
@@ -141,6 +178,16 @@ app.get('/', (req, res) => {
                 payments: 'GET /api/payments',
                 cancelSubscription: 'POST /api/payments/subscription/cancel',
                 webhook: 'POST /api/payments/webhook'
+            },
+            integrations: {
+                githubWebhook: 'POST /api/integrations/github/webhook'
+            },
+            wake: {
+                page: 'GET /wake/:deploymentId/:scheme/:host/*',
+                status: 'GET /wake/:deploymentId/status'
+            },
+            schemas: {
+                repoConfig: 'GET /api/schemas/clawdeploy.json'
             }
         }
     });
@@ -187,70 +234,40 @@ io.on('connection', (socket) => {
     socket.on('deploy', async (data) => {
         try {
             console.log(`📦 Deployment request from user ${socket.userId}`);
-            
-            const deploymentService = new DeploymentService();
-            const onLog = (message, type) => {
-                socket.emit('log', {
-                    message,
-                    type,
-                    timestamp: new Date().toISOString()
-                });
-            };
+
             socket.emit('log', {
                 message: '🚀 Starting deployment...',
                 type: 'info',
                 timestamp: new Date().toISOString()
             });
 
-            const result = await deploymentService.deploy(socket.userId, data, onLog);
-
-            if (result.success) {
-                const deployment = result.deployment;
-                let successMessage = '\u2705 Deployment completed successfully!';
-                if (deployment.frontend_url) {
-                    successMessage += `\n\n\ud83c\udf10 Frontend: ${deployment.frontend_url}`;
-                    if (deployment.frontend_allocated_port && deployment.frontend_actual_port) {
-                        if (deployment.frontend_allocated_port !== deployment.frontend_actual_port) {
-                            successMessage += `\n   \ud83d\udd0c Port: ${deployment.frontend_actual_port} (allocated: ${deployment.frontend_allocated_port})`;
-                        } else {
-                            successMessage += `\n   \ud83d\udd0c Port: ${deployment.frontend_actual_port}`;
-                        }
-                    }
-                }
-                if (deployment.backend_url) {
-                    successMessage += `\n\n\ud83d\udee0\ufe0f Backend: ${deployment.backend_url}`;
-                    if (deployment.backend_allocated_port && deployment.backend_actual_port) {
-                        if (deployment.backend_allocated_port !== deployment.backend_actual_port) {
-                            successMessage += `\n   \ud83d\udd0c Port: ${deployment.backend_actual_port} (allocated: ${deployment.backend_allocated_port})`;
-                        } else {
-                            successMessage += `\n   \ud83d\udd0c Port: ${deployment.backend_actual_port}`;
-                        }
-                    }
-                }
-                socket.emit('deployment_complete', {
-                    success: true,
-                    deployment: deployment,
-                    message: successMessage
-                });
-                socket.emit('status', {
-                    type: 'status',
-                    status: 'deployed',
-                    url: deployment.frontend_url || deployment.backend_url,
-                    deployment: deployment
-                });
-            } else {
-                socket.emit('deployment_failed', {
-                    success: false,
-                    error: 'Deployment failed',
-                    details: result
-                });
-                socket.emit('status', {
-                    type: 'status',
-                    status: 'failed',
-                    error: result.error || 'Deployment failed'
-                });
+            // Deployments are created through POST /api/deployments, which validates
+            // the request and applies the plan limits; the socket only starts them.
+            // Logs, status and completion events reach this socket through the user room.
+            if (!data?.deployment_id || typeof data.deployment_id !== 'string') {
+                throw new Error('deployment_id is required - create the deployment with POST /api/deployments first');
+            }
+            const deployment = await Deployment.findById(data.deployment_id)
+                || await Deployment.findByDeploymentId(data.deployment_id);
+
+            if (!deployment || deployment.user_id.toString() !== socket.userId.toString()) {
+                throw new Error('Deployment not found');
+            }
+            if (deployment.status === 'suspended') {
+                throw new Error('Deployment is suspended - renew your subscription to deploy it');
             }
 
+            const job = await getDeploymentQueue().enqueue({
+                deploymentId: deployment.id,
+                userId: socket.userId
+            });
+
+            socket.emit('deployment_queued', {
+                success: true,
+                deployment_id: deployment.deployment_id,
+                job_id: job.id
+            });
+
         } catch (error) {
             console.error('WebSocket deployment error:', error);
             socket.emit('deployment_failed', {
@@ -281,12 +298,32 @@ const PORT = process.env.PORT || 4000;
 
 const startServer = async () => {
     try {
+        // Env vars, webhook secrets and GitHub tokens are encrypted with this key
+        if (!getSecretCipher().isConfigured()) {
+            console.warn('⚠️  ENCRYPTION_MASTER_KEY is missing or invalid - secrets cannot be saved or read');
+        }
+
         await connectDB();
         await initializeSSH();
         
         // Start subscription monitoring service
         const subscriptionMonitor = new SubscriptionMonitor();
         subscriptionMonitor.startMonitoring();
+
+        // Start deployment workers (recovers jobs orphaned by a previous crash)
+        await getDeploymentQueue().start();
+
+        // Sleep and wake deployments on their schedules
+        getDeploymentScheduler().start();
+
+        // Hibernate idle apps (scale-to-zero)
+        getHibernationService().start();
+
+        // Probe running apps over HTTP
+        getHealthMonitor().start();
+
+        // Stop apps stuck in a crash loop and alert their owners
+        getCrashLoopWatcher().start();
         
         server.listen(PORT, () => {
             console.log('');
@@ -301,6 +338,7 @@ const startServer = async () => {
             console.log(` SSH Host: ${process.env.SSH_HOST}`);
             console.log(` Base Domain: ${process.env.BASE_DOMAIN}`);
             console.log(` Monitoring: Subscription Monitor Active`);
+            console.log(` Deploy Workers: ${getDeploymentQueue().concurrency}`);
             console.log(' ================================');
             console.log('');
         });
@@ -314,6 +352,13 @@ const startServer = async () => {
 // Handle graceful shutdown
 process.on('SIGTERM', async () => {
     console.log('SIGTERM received, closing server gracefully...');
+
+    // Stop taking new jobs; running ones are re-queued by the next instance
+    await getDeploymentQueue().stop();
+    getDeploymentScheduler().stop();
+    getHibernationService().stop();
+    getHealthMonitor().stop();
+    getCrashLoopWatcher().stop();
     
     // Close SSH connection
     const sshManager = getSSHManager();
@@ -331,6 +376,13 @@ process.on('SIGTERM', async () => {
 
 process.on('SIGINT', async () => {
     console.log('SIGINT received, closing server gracefully...');
+
+    // Stop taking new jobs; running ones are re-queued by the next instance
+    await getDeploymentQueue().stop();
+    getDeploymentScheduler().stop();
+    getHibernationService().stop();
+    getHealthMonitor().stop();
+    getCrashLoopWatcher().stop();
     
     // Close SSH connection
     const sshManager = getSSHManager();
@@ -1,9 +1,60 @@
 const Subscription = require('../models/Subscription');
 const Deployment = require('../models/Deployment');
+const { PLANS } = require('../services/RazorpayService');
 
 const FREE_PLAN_LIMITS = {
     max_frontend: 1,
-    max_backend: 1
+    max_backend: 1,
+    max_previews: 0,
+    idle_timeout_minutes: 15,
+    memory_mb: 256,
+    cpu_percent: 25
+};
+
+// Preview deployments allowed for a user. Subscriptions created before the
+// limit existed fall back to their plan's current value.
+const getPreviewQuota = async (userId) => {
+    const subscription = await Subscription.findByUserId(userId);
+
+    let limit = FREE_PLAN_LIMITS.max_previews;
+    if (subscription && subscription.isActive()) {
+        limit = subscription.limits.max_previews ?? PLANS[subscription.plan_id]?.limits.max_previews ?? 0;
+    }
+
+    const used = await Deployment.countPreviewsByUserId(userId);
+
+    return { limit, used, available: Math.max(limit - used, 0) };
+};
+
+// Minutes without requests after which a user's apps hibernate, or null when
+// their plan keeps them running. Stored limits win; subscriptions created
+// before the setting existed use their plan's current value.
+const getIdleTimeout = async (userId) => {
+    const subscription = await Subscription.findByUserId(userId);
+
+    if (!subscription || !subscription.isActive()) {
+        return FREE_PLAN_LIMITS.idle_timeout_minutes;
+    }
+    if (subscription.limits.idle_timeout_minutes !== undefined) {
+        return subscription.limits.idle_timeout_minutes;
+    }
+    return PLANS[subscription.plan_id]?.limits.idle_timeout_minutes ?? null;
+};
+
+// Memory and CPU each of a user's app processes may use. Stored limits win;
+// subscriptions created before the setting existed use their plan's current values.
+const getResourceLimits = async (userId) => {
+    const subscription = await Subscription.findByUserId(userId);
+
+    if (!subscription || !subscription.isActive()) {
+        return { plan: 'free', memory_mb: FREE_PLAN_LIMITS.memory_mb, cpu_percent: FREE_PLAN_LIMITS.cpu_percent };
+    }
+    const planLimits = PLANS[subscription.plan_id]?.limits || FREE_PLAN_LIMITS;
+    return {
+        plan: subscription.plan_id,
+        memory_mb: subscription.limits.memory_mb ?? planLimits.memory_mb,
+        cpu_percent: subscription.limits.cpu_percent ?? planLimits.cpu_percent
+    };
 };
 
 // Check if user has reached deployment limits
@@ -40,7 +91,7 @@ const checkDeploymentLimits = async (req, res, next) => {
         let frontendCount = 0;
         let backendCount = 0;
 
-        deployments.forEach(deployment => {
+        deployments.filter(deployment => !deployment.parent_deployment_id).forEach(deployment => {
             if (deployment.frontend_repo) frontendCount++;
             if (deployment.backend_repo) backendCount++;
         });
@@ -159,6 +210,9 @@ const checkSubscriptionStatus = async (req, res, next) => {
 };
 
 module.exports = {
+    getPreviewQuota,
+    getIdleTimeout,
+    getResourceLimits,
     checkDeploymentLimits,
     checkFeatureAccess,
     checkSubscriptionStatus
@@ -1,4 +1,22 @@
-const { body, param, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
+const gitProviders = require('../services/GitProviderService');
+const { envValueProblem } = require('../utils/envFile');
+
+// Environment variable names
+const ENV_KEY_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+// GitHub, GitLab, Bitbucket or any other HTTPS/SSH git URL
+const isRepositoryUrl = (value) => {
+    const error = gitProviders.validateRepositoryUrl(value);
+    if (error) {
+        throw new Error(error);
+    }
+    return true;
+};
+
+// Deploy keys are named <user id>-<random>, see POST /api/deployments/deploy-keys
+const DEPLOY_KEY_PATTERN = /^[a-f0-9]{24}-[a-f0-9]{16}$/;
+const GIT_USERNAME_PATTERN = /^[^\s:]+$/;
 
 // Validation error handler
 const handleValidationErrors = (req, res, next) => {
@@ -65,18 +83,209 @@ const validateDeployment = [
         .isLength({ min: 1, max: 100 })
         .withMessage('Name must be between 1 and 100 characters'),
     
-    body('frontend_repo')
+    body(['frontend_repo', 'backend_repo'])
         .optional()
         .trim()
-        .matches(/^https?:\/\/(www\.)?github\.com\/[\w-]+\/[\w.-]+/)
-        .withMessage('Invalid GitHub repository URL'),
+        .custom(isRepositoryUrl),
+
+    // Private repositories
+    body(['frontend_git_auth', 'backend_git_auth'])
+        .optional({ nullable: true })
+        .isIn(['token', 'ssh_key'])
+        .withMessage('Git auth must be one of: token, ssh_key'),
+
+    body(['frontend_git_username', 'backend_git_username'])
+        .optional({ nullable: true })
+        .isString()
+        .trim()
+        .isLength({ min: 1, max: 255 })
+        .matches(GIT_USERNAME_PATTERN)
+        .withMessage('Git username must be 1-255 characters without spaces or colons'),
+
+    body(['frontend_git_token', 'backend_git_token'])
+        .optional({ nullable: true })
+        .isString()
+        .trim()
+        .isLength({ min: 1, max: 1000 })
+        .withMessage('Git token must be between 1 and 1000 characters'),
+
+    body('deploy_key_id')
+        .optional({ nullable: true })
+        .matches(DEPLOY_KEY_PATTERN)
+        .withMessage('Invalid deploy key ID'),
+
+    // Tokens authenticate HTTPS clones, deploy keys SSH ones
+    body().custom((value, { req }) => {
+        for (const component of ['frontend', 'backend']) {
+            const repoUrl = req.body[`${component}_repo`];
+            const auth = req.body[`${component}_git_auth`];
+            if (!repoUrl) {
+                continue;
+            }
+            const isSsh = gitProviders.parseRepositoryUrl(repoUrl)?.protocol === 'ssh';
+            if (auth === 'token') {
+                if (isSsh) {
+                    throw new Error(`${component}_git_auth token needs an HTTPS ${component}_repo URL`);
+                }
+                if (!req.body[`${component}_git_token`]) {
+                    throw new Error(`${component}_git_token is required when ${component}_git_auth is token`);
+                }
+            } else if (isSsh && auth !== 'ssh_key') {
+                throw new Error(`SSH repository URLs need ${component}_git_auth ssh_key and a deploy_key_id`);
+            }
+            if (auth === 'ssh_key') {
+                if (!isSsh) {
+                    throw new Error(`${component}_git_auth ssh_key needs an SSH ${component}_repo URL, e.g. git@host:owner/repo.git`);
+                }
+                if (!req.body.deploy_key_id) {
+                    throw new Error(`deploy_key_id is required when ${component}_git_auth is ssh_key`);
+                }
+            }
+        }
+        return true;
+    }),
     
-    body('backend_repo')
+    body(['frontend_branch', 'backend_branch'])
         .optional()
         .trim()
-        .matches(/^https?:\/\/(www\.)?github\.com\/[\w-]+\/[\w.-]+/)
-        .withMessage('Invalid GitHub repository URL'),
-    
+        .isLength({ min: 1, max: 255 })
+        .withMessage('Branch name must be between 1 and 255 characters')
+        .matches(/^(?!-)(?!.*\.\.)(?!.*\/\/)(?!.*@\{)[\w./-]+(?<![./])$/)
+        .withMessage('Invalid branch name'),
+
+    body(['frontend_commit', 'backend_commit'])
+        .optional()
+        .trim()
+        .matches(/^[0-9a-f]{7,40}$/i)
+        .withMessage('Commit must be a 7-40 character hexadecimal SHA'),
+
+    // Monorepos: "apps/web" style paths inside the repository, "./" and trailing slashes dropped
+    body(['frontend_root_directory', 'backend_root_directory'])
+        .optional({ nullable: true })
+        .trim()
+        .customSanitizer(value => typeof value === 'string' ? value.replace(/^(\.\/)+|\/+$/g, '') : value)
+        .isLength({ min: 1, max: 255 })
+        .withMessage('Root directory must be between 1 and 255 characters')
+        .matches(/^(?!\/)(?!.*(^|\/)\.\.?(\/|$))[\w.-]+(\/[\w.-]+)*$/)
+        .withMessage('Root directory must be a relative path inside the repository, e.g. apps/web'),
+
+    body(['frontend_type', 'backend_type'])
+        .optional({ nullable: true })
+        .isIn(['app', 'static'])
+        .withMessage('Component type must be one of: app, static'),
+
+    body(['frontend_output_directory', 'backend_output_directory'])
+        .optional({ nullable: true })
+        .trim()
+        .customSanitizer(value => typeof value === 'string' && value !== '.' ? value.replace(/^(\.\/)+|\/+$/g, '') : value)
+        .isLength({ min: 1, max: 255 })
+        .withMessage('Output directory must be between 1 and 255 characters')
+        .matches(/^(\.|(?!\/)(?!.*(^|\/)\.\.?(\/|$))[\w.-]+(\/[\w.-]+)*)$/)
+        .withMessage('Output directory must be a relative path inside the component, e.g. dist'),
+
+    body(['frontend_install_command', 'frontend_build_command', 'frontend_start_command',
+        'backend_install_command', 'backend_build_command', 'backend_start_command'])
+        .optional({ nullable: true })
+        .isString()
+        .trim()
+        .isLength({ min: 1, max: 1000 })
+        .withMessage('Commands must be between 1 and 1000 characters'),
+
+    body(['frontend_node_version', 'backend_node_version'])
+        .optional({ nullable: true })
+        .trim()
+        .matches(/^(v?\d+(\.\d+){0,2}|lts\/[a-z*]+|node)$/)
+        .withMessage('Node version must be a version like 20 or 18.19.0, an lts/<name> alias or node'),
+
+    // Frontend variables the backend URL is injected under; [] disables it
+    body('frontend_api_url_env_names')
+        .optional({ nullable: true })
+        .isArray({ max: 10 })
+        .withMessage('frontend_api_url_env_names must be an array of at most 10 names'),
+
+    body('frontend_api_url_env_names.*')
+        .matches(ENV_KEY_PATTERN)
+        .withMessage('Invalid variable name'),
+
+    // Deploy hooks, e.g. ["npm run migrate"]
+    body(['frontend_pre_deploy', 'backend_pre_deploy', 'frontend_post_deploy', 'backend_post_deploy'])
+        .optional({ nullable: true })
+        .isArray({ max: 20 })
+        .withMessage('Deploy hooks must be an array of at most 20 commands'),
+
+    body(['frontend_pre_deploy.*', 'backend_pre_deploy.*', 'frontend_post_deploy.*', 'backend_post_deploy.*'])
+        .isString()
+        .trim()
+        .isLength({ min: 1, max: 1000 })
+        .withMessage('Hook commands must be between 1 and 1000 characters'),
+
+    body(['frontend_hook_timeout', 'backend_hook_timeout'])
+        .optional({ nullable: true })
+        .isInt({ min: 1, max: 3600 })
+        .withMessage('Hook timeout must be between 1 and 3600 seconds')
+        .toInt(),
+
+    body(['frontend_hook_failure', 'backend_hook_failure'])
+        .optional({ nullable: true })
+        .isIn(['abort', 'continue'])
+        .withMessage('Hook failure policy must be one of: abort, continue'),
+
+    // HTTP health check, probed on 127.0.0.1 during deploys and while running
+    body(['frontend_health_check_path', 'backend_health_check_path'])
+        .optional({ nullable: true })
+        .trim()
+        .isLength({ max: 255 })
+        .matches(/^\/[^\s;{}'"]*$/)
+        .withMessage('Health check path must start with / and contain no spaces, quotes, braces or semicolons'),
+
+    body(['frontend_health_check_status', 'backend_health_check_status'])
+        .optional({ nullable: true })
+        .trim()
+        .matches(/^[1-5]\d\d(-[1-5]\d\d)?$/)
+        .withMessage('Health check status must be a status code or range, e.g. 200 or 200-399')
+        .bail()
+        .custom(value => {
+            const [min, max = min] = value.split('-').map(Number);
+            if (min > max) {
+                throw new Error('Health check status range must run from low to high');
+            }
+            return true;
+        }),
+
+    body(['frontend_health_check_timeout', 'backend_health_check_timeout'])
+        .optional({ nullable: true })
+        .isInt({ min: 1, max: 60 })
+        .withMessage('Health check timeout must be between 1 and 60 seconds')
+        .toInt(),
+
+    body(['frontend_health_check_interval', 'backend_health_check_interval'])
+        .optional({ nullable: true })
+        .isInt({ min: 10, max: 3600 })
+        .withMessage('Health check interval must be between 10 and 3600 seconds')
+        .toInt(),
+
+    // Configured builds are only used with a start command; static sites have
+    // neither a start command nor a process to run hooks for
+    body().custom((value, { req }) => {
+        for (const component of ['frontend', 'backend']) {
+            if (req.body[`${component}_type`] === 'static') {
+                if (req.body[`${component}_start_command`]) {
+                    throw new Error(`${component}_start_command cannot be used with a static ${component}`);
+                }
+                if (req.body[`${component}_pre_deploy`]?.length || req.body[`${component}_post_deploy`]?.length) {
+                    throw new Error(`Deploy hooks cannot be used with a static ${component}`);
+                }
+                continue;
+            }
+            const configured = ['install_command', 'build_command', 'node_version']
+                .filter(field => req.body[`${component}_${field}`]);
+            if (configured.length > 0 && !req.body[`${component}_start_command`]) {
+                throw new Error(`${component}_start_command is required when ${configured.map(field => `${component}_${field}`).join(', ')} is set`);
+            }
+        }
+        return true;
+    }),
+
     body('frontend_description')
         .optional()
         .trim()
@@ -95,10 +304,15 @@ const validateDeployment = [
         .matches(/^([a-z0-9]+(-[a-z0-9]+)*\.)+[a-z]{2,}$/)
         .withMessage('Invalid custom domain'),
     
-    body('env_vars')
+    body(['env_vars', 'frontend_env_vars', 'backend_env_vars'])
         .optional()
         .isObject()
         .withMessage('Environment variables must be an object'),
+
+    body('deploy_strategy')
+        .optional()
+        .isIn(['blue_green', 'in_place'])
+        .withMessage('Deploy strategy must be one of: blue_green, in_place'),
     
     // At least one repo is required
     body().custom((value, { req }) => {
@@ -121,6 +335,342 @@ const validateDeploymentId = [
     handleValidationErrors
 ];
 
+// Redeploy validation
+const validateRedeploy = [
+    param('id')
+        .trim()
+        .notEmpty()
+        .withMessage('Deployment ID is required'),
+
+    body('target')
+        .optional()
+        .isIn(['frontend', 'backend', 'all'])
+        .withMessage('Target must be one of: frontend, backend, all'),
+
+    body('strategy')
+        .optional()
+        .isIn(['blue_green', 'in_place'])
+        .withMessage('Strategy must be one of: blue_green, in_place'),
+
+    handleValidationErrors
+];
+
+// Rollback validation
+const validateRollback = [
+    param('id')
+        .trim()
+        .notEmpty()
+        .withMessage('Deployment ID is required'),
+
+    param('releaseId')
+        .isMongoId()
+        .withMessage('Invalid release ID'),
+
+    handleValidationErrors
+];
+
+// Environment variable validation
+const ENV_SCOPES = ['shared', 'frontend', 'backend'];
+
+const isEnvVarMap = (value) => {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        throw new Error('Variables must be an object of KEY: value pairs');
+    }
+    for (const [key, val] of Object.entries(value)) {
+        if (!ENV_KEY_PATTERN.test(key)) {
+            throw new Error(`Invalid variable name: ${key}`);
+        }
+        if (!['string', 'number', 'boolean'].includes(typeof val)) {
+            throw new Error(`Value of ${key} must be a string, number or boolean`);
+        }
+        if (String(val).length > 10000) {
+            throw new Error(`Value of ${key} is too long`);
+        }
+        const problem = envValueProblem(key, val);
+        if (problem) {
+            throw new Error(problem);
+        }
+    }
+    return true;
+};
+
+const validateEnvReplace = [
+    param('id')
+        .trim()
+        .notEmpty()
+        .withMessage('Deployment ID is required'),
+
+    body(ENV_SCOPES)
+        .optional()
+        .custom(isEnvVarMap),
+
+    body().custom((value, { req }) => {
+        if (!ENV_SCOPES.some(scope => req.body[scope] !== undefined)) {
+            throw new Error('Provide at least one of: shared, frontend, backend');
+        }
+        return true;
+    }),
+
+    handleValidationErrors
+];
+
+const validateEnvUpsert = [
+    param('id')
+        .trim()
+        .notEmpty()
+        .withMessage('Deployment ID is required'),
+
+    body('scope')
+        .optional()
+        .isIn(ENV_SCOPES)
+        .withMessage('Scope must be one of: shared, frontend, backend'),
+
+    body('vars')
+        .custom(isEnvVarMap),
+
+    handleValidationErrors
+];
+
+const validateEnvDelete = [
+    param('id')
+        .trim()
+        .notEmpty()
+        .withMessage('Deployment ID is required'),
+
+    body('scope')
+        .optional()
+        .isIn(ENV_SCOPES)
+        .withMessage('Scope must be one of: shared, frontend, backend'),
+
+    body('keys')
+        .isArray({ min: 1 })
+        .withMessage('keys must be a non-empty array'),
+
+    body('keys.*')
+        .matches(ENV_KEY_PATTERN)
+        .withMessage('Invalid variable name'),
+
+    handleValidationErrors
+];
+
+const validateEnvRevert = [
+    param('id')
+        .trim()
+        .notEmpty()
+        .withMessage('Deployment ID is required'),
+
+    param('version')
+        .isInt({ min: 1 })
+        .withMessage('Version must be a positive integer'),
+
+    handleValidationErrors
+];
+
+// Custom domain validation
+const validateCustomDomain = [
+    param('id')
+        .trim()
+        .notEmpty()
+        .withMessage('Deployment ID is required'),
+
+    body('domain')
+        .trim()
+        .toLowerCase()
+        .isFQDN({ require_tld: true, allow_underscores: false })
+        .withMessage('Invalid domain name')
+        .custom((value) => {
+            const baseDomain = (process.env.BASE_DOMAIN || 'projectmarket.in').toLowerCase();
+            if (value === baseDomain || value.endsWith(`.${baseDomain}`)) {
+                throw new Error(`Subdomains of ${baseDomain} cannot be added as custom domains`);
+            }
+            return true;
+        }),
+
+    body('component')
+        .optional()
+        .isIn(['frontend', 'backend'])
+        .withMessage('Component must be frontend or backend'),
+
+    body('method')
+        .optional()
+        .isIn(['txt', 'cname'])
+        .withMessage('Verification method must be txt or cname'),
+
+    handleValidationErrors
+];
+
+const validateDomainParam = [
+    param('id')
+        .trim()
+        .notEmpty()
+        .withMessage('Deployment ID is required'),
+
+    param('domain')
+        .trim()
+        .toLowerCase()
+        .isFQDN()
+        .withMessage('Invalid domain name'),
+
+    handleValidationErrors
+];
+
+// Preview settings validation
+const validatePreviewSettings = [
+    param('id')
+        .trim()
+        .notEmpty()
+        .withMessage('Deployment ID is required'),
+
+    body('enabled')
+        .isBoolean()
+        .withMessage('enabled must be a boolean'),
+
+    handleValidationErrors
+];
+
+// Auto-deploy settings validation
+const validateAutoDeploy = [
+    param('id')
+        .trim()
+        .notEmpty()
+        .withMessage('Deployment ID is required'),
+
+    body(['enabled', 'frontend', 'backend'])
+        .optional()
+        .isBoolean()
+        .withMessage('Auto-deploy flags must be booleans'),
+
+    handleValidationErrors
+];
+
+// Idle hibernation settings validation
+const validateHibernationSettings = [
+    param('id')
+        .trim()
+        .notEmpty()
+        .withMessage('Deployment ID is required'),
+
+    body('enabled')
+        .isBoolean()
+        .withMessage('enabled must be a boolean'),
+
+    handleValidationErrors
+];
+
+// Sleep/wake schedule validation
+const WEEKDAYS = ['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun'];
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const validateSchedule = [
+    param('id')
+        .trim()
+        .notEmpty()
+        .withMessage('Deployment ID is required'),
+
+    body('enabled')
+        .optional()
+        .isBoolean()
+        .withMessage('enabled must be a boolean'),
+
+    body('timezone')
+        .optional({ nullable: true })
+        .isString()
+        .trim()
+        .custom((value) => {
+            try {
+                new Intl.DateTimeFormat('en-US', { timeZone: value });
+            } catch {
+                throw new Error(`Unknown time zone: ${value}`);
+            }
+            return true;
+        }),
+
+    body('windows')
+        .isArray({ min: 1, max: 14 })
+        .withMessage('windows must be an array of 1 to 14 entries'),
+
+    body('windows.*.days')
+        .isArray({ min: 1, max: 7 })
+        .withMessage('Each window needs at least one day'),
+
+    body('windows.*.days.*')
+        .isIn(WEEKDAYS)
+        .withMessage(`Days must be one of: ${WEEKDAYS.join(', ')}`),
+
+    body('windows.*.start')
+        .matches(TIME_PATTERN)
+        .withMessage('start must be a time like 09:00'),
+
+    body('windows.*.end')
+        .custom((value) => value === '24:00' || TIME_PATTERN.test(value))
+        .withMessage('end must be a time like 21:00 or 24:00'),
+
+    body('windows').custom((windows) => {
+        if (Array.isArray(windows) && windows.some(window => window?.start && window.start === window.end)) {
+            throw new Error('A window cannot start and end at the same time');
+        }
+        return true;
+    }),
+
+    handleValidationErrors
+];
+
+// Repository credentials of one component; auth null makes it public again
+const validateGitCredentials = [
+    param('id')
+        .trim()
+        .notEmpty()
+        .withMessage('Deployment ID is required'),
+
+    body('component')
+        .isIn(['frontend', 'backend'])
+        .withMessage('Component must be one of: frontend, backend'),
+
+    body('auth')
+        .optional({ nullable: true })
+        .isIn(['token', 'ssh_key'])
+        .withMessage('auth must be one of: token, ssh_key'),
+
+    body('username')
+        .optional({ nullable: true })
+        .isString()
+        .trim()
+        .isLength({ min: 1, max: 255 })
+        .matches(GIT_USERNAME_PATTERN)
+        .withMessage('username must be 1-255 characters without spaces or colons'),
+
+    body('token')
+        .optional({ nullable: true })
+        .isString()
+        .trim()
+        .isLength({ min: 1, max: 1000 })
+        .withMessage('token must be between 1 and 1000 characters'),
+
+    body().custom((value, { req }) => {
+        if (req.body.auth === 'token' && !req.body.token) {
+            throw new Error('token is required when auth is token');
+        }
+        return true;
+    }),
+
+    handleValidationErrors
+];
+
+// Branch listing validation
+const validateBranchList = [
+    param('id')
+        .trim()
+        .notEmpty()
+        .withMessage('Deployment ID is required'),
+
+    query('component')
+        .optional()
+        .isIn(['frontend', 'backend'])
+        .withMessage('Component must be one of: frontend, backend'),
+
+    handleValidationErrors
+];
+
 // Subdomain validation
 const validateSubdomain = [
     body('subdomain')
@@ -141,5 +691,19 @@ module.exports = {
     validateLogin,
     validateDeployment,
     validateDeploymentId,
+    validateRedeploy,
+    validateRollback,
+    validateAutoDeploy,
+    validatePreviewSettings,
+    validateHibernationSettings,
+    validateSchedule,
+    validateGitCredentials,
+    validateBranchList,
+    validateEnvReplace,
+    validateEnvUpsert,
+    validateEnvDelete,
+    validateEnvRevert,
+    validateCustomDomain,
+    validateDomainParam,
     validateSubdomain
 };
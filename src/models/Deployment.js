@@ -1,5 +1,144 @@
 const mongoose = require('mongoose');
+const crypto = require('crypto');
 const { v4: uuidv4 } = require('uuid');
+const encryptedFields = require('./plugins/encryptedFields');
+const { MASK } = require('../utils/SecretCipher');
+
+// Custom host name routed to one component, once DNS proves it is the user's
+const customDomainSchema = new mongoose.Schema({
+    domain: {
+        type: String,
+        required: true,
+        lowercase: true,
+        trim: true
+    },
+    component: {
+        type: String,
+        enum: ['frontend', 'backend'],
+        default: 'frontend'
+    },
+    verification_method: {
+        type: String,
+        enum: ['txt', 'cname'],
+        default: 'txt'
+    },
+    verification_token: String,
+    // pending -> verified (DNS checked) -> active (nginx + certificate), failed if routing failed
+    status: {
+        type: String,
+        enum: ['pending', 'verified', 'active', 'failed'],
+        default: 'pending'
+    },
+    url: String,
+    secure: {
+        type: Boolean,
+        default: false
+    },
+    error: String,
+    last_checked_at: Date,
+    verified_at: Date,
+    attached_at: Date
+}, { _id: false });
+
+const WEEKDAYS = ['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun'];
+
+// Local hours a scheduled deployment runs, e.g. mon-fri 09:00-21:00. An end
+// before the start runs past midnight into the next day.
+const scheduleWindowSchema = new mongoose.Schema({
+    days: [{ type: String, enum: WEEKDAYS }],
+    start: String,                      // "HH:MM"
+    end: String                         // "HH:MM", "24:00" for end of day
+}, { _id: false });
+
+// Outside its windows the scheduler stops the deployment's PM2 processes and
+// marks it sleeping; they are started again when the next window opens
+const scheduleSchema = new mongoose.Schema({
+    enabled: {
+        type: Boolean,
+        default: true
+    },
+    timezone: String,                   // IANA zone, the owner's calendar_preferences.timezone when empty
+    windows: [scheduleWindowSchema],
+    last_action: {
+        type: String,
+        enum: ['sleep', 'wake']
+    },
+    last_action_at: Date,
+    last_error: String
+}, { _id: false, timestamps: true });
+
+// One step of the deploy pipeline, per component where it applies
+const phaseSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        enum: ['queued', 'allocating_ports', 'cloning', 'installing', 'building', 'starting',
+            'port_detection', 'verifying', 'routing', 'ssl', 'done'],
+        required: true
+    },
+    component: {
+        type: String,
+        enum: ['frontend', 'backend', null],
+        default: null
+    },
+    status: {
+        type: String,
+        enum: ['pending', 'running', 'succeeded', 'failed', 'skipped'],
+        default: 'pending'
+    },
+    started_at: Date,
+    finished_at: Date,
+    duration_ms: Number,
+    error: String
+}, { _id: false });
+
+// Latest HTTP health probes of one component, see HealthMonitor
+const healthStateSchema = new mongoose.Schema({
+    status: {
+        type: String,
+        enum: ['healthy', 'unhealthy'],
+        required: true
+    },
+    status_code: Number,                // null when nothing answered
+    latency_ms: Number,
+    error: String,                      // Why the latest probe failed
+    consecutive_failures: {
+        type: Number,
+        default: 0
+    },
+    last_checked_at: Date,
+    last_success_at: Date,
+    last_failure_at: Date
+}, { _id: false });
+
+// Plan limits a component's process was last started with, and how often PM2
+// restarted it for going over its memory limit
+const resourceUsageSchema = new mongoose.Schema({
+    memory_mb: Number,
+    cpu_percent: Number,                // Of one core; null when the server cannot apply a CPU quota
+    applied_at: Date,
+    oom_restarts: {
+        type: Number,
+        default: 0
+    },
+    last_oom_at: Date
+}, { _id: false });
+
+// A component found crash-looping by CrashLoopWatcher
+const crashedComponentSchema = new mongoose.Schema({
+    component: {
+        type: String,
+        enum: ['frontend', 'backend'],
+        required: true
+    },
+    reason: {
+        type: String,
+        enum: ['crash_loop', 'errored'],    // errored: PM2 gave up restarting it
+        required: true
+    },
+    restarts: Number,                   // Within the detection window
+    pm2_name: String,
+    log_excerpt: String                 // Last lines of its error log
+}, { _id: false });
 
 const deploymentSchema = new mongoose.Schema({
     user_id: {
@@ -25,6 +164,65 @@ const deploymentSchema = new mongoose.Schema({
     backend_repo: String,
     frontend_description: String,
     backend_description: String,
+    frontend_branch: String,            // Branch to deploy (default branch when empty)
+    backend_branch: String,
+    // Private repositories: how the server authenticates when cloning. A token
+    // is sent as HTTP Basic auth (username defaults to the provider's token
+    // user); ssh_key uses the deployment's deploy key, which stays on the server
+    frontend_git_auth: { type: String, enum: ['token', 'ssh_key'] },
+    backend_git_auth: { type: String, enum: ['token', 'ssh_key'] },
+    frontend_git_username: String,
+    backend_git_username: String,
+    frontend_git_token: String,
+    backend_git_token: String,
+    deploy_key_id: String,              // Name of the SSH deploy key on the server
+    deploy_key_public: String,          // Public half, to add to the repository
+    frontend_root_directory: String,    // Monorepo subdirectory the component lives in (repo root when empty)
+    backend_root_directory: String,
+    // 'static' components are built once and served by nginx from a web root,
+    // without a port or PM2 process; 'app' (the default) runs under PM2
+    frontend_type: { type: String, enum: ['app', 'static'] },
+    backend_type: { type: String, enum: ['app', 'static'] },
+    frontend_output_directory: String,  // Build output of a static component (default "dist")
+    backend_output_directory: String,
+    // Build settings; with a start command the component is deployed with these
+    // commands instead of ClawdBot's guesses
+    frontend_install_command: String,
+    frontend_build_command: String,
+    frontend_start_command: String,
+    frontend_node_version: String,      // Selected with nvm on the server, e.g. "20" or "18.19.0"
+    backend_install_command: String,
+    backend_build_command: String,
+    backend_start_command: String,
+    backend_node_version: String,
+    // Commands run in the app directory around a deploy, e.g. migrations:
+    // pre_deploy once the new version is built, before it takes traffic,
+    // post_deploy once it serves. hook_failure 'abort' (the default) fails the
+    // deploy and keeps the previous version serving, 'continue' only logs it.
+    frontend_pre_deploy: { type: [String], default: undefined },
+    backend_pre_deploy: { type: [String], default: undefined },
+    frontend_post_deploy: { type: [String], default: undefined },
+    backend_post_deploy: { type: [String], default: undefined },
+    frontend_hook_timeout: Number,      // Seconds per hook command (DEPLOY_HOOK_TIMEOUT_SECONDS when empty)
+    backend_hook_timeout: Number,
+    frontend_hook_failure: { type: String, enum: ['abort', 'continue'] },
+    backend_hook_failure: { type: String, enum: ['abort', 'continue'] },
+    // HTTP health check of an app component, see getHealthCheck for defaults
+    frontend_health_check_path: String,
+    backend_health_check_path: String,
+    frontend_health_check_status: String,   // Expected status range, e.g. "200-399" or "204"
+    backend_health_check_status: String,
+    frontend_health_check_timeout: Number,  // Seconds per request
+    backend_health_check_timeout: Number,
+    frontend_health_check_interval: Number, // Seconds between probes of the running app
+    backend_health_check_interval: Number,
+    // Frontend build variables that receive the backend URL; unset means the
+    // API_URL_ENV_NAMES default, an empty list turns the wiring off
+    frontend_api_url_env_names: { type: [String], default: undefined },
+    frontend_commit: String,            // Optional commit SHA to pin the deploy to
+    backend_commit: String,
+    frontend_deployed_commit: String,   // Commit SHA actually running after the last deploy
+    backend_deployed_commit: String,
     frontend_port: Number,              // Actual port (for backwards compatibility)
     backend_port: Number,               // Actual port (for backwards compatibility)
     frontend_allocated_port: Number,    // Port we tried to allocate
@@ -33,19 +231,122 @@ const deploymentSchema = new mongoose.Schema({
     backend_actual_port: Number,        // Port app is actually listening on
     frontend_url: String,
     backend_url: String,
-    custom_domain: String,
-    env_vars: {
+    frontend_web_root: String,          // Directory nginx serves a static component from
+    backend_web_root: String,
+    custom_domain: String,              // Primary custom domain (first one attached)
+    custom_domains: [customDomainSchema],
+    env_vars: {                         // Shared by every component
+        type: Map,
+        of: String,
+        default: new Map()
+    },
+    frontend_env_vars: {                // Component-specific, override shared keys
+        type: Map,
+        of: String,
+        default: new Map()
+    },
+    backend_env_vars: {
         type: Map,
         of: String,
         default: new Map()
     },
     status: {
         type: String,
-        enum: ['deploying', 'deployed', 'failed', 'stopped', 'suspended'],
+        enum: ['deploying', 'deployed', 'failed', 'stopped', 'sleeping', 'hibernated', 'suspended', 'cancelled', 'crashed'],
         default: 'deploying'
     },
+    schedule: {
+        type: scheduleSchema,
+        default: null
+    },
+    // Scale-to-zero: app components idle longer than the plan allows are
+    // stopped and their sites sent to the wake endpoint, see HibernationService.
+    // Opt-in, so deployments created before it keep running.
+    hibernation: {
+        enabled: {
+            type: Boolean,
+            default: false
+        },
+        last_request_at: Date,          // Latest entry in the sites' nginx access logs
+        hibernated_at: Date,
+        woken_at: Date,
+        components: {                   // Components whose sites point at the wake endpoint
+            type: [String],
+            default: undefined
+        }
+    },
+    health: {
+        frontend: healthStateSchema,
+        backend: healthStateSchema
+    },
+    resources: {
+        frontend: resourceUsageSchema,
+        backend: resourceUsageSchema
+    },
+    // Latest crash loop; status is 'crashed' until a restart or redeploy
+    crash: {
+        detected_at: Date,
+        stopped: Boolean,               // The processes were stopped to protect the server
+        components: {
+            type: [crashedComponentSchema],
+            default: undefined
+        }
+    },
+    // Settings from the repository's clawdeploy.json/yaml, refreshed on every
+    // deploy. Fields set through the API take precedence.
+    repo_config: {
+        type: mongoose.Schema.Types.Mixed,
+        default: null
+    },
+    // Phases of the latest deploy/redeploy job, see PhaseTracker
+    progress: {
+        job_id: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'DeploymentJob'
+        },
+        job_type: String,
+        current_phase: String,
+        started_at: Date,
+        finished_at: Date,
+        phases: [phaseSchema]
+    },
     pm2_frontend_name: String,
     pm2_backend_name: String,
+    // in_place: the live process is replaced; blue_green (opt-in): redeploys
+    // start alongside the live process and nginx is switched once the new one
+    // is healthy
+    deploy_strategy: {
+        type: String,
+        enum: ['blue_green', 'in_place'],
+        default: 'in_place'
+    },
+    // Push-to-deploy via GitHub webhook
+    auto_deploy_enabled: {
+        type: Boolean,
+        default: false
+    },
+    auto_deploy_frontend: {
+        type: Boolean,
+        default: true
+    },
+    auto_deploy_backend: {
+        type: Boolean,
+        default: true
+    },
+    webhook_secret: String,             // HMAC secret for the repository webhook
+    // Pull request previews: child deployments on <subdomain>-pr-<number>
+    previews_enabled: {
+        type: Boolean,
+        default: false
+    },
+    parent_deployment_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Deployment',
+        default: null
+    },
+    pr_number: Number,
+    pr_repository: String,              // owner/repo the pull request belongs to
+    pr_comment_id: Number,              // PR comment kept up to date with the preview URL
     // Suspension and deletion tracking
     suspended_at: Date,
     suspension_reason: {
@@ -65,20 +366,41 @@ const deploymentSchema = new mongoose.Schema({
             ret.id = ret._id;
             delete ret._id;
             delete ret.__v;
-            // Convert Map to Object for JSON
-            if (ret.env_vars instanceof Map) {
-                ret.env_vars = Object.fromEntries(ret.env_vars);
+            delete ret.webhook_secret;
+            delete ret.frontend_git_token;
+            delete ret.backend_git_token;
+            delete ret.encryption;
+            // Convert Map to Object for JSON, masking the values - owners read
+            // them through GET /api/deployments/:id/env?reveal=true
+            for (const field of ['env_vars', 'frontend_env_vars', 'backend_env_vars']) {
+                const vars = ret[field] instanceof Map ? Object.fromEntries(ret[field]) : (ret[field] || {});
+                ret[field] = Object.fromEntries(Object.keys(vars).map(key => [key, MASK]));
             }
             return ret;
         }
     }
 });
 
+// Secrets are encrypted at rest
+deploymentSchema.plugin(encryptedFields, {
+    fields: {
+        env_vars: 'map',
+        frontend_env_vars: 'map',
+        backend_env_vars: 'map',
+        webhook_secret: 'string',
+        frontend_git_token: 'string',
+        backend_git_token: 'string'
+    }
+});
+
 // Indexes
 deploymentSchema.index({ user_id: 1 });
 deploymentSchema.index({ deployment_id: 1 });
 deploymentSchema.index({ subdomain: 1 });
 deploymentSchema.index({ status: 1 });
+deploymentSchema.index({ parent_deployment_id: 1, pr_number: 1 });
+deploymentSchema.index({ 'custom_domains.domain': 1 });
+deploymentSchema.index({ 'schedule.enabled': 1 });
 
 // Static methods
 deploymentSchema.statics.create = async function(deploymentData) {
@@ -118,6 +440,98 @@ deploymentSchema.statics.update = async function(id, updates) {
     );
 };
 
+// The component's sites point at the app again instead of the wake endpoint
+deploymentSchema.statics.clearHibernated = async function(id, component) {
+    return await this.findByIdAndUpdate(
+        id,
+        { $pull: { 'hibernation.components': component } },
+        { new: true }
+    );
+};
+
+// Store the outcome of a health probe (see ClawdBotService#probeHttp)
+deploymentSchema.statics.recordHealth = async function(id, component, probe) {
+    const now = new Date();
+    const prefix = `health.${component}`;
+    const result = {
+        [`${prefix}.status_code`]: probe.statusCode || null,
+        [`${prefix}.latency_ms`]: probe.latencyMs ?? null,
+        [`${prefix}.last_checked_at`]: now
+    };
+
+    if (probe.success) {
+        return await this.findByIdAndUpdate(id, {
+            $set: {
+                ...result,
+                [`${prefix}.status`]: 'healthy',
+                [`${prefix}.error`]: null,
+                [`${prefix}.consecutive_failures`]: 0,
+                [`${prefix}.last_success_at`]: now
+            }
+        }, { new: true });
+    }
+    return await this.findByIdAndUpdate(id, {
+        $set: {
+            ...result,
+            [`${prefix}.status`]: 'unhealthy',
+            [`${prefix}.error`]: probe.error,
+            [`${prefix}.last_failure_at`]: now
+        },
+        $inc: { [`${prefix}.consecutive_failures`]: 1 }
+    }, { new: true });
+};
+
+// Only a running deployment; a deploy or stop that started meanwhile wins
+deploymentSchema.statics.markCrashed = async function(id, crash) {
+    return await this.findOneAndUpdate(
+        { _id: id, status: 'deployed' },
+        { $set: { status: 'crashed', crash } },
+        { new: true }
+    );
+};
+
+deploymentSchema.statics.recordOomRestart = async function(id, component) {
+    return await this.findByIdAndUpdate(
+        id,
+        {
+            $inc: { [`resources.${component}.oom_restarts`]: 1 },
+            $set: { [`resources.${component}.last_oom_at`]: new Date() }
+        },
+        { new: true }
+    );
+};
+
+deploymentSchema.statics.findByCustomDomain = async function(domain) {
+    return await this.findOne({ 'custom_domains.domain': domain.toLowerCase() });
+};
+
+deploymentSchema.statics.findAutoDeployEnabled = async function() {
+    return await this.find({ auto_deploy_enabled: true });
+};
+
+// Deployments that accept GitHub webhook deliveries (push-to-deploy or PR previews)
+deploymentSchema.statics.findWebhookEnabled = async function() {
+    return await this.find({
+        parent_deployment_id: null,
+        $or: [{ auto_deploy_enabled: true }, { previews_enabled: true }]
+    });
+};
+
+deploymentSchema.statics.findPreview = async function(parentId, prNumber) {
+    return await this.findOne({ parent_deployment_id: parentId, pr_number: prNumber });
+};
+
+deploymentSchema.statics.findPreviews = async function(parentId) {
+    return await this.find({ parent_deployment_id: parentId }).sort({ pr_number: -1 });
+};
+
+deploymentSchema.statics.countPreviewsByUserId = async function(userId) {
+    return await this.countDocuments({
+        user_id: userId,
+        parent_deployment_id: { $ne: null }
+    });
+};
+
 deploymentSchema.statics.updateStatus = async function(id, status) {
     return await this.findByIdAndUpdate(
         id,
@@ -141,6 +555,7 @@ deploymentSchema.statics.list = async function(limit = 50, offset = 0) {
 deploymentSchema.statics.countByUserId = async function(userId) {
     return await this.countDocuments({
         user_id: userId,
+        parent_deployment_id: null,     // Previews have their own quota
         status: { $ne: 'failed' }
     });
 };
@@ -151,16 +566,131 @@ deploymentSchema.statics.getStats = async function() {
     const deploying = await this.countDocuments({ status: 'deploying' });
     const failed = await this.countDocuments({ status: 'failed' });
     const stopped = await this.countDocuments({ status: 'stopped' });
+    const sleeping = await this.countDocuments({ status: 'sleeping' });
+    const hibernated = await this.countDocuments({ status: 'hibernated' });
+    const crashed = await this.countDocuments({ status: 'crashed' });
 
     return {
         total,
         deployed,
         deploying,
         failed,
-        stopped
+        stopped,
+        sleeping,
+        hibernated,
+        crashed
+    };
+};
+
+// Instance methods
+const ENV_SCOPE_FIELDS = {
+    shared: 'env_vars',
+    frontend: 'frontend_env_vars',
+    backend: 'backend_env_vars'
+};
+
+deploymentSchema.statics.ENV_SCOPES = Object.keys(ENV_SCOPE_FIELDS);
+deploymentSchema.statics.WEEKDAYS = WEEKDAYS;
+
+// Plain-object copy of every env scope, keys sorted
+deploymentSchema.methods.getEnvSnapshot = function() {
+    const snapshot = {};
+    for (const [scope, field] of Object.entries(ENV_SCOPE_FIELDS)) {
+        const vars = this[field] instanceof Map ? Object.fromEntries(this[field]) : (this[field] || {});
+        snapshot[scope] = Object.fromEntries(Object.entries(vars).sort(([a], [b]) => a.localeCompare(b)));
+    }
+    return snapshot;
+};
+
+deploymentSchema.methods.setEnvSnapshot = function(snapshot) {
+    for (const [scope, field] of Object.entries(ENV_SCOPE_FIELDS)) {
+        if (snapshot[scope]) {
+            this[field] = new Map(Object.entries(snapshot[scope]));
+        }
+    }
+};
+
+// Variables a component runs with: shared ones overridden by its own
+deploymentSchema.methods.getEnvFor = function(component) {
+    const snapshot = this.getEnvSnapshot();
+    return { ...snapshot.shared, ...(snapshot[component] || {}) };
+};
+
+// A component setting from the API, falling back to the repository config file
+deploymentSchema.methods.getComponentSetting = function(component, name) {
+    return this[`${component}_${name}`] || this.repo_config?.components?.[component]?.[name] || null;
+};
+
+deploymentSchema.methods.isStatic = function(component) {
+    return this.getComponentSetting(component, 'type') === 'static';
+};
+
+// What nginx routes the component to: its web root when it is served as a
+// static site, otherwise the port it listens on
+deploymentSchema.methods.getUpstream = function(component) {
+    if (this.isStatic(component) && this[`${component}_web_root`]) {
+        return { root: this[`${component}_web_root`] };
+    }
+    return this[`${component}_actual_port`] || this[`${component}_port`] || null;
+};
+
+// HTTP health check of a component. Any answer below 500 counts as healthy
+// unless a status range is configured.
+deploymentSchema.methods.getHealthCheck = function(component) {
+    const [min, max = min] = String(this.getComponentSetting(component, 'health_check_status') || '200-499')
+        .split('-').map(Number);
+    return {
+        path: this.getComponentSetting(component, 'health_check_path') || '/',
+        expectedStatus: { min, max },
+        timeoutSeconds: this.getComponentSetting(component, 'health_check_timeout') || 5,
+        intervalSeconds: this.getComponentSetting(component, 'health_check_interval') || 60
+    };
+};
+
+// Configured commands for a component, or null when ClawdBot should work them out
+deploymentSchema.methods.getBuildCommands = function(component) {
+    const startCommand = this.getComponentSetting(component, 'start_command');
+    if (!startCommand) {
+        return null;
+    }
+
+    return {
+        install_command: this.getComponentSetting(component, 'install_command'),
+        build_command: this.getComponentSetting(component, 'build_command'),
+        start_command: startCommand,
+        node_version: this.getComponentSetting(component, 'node_version')
     };
 };
 
+// Credentials for cloning the component's repository (see GitService), or
+// null for public repositories
+deploymentSchema.methods.getGitCredentials = function(component) {
+    const auth = this[`${component}_git_auth`];
+    if (auth === 'token' && this[`${component}_git_token`]) {
+        return {
+            type: 'token',
+            username: this[`${component}_git_username`] || null,
+            token: this[`${component}_git_token`]
+        };
+    }
+    if (auth === 'ssh_key' && this.deploy_key_id) {
+        return { type: 'ssh_key', key: this.deploy_key_id };
+    }
+    return null;
+};
+
+deploymentSchema.methods.getCustomDomain = function(domain) {
+    return this.custom_domains.find(entry => entry.domain === domain.toLowerCase()) || null;
+};
+
+deploymentSchema.methods.ensureWebhookSecret = async function() {
+    if (!this.webhook_secret) {
+        this.webhook_secret = crypto.randomBytes(24).toString('hex');
+        await this.save();
+    }
+    return this.webhook_secret;
+};
+
 const Deployment = mongoose.model('Deployment', deploymentSchema);
 
 module.exports = Deployment;
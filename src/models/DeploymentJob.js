@@ -0,0 +1,230 @@
+const mongoose = require('mongoose');
+
+const deploymentJobSchema = new mongoose.Schema({
+    deployment_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Deployment',
+        required: true
+    },
+    user_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    type: {
+        type: String,
+        enum: ['deploy', 'redeploy', 'rollback', 'teardown', 'apply_env', 'attach_domain', 'detach_domain'],
+        default: 'deploy'
+    },
+    payload: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+    },
+    status: {
+        type: String,
+        enum: ['pending', 'running', 'succeeded', 'failed', 'cancelled'],
+        default: 'pending'
+    },
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    max_attempts: {
+        type: Number,
+        default: 2
+    },
+    worker_id: String,
+    lease_expires_at: Date,     // Running job is considered orphaned after this
+    heartbeat_at: Date,
+    cancel_requested_at: Date,  // Set by the API; the owning worker stops the job
+    started_at: Date,
+    finished_at: Date,
+    error: String,
+    result: {
+        type: mongoose.Schema.Types.Mixed
+    }
+}, {
+    timestamps: true,
+    toJSON: {
+        transform: (doc, ret) => {
+            ret.id = ret._id;
+            delete ret._id;
+            delete ret.__v;
+            return ret;
+        }
+    }
+});
+
+// Indexes
+deploymentJobSchema.index({ status: 1, createdAt: 1 });
+deploymentJobSchema.index({ status: 1, lease_expires_at: 1 });
+deploymentJobSchema.index({ deployment_id: 1, createdAt: -1 });
+// At most one running job per deployment, however many workers claim at once
+deploymentJobSchema.index({ deployment_id: 1 }, { unique: true, partialFilterExpression: { status: 'running' } });
+
+// Static methods
+deploymentJobSchema.statics.enqueue = async function({ deploymentId, userId, type = 'deploy', payload = {}, maxAttempts }) {
+    const job = new this({
+        deployment_id: deploymentId,
+        user_id: userId,
+        type,
+        payload,
+        ...(maxAttempts && { max_attempts: maxAttempts })
+    });
+    await job.save();
+    return job;
+};
+
+// Atomically take the oldest pending job and lease it to a worker.
+// Jobs for a deployment that already has a running job wait their turn. Two
+// workers can both see a deployment as idle; the unique index lets only one
+// of them start a job for it, and the other looks again.
+deploymentJobSchema.statics.claimNext = async function(workerId, leaseMs, maxTries = 3) {
+    for (let attempt = 0; attempt < maxTries; attempt++) {
+        const now = new Date();
+        const busyDeployments = await this.distinct('deployment_id', { status: 'running' });
+        try {
+            return await this.findOneAndUpdate(
+                { status: 'pending', deployment_id: { $nin: busyDeployments } },
+                {
+                    $set: {
+                        status: 'running',
+                        worker_id: workerId,
+                        started_at: now,
+                        heartbeat_at: now,
+                        lease_expires_at: new Date(now.getTime() + leaseMs)
+                    },
+                    $inc: { attempts: 1 }
+                },
+                { sort: { createdAt: 1 }, new: true }
+            );
+        } catch (error) {
+            if (error.code !== 11000) {
+                throw error;
+            }
+        }
+    }
+    return null;
+};
+
+// Extend the lease; returns null if the job is no longer owned by this worker
+deploymentJobSchema.statics.heartbeat = async function(jobId, workerId, leaseMs) {
+    const now = new Date();
+    return await this.findOneAndUpdate(
+        { _id: jobId, status: 'running', worker_id: workerId },
+        {
+            $set: {
+                heartbeat_at: now,
+                lease_expires_at: new Date(now.getTime() + leaseMs)
+            }
+        },
+        { new: true }
+    );
+};
+
+deploymentJobSchema.statics.finish = async function(jobId, workerId, status, { error, result } = {}) {
+    return await this.findOneAndUpdate(
+        { _id: jobId, status: 'running', worker_id: workerId },
+        {
+            $set: {
+                status,
+                finished_at: new Date(),
+                lease_expires_at: null,
+                error: error || null,
+                result: result || null
+            }
+        },
+        { new: true }
+    );
+};
+
+// Running jobs whose worker stopped heartbeating (crash, restart, lost connection)
+deploymentJobSchema.statics.findOrphaned = async function() {
+    return await this.find({
+        status: 'running',
+        lease_expires_at: { $lt: new Date() }
+    });
+};
+
+deploymentJobSchema.statics.requeue = async function(jobId) {
+    return await this.findOneAndUpdate(
+        { _id: jobId, status: 'running' },
+        {
+            $set: {
+                status: 'pending',
+                worker_id: null,
+                lease_expires_at: null,
+                error: 'Worker lost during execution - re-queued'
+            }
+        },
+        { new: true }
+    );
+};
+
+deploymentJobSchema.statics.markFailed = async function(jobId, error) {
+    return await this.findOneAndUpdate(
+        { _id: jobId, status: 'running' },
+        {
+            $set: {
+                status: 'failed',
+                finished_at: new Date(),
+                lease_expires_at: null,
+                error
+            }
+        },
+        { new: true }
+    );
+};
+
+// Pending jobs are cancelled outright; running ones are flagged for their worker
+deploymentJobSchema.statics.requestCancel = async function(jobId) {
+    return await this.findOneAndUpdate(
+        { _id: jobId, status: 'running' },
+        { $set: { cancel_requested_at: new Date() } },
+        { new: true }
+    );
+};
+
+deploymentJobSchema.statics.markCancelled = async function(jobId) {
+    return await this.findOneAndUpdate(
+        { _id: jobId, status: { $in: ['pending', 'running'] } },
+        {
+            $set: {
+                status: 'cancelled',
+                finished_at: new Date(),
+                lease_expires_at: null,
+                error: 'Cancelled by user'
+            }
+        },
+        { new: true }
+    );
+};
+
+deploymentJobSchema.statics.findActiveJobs = async function(deploymentId, types) {
+    return await this.find({
+        deployment_id: deploymentId,
+        status: { $in: ['pending', 'running'] },
+        ...(types && { type: { $in: types } })
+    }).sort({ createdAt: 1 });
+};
+
+deploymentJobSchema.statics.findActiveByDeploymentId = async function(deploymentId) {
+    return await this.findOne({
+        deployment_id: deploymentId,
+        status: { $in: ['pending', 'running'] }
+    }).sort({ createdAt: -1 });
+};
+
+deploymentJobSchema.statics.findByDeploymentId = async function(deploymentId, limit = 20) {
+    return await this.find({ deployment_id: deploymentId })
+        .sort({ createdAt: -1 })
+        .limit(limit);
+};
+
+deploymentJobSchema.statics.deleteByDeploymentId = async function(deploymentId) {
+    return await this.deleteMany({ deployment_id: deploymentId });
+};
+
+const DeploymentJob = mongoose.model('DeploymentJob', deploymentJobSchema);
+
+module.exports = DeploymentJob;
@@ -14,7 +14,8 @@ const deploymentLogSchema = new mongoose.Schema({
         type: String,
         enum: ['info', 'error', 'success', 'warning'],
         default: 'info'
-    }
+    },
+    details: mongoose.Schema.Types.Mixed    // Structured data, e.g. a config file validation error
 }, {
     timestamps: true,
     toJSON: {
@@ -33,11 +34,12 @@ const deploymentLogSchema = new mongoose.Schema({
 deploymentLogSchema.index({ deployment_id: 1, createdAt: -1 });
 
 // Static methods
-deploymentLogSchema.statics.create = async function(deploymentId, message, logType = 'info') {
+deploymentLogSchema.statics.create = async function(deploymentId, message, logType = 'info', details = undefined) {
     const log = new this({
         deployment_id: deploymentId,
         message,
-        log_type: logType
+        log_type: logType,
+        details
     });
     await log.save();
     return log;
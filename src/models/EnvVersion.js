@@ -0,0 +1,138 @@
+const mongoose = require('mongoose');
+const encryptedFields = require('./plugins/encryptedFields');
+
+const envVersionSchema = new mongoose.Schema({
+    deployment_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Deployment',
+        required: true
+    },
+    version: {
+        type: Number,
+        required: true
+    },
+    changed_by: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    action: {
+        type: String,
+        enum: ['initial', 'replace', 'upsert', 'delete', 'revert'],
+        required: true
+    },
+    reverted_to: Number,        // Version restored by a revert
+    changes: [{
+        _id: false,
+        scope: {
+            type: String,
+            enum: ['shared', 'frontend', 'backend']
+        },
+        key: String,
+        change: {
+            type: String,
+            enum: ['added', 'updated', 'removed']
+        }
+    }],
+    // Full variables after this version, kept so it can be reverted to
+    snapshot: {
+        type: mongoose.Schema.Types.Mixed,
+        required: true
+    }
+}, {
+    timestamps: true,
+    toJSON: {
+        transform: (doc, ret) => {
+            ret.id = ret._id;
+            delete ret._id;
+            delete ret.__v;
+            delete ret.snapshot;
+            delete ret.encryption;
+            return ret;
+        }
+    }
+});
+
+// Snapshots hold variable values, so they are encrypted at rest
+envVersionSchema.plugin(encryptedFields, {
+    fields: { snapshot: 'json' }
+});
+
+// Indexes
+envVersionSchema.index({ deployment_id: 1, version: -1 }, { unique: true });
+
+// Static methods
+
+// Key-level differences between two env snapshots (values are never recorded)
+envVersionSchema.statics.diff = function(before, after) {
+    const changes = [];
+
+    for (const scope of ['shared', 'frontend', 'backend']) {
+        const previous = before[scope] || {};
+        const next = after[scope] || {};
+
+        for (const key of Object.keys(next)) {
+            if (!(key in previous)) {
+                changes.push({ scope, key, change: 'added' });
+            } else if (previous[key] !== next[key]) {
+                changes.push({ scope, key, change: 'updated' });
+            }
+        }
+        for (const key of Object.keys(previous)) {
+            if (!(key in next)) {
+                changes.push({ scope, key, change: 'removed' });
+            }
+        }
+    }
+
+    return changes;
+};
+
+envVersionSchema.statics.findLatest = async function(deploymentId) {
+    return await this.findOne({ deployment_id: deploymentId }).sort({ version: -1 });
+};
+
+envVersionSchema.statics.findVersion = async function(deploymentId, version) {
+    return await this.findOne({ deployment_id: deploymentId, version });
+};
+
+envVersionSchema.statics.findByDeploymentId = async function(deploymentId, limit = 50) {
+    return await this.find({ deployment_id: deploymentId })
+        .sort({ version: -1 })
+        .limit(limit)
+        .populate('changed_by', 'username email');
+};
+
+// Record a change. The first change also stores what the deployment started
+// with, so that state can be reverted to as well.
+envVersionSchema.statics.record = async function({ deploymentId, userId, action, before, after, revertedTo }) {
+    let latest = await this.findLatest(deploymentId);
+
+    if (!latest) {
+        latest = await new this({
+            deployment_id: deploymentId,
+            version: 1,
+            action: 'initial',
+            snapshot: before
+        }).save();
+    }
+
+    const version = new this({
+        deployment_id: deploymentId,
+        version: latest.version + 1,
+        changed_by: userId,
+        action,
+        reverted_to: revertedTo,
+        changes: this.diff(before, after),
+        snapshot: after
+    });
+    await version.save();
+    return version;
+};
+
+envVersionSchema.statics.deleteByDeploymentId = async function(deploymentId) {
+    return await this.deleteMany({ deployment_id: deploymentId });
+};
+
+const EnvVersion = mongoose.model('EnvVersion', envVersionSchema);
+
+module.exports = EnvVersion;
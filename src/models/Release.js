@@ -0,0 +1,177 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const releaseComponentSchema = new mongoose.Schema({
+    component: {
+        type: String,
+        enum: ['frontend', 'backend'],
+        required: true
+    },
+    status: {
+        type: String,
+        enum: ['succeeded', 'failed'],
+        required: true
+    },
+    error: String,
+    pm2_name: String,
+    commit_sha: String,
+    allocated_port: Number,
+    actual_port: Number,
+    url: String,
+    app_dir: String,            // PM2 working directory the build ran from
+    snapshot_path: String,      // Copy of the build directory kept for rollback
+    pm2_script: String,         // How PM2 started the app, to start it again on rollback
+    pm2_args: [String],
+    pm2_interpreter: String
+}, { _id: false });
+
+const releaseSchema = new mongoose.Schema({
+    deployment_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Deployment',
+        required: true
+    },
+    user_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    number: {
+        type: Number,
+        required: true
+    },
+    type: {
+        type: String,
+        enum: ['deploy', 'redeploy', 'rollback'],
+        required: true
+    },
+    triggered_by: {
+        type: String,
+        enum: ['user', 'github_push', 'github_pull_request', 'system'],
+        default: 'user'
+    },
+    rollback_of: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Release'
+    },
+    job_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'DeploymentJob'
+    },
+    status: {
+        type: String,
+        enum: ['running', 'succeeded', 'failed', 'cancelled'],
+        default: 'running'
+    },
+    env_hash: String,           // SHA-256 of the env vars the release was built with
+    components: [releaseComponentSchema],
+    started_at: {
+        type: Date,
+        default: Date.now
+    },
+    finished_at: Date,
+    error: String
+}, {
+    timestamps: true,
+    toJSON: {
+        transform: (doc, ret) => {
+            ret.id = ret._id;
+            delete ret._id;
+            delete ret.__v;
+            ret.rollback_available = ret.status === 'succeeded' &&
+                (ret.components || []).some(c => c.status === 'succeeded' && c.snapshot_path);
+            return ret;
+        }
+    }
+});
+
+// Indexes
+releaseSchema.index({ deployment_id: 1, number: -1 });
+
+// Static methods
+// envVars is a deployment env snapshot ({ shared, frontend, backend }) or a flat map
+releaseSchema.statics.hashEnv = function(envVars) {
+    const entries = envVars instanceof Map
+        ? Array.from(envVars.entries())
+        : Object.entries(envVars || {});
+    entries.sort(([a], [b]) => a.localeCompare(b));
+    return crypto.createHash('sha256').update(JSON.stringify(entries)).digest('hex');
+};
+
+releaseSchema.statics.start = async function({ deploymentId, userId, type, triggeredBy, rollbackOf, jobId, envVars, envHash }) {
+    const latest = await this.findOne({ deployment_id: deploymentId }).sort({ number: -1 });
+
+    const release = new this({
+        deployment_id: deploymentId,
+        user_id: userId,
+        number: latest ? latest.number + 1 : 1,
+        type,
+        triggered_by: triggeredBy || 'user',
+        rollback_of: rollbackOf,
+        job_id: jobId,
+        env_hash: envHash || this.hashEnv(envVars)
+    });
+    await release.save();
+    return release;
+};
+
+releaseSchema.statics.addComponent = async function(releaseId, component) {
+    return await this.findByIdAndUpdate(
+        releaseId,
+        { $push: { components: component } },
+        { new: true }
+    );
+};
+
+releaseSchema.statics.finish = async function(releaseId, status, error = null) {
+    return await this.findByIdAndUpdate(
+        releaseId,
+        { $set: { status, error, finished_at: new Date() } },
+        { new: true }
+    );
+};
+
+releaseSchema.statics.findByDeploymentId = async function(deploymentId, limit = 20) {
+    return await this.find({ deployment_id: deploymentId })
+        .sort({ number: -1 })
+        .limit(limit);
+};
+
+releaseSchema.statics.findForDeployment = async function(deploymentId, releaseId) {
+    try {
+        return await this.findOne({ _id: releaseId, deployment_id: deploymentId });
+    } catch (error) {
+        return null;
+    }
+};
+
+// Successful component builds for a process, newest first (snapshot retention)
+releaseSchema.statics.findSnapshots = async function(deploymentId, pm2Name) {
+    return await this.find({
+        deployment_id: deploymentId,
+        components: { $elemMatch: { pm2_name: pm2Name, snapshot_path: { $ne: null } } }
+    }).sort({ number: -1 });
+};
+
+releaseSchema.statics.clearSnapshot = async function(releaseId, pm2Name) {
+    return await this.updateOne(
+        { _id: releaseId, 'components.pm2_name': pm2Name },
+        { $set: { 'components.$.snapshot_path': null } }
+    );
+};
+
+// Releases left "running" by a crashed worker or a cancelled job
+releaseSchema.statics.failRunning = async function(deploymentId, error, status = 'failed') {
+    return await this.updateMany(
+        { deployment_id: deploymentId, status: 'running' },
+        { $set: { status, error, finished_at: new Date() } }
+    );
+};
+
+releaseSchema.statics.deleteByDeploymentId = async function(deploymentId) {
+    return await this.deleteMany({ deployment_id: deploymentId });
+};
+
+const Release = mongoose.model('Release', releaseSchema);
+
+module.exports = Release;
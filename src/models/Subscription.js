@@ -58,6 +58,10 @@ const subscriptionSchema = new mongoose.Schema({
             type: Number,
             required: true
         },
+        max_previews: Number,           // Concurrent PR preview deployments
+        idle_timeout_minutes: Number,   // Idle time before apps hibernate, null when they never do
+        memory_mb: Number,              // Per app process
+        cpu_percent: Number,            // Per app process, of one CPU core
         features: {
             type: [String],
             default: []
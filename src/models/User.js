@@ -1,6 +1,7 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const crypto = require('crypto');
+const encryptedFields = require('./plugins/encryptedFields');
 
 const PLAN_MAX_DEPLOYMENTS = {
     free: 5,
@@ -142,11 +143,19 @@ const userSchema = new mongoose.Schema({
             delete ret._id;
             delete ret.__v;
             delete ret.password_hash;
+            delete ret.github_access_token;
+            delete ret.encryption;
+            ret.github_connected = Boolean(doc.github_access_token);
             return ret;
         }
     }
 });
 
+// GitHub token is encrypted at rest
+userSchema.plugin(encryptedFields, {
+    fields: { github_access_token: 'string' }
+});
+
 // Index for performance
 userSchema.index({ email: 1 });
 userSchema.index({ username: 1 });
@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+
+const webhookDeliverySchema = new mongoose.Schema({
+    provider: {
+        type: String,
+        enum: ['github'],
+        default: 'github'
+    },
+    delivery_id: String,        // X-GitHub-Delivery header
+    event: {
+        type: String,
+        required: true
+    },
+    repository: String,
+    ref: String,
+    commit_sha: String,
+    outcome: {
+        type: String,
+        enum: ['triggered', 'ignored', 'rejected', 'failed'],
+        required: true
+    },
+    reason: String,
+    results: [{
+        _id: false,
+        deployment_id: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Deployment'
+        },
+        components: [String],
+        job_id: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'DeploymentJob'
+        },
+        outcome: String,
+        reason: String
+    }]
+}, {
+    timestamps: true,
+    toJSON: {
+        transform: (doc, ret) => {
+            ret.id = ret._id;
+            delete ret._id;
+            delete ret.__v;
+            return ret;
+        }
+    }
+});
+
+// Indexes
+webhookDeliverySchema.index({ 'results.deployment_id': 1, createdAt: -1 });
+webhookDeliverySchema.index({ delivery_id: 1 });
+
+// Static methods
+webhookDeliverySchema.statics.record = async function(data) {
+    const delivery = new this(data);
+    await delivery.save();
+    return delivery;
+};
+
+webhookDeliverySchema.statics.findByDeploymentId = async function(deploymentId, limit = 50) {
+    return await this.find({ 'results.deployment_id': deploymentId })
+        .sort({ createdAt: -1 })
+        .limit(limit);
+};
+
+// Keep the delivery history but drop references to a deleted deployment
+webhookDeliverySchema.statics.detachDeployment = async function(deploymentId) {
+    return await this.updateMany(
+        { 'results.deployment_id': deploymentId },
+        { $pull: { results: { deployment_id: deploymentId } } }
+    );
+};
+
+const WebhookDelivery = mongoose.model('WebhookDelivery', webhookDeliverySchema);
+
+module.exports = WebhookDelivery;
@@ -0,0 +1,174 @@
+const { getSecretCipher } = require('../../utils/SecretCipher');
+
+// Mongoose plugin that keeps the listed fields encrypted in MongoDB and
+// decrypted on loaded documents. fields maps a path to how it is stored:
+//   string - the value itself
+//   map    - each value of a Map of String
+//   json   - the whole value, serialized (Mixed paths)
+function encryptedFields(schema, { fields }) {
+    const cipher = getSecretCipher();
+    const paths = Object.keys(fields);
+
+    schema.add({
+        encryption: {
+            key_id: String,         // Master key the data key is wrapped with
+            wrapped_key: String     // Per-record data key, encrypted
+        }
+    });
+
+    const hasValue = (value) => {
+        if (value === undefined || value === null || value === '') {
+            return false;
+        }
+        if (value instanceof Map) {
+            return value.size > 0;
+        }
+        return true;
+    };
+
+    const encryptValue = (dataKey, path, value) => {
+        switch (fields[path]) {
+            case 'map': {
+                const entries = value instanceof Map ? Array.from(value.entries()) : Object.entries(value);
+                return Object.fromEntries(entries.map(([key, val]) => [key, cipher.encrypt(dataKey, val, path)]));
+            }
+            case 'json':
+                return cipher.encrypt(dataKey, JSON.stringify(value), path);
+            default:
+                return cipher.encrypt(dataKey, value, path);
+        }
+    };
+
+    const decryptValue = (dataKey, path, value) => {
+        switch (fields[path]) {
+            case 'map': {
+                const entries = value instanceof Map ? Array.from(value.entries()) : Object.entries(value);
+                return new Map(entries.map(([key, val]) => [key, cipher.decrypt(dataKey, val, path)]));
+            }
+            case 'json':
+                return cipher.isEncrypted(value) ? JSON.parse(cipher.decrypt(dataKey, value, path)) : value;
+            default:
+                return cipher.decrypt(dataKey, value, path);
+        }
+    };
+
+    // Plaintext data key of a document, cached for the document's lifetime
+    const getDataKey = (doc, create) => {
+        if (doc.$locals.dataKey) {
+            return doc.$locals.dataKey;
+        }
+
+        if (doc.encryption?.wrapped_key) {
+            doc.$locals.dataKey = cipher.unwrapDataKey(doc.encryption);
+        } else if (create) {
+            const { key, keyRef } = cipher.generateDataKey();
+            doc.encryption = keyRef;
+            doc.$locals.dataKey = key;
+        }
+
+        return doc.$locals.dataKey || null;
+    };
+
+    const decryptDocument = (doc, targets) => {
+        const pending = targets.filter(path => hasValue(doc.get(path)));
+        if (pending.length === 0 || !doc.encryption?.wrapped_key) {
+            return;
+        }
+
+        const dataKey = getDataKey(doc, false);
+        for (const path of pending) {
+            doc.set(path, decryptValue(dataKey, path, doc.get(path)));
+            doc.modifiedPaths()
+                .filter(modified => modified === path || modified.startsWith(`${path}.`))
+                .forEach(modified => doc.unmarkModified(modified));
+        }
+    };
+
+    schema.post('init', function() {
+        decryptDocument(this, paths);
+    });
+
+    schema.pre('save', function() {
+        const pending = paths.filter(path =>
+            (this.isNew || this.isModified(path)) && hasValue(this.get(path))
+        );
+        if (pending.length === 0) {
+            return;
+        }
+
+        const dataKey = getDataKey(this, true);
+        for (const path of pending) {
+            this.set(path, encryptValue(dataKey, path, this.get(path)));
+            if (fields[path] === 'json') {
+                this.markModified(path);
+            }
+        }
+        this.$locals.encryptedPaths = pending;
+    });
+
+    // Leave the saved document usable with plaintext values
+    schema.post('save', function() {
+        if (this.$locals.encryptedPaths) {
+            decryptDocument(this, this.$locals.encryptedPaths);
+            delete this.$locals.encryptedPaths;
+        }
+    });
+
+    // Updates that bypass save(): encrypt with the record's data key,
+    // creating one if the record does not have it yet
+    schema.pre(['findOneAndUpdate', 'updateOne'], async function() {
+        const update = this.getUpdate();
+        if (!update) {
+            return;
+        }
+
+        const targets = [update, update.$set].filter(Boolean);
+        const touched = targets.some(target => Object.keys(target).some(key =>
+            paths.some(path => key === path || key.startsWith(`${path}.`))
+        ));
+        if (!touched) {
+            return;
+        }
+
+        const existing = await this.model.findOne(this.getFilter()).select('encryption');
+        let dataKey;
+        if (existing?.encryption?.wrapped_key) {
+            dataKey = cipher.unwrapDataKey(existing.encryption);
+        } else {
+            const generated = cipher.generateDataKey();
+            dataKey = generated.key;
+            update.$set = { ...(update.$set || {}), encryption: generated.keyRef };
+        }
+
+        for (const target of [update, update.$set].filter(Boolean)) {
+            for (const key of Object.keys(target)) {
+                const path = paths.find(p => key === p || key.startsWith(`${p}.`));
+                if (!path || !hasValue(target[key])) {
+                    continue;
+                }
+                target[key] = key === path
+                    ? encryptValue(dataKey, path, target[key])
+                    : cipher.encrypt(dataKey, target[key], path);
+            }
+        }
+        this.setUpdate(update);
+    });
+
+    schema.pre('updateMany', function() {
+        const update = this.getUpdate() || {};
+        const keys = [...Object.keys(update), ...Object.keys(update.$set || {})];
+        if (keys.some(key => paths.some(path => key === path || key.startsWith(`${path}.`)))) {
+            throw new Error(`Encrypted fields (${paths.join(', ')}) cannot be changed with updateMany`);
+        }
+    });
+
+    // Drop the record's data key so the next save() encrypts everything with a
+    // new one wrapped by the current master key (key rotation)
+    schema.methods.rotateEncryption = function() {
+        delete this.$locals.dataKey;
+        this.encryption = { key_id: undefined, wrapped_key: undefined };
+        paths.forEach(path => this.markModified(path));
+    };
+}
+
+module.exports = encryptedFields;
@@ -38,8 +38,9 @@ const authenticateAdmin = async (req, res, next) => {
 // Get all users with their plans and stats
 router.get('/users', authenticate, authenticateAdmin, async (req, res) => {
     try {
+        // Lean documents skip toJSON, so secrets and their encryption metadata are left out here
         const users = await User.find()
-            .select('-password')
+            .select('-password -github_access_token -encryption')
             .sort({ createdAt: -1 })
             .lean();
 
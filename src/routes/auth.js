@@ -352,15 +352,14 @@ router.get('/github/repos', authenticate, async (req, res) => {
         res.json({
             success: true,
             data: {
-                repositories,
-                message: 'Private repositories coming soon!'
+                repositories
             }
         });
     } catch (error) {
         console.error('GitHub repos error:', error);
         res.status(500).json({
             success: false,
-            error: 'Failed to fetch GitHub repositories'
+            error: error.message || 'Failed to fetch GitHub repositories'
         });
     }
 });
@@ -393,4 +392,32 @@ router.get('/github/repos/:owner/:repo', authenticate, async (req, res) => {
     }
 });
 
+// Get repository branches
+router.get('/github/repos/:owner/:repo/branches', authenticate, async (req, res) => {
+    try {
+        const user = await User.findById(req.user.id);
+        const { owner, repo } = req.params;
+
+        if (!user.github_access_token) {
+            return res.status(400).json({
+                success: false,
+                error: 'User is not authenticated with GitHub'
+            });
+        }
+
+        const branches = await githubService.getRepositoryBranches(user.github_access_token, owner, repo);
+
+        res.json({
+            success: true,
+            data: branches
+        });
+    } catch (error) {
+        console.error('GitHub branches error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch repository branches'
+        });
+    }
+});
+
 module.exports = router;
@@ -36,7 +36,7 @@ router.get('/daily-calendar-activities', authenticateInternal, async (req, res)
                 }),
                 Deployment.countDocuments({
                     user_id: user._id,
-                    status: { $in: ['deploying', 'deployed', 'stopped'] }
+                    status: { $in: ['deploying', 'deployed', 'stopped', 'sleeping', 'hibernated', 'crashed'] }
                 })
             ]);
 
@@ -1,12 +1,216 @@
 const express = require('express');
+const crypto = require('crypto');
 const router = express.Router();
 const Deployment = require('../models/Deployment');
+const DeploymentJob = require('../models/DeploymentJob');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const Release = require('../models/Release');
+const EnvVersion = require('../models/EnvVersion');
 const DeploymentService = require('../services/DeploymentService');
+const { getDeploymentQueue } = require('../services/DeploymentQueue');
+const { getDeploymentScheduler } = require('../services/DeploymentScheduler');
+const EnvService = require('../services/EnvService');
+const DomainService = require('../services/DomainService');
+const PhaseTracker = require('../services/PhaseTracker');
+const gitProviders = require('../services/GitProviderService');
+const gitService = require('../services/GitService');
 const { authenticate } = require('../middleware/auth');
-const { validateDeployment, validateDeploymentId } = require('../middleware/validation');
-const { checkDeploymentLimits } = require('../middleware/planLimits');
+const { validateDeployment, validateDeploymentId, validateRedeploy, validateRollback, validateAutoDeploy, validatePreviewSettings, validateHibernationSettings, validateSchedule,
+    validateEnvReplace, validateEnvUpsert, validateEnvDelete, validateEnvRevert,
+    validateCustomDomain, validateDomainParam, validateGitCredentials, validateBranchList } = require('../middleware/validation');
+const { checkDeploymentLimits, checkFeatureAccess, getPreviewQuota, getIdleTimeout } = require('../middleware/planLimits');
 
 const deploymentService = new DeploymentService();
+const envService = new EnvService();
+const domainService = new DomainService();
+
+// Find a deployment by Mongo id or deployment_id and check it belongs to the user
+const findOwnedDeployment = async (req, res) => {
+    let deployment = await Deployment.findById(req.params.id);
+    if (!deployment) {
+        deployment = await Deployment.findByDeploymentId(req.params.id);
+    }
+
+    if (!deployment) {
+        res.status(404).json({
+            success: false,
+            error: 'Deployment not found'
+        });
+        return null;
+    }
+
+    if (deployment.user_id.toString() !== req.user.id.toString()) {
+        res.status(403).json({
+            success: false,
+            error: 'Access denied'
+        });
+        return null;
+    }
+
+    return deployment;
+};
+
+const getGithubWebhookUrl = () => {
+    const apiUrl = process.env.PUBLIC_API_URL || `http://localhost:${process.env.PORT || 3000}`;
+    return `${apiUrl.replace(/\/+$/, '')}/api/integrations/github/webhook`;
+};
+
+const serializeAutoDeploy = (deployment) => ({
+    deployment_id: deployment.deployment_id,
+    enabled: deployment.auto_deploy_enabled,
+    frontend: deployment.auto_deploy_frontend,
+    backend: deployment.auto_deploy_backend,
+    frontend_branch: deployment.frontend_branch || null,
+    backend_branch: deployment.backend_branch || null,
+    webhook_url: getGithubWebhookUrl(),
+    webhook_secret: deployment.webhook_secret || null,
+    content_type: 'application/json',
+    events: ['push', 'pull_request']
+});
+
+const serializePreview = (preview) => ({
+    deployment_id: preview.deployment_id,
+    pr_number: preview.pr_number,
+    pr_repository: preview.pr_repository,
+    subdomain: preview.subdomain,
+    status: preview.status,
+    frontend_url: preview.frontend_url || null,
+    backend_url: preview.backend_url || null,
+    frontend_branch: preview.frontend_branch || null,
+    backend_branch: preview.backend_branch || null,
+    created_at: preview.createdAt
+});
+
+// Queue the remote .env rewrite + restart for an env change and build the response
+const respondWithEnvChange = async (req, res, deployment, update) => {
+    if (!update.changed) {
+        return res.json({
+            success: true,
+            message: 'No changes',
+            data: { changes: [] }
+        });
+    }
+
+    let job = null;
+    if (update.components.length > 0) {
+        job = await getDeploymentQueue().enqueue({
+            deploymentId: deployment.id,
+            userId: req.user.id,
+            type: 'apply_env',
+            payload: { components: update.components, version: update.version.version }
+        });
+    }
+
+    res.json({
+        success: true,
+        message: job ? 'Environment updated - applying to running processes' : 'Environment updated',
+        data: {
+            version: update.version.version,
+            changes: update.changes,
+            components: update.components,
+            job_id: job ? job.id : null
+        }
+    });
+};
+
+const normalizeEnvVars = (vars = {}) =>
+    Object.fromEntries(Object.entries(vars).map(([key, value]) => [key, String(value)]));
+
+// Credentials sent with a create request, shaped like Deployment#getGitCredentials
+const getRequestCredentials = (deploymentData, component) => {
+    const auth = deploymentData[`${component}_git_auth`];
+    if (auth === 'token') {
+        return { type: 'token', username: deploymentData[`${component}_git_username`] || null, token: deploymentData[`${component}_git_token`] };
+    }
+    if (auth === 'ssh_key') {
+        return { type: 'ssh_key', key: deploymentData.deploy_key_id };
+    }
+    return null;
+};
+
+// Reject unknown branches up front when the repository's provider can list them
+const findMissingBranch = async (user, deploymentData) => {
+    for (const component of ['frontend', 'backend']) {
+        const branch = deploymentData[`${component}_branch`];
+        const repoUrl = deploymentData[`${component}_repo`];
+        if (!branch || !repoUrl) {
+            continue;
+        }
+
+        try {
+            const branches = await gitProviders.getRepositoryBranches(repoUrl, {
+                credentials: getRequestCredentials(deploymentData, component),
+                accessToken: user.github_access_token
+            });
+            if (!branches.some(b => b.name === branch)) {
+                return { component, branch };
+            }
+        } catch (error) {
+            // Branch listing is best-effort; the clone step reports bad branches too
+            console.warn(`⚠️ Could not verify ${component} branch: ${error.message}`);
+        }
+    }
+
+    return null;
+};
+
+const serializeGitCredentials = (deployment) => ({
+    deployment_id: deployment.deployment_id,
+    deploy_key: deployment.deploy_key_public || null,
+    components: Object.fromEntries(['frontend', 'backend']
+        .filter(component => deployment[`${component}_repo`])
+        .map(component => [component, {
+            repository: deployment[`${component}_repo`],
+            provider: gitProviders.getProvider(deployment[`${component}_repo`])?.name || null,
+            auth: deployment[`${component}_git_auth`] || null,
+            username: deployment[`${component}_git_username`] || null,
+            token_set: Boolean(deployment[`${component}_git_token`])
+        }]))
+});
+
+// Stored HTTP probe results of a component (see HealthMonitor) and the check they come from
+const serializeHttpHealth = (deployment, component) => {
+    const state = deployment.health?.[component];
+    const check = deployment.getHealthCheck(component);
+    const { min, max } = check.expectedStatus;
+    return {
+        status: state?.status || 'unknown',
+        status_code: state?.status_code ?? null,
+        latency_ms: state?.latency_ms ?? null,
+        error: state?.error || null,
+        consecutive_failures: state?.consecutive_failures || 0,
+        last_checked_at: state?.last_checked_at || null,
+        last_success_at: state?.last_success_at || null,
+        last_failure_at: state?.last_failure_at || null,
+        check: {
+            path: check.path,
+            expected_status: min === max ? String(min) : `${min}-${max}`,
+            timeout: check.timeoutSeconds,
+            interval: check.intervalSeconds
+        }
+    };
+};
+
+// What the owner's plan gives each app process now, and what each component was
+// started with; plan changes take effect on the next deploy
+const serializeResourceLimits = (deployment, limits) => ({
+    enabled: Boolean(limits),
+    plan: limits?.plan || null,
+    memory_mb: limits?.memory_mb ?? null,
+    cpu_percent: limits?.cpu_percent ?? null,
+    components: Object.fromEntries(['frontend', 'backend']
+        .filter(component => deployment[`pm2_${component}_name`])
+        .map(component => {
+            const usage = deployment.resources?.[component];
+            return [component, {
+                memory_mb: usage?.memory_mb ?? null,
+                cpu_percent: usage?.cpu_percent ?? null,
+                applied_at: usage?.applied_at || null,
+                oom_restarts: usage?.oom_restarts || 0,
+                last_oom_at: usage?.last_oom_at || null
+            }];
+        }))
+});
 
 // Create new deployment
 router.post('/', authenticate, checkDeploymentLimits, validateDeployment, async (req, res) => {
@@ -16,38 +220,42 @@ router.post('/', authenticate, checkDeploymentLimits, validateDeployment, async
 
         console.log(`📦 Starting deployment for user ${userId}`);
 
-        // Start deployment asynchronously and get the deployment record
-        const deploymentServiceInstance = new DeploymentService();
-        
+        if (deploymentData.deploy_key_id) {
+            const deployKey = await deploymentService.checkDeployKey(userId, deploymentData.deploy_key_id);
+            if (deployKey.error) {
+                return res.status(400).json({
+                    success: false,
+                    error: deployKey.error
+                });
+            }
+        }
+
+        const missingBranch = await findMissingBranch(req.user, deploymentData);
+        if (missingBranch) {
+            return res.status(400).json({
+                success: false,
+                error: `Branch "${missingBranch.branch}" does not exist in the ${missingBranch.component} repository`
+            });
+        }
+
         // Create initial deployment record synchronously
-        const Deployment = require('../models/Deployment');
-        const SubdomainGenerator = require('../utils/SubdomainGenerator');
-        const subdomainGenerator = new SubdomainGenerator();
-        
-        const existingDeployments = await Deployment.findByUserId(userId);
-        const existingSubdomains = existingDeployments.map(d => d.subdomain);
-        const subdomain = subdomainGenerator.generateUnique(existingSubdomains);
-
-        const deployment = await Deployment.create({
-            user_id: userId,
-            name: deploymentData.name || `Deployment ${subdomain}`,
-            subdomain,
-            frontend_repo: deploymentData.frontend_repo,
-            backend_repo: deploymentData.backend_repo,
-            frontend_description: deploymentData.frontend_description,
-            backend_description: deploymentData.backend_description,
-            env_vars: deploymentData.env_vars || {},
-            status: 'deploying'
-        });
+        const deployment = await deploymentService.createDeploymentRecord(userId, deploymentData);
 
         console.log(`✅ Deployment record created: ${deployment.deployment_id}`);
 
-        // Send immediate response with deployment info
+        // Hand the deploy to the durable job queue so it survives restarts.
+        // Everything the worker needs is on the record, so no payload is stored.
+        const job = await getDeploymentQueue().enqueue({
+            deploymentId: deployment.id,
+            userId
+        });
+
         res.json({
             success: true,
             message: 'Deployment started',
             data: {
                 deployment_id: deployment.deployment_id,
+                job_id: job.id,
                 name: deployment.name,
                 subdomain: deployment.subdomain,
                 status: 'deploying',
@@ -55,16 +263,6 @@ router.post('/', authenticate, checkDeploymentLimits, validateDeployment, async
             }
         });
 
-        // Deploy asynchronously
-        deploymentServiceInstance.deploy(userId, {
-            ...deploymentData,
-            deployment_id: deployment.id
-        }).catch(error => {
-            console.error('Async deployment error:', error);
-            // Update status to failed
-            Deployment.updateStatus(deployment.id, 'failed').catch(console.error);
-        });
-
     } catch (error) {
         console.error('Deployment initiation error:', error);
         res.status(500).json({
@@ -74,6 +272,31 @@ router.post('/', authenticate, checkDeploymentLimits, validateDeployment, async
     }
 });
 
+// Generate an SSH deploy key for a new deployment. Add the public key to the
+// repository as a read-only deploy key, then create the deployment with
+// deploy_key_id and <component>_git_auth: ssh_key.
+router.post('/deploy-keys', authenticate, async (req, res) => {
+    try {
+        const keyId = `${req.user.id}-${crypto.randomBytes(8).toString('hex')}`;
+        const publicKey = await gitService.generateDeployKey(keyId, `clawdeploy-${keyId}`);
+
+        res.json({
+            success: true,
+            message: 'Deploy key generated - add it to your repository as a read-only deploy key',
+            data: {
+                deploy_key_id: keyId,
+                public_key: publicKey
+            }
+        });
+    } catch (error) {
+        console.error('Generate deploy key error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message || 'Failed to generate deploy key'
+        });
+    }
+});
+
 // Get all deployments for current user
 router.get('/', authenticate, async (req, res) => {
     try {
@@ -126,12 +349,14 @@ router.get('/:id', authenticate, validateDeploymentId, async (req, res) => {
 
         // Get status
         const statusInfo = await deploymentService.getDeploymentStatus(deployment.id);
+        const limits = await deploymentService.getProcessLimits(deployment);
 
         res.json({
             success: true,
             data: {
                 deployment,
-                status: statusInfo.status
+                status: statusInfo.status,
+                resource_limits: serializeResourceLimits(deployment, limits)
             }
         });
     } catch (error) {
@@ -225,6 +450,137 @@ router.post('/:id/restart', authenticate, validateDeploymentId, async (req, res)
     }
 });
 
+// Redeploy an existing deployment (same subdomain, ports and env)
+router.post('/:id/redeploy', authenticate, validateRedeploy, async (req, res) => {
+    try {
+        const target = req.body.target || 'all';
+
+        const deployment = await findOwnedDeployment(req, res);
+        if (!deployment) return;
+
+        if (deployment.status === 'suspended') {
+            return res.status(403).json({
+                success: false,
+                error: 'Deployment is suspended - renew your subscription to redeploy it'
+            });
+        }
+
+        const components = target === 'all' ? ['frontend', 'backend'] : [target];
+        if (!components.some(component => deployment[`${component}_repo`])) {
+            return res.status(400).json({
+                success: false,
+                error: `Deployment has no ${target === 'all' ? 'repositories' : `${target} repository`} to redeploy`
+            });
+        }
+
+        const activeJob = await DeploymentJob.findActiveByDeploymentId(deployment.id);
+        if (activeJob) {
+            return res.status(409).json({
+                success: false,
+                error: 'A deployment is already in progress for this deployment',
+                data: { job_id: activeJob.id, status: activeJob.status }
+            });
+        }
+
+        await Deployment.updateStatus(deployment.id, 'deploying');
+
+        const job = await getDeploymentQueue().enqueue({
+            deploymentId: deployment.id,
+            userId: req.user.id,
+            type: 'redeploy',
+            payload: { components, ...(req.body.strategy && { strategy: req.body.strategy }) }
+        });
+
+        res.json({
+            success: true,
+            message: 'Redeploy started',
+            data: {
+                deployment_id: deployment.deployment_id,
+                job_id: job.id,
+                subdomain: deployment.subdomain,
+                components,
+                strategy: req.body.strategy || deployment.deploy_strategy,
+                status: 'deploying'
+            }
+        });
+    } catch (error) {
+        console.error('Redeploy error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message || 'Failed to start redeploy'
+        });
+    }
+});
+
+// Cancel the deploy, redeploy or rollback in progress
+router.post('/:id/cancel', authenticate, validateDeploymentId, async (req, res) => {
+    try {
+        const deployment = await findOwnedDeployment(req, res);
+        if (!deployment) return;
+
+        const cancelled = await getDeploymentQueue().cancel(deployment._id);
+        if (!cancelled) {
+            return res.status(409).json({
+                success: false,
+                error: 'No deployment is in progress'
+            });
+        }
+
+        res.status(202).json({
+            success: true,
+            message: cancelled.running
+                ? 'Cancelling - the running deployment is being stopped and cleaned up'
+                : 'Queued deployment cancelled',
+            data: {
+                job_ids: cancelled.jobs.map(job => job.id),
+                running: cancelled.running
+            }
+        });
+    } catch (error) {
+        console.error('Cancel deployment error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message || 'Failed to cancel deployment'
+        });
+    }
+});
+
+// Phases of the latest deploy or redeploy, with timings
+router.get('/:id/progress', authenticate, validateDeploymentId, async (req, res) => {
+    try {
+        const deployment = await findOwnedDeployment(req, res);
+        if (!deployment) return;
+
+        const progress = deployment.progress?.toObject ? deployment.progress.toObject() : deployment.progress;
+        if (!progress?.phases?.length) {
+            return res.status(404).json({
+                success: false,
+                error: 'No deployment progress recorded yet'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: {
+                status: deployment.status,
+                percent: new PhaseTracker(deployment).getPercent(),
+                current_phase: progress.current_phase,
+                job_id: progress.job_id,
+                job_type: progress.job_type,
+                started_at: progress.started_at,
+                finished_at: progress.finished_at,
+                phases: progress.phases
+            }
+        });
+    } catch (error) {
+        console.error('Get deployment progress error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to get deployment progress'
+        });
+    }
+});
+
 // Delete deployment
 router.delete('/:id', authenticate, validateDeploymentId, async (req, res) => {
     try {
@@ -397,7 +753,8 @@ router.get('/:id/health', authenticate, validateDeploymentId, async (req, res) =
                 name: deployment.pm2_frontend_name,
                 port: deployment.frontend_port,
                 url: deployment.frontend_url,
-                ...frontendStatus
+                ...frontendStatus,
+                http: serializeHttpHealth(deployment, 'frontend')
             };
         }
 
@@ -408,7 +765,8 @@ router.get('/:id/health', authenticate, validateDeploymentId, async (req, res) =
                 name: deployment.pm2_backend_name,
                 port: deployment.backend_port,
                 url: deployment.backend_url,
-                ...backendStatus
+                ...backendStatus,
+                http: serializeHttpHealth(deployment, 'backend')
             };
         }
 
@@ -425,4 +783,850 @@ router.get('/:id/health', authenticate, validateDeploymentId, async (req, res) =
     }
 });
 
+// Release history (one entry per deploy, redeploy or rollback)
+router.get('/:id/releases', authenticate, validateDeploymentId, async (req, res) => {
+    try {
+        const deployment = await findOwnedDeployment(req, res);
+        if (!deployment) return;
+
+        const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+        const releases = await Release.findByDeploymentId(deployment._id, limit);
+
+        res.json({
+            success: true,
+            data: {
+                deployment_id: deployment.deployment_id,
+                releases
+            }
+        });
+    } catch (error) {
+        console.error('Get releases error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message || 'Failed to fetch releases'
+        });
+    }
+});
+
+// Roll back to an earlier release using its saved build (no re-clone)
+router.post('/:id/releases/:releaseId/rollback', authenticate, validateRollback, async (req, res) => {
+    try {
+        const deployment = await findOwnedDeployment(req, res);
+        if (!deployment) return;
+
+        if (deployment.status === 'suspended') {
+            return res.status(403).json({
+                success: false,
+                error: 'Deployment is suspended - renew your subscription to roll it back'
+            });
+        }
+
+        const release = await Release.findForDeployment(deployment._id, req.params.releaseId);
+        if (!release) {
+            return res.status(404).json({
+                success: false,
+                error: 'Release not found'
+            });
+        }
+
+        if (!release.toJSON().rollback_available) {
+            return res.status(400).json({
+                success: false,
+                error: `Release #${release.number} has no saved build to roll back to`
+            });
+        }
+
+        const activeJob = await DeploymentJob.findActiveByDeploymentId(deployment.id);
+        if (activeJob) {
+            return res.status(409).json({
+                success: false,
+                error: 'A deployment is already in progress for this deployment',
+                data: { job_id: activeJob.id, status: activeJob.status }
+            });
+        }
+
+        await Deployment.updateStatus(deployment.id, 'deploying');
+
+        const job = await getDeploymentQueue().enqueue({
+            deploymentId: deployment.id,
+            userId: req.user.id,
+            type: 'rollback',
+            payload: { release_id: release.id }
+        });
+
+        res.json({
+            success: true,
+            message: `Rollback to release #${release.number} started`,
+            data: {
+                deployment_id: deployment.deployment_id,
+                job_id: job.id,
+                release_id: release.id,
+                release_number: release.number,
+                components: release.components
+                    .filter(c => c.status === 'succeeded' && c.snapshot_path)
+                    .map(c => c.component),
+                status: 'deploying'
+            }
+        });
+    } catch (error) {
+        console.error('Rollback error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message || 'Failed to start rollback'
+        });
+    }
+});
+
+// List environment variables (values masked unless ?reveal=true)
+router.get('/:id/env', authenticate, validateDeploymentId, async (req, res) => {
+    try {
+        const deployment = await findOwnedDeployment(req, res);
+        if (!deployment) return;
+
+        const snapshot = deployment.getEnvSnapshot();
+        const reveal = req.query.reveal === 'true';
+        const latest = await EnvVersion.findLatest(deployment._id);
+
+        res.json({
+            success: true,
+            data: {
+                version: latest ? latest.version : null,
+                masked: !reveal,
+                ...(reveal ? snapshot : envService.maskSnapshot(snapshot))
+            }
+        });
+    } catch (error) {
+        console.error('Get env error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message || 'Failed to fetch environment variables'
+        });
+    }
+});
+
+// Replace all variables of the given scopes
+router.put('/:id/env', authenticate, validateEnvReplace, async (req, res) => {
+    try {
+        const deployment = await findOwnedDeployment(req, res);
+        if (!deployment) return;
+
+        const update = await envService.updateEnv(deployment, req.user.id, 'replace', (snapshot) => {
+            for (const scope of Deployment.ENV_SCOPES) {
+                if (req.body[scope] !== undefined) {
+                    snapshot[scope] = normalizeEnvVars(req.body[scope]);
+                }
+            }
+        });
+
+        await respondWithEnvChange(req, res, deployment, update);
+    } catch (error) {
+        console.error('Replace env error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message || 'Failed to update environment variables'
+        });
+    }
+});
+
+// Add or update variables in one scope
+router.patch('/:id/env', authenticate, validateEnvUpsert, async (req, res) => {
+    try {
+        const deployment = await findOwnedDeployment(req, res);
+        if (!deployment) return;
+
+        const scope = req.body.scope || 'shared';
+        const update = await envService.updateEnv(deployment, req.user.id, 'upsert', (snapshot) => {
+            Object.assign(snapshot[scope], normalizeEnvVars(req.body.vars));
+        });
+
+        await respondWithEnvChange(req, res, deployment, update);
+    } catch (error) {
+        console.error('Update env error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message || 'Failed to update environment variables'
+        });
+    }
+});
+
+// Remove variables from one scope
+router.delete('/:id/env', authenticate, validateEnvDelete, async (req, res) => {
+    try {
+        const deployment = await findOwnedDeployment(req, res);
+        if (!deployment) return;
+
+        const scope = req.body.scope || 'shared';
+        const update = await envService.updateEnv(deployment, req.user.id, 'delete', (snapshot) => {
+            for (const key of req.body.keys) {
+                delete snapshot[scope][key];
+            }
+        });
+
+        await respondWithEnvChange(req, res, deployment, update);
+    } catch (error) {
+        console.error('Delete env error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message || 'Failed to delete environment variables'
+        });
+    }
+});
+
+// Who changed which keys, newest first
+router.get('/:id/env/history', authenticate, validateDeploymentId, async (req, res) => {
+    try {
+        const deployment = await findOwnedDeployment(req, res);
+        if (!deployment) return;
+
+        const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+        const versions = await EnvVersion.findByDeploymentId(deployment._id, limit);
+
+        res.json({
+            success: true,
+            data: versions
+        });
+    } catch (error) {
+        console.error('Get env history error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message || 'Failed to fetch environment history'
+        });
+    }
+});
+
+// Restore the variables of an earlier version (recorded as a new version)
+router.post('/:id/env/history/:version/revert', authenticate, validateEnvRevert, async (req, res) => {
+    try {
+        const deployment = await findOwnedDeployment(req, res);
+        if (!deployment) return;
+
+        const update = await envService.revertTo(deployment, req.user.id, parseInt(req.params.version));
+        if (!update) {
+            return res.status(404).json({
+                success: false,
+                error: 'Environment version not found'
+            });
+        }
+
+        await respondWithEnvChange(req, res, deployment, update);
+    } catch (error) {
+        console.error('Revert env error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message || 'Failed to revert environment variables'
+        });
+    }
+});
+
+// Custom domains of a deployment with the DNS records each one needs
+router.get('/:id/domains', authenticate, validateDeploymentId, async (req, res) => {
+    try {
+        const deployment = await findOwnedDeployment(req, res);
+        if (!deployment) return;
+
+        res.json({
+            success: true,
+            data: deployment.custom_domains.map(entry => domainService.serialize(deployment, entry))
+        });
+    } catch (error) {
+        console.error('Get domains error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message || 'Failed to fetch custom domains'
+        });
+    }
+});
+
+// Add a custom domain and issue its DNS verification challenge
+router.post('/:id/domains', authenticate, checkFeatureAccess('custom_domain'), validateCustomDomain, async (req, res) => {
+    try {
+        const deployment = await findOwnedDeployment(req, res);
+        if (!deployment) return;
+
+        const { domain, component = 'frontend', method = 'txt' } = req.body;
+
+        if (!deployment[`${component}_repo`]) {
+            return res.status(400).json({
+                success: false,
+                error: `This deployment has no ${component}`
+            });
+        }
+
+        if (await Deployment.findByCustomDomain(domain)) {
+            return res.status(409).json({
+                success: false,
+                error: `${domain} is already attached to a deployment`
+            });
+        }
+
+        const entry = await domainService.addDomain(deployment, { domain, component, method });
+
+        res.status(201).json({
+            success: true,
+            message: 'Create the challenge DNS record, then call the verify endpoint',
+            data: domainService.serialize(deployment, entry)
+        });
+    } catch (error) {
+        console.error('Add domain error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message || 'Failed to add custom domain'
+        });
+    }
+});
+
+// Check the DNS challenge; once verified, queue the nginx + certificate setup
+router.post('/:id/domains/:domain/verify', authenticate, checkFeatureAccess('custom_domain'), validateDomainParam, async (req, res) => {
+    try {
+        const deployment = await findOwnedDeployment(req, res);
+        if (!deployment) return;
+
+        if (!deployment.getCustomDomain(req.params.domain)) {
+            return res.status(404).json({
+                success: false,
+                error: 'Custom domain not found'
+            });
+        }
+
+        const result = await domainService.verifyDomain(deployment, req.params.domain);
+        if (!result.verified) {
+            return res.status(422).json({
+                success: false,
+                error: result.error,
+                data: domainService.serialize(deployment, result.entry)
+            });
+        }
+
+        let job = null;
+        if (result.entry.status !== 'active') {
+            job = await getDeploymentQueue().enqueue({
+                deploymentId: deployment.id,
+                userId: req.user.id,
+                type: 'attach_domain',
+                payload: { domain: result.entry.domain }
+            });
+        }
+
+        res.json({
+            success: true,
+            message: job ? 'Domain verified - configuring nginx and SSL' : 'Domain verified',
+            data: {
+                ...domainService.serialize(deployment, result.entry),
+                job_id: job ? job.id : null
+            }
+        });
+    } catch (error) {
+        console.error('Verify domain error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message || 'Failed to verify custom domain'
+        });
+    }
+});
+
+// Remove a custom domain and its nginx site
+router.delete('/:id/domains/:domain', authenticate, validateDomainParam, async (req, res) => {
+    try {
+        const deployment = await findOwnedDeployment(req, res);
+        if (!deployment) return;
+
+        if (!deployment.getCustomDomain(req.params.domain)) {
+            return res.status(404).json({
+                success: false,
+                error: 'Custom domain not found'
+            });
+        }
+
+        const job = await getDeploymentQueue().enqueue({
+            deploymentId: deployment.id,
+            userId: req.user.id,
+            type: 'detach_domain',
+            payload: { domain: req.params.domain }
+        });
+
+        res.status(202).json({
+            success: true,
+            message: 'Custom domain removal queued',
+            data: { job_id: job.id }
+        });
+    } catch (error) {
+        console.error('Remove domain error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message || 'Failed to remove custom domain'
+        });
+    }
+});
+
+// Pull request previews of this deployment and the user's preview quota
+router.get('/:id/previews', authenticate, validateDeploymentId, async (req, res) => {
+    try {
+        const deployment = await findOwnedDeployment(req, res);
+        if (!deployment) return;
+
+        const previews = await Deployment.findPreviews(deployment._id);
+        const quota = await getPreviewQuota(req.user.id);
+
+        res.json({
+            success: true,
+            data: {
+                enabled: deployment.previews_enabled,
+                previews: previews.map(serializePreview),
+                quota
+            }
+        });
+    } catch (error) {
+        console.error('Get previews error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message || 'Failed to fetch previews'
+        });
+    }
+});
+
+// Turn pull request previews on or off (uses the same GitHub webhook as auto-deploy)
+router.put('/:id/previews', authenticate, validatePreviewSettings, async (req, res) => {
+    try {
+        const deployment = await findOwnedDeployment(req, res);
+        if (!deployment) return;
+
+        if (deployment.parent_deployment_id) {
+            return res.status(400).json({
+                success: false,
+                error: 'Previews cannot be enabled on a preview deployment'
+            });
+        }
+
+        deployment.previews_enabled = req.body.enabled;
+        await deployment.save();
+        await deployment.ensureWebhookSecret();
+
+        res.json({
+            success: true,
+            message: deployment.previews_enabled ? 'Pull request previews enabled' : 'Pull request previews disabled',
+            data: {
+                enabled: deployment.previews_enabled,
+                quota: await getPreviewQuota(req.user.id),
+                webhook: serializeAutoDeploy(deployment)
+            }
+        });
+    } catch (error) {
+        console.error('Update previews error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message || 'Failed to update preview settings'
+        });
+    }
+});
+
+// Get push-to-deploy settings, including the GitHub webhook URL and secret
+router.get('/:id/auto-deploy', authenticate, validateDeploymentId, async (req, res) => {
+    try {
+        const deployment = await findOwnedDeployment(req, res);
+        if (!deployment) return;
+
+        await deployment.ensureWebhookSecret();
+
+        res.json({
+            success: true,
+            data: serializeAutoDeploy(deployment)
+        });
+    } catch (error) {
+        console.error('Get auto-deploy error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message || 'Failed to fetch auto-deploy settings'
+        });
+    }
+});
+
+// Enable/disable push-to-deploy per deployment and per component
+router.put('/:id/auto-deploy', authenticate, validateAutoDeploy, async (req, res) => {
+    try {
+        const deployment = await findOwnedDeployment(req, res);
+        if (!deployment) return;
+
+        const { enabled, frontend, backend } = req.body;
+
+        if (enabled !== undefined) deployment.auto_deploy_enabled = enabled;
+        if (frontend !== undefined) deployment.auto_deploy_frontend = frontend;
+        if (backend !== undefined) deployment.auto_deploy_backend = backend;
+
+        await deployment.save();
+        await deployment.ensureWebhookSecret();
+
+        res.json({
+            success: true,
+            message: deployment.auto_deploy_enabled ? 'Auto-deploy enabled' : 'Auto-deploy disabled',
+            data: serializeAutoDeploy(deployment)
+        });
+    } catch (error) {
+        console.error('Update auto-deploy error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message || 'Failed to update auto-deploy settings'
+        });
+    }
+});
+
+// Issue a new webhook secret (the GitHub webhook must be updated with it)
+router.post('/:id/auto-deploy/rotate-secret', authenticate, validateDeploymentId, async (req, res) => {
+    try {
+        const deployment = await findOwnedDeployment(req, res);
+        if (!deployment) return;
+
+        deployment.webhook_secret = undefined;
+        await deployment.ensureWebhookSecret();
+
+        res.json({
+            success: true,
+            message: 'Webhook secret rotated',
+            data: serializeAutoDeploy(deployment)
+        });
+    } catch (error) {
+        console.error('Rotate webhook secret error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message || 'Failed to rotate webhook secret'
+        });
+    }
+});
+
+// Recent webhook deliveries that concerned this deployment
+router.get('/:id/webhook-deliveries', authenticate, validateDeploymentId, async (req, res) => {
+    try {
+        const deployment = await findOwnedDeployment(req, res);
+        if (!deployment) return;
+
+        const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+        const deliveries = await WebhookDelivery.findByDeploymentId(deployment._id, limit);
+
+        res.json({
+            success: true,
+            data: deliveries.map(delivery => {
+                const result = delivery.results.find(r => r.deployment_id.toString() === deployment.id);
+                return {
+                    id: delivery.id,
+                    delivery_id: delivery.delivery_id,
+                    event: delivery.event,
+                    ref: delivery.ref,
+                    commit_sha: delivery.commit_sha,
+                    outcome: result?.outcome || delivery.outcome,
+                    reason: result?.reason || delivery.reason,
+                    components: result?.components || [],
+                    job_id: result?.job_id || null,
+                    received_at: delivery.createdAt
+                };
+            })
+        });
+    } catch (error) {
+        console.error('Get webhook deliveries error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message || 'Failed to fetch webhook deliveries'
+        });
+    }
+});
+
+const serializeSchedule = async (deployment) => {
+    const scheduler = getDeploymentScheduler();
+    const schedule = deployment.schedule;
+
+    return {
+        schedule: schedule ? {
+            enabled: schedule.enabled,
+            timezone: schedule.timezone || null,
+            windows: schedule.windows,
+            last_action: schedule.last_action || null,
+            last_action_at: schedule.last_action_at || null,
+            last_error: schedule.last_error || null
+        } : null,
+        timezone: await scheduler.getTimezone(deployment),
+        awake: await scheduler.shouldBeAwake(deployment),
+        status: deployment.status
+    };
+};
+
+// Sleep/wake schedule and whether the deployment should be running right now
+router.get('/:id/schedule', authenticate, validateDeploymentId, async (req, res) => {
+    try {
+        const deployment = await findOwnedDeployment(req, res);
+        if (!deployment) return;
+
+        res.json({
+            success: true,
+            data: await serializeSchedule(deployment)
+        });
+    } catch (error) {
+        console.error('Get schedule error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message || 'Failed to fetch schedule'
+        });
+    }
+});
+
+// Create or replace the schedule; it is applied straight away
+router.put('/:id/schedule', authenticate, validateSchedule, async (req, res) => {
+    try {
+        let deployment = await findOwnedDeployment(req, res);
+        if (!deployment) return;
+
+        const { enabled = true, timezone, windows } = req.body;
+
+        deployment.schedule = {
+            enabled,
+            timezone: timezone || undefined,
+            windows: windows.map(window => ({
+                days: [...new Set(window.days)],
+                start: window.start,
+                end: window.end
+            }))
+        };
+        await deployment.save();
+
+        await getDeploymentScheduler().checkDeployment(deployment);
+        deployment = await Deployment.findById(deployment._id);
+
+        res.json({
+            success: true,
+            message: enabled ? 'Schedule saved' : 'Schedule saved (disabled)',
+            data: await serializeSchedule(deployment)
+        });
+    } catch (error) {
+        console.error('Update schedule error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message || 'Failed to update schedule'
+        });
+    }
+});
+
+// Remove the schedule; a sleeping deployment is woken up
+router.delete('/:id/schedule', authenticate, validateDeploymentId, async (req, res) => {
+    try {
+        let deployment = await findOwnedDeployment(req, res);
+        if (!deployment) return;
+
+        deployment.schedule = null;
+        await deployment.save();
+
+        await getDeploymentScheduler().checkDeployment(deployment);
+        deployment = await Deployment.findById(deployment._id);
+
+        res.json({
+            success: true,
+            message: 'Schedule removed',
+            data: await serializeSchedule(deployment)
+        });
+    } catch (error) {
+        console.error('Delete schedule error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message || 'Failed to remove schedule'
+        });
+    }
+});
+
+// Turn idle hibernation on or off. A hibernated deployment stays asleep
+// until its next visitor, even once turned off.
+router.put('/:id/hibernation', authenticate, validateHibernationSettings, async (req, res) => {
+    try {
+        const deployment = await findOwnedDeployment(req, res);
+        if (!deployment) return;
+
+        deployment.hibernation.enabled = req.body.enabled;
+        await deployment.save();
+
+        res.json({
+            success: true,
+            message: deployment.hibernation.enabled ? 'Idle hibernation enabled' : 'Idle hibernation disabled',
+            data: {
+                enabled: deployment.hibernation.enabled,
+                idle_timeout_minutes: await getIdleTimeout(deployment.user_id)
+            }
+        });
+    } catch (error) {
+        console.error('Update hibernation error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message || 'Failed to update hibernation settings'
+        });
+    }
+});
+
+// Branches of a component's repository, read with its credentials
+router.get('/:id/branches', authenticate, validateBranchList, async (req, res) => {
+    try {
+        const deployment = await findOwnedDeployment(req, res);
+        if (!deployment) return;
+
+        const component = req.query.component || (deployment.frontend_repo ? 'frontend' : 'backend');
+        const repoUrl = deployment[`${component}_repo`];
+        if (!repoUrl) {
+            return res.status(400).json({
+                success: false,
+                error: `Deployment has no ${component} repository`
+            });
+        }
+
+        const branches = await gitProviders.getRepositoryBranches(repoUrl, {
+            credentials: deployment.getGitCredentials(component),
+            accessToken: req.user.github_access_token
+        });
+
+        res.json({
+            success: true,
+            data: {
+                component,
+                repository: repoUrl,
+                provider: gitProviders.getProvider(repoUrl)?.name || null,
+                branches
+            }
+        });
+    } catch (error) {
+        console.error('List branches error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message || 'Failed to list branches'
+        });
+    }
+});
+
+// How each repository is accessed; tokens are never returned
+router.get('/:id/git-credentials', authenticate, validateDeploymentId, async (req, res) => {
+    try {
+        const deployment = await findOwnedDeployment(req, res);
+        if (!deployment) return;
+
+        res.json({
+            success: true,
+            data: serializeGitCredentials(deployment)
+        });
+    } catch (error) {
+        console.error('Get git credentials error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch git credentials'
+        });
+    }
+});
+
+// Set or clear the credentials of one component. They are checked against the
+// repository before they are saved, and previews pick them up too.
+router.put('/:id/git-credentials', authenticate, validateGitCredentials, async (req, res) => {
+    try {
+        const deployment = await findOwnedDeployment(req, res);
+        if (!deployment) return;
+
+        if (deployment.parent_deployment_id) {
+            return res.status(400).json({
+                success: false,
+                error: 'Previews use the credentials of the deployment they belong to'
+            });
+        }
+
+        const { component, auth = null, username = null, token = null } = req.body;
+        const repoUrl = deployment[`${component}_repo`];
+        if (!repoUrl) {
+            return res.status(400).json({
+                success: false,
+                error: `Deployment has no ${component} repository`
+            });
+        }
+
+        const isSsh = gitProviders.parseRepositoryUrl(repoUrl)?.protocol === 'ssh';
+        let error = null;
+        if (auth === 'token' && isSsh) {
+            error = 'Tokens only work with HTTPS repository URLs';
+        } else if (auth === 'ssh_key' && !isSsh) {
+            error = 'Deploy keys only work with SSH repository URLs';
+        } else if (auth === 'ssh_key' && !deployment.deploy_key_id) {
+            error = `Generate a deploy key first with POST /api/deployments/${deployment.deployment_id}/deploy-key`;
+        } else if (!auth && isSsh) {
+            error = 'SSH repository URLs need the deploy key (auth: ssh_key)';
+        }
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                error
+            });
+        }
+
+        const credentials = auth === 'token'
+            ? { type: 'token', username, token }
+            : (auth === 'ssh_key' ? { type: 'ssh_key', key: deployment.deploy_key_id } : null);
+        try {
+            await gitProviders.getRepositoryBranches(repoUrl, { credentials, accessToken: req.user.github_access_token });
+        } catch (accessError) {
+            return res.status(400).json({
+                success: false,
+                error: `Could not read ${repoUrl}: ${accessError.message}`
+            });
+        }
+
+        const updates = {
+            [`${component}_git_auth`]: auth,
+            [`${component}_git_username`]: auth === 'token' ? username : null,
+            [`${component}_git_token`]: auth === 'token' ? token : null
+        };
+        const updated = await Deployment.update(deployment._id, updates);
+        for (const preview of await Deployment.findPreviews(deployment._id)) {
+            await Deployment.update(preview._id, updates);
+        }
+
+        res.json({
+            success: true,
+            message: auth ? 'Git credentials saved' : 'Git credentials removed',
+            data: serializeGitCredentials(updated)
+        });
+    } catch (error) {
+        console.error('Update git credentials error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message || 'Failed to update git credentials'
+        });
+    }
+});
+
+// Generate (or replace) the deployment's SSH deploy key. A replaced key stops
+// working straight away, so add the new one to the repository first.
+router.post('/:id/deploy-key', authenticate, validateDeploymentId, async (req, res) => {
+    try {
+        const deployment = await findOwnedDeployment(req, res);
+        if (!deployment) return;
+
+        if (deployment.parent_deployment_id) {
+            return res.status(400).json({
+                success: false,
+                error: 'Previews use the deploy key of the deployment they belong to'
+            });
+        }
+
+        const keyId = `${req.user.id}-${crypto.randomBytes(8).toString('hex')}`;
+        const publicKey = await gitService.generateDeployKey(keyId, `clawdeploy-${deployment.subdomain}`);
+
+        const updates = { deploy_key_id: keyId, deploy_key_public: publicKey };
+        const updated = await Deployment.update(deployment._id, updates);
+        for (const preview of await Deployment.findPreviews(deployment._id)) {
+            await Deployment.update(preview._id, updates);
+        }
+        if (deployment.deploy_key_id) {
+            await gitService.deleteDeployKey(deployment.deploy_key_id).catch(console.error);
+        }
+
+        res.json({
+            success: true,
+            message: 'Deploy key generated - add it to your repository as a read-only deploy key',
+            data: serializeGitCredentials(updated)
+        });
+    } catch (error) {
+        console.error('Generate deploy key error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message || 'Failed to generate deploy key'
+        });
+    }
+});
+
 module.exports = router;
@@ -0,0 +1,46 @@
+const express = require('express');
+const router = express.Router();
+const GithubWebhookService = require('../services/GithubWebhookService');
+
+const githubWebhookService = new GithubWebhookService();
+
+// GitHub webhook (push-to-deploy). Authenticated by the X-Hub-Signature-256 HMAC.
+router.post('/github/webhook', async (req, res) => {
+    try {
+        const result = await githubWebhookService.handleDelivery({
+            event: req.headers['x-github-event'],
+            deliveryId: req.headers['x-github-delivery'],
+            signature: req.headers['x-hub-signature-256'],
+            rawBody: req.rawBody,
+            payload: req.body
+        });
+
+        if (result.outcome === 'rejected') {
+            return res.status(result.status).json({
+                success: false,
+                error: 'Invalid signature'
+            });
+        }
+
+        res.status(result.status).json({
+            success: true,
+            outcome: result.outcome,
+            ...(result.results && {
+                deployments: result.results.map(r => ({
+                    deployment_id: r.deployment_id,
+                    components: r.components,
+                    outcome: r.outcome,
+                    reason: r.reason
+                }))
+            })
+        });
+    } catch (error) {
+        console.error('GitHub webhook error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Webhook processing failed'
+        });
+    }
+});
+
+module.exports = router;
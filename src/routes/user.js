@@ -26,7 +26,10 @@ router.get('/stats', authenticate, async (req, res) => {
             deployed: deployments.filter(d => d.status === 'deployed').length,
             deploying: deployments.filter(d => d.status === 'deploying').length,
             failed: deployments.filter(d => d.status === 'failed').length,
-            stopped: deployments.filter(d => d.status === 'stopped').length
+            stopped: deployments.filter(d => d.status === 'stopped').length,
+            sleeping: deployments.filter(d => d.status === 'sleeping').length,
+            hibernated: deployments.filter(d => d.status === 'hibernated').length,
+            crashed: deployments.filter(d => d.status === 'crashed').length
         };
 
         res.json({
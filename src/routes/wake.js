@@ -0,0 +1,166 @@
+const express = require('express');
+const router = express.Router();
+const Deployment = require('../models/Deployment');
+const { getHibernationService } = require('../services/HibernationService');
+
+// Public wake endpoint for hibernated deployments. Their nginx sites redirect
+// every request to /wake/<deployment_id>/<scheme>/<host><original path>.
+
+const escapeHtml = (value) => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+// ready: serving normally, waking: on its way back, unavailable: stopped,
+// failed or otherwise not coming back on its own
+const getWakeState = (deployment) => {
+    const hibernated = deployment.hibernation?.components?.length > 0;
+    if (deployment.status === 'deployed' && !hibernated) {
+        return 'ready';
+    }
+    if (deployment.status === 'hibernated' || deployment.status === 'deploying' || (deployment.status === 'deployed' && hibernated)) {
+        return 'waking';
+    }
+    return 'unavailable';
+};
+
+const renderPage = ({ name, state, statusUrl, target }) => {
+    const waking = state === 'waking';
+    const title = waking ? 'Waking up…' : 'Not available';
+    const message = waking
+        ? 'This app was asleep after a period without visitors. It is starting now - you will be taken there in a moment.'
+        : 'This app is not running right now. Please try again later.';
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="utf-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1">
+    <meta name="robots" content="noindex">
+    <title>${escapeHtml(name)} - ${title}</title>
+    ${waking ? '<noscript><meta http-equiv="refresh" content="5"></noscript>' : ''}
+    <style>
+        body { margin: 0; min-height: 100vh; display: flex; align-items: center; justify-content: center;
+            font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; background: #0f172a; color: #e2e8f0; }
+        main { max-width: 28rem; padding: 2rem; text-align: center; }
+        h1 { font-size: 1.5rem; margin: 1.5rem 0 0.5rem; }
+        p { color: #94a3b8; line-height: 1.5; }
+        .spinner { width: 2.5rem; height: 2.5rem; margin: 0 auto; border: 3px solid #334155; border-top-color: #38bdf8;
+            border-radius: 50%; animation: spin 0.8s linear infinite; }
+        @keyframes spin { to { transform: rotate(360deg); } }
+    </style>
+</head>
+<body>
+    <main>
+        ${waking ? '<div class="spinner" id="spinner"></div>' : ''}
+        <h1 id="title">${title}</h1>
+        <p id="message">${message}</p>
+    </main>
+    ${waking ? `<script>
+        (function () {
+            var statusUrl = ${JSON.stringify(statusUrl).replace(/</g, '\\u003c')};
+            var target = ${JSON.stringify(target).replace(/</g, '\\u003c')};
+            function poll() {
+                fetch(statusUrl, { cache: 'no-store' })
+                    .then(function (response) { return response.json(); })
+                    .then(function (body) {
+                        if (body.data && body.data.state === 'ready') {
+                            window.location.replace(target);
+                        } else if (body.data && body.data.state === 'unavailable') {
+                            document.getElementById('spinner').remove();
+                            document.getElementById('title').textContent = 'Not available';
+                            document.getElementById('message').textContent = 'This app could not be started. Please try again later.';
+                        } else {
+                            setTimeout(poll, 2000);
+                        }
+                    })
+                    .catch(function () { setTimeout(poll, 2000); });
+            }
+            setTimeout(poll, 1000);
+        })();
+    </script>` : ''}
+</body>
+</html>`;
+};
+
+// Wake-up progress, polled by the waiting page
+router.get('/:deploymentId/status', async (req, res) => {
+    try {
+        const deployment = await Deployment.findByDeploymentId(req.params.deploymentId);
+        if (!deployment) {
+            return res.status(404).json({
+                success: false,
+                error: 'Deployment not found'
+            });
+        }
+
+        res.set('Cache-Control', 'no-store').json({
+            success: true,
+            data: { state: getWakeState(deployment) }
+        });
+    } catch (error) {
+        console.error('Wake status error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch wake status'
+        });
+    }
+});
+
+// A visit to a hibernated site: start the deployment and show a waiting page
+// that sends the visitor back once it answers
+router.get('/:deploymentId/:scheme(http|https)/:host/*', async (req, res) => {
+    try {
+        const { deploymentId, scheme } = req.params;
+        const host = req.params.host.toLowerCase();
+        const hibernationService = getHibernationService();
+
+        const deployment = await Deployment.findByDeploymentId(deploymentId);
+        // Only hosts of this deployment are redirected back to
+        if (!deployment || !hibernationService.getDomains(deployment).some(entry => entry.domain === host)) {
+            return res.status(404).json({
+                success: false,
+                error: 'Deployment not found'
+            });
+        }
+
+        const prefix = `${req.baseUrl}/${deploymentId}/${scheme}/${req.params.host}`;
+        const target = `${scheme}://${host}${req.originalUrl.slice(prefix.length) || '/'}`;
+
+        const state = getWakeState(deployment);
+        if (state === 'ready') {
+            return res.redirect(302, target);
+        }
+
+        if (state === 'waking' && deployment.status !== 'deploying' && !hibernationService.isWaking(deployment)) {
+            hibernationService.wake(deployment).catch(error => {
+                console.error(`❌ Wake-up of ${deployment.deployment_id} failed:`, error.message);
+            });
+        }
+
+        res.status(503).set({ 'Retry-After': '5', 'Cache-Control': 'no-store' });
+        if (req.accepts(['html', 'json']) === 'json') {
+            return res.json({
+                success: false,
+                error: state === 'waking' ? 'Deployment is waking up, retry shortly' : 'Deployment is not running',
+                state
+            });
+        }
+
+        res.type('html').send(renderPage({
+            name: deployment.name,
+            state,
+            statusUrl: `${req.baseUrl}/${deploymentId}/status`,
+            target
+        }));
+    } catch (error) {
+        console.error('Wake error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to wake deployment'
+        });
+    }
+});
+
+module.exports = router;
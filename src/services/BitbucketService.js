@@ -0,0 +1,97 @@
+const axios = require('axios');
+
+// Bitbucket Cloud provider (see GitProviderService for the shared interface)
+class BitbucketService {
+    constructor() {
+        this.name = 'bitbucket';
+        this.label = 'Bitbucket';
+        this.hosts = ['bitbucket.org', 'www.bitbucket.org'];
+        this.example = 'https://bitbucket.org/workspace/repo';
+        this.tokenUsername = 'x-token-auth';
+        this.apiUrl = 'https://api.bitbucket.org/2.0';
+    }
+
+    /**
+     * Split a Bitbucket repository URL (HTTPS or SSH) into workspace and repo
+     */
+    parseRepositoryUrl(repoUrl) {
+        const match = /^(https:\/\/(?:www\.)?bitbucket\.org\/|ssh:\/\/git@bitbucket\.org\/|git@bitbucket\.org:)([\w.-]+)\/([\w.-]+?)(?:\.git)?\/?$/.exec((repoUrl || '').trim());
+        if (!match) {
+            return null;
+        }
+        return {
+            host: 'bitbucket.org',
+            owner: match[2],
+            repo: match[3],
+            protocol: match[1].startsWith('http') ? 'https' : 'ssh'
+        };
+    }
+
+    getHeaders(accessToken) {
+        return accessToken ? { Authorization: `Bearer ${accessToken}` } : {};
+    }
+
+    /**
+     * Get repository branches
+     */
+    async getRepositoryBranches(accessToken, owner, repo) {
+        try {
+            const response = await axios.get(`${this.apiUrl}/repositories/${owner}/${repo}/refs/branches`, {
+                params: { pagelen: 100 },
+                headers: this.getHeaders(accessToken),
+                timeout: 10000
+            });
+
+            return response.data.values.map(branch => ({
+                name: branch.name,
+                commit: {
+                    sha: branch.target.hash,
+                    url: branch.target.links?.html?.href || null
+                }
+            }));
+        } catch (error) {
+            console.error('Error getting branches:', error.response?.data || error.message);
+            throw new Error('Failed to get branches from Bitbucket');
+        }
+    }
+
+    /**
+     * Raw content of a file in a repository, or null when it does not exist.
+     * Public repositories are read without a token.
+     */
+    async getFileContent(accessToken, owner, repo, path, ref = null) {
+        const headers = this.getHeaders(accessToken);
+
+        try {
+            // The src endpoint needs a ref; look up the main branch when none is given
+            let revision = ref;
+            if (!revision) {
+                const repository = await axios.get(`${this.apiUrl}/repositories/${owner}/${repo}`, {
+                    headers,
+                    timeout: 10000
+                });
+                revision = repository.data.mainbranch?.name || 'master';
+            }
+
+            const response = await axios.get(
+                `${this.apiUrl}/repositories/${owner}/${repo}/src/${encodeURIComponent(revision)}/${path}`,
+                {
+                    headers,
+                    responseType: 'text',
+                    transformResponse: [data => data],
+                    timeout: 10000
+                }
+            );
+
+            return response.data;
+        } catch (error) {
+            if (error.response?.status === 404) {
+                return null;
+            }
+            console.error('Error getting file content:', error.response?.data || error.message);
+            throw new Error(`Failed to read ${path} from Bitbucket`);
+        }
+    }
+}
+
+module.exports = new BitbucketService();
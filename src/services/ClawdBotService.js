@@ -1,13 +1,595 @@
 const { getSSHManager } = require('./SSHManager');
 const DeploymentLog = require('../models/DeploymentLog');
+const gitProviders = require('./GitProviderService');
+const { shellQuote } = require('../utils/shellQuote');
+const { formatEnvFile } = require('../utils/envFile');
+
+// ClawdBot does not report its steps, so they are inferred from what it prints
+const OUTPUT_PHASES = [
+    ['installing', /\b(npm (ci|install|i)|yarn install|pnpm (install|i)|installing dependencies)\b/i],
+    ['building', /\b(npm run build|yarn build|pnpm (run )?build|vite build|next build|building)\b/i],
+    ['starting', /\b(pm2 start|starting (the )?(app|application|server))\b/i]
+];
+
+// Hook output beyond this many lines per command is not logged
+const MAX_HOOK_LOG_LINES = 500;
 
 class ClawdBotService {
     constructor() {
         this.ssh = getSSHManager();
         this.clawdbotPath = process.env.CLAWDBOT_PATH || '/root/.openclaw/workspace/server-dashboard/ai_deployer.py';
+        this.sourcesPath = process.env.DEPLOY_SOURCES_PATH || '/root/clawdeploy/sources';
+        this.releasesPath = process.env.DEPLOY_RELEASES_PATH || '/root/clawdeploy/releases';
+        this.appsPath = process.env.DEPLOY_APPS_PATH || '/root/clawdeploy/apps';
+        this.webRootPath = process.env.DEPLOY_WEB_ROOT || '/var/www/clawdeploy';
+        this.nvmDir = process.env.NVM_DIR || '/root/.nvm';
+    }
+
+    // Deploy a repository, optionally pinned to a branch or commit or limited
+    // to a monorepo subdirectory, and report which commit ended up running.
+    // Private and SSH repositories are always staged here, since ClawdBot
+    // clones without credentials.
+    async deploy(deploymentId, repoUrl, port, domain, appName, envVars = {}, onLog, options = {}) {
+        const logMessage = this.createLogger(deploymentId, onLog);
+        const { branch, commit, rootDirectory, commands, credentials, limits, signal, onPhase } = options;
+
+        onPhase?.('cloning');
+        const hasEnv = Object.keys(envVars).length > 0;
+        let source = null;
+        if (branch || commit || rootDirectory || commands || credentials || hasEnv || !/^https?:\/\//.test(repoUrl)) {
+            source = await this.prepareSource(repoUrl, appName, { branch, commit, rootDirectory, credentials }, logMessage);
+            if (!source.success) {
+                return {
+                    success: false,
+                    error: source.error
+                };
+            }
+        }
+
+        if (signal?.aborted) {
+            if (source) {
+                await this.ssh.deleteDirectory(source.checkoutPath).catch(() => {});
+            }
+            return this.cancelledResult(appName, port);
+        }
+
+        try {
+            // Build-time variables (VITE_API_URL and the like) are baked in by the
+            // build, so ClawdBot gets the .env in the checkout it builds from
+            if (!commands && hasEnv) {
+                const env = await this.writeEnvContent(`${source.path}/.env`, envVars);
+                if (!env.success) {
+                    return { success: false, error: env.error };
+                }
+            }
+
+            // ClawdBot only works out how to build and start what the user did not configure
+            const result = commands
+                ? await this.runCustomPipeline(deploymentId, source, port, domain, appName, envVars, onLog, {
+                    signal, onPhase, rootDirectory, commands, limits
+                })
+                : await this.runAiDeployer(
+                    deploymentId,
+                    source ? source.path : repoUrl,
+                    port,
+                    domain,
+                    appName,
+                    envVars,
+                    onLog,
+                    { signal, onPhase, rootDirectory }
+                );
+
+            // ClawdBot starts the app its own way; it is started again under the limits
+            if (result.success && !commands && limits) {
+                const limited = await this.applyResourceLimits(appName, limits, result.actualPort || port, logMessage);
+                if (!limited.success) {
+                    return { ...result, success: false, error: limited.error };
+                }
+                result.limits = limited.limits;
+            }
+
+            if (result.success) {
+                result.commitSha = await this.resolveDeployedCommit(appName) || source?.commitSha || null;
+            }
+
+            return result;
+        } finally {
+            // The staged clone is only needed while ClawdBot copies it
+            if (source) {
+                const appDir = await this.getAppDirectory(appName);
+                if (!appDir || !appDir.startsWith(source.checkoutPath)) {
+                    await this.ssh.deleteDirectory(source.checkoutPath).catch(() => {});
+                }
+            }
+        }
+    }
+
+    cancelledResult(appName, port) {
+        return {
+            success: false,
+            cancelled: true,
+            error: 'Deployment cancelled',
+            appName,
+            allocatedPort: port
+        };
+    }
+
+    // setTimeout that ends early when the deploy is cancelled
+    wait(ms, signal) {
+        return new Promise(resolve => {
+            const timer = setTimeout(resolve, ms);
+            signal?.addEventListener('abort', () => {
+                clearTimeout(timer);
+                resolve();
+            }, { once: true });
+        });
+    }
+
+    getDeployerPidFile(appName) {
+        return `/tmp/clawdeploy-deployer-${appName}.pid`;
+    }
+
+    // Stop a running ai_deployer for the app. It runs as the leader of its own
+    // process group, so git/npm children started by it are stopped too.
+    async killDeployer(appName) {
+        const pidFile = this.getDeployerPidFile(appName);
+        const result = await this.ssh.executeCommand(
+            `if [ -f '${pidFile}' ]; then PID=$(cat '${pidFile}'); kill -TERM -- -$PID 2>/dev/null || kill -TERM $PID 2>/dev/null; rm -f '${pidFile}'; echo KILLED; fi`
+        );
+        return result.stdout.includes('KILLED');
+    }
+
+    async getAppDirectory(appName) {
+        try {
+            const result = await this.ssh.executeCommand(
+                `pm2 jlist | jq -r '.[] | select(.name=="${appName}") | .pm2_env.pm_cwd'`
+            );
+            const dir = result.stdout.trim();
+            return result.success && dir && dir !== 'null' ? dir : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // Where a component's files are: PM2's working directory, or the root
+    // directory inside it when the process was started from the checkout root
+    async getComponentDirectory(appName, rootDirectory = null) {
+        const appDir = await this.getAppDirectory(appName);
+        if (!appDir || !rootDirectory || appDir.endsWith(`/${rootDirectory}`)) {
+            return appDir;
+        }
+
+        const nestedDir = `${appDir}/${rootDirectory}`;
+        return await this.ssh.directoryExists(nestedDir) ? nestedDir : appDir;
+    }
+
+    createLogger(deploymentId, onLog) {
+        return (message, type = 'info') => {
+            // Skip empty messages to prevent validation errors
+            if (!message || message.trim() === '') {
+                return;
+            }
+
+            console.log(`[${type.toUpperCase()}] ${message}`);
+            if (onLog) onLog(message, type);
+            if (deploymentId) {
+                DeploymentLog.create(deploymentId, message, type).catch(console.error);
+            }
+        };
+    }
+
+    // Clone the repository at the requested ref into a staging directory on the
+    // server so ClawdBot deploys exactly that tree. For monorepos only the
+    // root directory is handed to ClawdBot. Credentials only reach the clone
+    // command's environment, never the checkout's .git/config.
+    async prepareSource(repoUrl, appName, { branch, commit, rootDirectory, credentials } = {}, logMessage) {
+        const path = `${this.sourcesPath}/${appName}`;
+
+        try {
+            const ref = commit ? `commit ${commit}${branch ? ` on ${branch}` : ''}` : (branch ? `branch ${branch}` : 'default branch');
+            logMessage(`🌿 Checking out ${ref}${rootDirectory ? ` (${rootDirectory})` : ''}...`, 'info');
+
+            await this.ssh.deleteDirectory(path);
+            await this.ssh.createDirectory(this.sourcesPath);
+
+            const clone = gitProviders.getCloneCommand(
+                repoUrl,
+                `git clone --quiet ${branch ? `--branch ${shellQuote(branch)} ` : ''}${shellQuote(repoUrl)} ${shellQuote(path)}`,
+                credentials
+            );
+            const cloneResult = await this.ssh.executeCommand(clone.command, { stdin: clone.stdin });
+            if (!cloneResult.success) {
+                throw new Error(branch && /Remote branch .* not found/i.test(cloneResult.stderr)
+                    ? `Branch "${branch}" not found in repository`
+                    : `git clone failed: ${gitProviders.describeGitError(cloneResult.stderr, credentials)}`);
+            }
+
+            // Keep HEAD on a named branch so ClawdBot's own clone checks out this commit
+            if (commit) {
+                const checkoutResult = await this.ssh.executeCommand(
+                    `git -C '${path}' checkout --quiet -B clawdeploy-pinned '${commit}'`
+                );
+                if (!checkoutResult.success) {
+                    throw new Error(`Commit ${commit} not found${branch ? ` on branch ${branch}` : ''}`);
+                }
+            }
+
+            const shaResult = await this.ssh.executeCommand(`git -C '${path}' rev-parse HEAD`);
+            const commitSha = shaResult.success ? shaResult.stdout.trim() : null;
+
+            if (rootDirectory) {
+                const componentPath = `${path}/${rootDirectory}`;
+                if (!(await this.ssh.directoryExists(componentPath))) {
+                    throw new Error(`Root directory "${rootDirectory}" not found in repository`);
+                }
+
+                // ClawdBot deploys a repository, so the subdirectory becomes one of its
+                // own; the monorepo commit is kept in a trailer for resolveDeployedCommit
+                const initResult = await this.ssh.executeCommand(
+                    `cd '${componentPath}' && git init --quiet && git add -A && ` +
+                    `git -c user.name=ClawDeploy -c user.email=deploy@clawdeploy.local commit --quiet ` +
+                    `-m 'Deploy ${rootDirectory}' -m 'Source-Commit: ${commitSha}'`
+                );
+                if (!initResult.success) {
+                    throw new Error(`Failed to stage ${rootDirectory}: ${initResult.stderr.trim()}`);
+                }
+
+                logMessage(`✅ Source ready at ${commitSha ? commitSha.slice(0, 12) : 'requested ref'} (${rootDirectory})`, 'success');
+                return { success: true, path: componentPath, checkoutPath: path, commitSha };
+            }
+
+            logMessage(`✅ Source ready at ${commitSha ? commitSha.slice(0, 12) : 'requested ref'}`, 'success');
+
+            return { success: true, path, checkoutPath: path, commitSha };
+
+        } catch (error) {
+            logMessage(`❌ Failed to prepare source: ${error.message}`, 'error');
+            await this.ssh.deleteDirectory(path).catch(() => {});
+            return { success: false, error: error.message };
+        }
+    }
+
+    // Read the commit checked out in the running app's working directory
+    async resolveDeployedCommit(appName) {
+        try {
+            const appDir = await this.getAppDirectory(appName);
+            if (!appDir) {
+                return null;
+            }
+
+            const result = await this.ssh.executeCommand(`git -C '${appDir}' log -1 --format='%H%n%B'`);
+            const [headSha, ...message] = result.stdout.trim().split('\n');
+            // Monorepo components run from a repository made of their root directory
+            const sha = message.join('\n').match(/^Source-Commit: ([0-9a-f]{40})$/m)?.[1] || headSha;
+            return result.success && /^[0-9a-f]{40}$/.test(sha) ? sha : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // What PM2 runs for a process, without the resource-limit wrapper
+    getProcessCommand(process) {
+        const env = process.pm2_env;
+        let script = env.pm_exec_path;
+        let args = Array.isArray(env.args) ? env.args : (env.args ? [String(env.args)] : []);
+        let interpreter = env.exec_interpreter;
+
+        if (script?.split('/').pop() === 'systemd-run' && args.includes('--')) {
+            [script, ...args] = args.slice(args.indexOf('--') + 1);
+            interpreter = 'none';
+        }
+        return { script, args, interpreter };
+    }
+
+    // CPU quotas need systemd to run the app in a transient scope
+    async supportsCpuQuota() {
+        if (this.cpuQuotaSupported === undefined) {
+            const result = await this.ssh.executeCommand('[ -d /run/systemd/system ] && command -v systemd-run');
+            this.cpuQuotaSupported = result.success;
+        }
+        return this.cpuQuotaSupported;
+    }
+
+    // pm2 start for a command under the plan's resource limits: PM2 restarts
+    // the app above memory_mb, and with systemd the app runs in a scope with a
+    // CPU quota. systemd-run execs the command, so PM2 still watches the app's
+    // own PID. Returns the command and the limits it applies.
+    async getStartCommand(appName, dir, { script, args = [], interpreter = 'none' }, { port = null, limits = null } = {}) {
+        const applied = {
+            memory_mb: limits?.memory_mb || null,
+            cpu_percent: limits?.cpu_percent && await this.supportsCpuQuota() ? limits.cpu_percent : null
+        };
+        const memoryFlag = applied.memory_mb ? ` --max-memory-restart ${applied.memory_mb}M` : '';
+        const prefix = `cd ${shellQuote(dir)} && ${port ? `PORT=${port} ` : ''}pm2 start`;
+
+        if (applied.cpu_percent) {
+            const command = [...(interpreter && interpreter !== 'none' ? [interpreter] : []), script, ...args];
+            return {
+                command: `${prefix} systemd-run --name ${appName}${memoryFlag} -- --scope --quiet -p CPUQuota=${applied.cpu_percent}% -- ${command.map(shellQuote).join(' ')}`,
+                limits: applied
+            };
+        }
+
+        const interpreterFlag = interpreter && interpreter !== 'none' ? ` --interpreter ${interpreter}` : '';
+        return {
+            command: `${prefix} ${shellQuote(script)} --name ${appName}${interpreterFlag}${memoryFlag}` +
+                (args.length > 0 ? ` -- ${args.map(shellQuote).join(' ')}` : ''),
+            limits: applied
+        };
+    }
+
+    // Start a process ClawdBot launched again under the resource limits
+    async applyResourceLimits(appName, limits, port, logMessage) {
+        const processes = await this.ssh.getPM2Processes();
+        const process = processes.find(p => p.name === appName);
+        if (!process) {
+            return { success: false, error: `PM2 process "${appName}" not found` };
+        }
+
+        const start = await this.getStartCommand(appName, process.pm2_env.pm_cwd, this.getProcessCommand(process), {
+            port: process.pm2_env.PORT || port,
+            limits
+        });
+        await this.ssh.executeCommand(`pm2 delete ${appName}`);
+        const result = await this.ssh.executeCommand(start.command);
+        if (!result.success) {
+            return { success: false, error: `PM2 failed to restart ${appName} with resource limits: ${result.stderr.trim()}` };
+        }
+
+        logMessage(`📏 Resource limits: ${this.describeLimits(start.limits)}`, 'info');
+        return { success: true, limits: start.limits };
+    }
+
+    describeLimits(limits) {
+        return [
+            limits.memory_mb ? `${limits.memory_mb} MB memory` : null,
+            limits.cpu_percent ? `${limits.cpu_percent}% CPU` : null
+        ].filter(Boolean).join(', ') || 'none';
     }
 
-    async deploy(deploymentId, repoUrl, port, domain, appName, envVars = {}, onLog) {
+    // Copy the running build (including installed dependencies) aside so it
+    // can be restored later without cloning or building again
+    async snapshotRelease(appName, releaseKey) {
+        try {
+            const processes = await this.ssh.getPM2Processes();
+            const process = processes.find(p => p.name === appName);
+            const appDir = process?.pm2_env?.pm_cwd;
+
+            if (!appDir) {
+                return { success: false, error: `No working directory found for ${appName}` };
+            }
+
+            const snapshotPath = `${this.releasesPath}/${appName}/${releaseKey}`;
+            await this.ssh.deleteDirectory(snapshotPath);
+            await this.ssh.createDirectory(snapshotPath);
+
+            const copyResult = await this.ssh.executeCommand(`cp -a '${appDir}/.' '${snapshotPath}/'`);
+            if (!copyResult.success) {
+                await this.ssh.deleteDirectory(snapshotPath).catch(() => {});
+                return { success: false, error: `Snapshot copy failed: ${copyResult.stderr.trim()}` };
+            }
+
+            return {
+                success: true,
+                appDir,
+                snapshotPath,
+                ...this.getProcessCommand(process)
+            };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    // Put a snapshot back in place and start it under the same PM2 name
+    async restoreRelease(deploymentId, appName, snapshot, port, onLog, { limits = null } = {}) {
+        const logMessage = this.createLogger(deploymentId, onLog);
+        const { appDir, snapshotPath, script, args = [], interpreter } = snapshot;
+
+        try {
+            await this.ssh.ensureConnection();
+
+            if (!snapshotPath || !(await this.ssh.directoryExists(snapshotPath))) {
+                throw new Error('Release snapshot is no longer available on the server');
+            }
+
+            logMessage(`⏪ Restoring ${appName} from release snapshot...`, 'info');
+
+            await this.ssh.executeCommand(`pm2 delete ${appName}`);
+            await this.ssh.deleteDirectory(appDir);
+
+            const copyResult = await this.ssh.executeCommand(`cp -a '${snapshotPath}' '${appDir}'`);
+            if (!copyResult.success) {
+                throw new Error(`Failed to restore build directory: ${copyResult.stderr.trim()}`);
+            }
+            logMessage(`📂 Build directory restored to ${appDir}`, 'success');
+
+            const start = await this.getStartCommand(appName, appDir, { script, args, interpreter }, { port, limits });
+            const startResult = await this.ssh.executeCommand(start.command);
+            if (!startResult.success) {
+                throw new Error(`PM2 failed to start ${appName}: ${startResult.stderr.trim()}`);
+            }
+
+            logMessage('⏳ Waiting for restored application to start listening...', 'info');
+            await new Promise(resolve => setTimeout(resolve, 8000));
+
+            const actualPort = await this.detectActualPort(appName, logMessage) || port;
+            const verificationResult = await this.verifyDeployment(appName, actualPort, logMessage);
+
+            if (!verificationResult.success && /not found|not online/.test(verificationResult.error)) {
+                throw new Error(verificationResult.error);
+            }
+
+            logMessage(`✅ ${appName} restored and running on port ${actualPort}`, 'success');
+
+            return {
+                success: true,
+                appName,
+                allocatedPort: port,
+                actualPort,
+                port: actualPort,
+                portChanged: actualPort !== port,
+                commitSha: await this.resolveDeployedCommit(appName),
+                limits: start.limits
+            };
+        } catch (error) {
+            logMessage(`❌ Restore failed: ${error.message}`, 'error');
+            return { success: false, error: error.message };
+        }
+    }
+
+    // Rewrite the .env file in the app's working directory. The content is sent
+    // base64-encoded so values never need shell escaping.
+    async writeEnvFile(appName, envVars = {}, rootDirectory = null) {
+        const appDir = await this.getComponentDirectory(appName, rootDirectory);
+        if (!appDir) {
+            return { success: false, error: `No working directory found for ${appName}` };
+        }
+
+        return await this.writeEnvContent(`${appDir}/.env`, envVars);
+    }
+
+    async writeEnvContent(envPath, envVars = {}) {
+        let content;
+        try {
+            content = formatEnvFile(envVars);
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+        const encoded = Buffer.from(content).toString('base64');
+
+        const result = await this.ssh.executeCommand(`echo '${encoded}' | base64 -d > '${envPath}' && chmod 600 '${envPath}'`);
+        if (!result.success) {
+            return { success: false, error: `Failed to write ${envPath}: ${result.stderr.trim()}` };
+        }
+
+        return { success: true, path: envPath };
+    }
+
+    // Scheduled commands from the repository config. They run from the
+    // component's directory with its .env loaded, as root like the app's PM2
+    // process; output goes to cron.log there.
+    async installCronJobs(cronName, appName, jobs = [], rootDirectory = null) {
+        const cronPath = `/etc/cron.d/${cronName}`;
+        if (jobs.length === 0) {
+            await this.removeCronJobs(cronName);
+            return { success: true, jobs: 0 };
+        }
+
+        // A line break would start a new crontab entry of the user's choosing
+        const multiline = jobs.find(job => /[\r\n]/.test(job.schedule) || /[\r\n]/.test(job.command));
+        if (multiline) {
+            return { success: false, error: `Cron job "${multiline.schedule}" must fit on one line` };
+        }
+
+        const appDir = await this.getComponentDirectory(appName, rootDirectory);
+        if (!appDir) {
+            return { success: false, error: `No working directory found for ${appName}` };
+        }
+
+        const encoded = Buffer.from(this.buildCronFile(appDir, jobs)).toString('base64');
+
+        const result = await this.ssh.executeCommand(`echo '${encoded}' | base64 -d > '${cronPath}' && chmod 644 '${cronPath}'`);
+        if (!result.success) {
+            return { success: false, error: `Failed to write ${cronPath}: ${result.stderr.trim()}` };
+        }
+
+        return { success: true, jobs: jobs.length, path: cronPath };
+    }
+
+    // /etc/cron.d content for the jobs of one component
+    buildCronFile(appDir, jobs) {
+        const lines = jobs.map(job => {
+            const command = `cd ${shellQuote(appDir)} && { [ ! -f .env ] || { set -a && . ./.env && set +a; }; } && ` +
+                `/bin/bash -c ${shellQuote(job.command)} >> cron.log 2>&1`;
+            // cron turns an unescaped % into a newline
+            return `${job.schedule} root ${command.replace(/%/g, '\\%')}`;
+        });
+        return ['SHELL=/bin/bash', 'PATH=/usr/local/sbin:/usr/local/bin:/usr/sbin:/usr/bin:/sbin:/bin', ...lines].join('\n') + '\n';
+    }
+
+    async removeCronJobs(cronName) {
+        const result = await this.ssh.executeCommand(`rm -f '/etc/cron.d/${cronName}'`);
+        return result.success;
+    }
+
+    // One request to the app on the server: { statusCode, latencyMs }, or
+    // { error } when nothing answered within the timeout
+    async probeHttp(port, { path = '/', timeoutSeconds = 5 } = {}) {
+        const result = await this.ssh.executeCommand(
+            `curl -s -o /dev/null -w '%{http_code} %{time_total}' --max-time ${timeoutSeconds} 'http://127.0.0.1:${port}${path}'`
+        );
+        const [code, time] = result.stdout.trim().split(' ');
+        const statusCode = parseInt(code);
+
+        if (!statusCode) {
+            // curl exit codes: 7 could not connect, 28 timed out
+            const error = result.code === 28 ? `no response within ${timeoutSeconds}s`
+                : result.code === 7 ? 'connection refused' : 'no response';
+            return { statusCode: null, latencyMs: null, error };
+        }
+        return { statusCode, latencyMs: Math.round(parseFloat(time) * 1000) };
+    }
+
+    // Ask the app itself for a response on the server until the status is in
+    // the expected range (by default anything below 500, i.e. it is up and
+    // handling requests)
+    async checkHttpHealth(port, logMessage, {
+        path = '/',
+        expectedStatus = { min: 200, max: 499 },
+        timeoutSeconds = 5,
+        attempts = 5,
+        intervalMs = 3000
+    } = {}) {
+        let probe;
+        for (let attempt = 1; attempt <= attempts; attempt++) {
+            probe = await this.probeHttp(port, { path, timeoutSeconds });
+
+            if (probe.statusCode >= expectedStatus.min && probe.statusCode <= expectedStatus.max) {
+                logMessage(`✅ Health check passed on port ${port} (HTTP ${probe.statusCode}, ${probe.latencyMs} ms)`, 'success');
+                return { success: true, ...probe };
+            }
+
+            if (attempt < attempts) {
+                logMessage(`⏳ Health check on port ${port} returned ${probe.statusCode || probe.error}, retrying... (attempt ${attempt}/${attempts})`, 'info');
+                await new Promise(resolve => setTimeout(resolve, intervalMs));
+            }
+        }
+
+        const expected = expectedStatus.min === expectedStatus.max
+            ? expectedStatus.min : `${expectedStatus.min}-${expectedStatus.max}`;
+        return {
+            success: false,
+            ...probe,
+            error: `No healthy HTTP response on port ${port}${path === '/' ? '' : path} (${probe.statusCode ? `HTTP ${probe.statusCode}, expected ${expected}` : probe.error})`
+        };
+    }
+
+    // Remove a PM2 process that is no longer serving traffic. Its directory is
+    // kept when another process still runs from it.
+    async retireProcess(appName, keepDir = null, rootDirectory = null) {
+        const appDir = await this.getAppDirectory(appName);
+
+        if (appDir && keepDir && appDir === keepDir) {
+            const result = await this.ssh.executeCommand(`pm2 delete ${appName}`);
+            return result.success;
+        }
+
+        return await this.ssh.deletePM2Process(appName, rootDirectory);
+    }
+
+    async deleteReleaseSnapshot(snapshotPath) {
+        if (!snapshotPath || !snapshotPath.startsWith(`${this.releasesPath}/`)) {
+            return false;
+        }
+        return await this.ssh.deleteDirectory(snapshotPath);
+    }
+
+    async deleteReleaseSnapshots(appName) {
+        return await this.ssh.deleteDirectory(`${this.releasesPath}/${appName}`);
+    }
+
+    async runAiDeployer(deploymentId, repoUrl, port, domain, appName, envVars = {}, onLog, options = {}) {
+        const { signal = null, onPhase = null, rootDirectory = null } = options;
         const logMessage = (message, type = 'info') => {
             // Skip empty messages to prevent validation errors
             if (!message || message.trim() === '') {
@@ -41,7 +623,9 @@ class ClawdBotService {
             const envVarsJson = JSON.stringify(envVars).replace(/'/g, "\\'").replace(/"/g, '\\"');
 
             // Build Python command
-            const pythonCommand = `cd ${this.clawdbotPath.replace('/ai_deployer.py', '')} && python3 << 'PYTHON_EOF'
+            // The PID file lets a cancel find this run (exec keeps the shell's PID)
+            const pidFile = this.getDeployerPidFile(appName);
+            const pythonCommand = `cd ${this.clawdbotPath.replace('/ai_deployer.py', '')} && echo $$ > '${pidFile}' && exec python3 << 'PYTHON_EOF'
 import sys
 import os
 import json
@@ -54,7 +638,9 @@ try:
     env_vars_str = """${envVarsJson}"""
     env_vars = json.loads(env_vars_str) if env_vars_str else {}
     
-    # Call deployment without env_vars parameter
+    # ai_auto_deploy takes no env_vars parameter; the builds it runs inherit
+    # them from this process, next to the .env written into the checkout
+    os.environ.update({key: str(value) for key, value in env_vars.items()})
     result = ai_auto_deploy(
         repo_url='${repoUrl}',
         port=${port},
@@ -90,7 +676,7 @@ try:
         }
         print(json.dumps(details))
     
-    # Create .env file if deployment succeeded and env vars exist
+    # Write .env where the app runs too, in case ClawdBot did not copy it over
     if deployment_success and env_vars:
         try:
             # Get working directory from PM2
@@ -103,11 +689,19 @@ try:
                     project_dir = proc.get('pm2_env', {}).get('pm_cwd')
                     break
             
+            # Started from the checkout root of a monorepo: the app lives in its root directory
+            root_directory = '${rootDirectory || ''}'
+            if project_dir and root_directory and not project_dir.endswith('/' + root_directory) and os.path.isdir(os.path.join(project_dir, root_directory)):
+                project_dir = os.path.join(project_dir, root_directory)
+            
             if project_dir and os.path.exists(project_dir):
                 env_file_path = os.path.join(project_dir, '.env')
                 with open(env_file_path, 'w') as f:
+                    # Quoted like the .env written by writeEnvContent
                     for key, value in env_vars.items():
-                        f.write(f"{key}={value}\\n")
+                        value = str(value)
+                        quote = '"' if "'" in value else "'"
+                        f.write(f"{key}={quote}{value}{quote}\\n")
                 print(f'ENV_FILE_CREATED:{env_file_path}')
                 
                 # Restart PM2 process to load new env vars
@@ -124,10 +718,33 @@ PYTHON_EOF
 
             logMessage('🤖 ClawdBot is analyzing the repository...', 'info');
 
-            // Execute deployment
-            const result = await this.ssh.executeCommand(pythonCommand, {
-                cwd: this.clawdbotPath.replace('/ai_deployer.py', '')
-            });
+            // Execute deployment; a cancel kills the remote run so this returns early
+            const onAbort = () => {
+                logMessage('🛑 Cancel requested - stopping ClawdBot...', 'warning');
+                this.killDeployer(appName).catch(console.error);
+            };
+            signal?.addEventListener('abort', onAbort, { once: true });
+
+            const onOutput = onPhase ? (chunk) => {
+                const text = chunk.toString();
+                OUTPUT_PHASES.filter(([, pattern]) => pattern.test(text)).forEach(([phase]) => onPhase(phase));
+            } : undefined;
+
+            let result;
+            try {
+                result = await this.ssh.executeCommand(pythonCommand, {
+                    cwd: this.clawdbotPath.replace('/ai_deployer.py', ''),
+                    onStdout: onOutput,
+                    onStderr: onOutput
+                });
+            } finally {
+                signal?.removeEventListener('abort', onAbort);
+                await this.ssh.executeCommand(`rm -f '${pidFile}'`).catch(() => {});
+            }
+
+            if (signal?.aborted) {
+                return this.cancelledResult(appName, port);
+            }
 
             // Log raw output for debugging
             console.log('=== ClawdBot Raw Output ===');
@@ -203,8 +820,12 @@ PYTHON_EOF
                 logMessage(`🔌 Application configured for port: ${configuredPort}`, 'info');
                 
                 // CRITICAL: Wait 12 seconds for app to fully start and begin listening (increased for backend apps)
+                onPhase?.('starting');
                 logMessage('⏳ Waiting 12 seconds for application to start listening...', 'info');
-                await new Promise(resolve => setTimeout(resolve, 12000));
+                await this.wait(12000, signal);
+                if (signal?.aborted) {
+                    return this.cancelledResult(appName, port);
+                }
                 
                 // Check PM2 process first
                 logMessage('🔍 Checking PM2 process status...', 'info');
@@ -237,14 +858,18 @@ PYTHON_EOF
                 logMessage(`✅ PM2 process is running (${process.pm2_env.status})`, 'success');
                 
                 // DETECT ACTUAL PORT using 4-method detection system with retries
+                onPhase?.('port_detection');
                 logMessage('🔍 Detecting actual listening port...', 'info');
                 let actualPort = await this.detectActualPort(appName, logMessage);
                 
                 // If first attempt fails, wait 5 more seconds and try again
                 if (!actualPort) {
                     logMessage('⏳ Port not detected yet, waiting 5 more seconds...', 'info');
-                    await new Promise(resolve => setTimeout(resolve, 5000));
-                    
+                    await this.wait(5000, signal);
+                    if (signal?.aborted) {
+                        return this.cancelledResult(appName, port);
+                    }
+
                     logMessage('🔍 Retrying port detection...', 'info');
                     actualPort = await this.detectActualPort(appName, logMessage);
                 }
@@ -295,6 +920,7 @@ PYTHON_EOF
                 }
                 
                 // Verify deployment on actual port (lenient check)
+                onPhase?.('verifying');
                 logMessage(`🔍 Verifying deployment on actual port ${actualPort}...`, 'info');
                 const verificationResult = await this.verifyDeployment(appName, actualPort, logMessage);
                 
@@ -321,7 +947,7 @@ PYTHON_EOF
                 
                 // Fix Vite config for subdomain allowedHosts (async, don't wait)
                 logMessage('🔧 Checking if Vite config needs fixing...', 'info');
-                this.fixViteConfig(appName, domain, logMessage).catch(err => {
+                this.fixViteConfig(appName, domain, logMessage, rootDirectory).catch(err => {
                     logMessage(`⚠️ Vite config fix failed (non-critical): ${err.message}`, 'warning');
                 });
                 
@@ -356,6 +982,283 @@ PYTHON_EOF
         }
     }
 
+    // Shell prelude shared by build and start steps: Node version, .env and PORT
+    getStepPrelude(dir, { nodeVersion = null, port = null } = {}) {
+        return [
+            `cd ${shellQuote(dir)}`,
+            ...(nodeVersion ? [
+                `export NVM_DIR=${shellQuote(this.nvmDir)}`,
+                '. "$NVM_DIR/nvm.sh"',
+                `nvm install ${shellQuote(nodeVersion)} >/dev/null`,
+                `nvm use ${shellQuote(nodeVersion)} >/dev/null`
+            ] : []),
+            'if [ -f .env ]; then set -a; . ./.env; set +a; fi',
+            ...(port ? [`export PORT=${port}`] : [])
+        ].join(' && ');
+    }
+
+    // Run one install/build step. It runs as its own process group so a
+    // cancel can stop it; a failure throws with the end of its output.
+    async runBuildStep(appName, label, dir, command, { nodeVersion = null, port = null, signal = null, logMessage }) {
+        const pidFile = this.getDeployerPidFile(appName);
+        logMessage(`▶️ ${label}: ${command}`, 'info');
+
+        const onAbort = () => this.killDeployer(appName).catch(console.error);
+        signal?.addEventListener('abort', onAbort, { once: true });
+
+        try {
+            const result = await this.ssh.executeCommand(
+                `echo $$ > '${pidFile}' && exec bash -c ${shellQuote(`${this.getStepPrelude(dir, { nodeVersion, port })} && ${command}`)}`
+            );
+            if (!result.success && !signal?.aborted) {
+                const output = (result.stderr || result.stdout).trim().split('\n').slice(-20).join('\n');
+                throw new Error(`${label} failed (exit ${result.code})${output ? `:\n${output}` : ''}`);
+            }
+        } finally {
+            signal?.removeEventListener('abort', onAbort);
+            await this.ssh.executeCommand(`rm -f '${pidFile}'`).catch(() => {});
+        }
+    }
+
+    // Run pre_deploy/post_deploy hook commands one after another in the app
+    // directory, with its .env and Node version loaded and a time limit each.
+    // Output is logged line by line as it arrives. Stops at the first failure.
+    async runHooks(hook, commands, dir, { nodeVersion = null, timeoutSeconds = 300, logMessage }) {
+        for (const command of commands) {
+            logMessage(`🪝 ${hook}: ${command}`, 'info');
+
+            let logged = 0;
+            const streams = { stdout: '', stderr: '' };
+            const logLine = (line) => {
+                logged++;
+                if (logged <= MAX_HOOK_LOG_LINES) {
+                    logMessage(`   ${line.replace(/\x1b\[[0-9;]*[A-Za-z]/g, '')}`, 'info');
+                } else if (logged === MAX_HOOK_LOG_LINES + 1) {
+                    logMessage('   … further output of this hook is not logged', 'info');
+                }
+            };
+            const onOutput = (stream) => (chunk) => {
+                const lines = (streams[stream] + chunk.toString()).split(/\r?\n/);
+                streams[stream] = lines.pop();
+                lines.filter(line => line.trim()).forEach(logLine);
+            };
+
+            const result = await this.ssh.executeCommand(
+                `timeout --kill-after=10 ${timeoutSeconds} bash -c ${shellQuote(`${this.getStepPrelude(dir, { nodeVersion })} && ${command}`)}`,
+                { onStdout: onOutput('stdout'), onStderr: onOutput('stderr') }
+            );
+            Object.values(streams).filter(rest => rest.trim()).forEach(logLine);
+
+            // timeout exits 124, or 137 when the command ignored SIGTERM
+            if (result.code === 124 || result.code === 137) {
+                return { success: false, error: `${hook} hook "${command}" timed out after ${timeoutSeconds}s` };
+            }
+            if (!result.success) {
+                return { success: false, error: `${hook} hook "${command}" failed (exit ${result.code})` };
+            }
+        }
+
+        return { success: true };
+    }
+
+    // Deterministic alternative to ai_auto_deploy for components with their own
+    // commands: install and build in the staged checkout, move it into place and
+    // start it under PM2 with the requested Node version
+    async runCustomPipeline(deploymentId, source, port, domain, appName, envVars = {}, onLog, options = {}) {
+        const { signal = null, onPhase = null, rootDirectory = null, commands, limits = null } = options;
+        const logMessage = this.createLogger(deploymentId, onLog);
+        const subPath = rootDirectory ? `/${rootDirectory}` : '';
+        const shell = { nodeVersion: commands.node_version, port, signal, logMessage };
+        const prelude = (dir) => this.getStepPrelude(dir, shell);
+        const runStep = (label, dir, command) => this.runBuildStep(appName, label, dir, command, shell);
+
+        try {
+            logMessage('🛠️ Deploying with the configured commands (ClawdBot skipped)', 'info');
+            if (commands.node_version) {
+                logMessage(`🟢 Node version: ${commands.node_version}`, 'info');
+            }
+
+            const buildDir = `${source.checkoutPath}${subPath}`;
+            const env = await this.writeEnvContent(`${buildDir}/.env`, envVars);
+            if (!env.success) {
+                throw new Error(env.error);
+            }
+
+            let installCommand = commands.install_command;
+            if (!installCommand && await this.ssh.fileExists(`${buildDir}/package.json`)) {
+                installCommand = 'npm install';
+            }
+            if (installCommand) {
+                onPhase?.('installing');
+                await runStep('Install', buildDir, installCommand);
+            }
+            if (commands.build_command && !signal?.aborted) {
+                onPhase?.('building');
+                await runStep('Build', buildDir, commands.build_command);
+            }
+            if (signal?.aborted) {
+                return this.cancelledResult(appName, port);
+            }
+
+            // Swap the built checkout in for the previous version
+            onPhase?.('starting');
+            const appDir = `${this.appsPath}/${appName}`;
+            await this.ssh.deletePM2Process(appName, rootDirectory);
+            await this.ssh.deleteDirectory(appDir);
+            await this.ssh.createDirectory(this.appsPath);
+            const moveResult = await this.ssh.executeCommand(`mv '${source.checkoutPath}' '${appDir}'`);
+            if (!moveResult.success) {
+                throw new Error(`Failed to move build into ${appDir}: ${moveResult.stderr.trim()}`);
+            }
+
+            // exec keeps PM2's PID on the app itself rather than a wrapper shell
+            const start = await this.getStartCommand(appName, `${appDir}${subPath}`, {
+                script: 'bash',
+                args: ['-c', `${prelude(`${appDir}${subPath}`)} && exec ${commands.start_command}`]
+            }, { limits });
+            const startResult = await this.ssh.executeCommand(start.command);
+            if (!startResult.success) {
+                throw new Error(`PM2 failed to start ${appName}: ${startResult.stderr.trim()}`);
+            }
+            if (limits) {
+                logMessage(`📏 Resource limits: ${this.describeLimits(start.limits)}`, 'info');
+            }
+
+            logMessage('⏳ Waiting 8 seconds for application to start listening...', 'info');
+            await this.wait(8000, signal);
+            if (signal?.aborted) {
+                return this.cancelledResult(appName, port);
+            }
+
+            const status = await this.checkDeploymentStatus(appName);
+            if (!status.running) {
+                const logs = await this.ssh.getPM2Logs(appName, 50).catch(() => '');
+                if (logs && logs.trim()) {
+                    logMessage(`📋 Recent logs:\n${logs.substring(0, 500)}`, 'error');
+                }
+                throw new Error(`Application failed to start. PM2 status: ${status.status || 'not found'}`);
+            }
+
+            onPhase?.('port_detection');
+            const actualPort = await this.detectActualPort(appName, logMessage) || port;
+
+            onPhase?.('verifying');
+            const verificationResult = await this.verifyDeployment(appName, actualPort, logMessage);
+            if (!verificationResult.success) {
+                logMessage(`⚠️ Port verification pending: ${verificationResult.error}`, 'warning');
+            }
+
+            logMessage(`✅ ${appName} started with the configured commands on port ${actualPort}`, 'success');
+
+            return {
+                success: true,
+                message: 'Deployment completed with the configured commands',
+                appName,
+                allocatedPort: port,
+                actualPort,
+                port: actualPort,
+                portChanged: actualPort !== port,
+                domain,
+                limits: start.limits
+            };
+        } catch (error) {
+            if (signal?.aborted) {
+                return this.cancelledResult(appName, port);
+            }
+            logMessage(`❌ Deployment error: ${error.message}`, 'error');
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    getWebRoot(subdomain, component) {
+        return `${this.webRootPath}/${subdomain}/${component}`;
+    }
+
+    // Build a static site and publish its output directory to webRoot, where
+    // nginx serves it. Nothing keeps running afterwards. name keys the staging
+    // checkout and the cancel pidfile.
+    async deployStatic(deploymentId, repoUrl, webRoot, name, envVars = {}, onLog, options = {}) {
+        const { branch, commit, rootDirectory, credentials, commands = {}, outputDirectory = 'dist', signal, onPhase } = options;
+        const logMessage = this.createLogger(deploymentId, onLog);
+
+        onPhase?.('cloning');
+        const source = await this.prepareSource(repoUrl, name, { branch, commit, rootDirectory, credentials }, logMessage);
+        if (!source.success) {
+            return { success: false, error: source.error };
+        }
+
+        const shell = { nodeVersion: commands.node_version, signal, logMessage };
+        const buildDir = source.path;
+
+        try {
+            logMessage('📦 Building static site (served by nginx, no PM2 process)', 'info');
+            const env = await this.writeEnvContent(`${buildDir}/.env`, envVars);
+            if (!env.success) {
+                throw new Error(env.error);
+            }
+
+            const hasPackage = await this.ssh.fileExists(`${buildDir}/package.json`);
+            const installCommand = commands.install_command || (hasPackage ? 'npm install' : null);
+            let buildCommand = commands.build_command;
+            if (!buildCommand && hasPackage) {
+                const hasBuildScript = await this.ssh.executeCommand(`jq -e '.scripts.build' '${buildDir}/package.json' >/dev/null`);
+                buildCommand = hasBuildScript.success ? 'npm run build' : null;
+            }
+
+            if (installCommand && !signal?.aborted) {
+                onPhase?.('installing');
+                await this.runBuildStep(name, 'Install', buildDir, installCommand, shell);
+            }
+            if (buildCommand && !signal?.aborted) {
+                onPhase?.('building');
+                await this.runBuildStep(name, 'Build', buildDir, buildCommand, shell);
+            }
+            if (signal?.aborted) {
+                return this.cancelledResult(name, null);
+            }
+
+            const outputPath = outputDirectory === '.' ? buildDir : `${buildDir}/${outputDirectory}`;
+            if (!(await this.ssh.directoryExists(outputPath))) {
+                throw new Error(`Output directory "${outputDirectory}" not found after the build`);
+            }
+
+            // Copy next to the live root and swap, so nginx never serves a half-copied site
+            onPhase?.('starting');
+            const parentDir = webRoot.slice(0, webRoot.lastIndexOf('/'));
+            const publishResult = await this.ssh.executeCommand(
+                `mkdir -p '${parentDir}' && rm -rf '${webRoot}.new' '${webRoot}.old' && ` +
+                `cp -a '${outputPath}' '${webRoot}.new' && rm -rf '${webRoot}.new/.git' '${webRoot}.new/.env' && chmod -R a+rX '${webRoot}.new' && ` +
+                `{ [ ! -e '${webRoot}' ] || mv '${webRoot}' '${webRoot}.old'; } && mv '${webRoot}.new' '${webRoot}' && rm -rf '${webRoot}.old'`
+            );
+            if (!publishResult.success) {
+                throw new Error(`Failed to publish to ${webRoot}: ${publishResult.stderr.trim()}`);
+            }
+
+            onPhase?.('verifying');
+            if (!(await this.ssh.fileExists(`${webRoot}/index.html`))) {
+                logMessage(`⚠️ No index.html in ${outputDirectory} - the site root will return 404`, 'warning');
+            }
+
+            logMessage(`✅ Static site published to ${webRoot}`, 'success');
+            return { success: true, static: true, webRoot, commitSha: source.commitSha || null };
+        } catch (error) {
+            if (signal?.aborted) {
+                return this.cancelledResult(name, null);
+            }
+            logMessage(`❌ Static build error: ${error.message}`, 'error');
+            return { success: false, error: error.message };
+        } finally {
+            await this.ssh.deleteDirectory(source.checkoutPath).catch(() => {});
+        }
+    }
+
+    async deleteWebRoot(webRoot) {
+        return await this.ssh.deleteDirectory(webRoot);
+    }
+
     async detectActualPort(appName, logMessage) {
         try {
             logMessage('🔍 Detecting actual listening port using 4-method detection system...', 'info');
@@ -631,21 +1534,18 @@ PYTHON_EOF
         }
     }
 
-    async fixViteConfig(appName, domain, logMessage) {
+    async fixViteConfig(appName, domain, logMessage, rootDirectory = null) {
         try {
             logMessage('🔧 Fixing Vite configuration for subdomain...', 'info');
             
             // Get app working directory from PM2
-            const cwdResult = await this.ssh.executeCommand(
-                `pm2 jlist | jq -r '.[] | select(.name=="${appName}") | .pm2_env.pm_cwd'`
-            );
+            const appDir = await this.getComponentDirectory(appName, rootDirectory);
             
-            if (!cwdResult.success || !cwdResult.stdout.trim() || cwdResult.stdout.trim() === 'null') {
+            if (!appDir) {
                 logMessage('⚠️ Could not find app directory', 'warning');
                 return { success: false };
             }
             
-            const appDir = cwdResult.stdout.trim();
             logMessage(`📂 App directory: ${appDir}`, 'info');
             
             // Check for both .js and .ts vite config files
@@ -719,7 +1619,7 @@ PYTHON_EOF
         }
     }
 
-    async deleteDeployment(appName, deploymentId) {
+    async deleteDeployment(appName, deploymentId, rootDirectory = null) {
         try {
             const logMessage = async (message, type = 'info') => {
                 // Skip empty messages to prevent validation errors
@@ -735,7 +1635,7 @@ PYTHON_EOF
 
             await logMessage(`🗑️ Deleting ${appName}...`, 'info');
             
-            const result = await this.ssh.deletePM2Process(appName);
+            const result = await this.ssh.deletePM2Process(appName, rootDirectory);
             
             if (result) {
                 await logMessage(`✅ ${appName} deleted successfully`, 'success');
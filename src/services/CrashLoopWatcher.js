@@ -0,0 +1,286 @@
+const Deployment = require('../models/Deployment');
+const DeploymentLog = require('../models/DeploymentLog');
+const AutomationService = require('./AutomationService');
+const { getSSHManager } = require('./SSHManager');
+const { shellQuote } = require('../utils/shellQuote');
+
+// Crash-loop detection. PM2 restarts an app that exits, so one that dies on
+// start keeps restarting and eats the server's CPU. PM2 is sampled for every
+// running app: CRASH_LOOP_RESTARTS restarts within CRASH_LOOP_WINDOW_MINUTES,
+// or PM2 giving up on it (errored), marks the deployment crashed with the tail
+// of the error log, stops the process unless CRASH_LOOP_STOP=false and alerts
+// the owner. A crashed app left running that settles down is marked deployed
+// again; a stopped one comes back with a restart or redeploy. Restarts PM2
+// made for the plan's memory limit are counted on the deployment as well.
+class CrashLoopWatcher {
+    constructor() {
+        this.ssh = getSSHManager();
+        this.automationService = new AutomationService();
+        this.enabled = process.env.CRASH_LOOP_WATCHER !== 'false';
+        this.intervalMs = parseInt(process.env.CRASH_CHECK_MS || '30000');
+        this.maxRestarts = parseInt(process.env.CRASH_LOOP_RESTARTS || '5');
+        this.windowMinutes = parseInt(process.env.CRASH_LOOP_WINDOW_MINUTES || '5');
+        this.stopCrashed = process.env.CRASH_LOOP_STOP !== 'false';
+        this.logLines = parseInt(process.env.CRASH_LOG_LINES || '40');
+        this.checking = false;
+        this.samples = new Map();       // PM2 name -> { restarts, events: [timestamps] }
+        this.memoryRestartsSeen = null; // Memory-limit restarts already read from PM2's log
+    }
+
+    get windowMs() {
+        return this.windowMinutes * 60 * 1000;
+    }
+
+    // Restarts of a process within the window, counted from the growth of
+    // PM2's restart counter between samples
+    recordRestarts(name, restarts, now) {
+        const sample = this.samples.get(name);
+        const events = (sample?.events || []).filter(at => now - at < this.windowMs);
+        // A lower counter means the process was recreated (redeploy, pm2 delete)
+        if (sample && restarts > sample.restarts) {
+            events.push(...Array(restarts - sample.restarts).fill(now));
+        }
+        this.samples.set(name, { restarts, events });
+        return events.length;
+    }
+
+    // PM2 ids of processes restarted for going over --max-memory-restart since
+    // the last call, from PM2's own log; none on the first call
+    async findMemoryRestarts() {
+        const result = await this.ssh.executeCommand(
+            'grep -- \'exceeds --max-memory-restart\' "${PM2_HOME:-$HOME/.pm2}/pm2.log"'
+        );
+        const ids = result.stdout.split('\n')
+            .map(line => /Process (\d+) restarted because it exceeds --max-memory-restart/.exec(line)?.[1])
+            .filter(Boolean)
+            .map(Number);
+
+        const seen = this.memoryRestartsSeen;
+        this.memoryRestartsSeen = ids.length;
+        if (seen === null) {
+            return [];
+        }
+        // A shorter log has been rotated, so all of it is new
+        return ids.slice(ids.length >= seen ? seen : 0);
+    }
+
+    async recordMemoryRestarts(owners) {
+        for (const id of await this.findMemoryRestarts()) {
+            const owner = owners.get(id);
+            if (!owner) {
+                continue;
+            }
+            const { deployment, component } = owner;
+            await Deployment.recordOomRestart(deployment._id, component);
+            const limit = deployment.resources?.[component]?.memory_mb;
+            this.log(deployment, `🧠 The ${component} went over its ${limit ? `${limit} MB ` : ''}memory limit and was restarted`, 'warning');
+        }
+    }
+
+    async getErrorLog(process) {
+        const path = process.pm2_env?.pm_err_log_path;
+        if (!path) {
+            return '';
+        }
+        const result = await this.ssh.executeCommand(`tail -n ${this.logLines} ${shellQuote(path)}`);
+        return result.stdout.replace(/\x1b\[[0-9;]*[A-Za-z]/g, '').trim();
+    }
+
+    log(deployment, message, type = 'info', details = undefined) {
+        console.log(`[${type.toUpperCase()}] ${message}`);
+        DeploymentLog.create(deployment._id, message, type, details).catch(console.error);
+    }
+
+    emitStatus(deployment, status, extra = {}) {
+        if (global.io) {
+            global.io.to(`user_${deployment.user_id}`).emit('status', {
+                type: 'status',
+                deployment_id: deployment.deployment_id,
+                status,
+                ...extra
+            });
+        }
+    }
+
+    describe(crash) {
+        return crash.reason === 'errored'
+            ? 'was given up on by PM2 after repeated crashes'
+            : `restarted ${crash.restarts} times in ${this.windowMinutes} minutes`;
+    }
+
+    async handleCrash(deployment, crashes) {
+        for (const crash of crashes) {
+            crash.log_excerpt = await this.getErrorLog(crash.process).catch(() => '');
+        }
+
+        const updated = await Deployment.markCrashed(deployment._id, {
+            detected_at: new Date(),
+            stopped: this.stopCrashed,
+            components: crashes.map(({ component, reason, restarts, process, log_excerpt }) => ({
+                component, reason, restarts, pm2_name: process.name, log_excerpt
+            }))
+        });
+        if (!updated) {
+            return;
+        }
+
+        for (const crash of crashes) {
+            // Restarts up to now are accounted for; a restart starts a fresh window
+            this.samples.get(crash.process.name).events = [];
+
+            const message = `💥 The ${crash.component} ${this.describe(crash)}`;
+            console.log(`${message} (${deployment.deployment_id})`);
+            this.log(deployment, message, 'error', {
+                component: crash.component,
+                reason: crash.reason,
+                restarts: crash.restarts,
+                log_excerpt: crash.log_excerpt
+            });
+            if (this.stopCrashed) {
+                await this.ssh.stopPM2Process(crash.process.name);
+            }
+        }
+        if (this.stopCrashed) {
+            this.log(deployment, '🛑 Stopped to protect the server - fix the error, then restart or redeploy', 'warning');
+        }
+        this.emitStatus(deployment, 'crashed', { components: crashes.map(crash => crash.component) });
+
+        const excerpt = crashes
+            .filter(crash => crash.log_excerpt)
+            .map(crash => `[${crash.component}]\n${crash.log_excerpt.slice(-2000)}`)
+            .join('\n\n');
+        await this.automationService.sendCriticalAlert({
+            userId: deployment.user_id,
+            eventType: 'deployment_crashed',
+            title: 'Deployment Crashed',
+            message: `Deployment ${deployment.name || deployment.deployment_id}: the ${crashes.map(crash => `${crash.component} ${this.describe(crash)}`).join(', the ')}` +
+                `${this.stopCrashed ? '. It has been stopped.' : '.'}${excerpt ? `\n\nLast error output:\n${excerpt}` : ''}`,
+            severity: 'critical',
+            metadata: {
+                deployment_id: deployment.deployment_id,
+                deployment_name: deployment.name,
+                components: crashes.map(crash => crash.component),
+                reason: crashes[0].reason,
+                restarts: crashes[0].restarts,
+                stopped: this.stopCrashed,
+                log_excerpt: excerpt
+            }
+        });
+    }
+
+    // Left running and no restarts for a whole window since the crash
+    isRecovered(deployment, processes, now) {
+        if (deployment.crash?.stopped || now - deployment.crash?.detected_at < this.windowMs) {
+            return false;
+        }
+        return processes.every(process =>
+            process.pm2_env.status === 'online' && this.samples.get(process.name)?.events.length === 0);
+    }
+
+    async checkDeployments() {
+        if (this.checking) {
+            return;
+        }
+        this.checking = true;
+
+        try {
+            const deployments = await Deployment.find({
+                status: { $in: ['deployed', 'crashed'] },
+                $or: [{ pm2_frontend_name: { $ne: null } }, { pm2_backend_name: { $ne: null } }]
+            });
+            const processes = deployments.length > 0 ? await this.ssh.getPM2Processes() : [];
+            const byName = new Map(processes.map(process => [process.name, process]));
+
+            const now = Date.now();
+            const seen = new Set();
+            const owners = new Map();   // PM2 id -> { deployment, component }
+            let restarted = false;
+            for (const deployment of deployments) {
+                const running = [];
+                const crashes = [];
+                for (const component of ['frontend', 'backend']) {
+                    const process = byName.get(deployment[`pm2_${component}_name`]);
+                    if (!process) {
+                        continue;
+                    }
+                    seen.add(process.name);
+                    running.push(process);
+                    owners.set(process.pm_id, { deployment, component });
+                    restarted = restarted || (process.pm2_env.restart_time || 0) > (this.samples.get(process.name)?.restarts ?? Infinity);
+
+                    const restarts = this.recordRestarts(process.name, process.pm2_env.restart_time || 0, now);
+                    if (process.pm2_env.status === 'errored') {
+                        crashes.push({ component, process, reason: 'errored', restarts });
+                    } else if (restarts >= this.maxRestarts) {
+                        crashes.push({ component, process, reason: 'crash_loop', restarts });
+                    }
+                }
+
+                try {
+                    if (deployment.status === 'deployed' && crashes.length > 0) {
+                        await this.handleCrash(deployment, crashes);
+                    } else if (deployment.status === 'crashed' && running.length > 0 && this.isRecovered(deployment, running, now)) {
+                        await Deployment.updateStatus(deployment._id, 'deployed');
+                        this.log(deployment, '💚 No more crashes - the deployment is running normally again', 'success');
+                        this.emitStatus(deployment, 'deployed');
+                    }
+                } catch (error) {
+                    console.error(`❌ Crash check failed for ${deployment.deployment_id}:`, error.message);
+                }
+            }
+
+            // PM2's log is only read when something restarted
+            if (owners.size > 0 && (restarted || this.memoryRestartsSeen === null)) {
+                await this.recordMemoryRestarts(owners).catch(error => {
+                    console.error('❌ Could not read memory-limit restarts:', error.message);
+                });
+            }
+
+            // Forget processes that are gone or belong to stopped deployments
+            for (const name of this.samples.keys()) {
+                if (!seen.has(name)) {
+                    this.samples.delete(name);
+                }
+            }
+        } catch (error) {
+            console.error('❌ Error checking for crash loops:', error);
+        } finally {
+            this.checking = false;
+        }
+    }
+
+    start() {
+        if (!this.enabled) {
+            console.log('ℹ️ Crash-loop watcher disabled (CRASH_LOOP_WATCHER=false)');
+            return;
+        }
+
+        console.log('🚀 Starting crash-loop watcher...');
+
+        this.interval = setInterval(() => {
+            this.checkDeployments();
+        }, this.intervalMs);
+
+        console.log('✅ Crash-loop watcher started');
+    }
+
+    stop() {
+        if (this.interval) {
+            clearInterval(this.interval);
+            this.interval = null;
+            console.log('🛑 Crash-loop watcher stopped');
+        }
+    }
+}
+
+// Singleton instance
+let crashLoopWatcherInstance = null;
+
+function getCrashLoopWatcher() {
+    if (!crashLoopWatcherInstance) {
+        crashLoopWatcherInstance = new CrashLoopWatcher();
+    }
+    return crashLoopWatcherInstance;
+}
+
+module.exports = { CrashLoopWatcher, getCrashLoopWatcher };
@@ -0,0 +1,387 @@
+const os = require('os');
+const Deployment = require('../models/Deployment');
+const DeploymentJob = require('../models/DeploymentJob');
+const DeploymentLog = require('../models/DeploymentLog');
+const Release = require('../models/Release');
+const DeploymentService = require('./DeploymentService');
+const PreviewService = require('./PreviewService');
+const EnvService = require('./EnvService');
+const DomainService = require('./DomainService');
+const PhaseTracker = require('./PhaseTracker');
+
+// Job types that change what is running and drive the deployment's status
+const BUILD_JOB_TYPES = ['deploy', 'redeploy', 'rollback'];
+
+class DeploymentQueue {
+    constructor() {
+        this.deploymentService = new DeploymentService();
+        this.previewService = new PreviewService();
+        this.envService = new EnvService();
+        this.domainService = new DomainService();
+        this.workerId = `${os.hostname()}:${process.pid}`;
+        this.concurrency = parseInt(process.env.DEPLOY_WORKER_CONCURRENCY || '2');
+        this.pollIntervalMs = parseInt(process.env.DEPLOY_QUEUE_POLL_MS || '3000');
+        this.leaseMs = parseInt(process.env.DEPLOY_JOB_LEASE_MS || '60000');
+        this.heartbeatMs = Math.max(Math.floor(this.leaseMs / 3), 1000);
+        this.activeJobs = new Map();
+        this.running = false;
+        this.polling = false;
+
+        this.handlers = {
+            deploy: (job, signal) => this.runWithNotifications(job, () => this.deploymentService.deploy(job.user_id.toString(), {
+                ...job.payload,
+                deployment_id: job.deployment_id,
+                job_id: job._id,
+                signal
+            })),
+            redeploy: (job, signal) => this.runWithNotifications(job, () => this.deploymentService.redeploy(
+                job.user_id.toString(),
+                job.deployment_id,
+                { ...job.payload, job_id: job._id, signal }
+            )),
+            rollback: (job, signal) => this.runWithNotifications(job, () => this.deploymentService.rollback(
+                job.user_id.toString(),
+                job.deployment_id,
+                { ...job.payload, job_id: job._id, signal }
+            )),
+            teardown: (job) => this.previewService.teardownPreview(job.deployment_id),
+            apply_env: (job) => this.envService.applyEnv(job.deployment_id, job.payload),
+            attach_domain: (job) => this.domainService.attachDomain(job.deployment_id, job.payload),
+            detach_domain: (job) => this.domainService.detachDomain(job.deployment_id, job.payload)
+        };
+    }
+
+    async start() {
+        if (this.running) {
+            return;
+        }
+
+        console.log(`🚀 Starting deployment queue (worker ${this.workerId}, concurrency ${this.concurrency})...`);
+        this.running = true;
+
+        await this.recoverOrphanedJobs();
+        await this.failStrandedDeployments();
+
+        this.interval = setInterval(() => {
+            this.recoverOrphanedJobs().catch(error => {
+                console.error('❌ Error recovering orphaned jobs:', error.message);
+            });
+            this.poll();
+        }, this.pollIntervalMs);
+
+        this.poll();
+        console.log('✅ Deployment queue started');
+    }
+
+    async stop() {
+        this.running = false;
+
+        if (this.interval) {
+            clearInterval(this.interval);
+            this.interval = null;
+        }
+
+        for (const { heartbeat } of this.activeJobs.values()) {
+            clearInterval(heartbeat);
+        }
+
+        console.log(`🛑 Deployment queue stopped (${this.activeJobs.size} job(s) left to be recovered)`);
+    }
+
+    async enqueue({ deploymentId, userId, type = 'deploy', payload = {} }) {
+        const job = await DeploymentJob.enqueue({ deploymentId, userId, type, payload });
+        console.log(`📥 Queued ${type} job ${job.id} for deployment ${deploymentId}`);
+
+        await DeploymentLog.create(deploymentId, '🕒 Deployment queued', 'info').catch(console.error);
+
+        // Fresh phase list for GET /api/deployments/:id/progress
+        if (type === 'deploy' || type === 'redeploy') {
+            const deployment = await Deployment.findById(deploymentId);
+            if (deployment) {
+                const components = (payload.components || ['frontend', 'backend'])
+                    .filter(component => deployment[`${component}_repo`]);
+                await PhaseTracker.queue(deployment, { jobId: job._id, jobType: type, components }).catch(console.error);
+            }
+        }
+
+        // Pick it up right away if a worker slot is free
+        setImmediate(() => this.poll());
+
+        return job;
+    }
+
+    async poll() {
+        if (!this.running || this.polling) {
+            return;
+        }
+
+        this.polling = true;
+
+        try {
+            while (this.running && this.activeJobs.size < this.concurrency) {
+                const job = await DeploymentJob.claimNext(this.workerId, this.leaseMs);
+                if (!job) {
+                    break;
+                }
+
+                this.execute(job);
+            }
+        } catch (error) {
+            console.error('❌ Deployment queue poll error:', error.message);
+        } finally {
+            this.polling = false;
+        }
+    }
+
+    async execute(job) {
+        const jobId = job.id;
+        const controller = new AbortController();
+
+        const heartbeat = setInterval(async () => {
+            try {
+                const owned = await DeploymentJob.heartbeat(jobId, this.workerId, this.leaseMs);
+                if (!owned) {
+                    console.warn(`⚠️ Lost lease on job ${jobId}`);
+                } else if (owned.cancel_requested_at && !controller.signal.aborted) {
+                    // Cancelled through another API instance
+                    controller.abort();
+                }
+            } catch (error) {
+                console.error(`❌ Heartbeat failed for job ${jobId}:`, error.message);
+            }
+        }, this.heartbeatMs);
+
+        this.activeJobs.set(jobId, { job, heartbeat, controller });
+        console.log(`⚙️  Running ${job.type} job ${jobId} (attempt ${job.attempts}/${job.max_attempts})`);
+
+        try {
+            const handler = this.handlers[job.type];
+            if (!handler) {
+                throw new Error(`Unknown job type: ${job.type}`);
+            }
+
+            const result = await handler(job, controller.signal);
+
+            if (controller.signal.aborted) {
+                await this.finishCancelled(job);
+                return;
+            }
+
+            if (job.type === 'deploy' || job.type === 'redeploy') {
+                await this.previewService.reportDeployment(job.deployment_id, result.success).catch(console.error);
+            }
+
+            await DeploymentJob.finish(jobId, this.workerId, result.success ? 'succeeded' : 'failed', {
+                error: result.success ? null : (result.error || 'Deployment failed'),
+                result: { success: result.success }
+            });
+        } catch (error) {
+            if (controller.signal.aborted) {
+                await this.finishCancelled(job).catch(console.error);
+                return;
+            }
+
+            console.error(`❌ Job ${jobId} failed:`, error.message);
+
+            if (BUILD_JOB_TYPES.includes(job.type)) {
+                await Deployment.updateStatus(job.deployment_id, 'failed').catch(console.error);
+            }
+            if (job.type === 'deploy' || job.type === 'redeploy') {
+                await this.previewService.reportDeployment(job.deployment_id, false).catch(console.error);
+            }
+            await Release.failRunning(job.deployment_id, error.message).catch(console.error);
+            await DeploymentJob.finish(jobId, this.workerId, 'failed', { error: error.message }).catch(console.error);
+        } finally {
+            clearInterval(heartbeat);
+            this.activeJobs.delete(jobId);
+            this.poll();
+        }
+    }
+
+    // Tell the user's sockets how the job ended
+    async runWithNotifications(job, run) {
+        const userId = job.user_id.toString();
+
+        try {
+            const result = await run();
+
+            if (result.cancelled) {
+                // Reported by finishCancelled once cleanup is done
+            } else if (result.success) {
+                this.deploymentService.emitToUser(userId, 'deployment_complete', {
+                    success: true,
+                    deployment: result.deployment,
+                    message: this.buildSuccessMessage(result.deployment)
+                });
+            } else {
+                this.deploymentService.emitToUser(userId, 'deployment_failed', {
+                    success: false,
+                    error: 'Deployment failed',
+                    deployment_id: result.deployment?.deployment_id
+                });
+            }
+
+            return result;
+        } catch (error) {
+            if (this.activeJobs.get(job.id)?.controller.signal.aborted) {
+                throw error;
+            }
+            this.deploymentService.emitToUser(userId, 'deployment_failed', {
+                success: false,
+                error: error.message
+            });
+            throw error;
+        }
+    }
+
+    // Cancel the deployment's queued and running build jobs. A running job is
+    // stopped by the worker that owns it (right away when that is this process,
+    // otherwise on its next heartbeat).
+    async cancel(deploymentId) {
+        const jobs = await DeploymentJob.findActiveJobs(deploymentId, BUILD_JOB_TYPES);
+        if (jobs.length === 0) {
+            return null;
+        }
+
+        let running = null;
+        for (const job of jobs) {
+            if (job.status === 'pending') {
+                await DeploymentJob.markCancelled(job._id);
+                console.log(`🛑 Cancelled queued ${job.type} job ${job.id}`);
+            } else {
+                running = await DeploymentJob.requestCancel(job._id) || running;
+                this.activeJobs.get(job.id)?.controller.abort();
+                console.log(`🛑 Cancel requested for running ${job.type} job ${job.id}`);
+            }
+        }
+
+        if (!running) {
+            await this.notifyCancelled(jobs[jobs.length - 1]);
+        }
+
+        return { jobs, running: Boolean(running) };
+    }
+
+    async finishCancelled(job) {
+        console.log(`🛑 Job ${job.id} cancelled - cleaning up`);
+
+        await this.deploymentService.cleanupCancelled(job.deployment_id, job.type).catch(error => {
+            console.error(`❌ Cleanup after cancelling job ${job.id} failed:`, error.message);
+        });
+        await Release.failRunning(job.deployment_id, 'Deployment cancelled', 'cancelled').catch(console.error);
+        await DeploymentJob.finish(job.id, this.workerId, 'cancelled', { error: 'Cancelled by user' });
+        await this.notifyCancelled(job);
+    }
+
+    async notifyCancelled(job) {
+        await Deployment.updateStatus(job.deployment_id, 'cancelled');
+
+        const phases = await PhaseTracker.load(job.deployment_id);
+        if (phases?.isFor(job._id)) {
+            await phases.finish(false, 'Cancelled by user').catch(console.error);
+        }
+        await DeploymentLog.create(job.deployment_id, `🛑 ${job.type.charAt(0).toUpperCase() + job.type.slice(1)} cancelled by user`, 'warning').catch(console.error);
+
+        const deployment = await Deployment.findById(job.deployment_id);
+        this.deploymentService.emitToUser(job.user_id.toString(), 'deployment_cancelled', {
+            deployment_id: deployment?.deployment_id,
+            job_id: job.id,
+            type: job.type
+        });
+    }
+
+    buildSuccessMessage(deployment) {
+        let message = '✅ Deployment completed successfully!';
+
+        const describe = (label, url, allocatedPort, actualPort) => {
+            let text = `\n\n${label}: ${url}`;
+            if (allocatedPort && actualPort) {
+                text += allocatedPort !== actualPort
+                    ? `\n   🔌 Port: ${actualPort} (allocated: ${allocatedPort})`
+                    : `\n   🔌 Port: ${actualPort}`;
+            }
+            return text;
+        };
+
+        if (deployment.frontend_url) {
+            message += describe('🌐 Frontend', deployment.frontend_url, deployment.frontend_allocated_port, deployment.frontend_actual_port);
+        }
+        if (deployment.backend_url) {
+            message += describe('🛠️ Backend', deployment.backend_url, deployment.backend_allocated_port, deployment.backend_actual_port);
+        }
+
+        return message;
+    }
+
+    // Re-queue (or give up on) running jobs whose worker stopped heartbeating
+    async recoverOrphanedJobs() {
+        const orphaned = await DeploymentJob.findOrphaned();
+
+        for (const job of orphaned) {
+            if (this.activeJobs.has(job.id)) {
+                continue;
+            }
+
+            // Its worker died before it could act on the cancel
+            if (job.cancel_requested_at) {
+                if (await DeploymentJob.markCancelled(job._id)) {
+                    await this.deploymentService.cleanupCancelled(job.deployment_id, job.type).catch(console.error);
+                    await Release.failRunning(job.deployment_id, 'Deployment cancelled', 'cancelled');
+                    await this.notifyCancelled(job);
+                }
+                continue;
+            }
+
+            if (job.attempts < job.max_attempts) {
+                const requeued = await DeploymentJob.requeue(job._id);
+                if (requeued) {
+                    await Release.failRunning(job.deployment_id, 'Interrupted by a server restart');
+                    console.log(`♻️  Re-queued orphaned job ${job.id} (attempt ${job.attempts}/${job.max_attempts})`);
+                    if (BUILD_JOB_TYPES.includes(job.type)) {
+                        await Deployment.updateStatus(job.deployment_id, 'deploying');
+                    }
+                    await DeploymentLog.create(job.deployment_id, '♻️ Deployment interrupted by a server restart - re-queued', 'warning').catch(console.error);
+                }
+            } else {
+                const failed = await DeploymentJob.markFailed(job._id, 'Worker lost during execution - retry limit reached');
+                if (failed) {
+                    await Release.failRunning(job.deployment_id, 'Interrupted by a server restart');
+                    console.log(`❌ Marked orphaned job ${job.id} as failed`);
+                    if (BUILD_JOB_TYPES.includes(job.type)) {
+                        await Deployment.updateStatus(job.deployment_id, 'failed');
+                    }
+                    await DeploymentLog.create(job.deployment_id, '❌ Deployment interrupted too many times - marked as failed', 'error').catch(console.error);
+                }
+            }
+        }
+    }
+
+    // Deployments left in "deploying" without any queued or running job can never finish
+    async failStrandedDeployments() {
+        const deploying = await Deployment.find({ status: 'deploying' });
+
+        for (const deployment of deploying) {
+            const activeJob = await DeploymentJob.findActiveByDeploymentId(deployment._id);
+            if (activeJob) {
+                continue;
+            }
+
+            console.log(`❌ Deployment ${deployment.deployment_id} has no active job - marking as failed`);
+            await Deployment.updateStatus(deployment._id, 'failed');
+            await Release.failRunning(deployment._id, 'Interrupted by a server restart');
+            await DeploymentLog.create(deployment._id, '❌ Deployment was interrupted and could not be recovered', 'error').catch(console.error);
+        }
+    }
+}
+
+// Singleton instance
+let queueInstance = null;
+
+function getDeploymentQueue() {
+    if (!queueInstance) {
+        queueInstance = new DeploymentQueue();
+    }
+    return queueInstance;
+}
+
+module.exports = { DeploymentQueue, getDeploymentQueue };
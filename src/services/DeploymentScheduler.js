@@ -0,0 +1,187 @@
+const Deployment = require('../models/Deployment');
+const DeploymentLog = require('../models/DeploymentLog');
+const User = require('../models/User');
+const DeploymentService = require('./DeploymentService');
+
+const DEFAULT_TIMEZONE = 'Asia/Kolkata';
+
+// Puts deployments with a schedule to sleep outside their windows and wakes
+// them when a window opens. Only deployed and sleeping deployments are
+// touched: one stopped by its owner, suspended or mid-deploy is left alone.
+class DeploymentScheduler {
+    constructor() {
+        this.deploymentService = new DeploymentService();
+        this.intervalMs = parseInt(process.env.SCHEDULE_CHECK_MS || '60000');
+        this.checking = false;
+    }
+
+    // Day ('mon'..'sun') and minutes since midnight in the time zone
+    getLocalTime(date, timezone) {
+        const parts = Object.fromEntries(
+            new Intl.DateTimeFormat('en-US', {
+                timeZone: timezone,
+                weekday: 'short',
+                hour: '2-digit',
+                minute: '2-digit',
+                hourCycle: 'h23'
+            }).formatToParts(date).map(part => [part.type, part.value])
+        );
+
+        return {
+            day: parts.weekday.toLowerCase(),
+            minutes: parseInt(parts.hour) * 60 + parseInt(parts.minute)
+        };
+    }
+
+    toMinutes(time) {
+        const [hours, minutes] = time.split(':').map(Number);
+        return hours * 60 + minutes;
+    }
+
+    isWithinWindows(windows, timezone, date = new Date()) {
+        const { day, minutes } = this.getLocalTime(date, timezone);
+        const weekdays = Deployment.WEEKDAYS;
+        const previousDay = weekdays[(weekdays.indexOf(day) + 6) % 7];
+
+        return windows.some(window => {
+            const start = this.toMinutes(window.start);
+            const end = this.toMinutes(window.end);
+
+            if (start < end) {
+                return window.days.includes(day) && minutes >= start && minutes < end;
+            }
+            // Runs past midnight: the evening of a listed day or the early hours after it
+            return (window.days.includes(day) && minutes >= start)
+                || (window.days.includes(previousDay) && minutes < end);
+        });
+    }
+
+    async getTimezone(deployment) {
+        if (deployment.schedule?.timezone) {
+            return deployment.schedule.timezone;
+        }
+        const user = await User.findById(deployment.user_id);
+        return user?.calendar_preferences?.timezone || DEFAULT_TIMEZONE;
+    }
+
+    // Whether the deployment should be running now; true without an enabled schedule
+    async shouldBeAwake(deployment, date = new Date()) {
+        if (!deployment.schedule?.enabled) {
+            return true;
+        }
+        return this.isWithinWindows(deployment.schedule.windows || [], await this.getTimezone(deployment), date);
+    }
+
+    // Sleep or wake one deployment to match its schedule
+    async checkDeployment(deployment) {
+        if (!['deployed', 'sleeping'].includes(deployment.status)) {
+            return null;
+        }
+        // Static sites are served by nginx and have nothing to stop
+        if (!deployment.pm2_frontend_name && !deployment.pm2_backend_name) {
+            return null;
+        }
+
+        const awake = await this.shouldBeAwake(deployment);
+        if (awake === (deployment.status === 'deployed')) {
+            return null;
+        }
+
+        const action = awake ? 'wake' : 'sleep';
+        const result = awake
+            ? await this.deploymentService.restartDeployment(deployment._id)
+            : await this.deploymentService.stopDeployment(deployment._id, { status: 'sleeping' });
+
+        const failed = result.results.filter(entry => !entry.success);
+        const error = failed.map(entry => `${entry.type}: ${entry.error || 'failed'}`).join(', ') || null;
+
+        if (deployment.schedule) {
+            await Deployment.update(deployment._id, {
+                'schedule.last_action': action,
+                'schedule.last_action_at': new Date(),
+                'schedule.last_error': error
+            });
+        }
+
+        if (result.success) {
+            console.log(`${awake ? '☀️' : '🌙'} Deployment ${deployment.deployment_id} ${awake ? 'woke up' : 'is sleeping'} (schedule)`);
+            await DeploymentLog.create(
+                deployment._id,
+                awake ? '☀️ Woke up for the scheduled window' : '🌙 Sleeping until the next scheduled window',
+                'info'
+            );
+        } else {
+            console.error(`❌ Scheduled ${action} of ${deployment.deployment_id} failed: ${error}`);
+            await DeploymentLog.create(deployment._id, `❌ Scheduled ${action} failed: ${error}`, 'error');
+        }
+
+        if (global.io) {
+            global.io.to(`user_${deployment.user_id}`).emit('status', {
+                type: 'status',
+                deployment_id: deployment.deployment_id,
+                status: result.success ? (awake ? 'deployed' : 'sleeping') : deployment.status,
+                ...(error && { error })
+            });
+        }
+
+        return { action, ...result };
+    }
+
+    async checkSchedules() {
+        if (this.checking) {
+            return;
+        }
+        this.checking = true;
+
+        try {
+            // Sleeping deployments are included so a removed schedule wakes them
+            const deployments = await Deployment.find({
+                $or: [
+                    { 'schedule.enabled': true, status: 'deployed' },
+                    { status: 'sleeping' }
+                ]
+            });
+
+            for (const deployment of deployments) {
+                await this.checkDeployment(deployment).catch(error => {
+                    console.error(`❌ Schedule check failed for ${deployment.deployment_id}:`, error.message);
+                });
+            }
+        } catch (error) {
+            console.error('❌ Error checking deployment schedules:', error);
+        } finally {
+            this.checking = false;
+        }
+    }
+
+    start() {
+        console.log('🚀 Starting deployment scheduler...');
+
+        this.checkSchedules();
+        this.interval = setInterval(() => {
+            this.checkSchedules();
+        }, this.intervalMs);
+
+        console.log('✅ Deployment scheduler started');
+    }
+
+    stop() {
+        if (this.interval) {
+            clearInterval(this.interval);
+            this.interval = null;
+            console.log('🛑 Deployment scheduler stopped');
+        }
+    }
+}
+
+// Singleton instance
+let schedulerInstance = null;
+
+function getDeploymentScheduler() {
+    if (!schedulerInstance) {
+        schedulerInstance = new DeploymentScheduler();
+    }
+    return schedulerInstance;
+}
+
+module.exports = { DeploymentScheduler, getDeploymentScheduler };
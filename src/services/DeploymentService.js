@@ -1,10 +1,22 @@
 const Deployment = require('../models/Deployment');
 const DeploymentLog = require('../models/DeploymentLog');
+const DeploymentJob = require('../models/DeploymentJob');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const Release = require('../models/Release');
+const EnvVersion = require('../models/EnvVersion');
+const User = require('../models/User');
 const ClawdBotService = require('./ClawdBotService');
 const PortManager = require('./PortManager');
 const NginxManager = require('./NginxManager');
 const SubdomainGenerator = require('../utils/SubdomainGenerator');
 const AutomationService = require('./AutomationService');
+const PhaseTracker = require('./PhaseTracker');
+const RepoConfigService = require('./RepoConfigService');
+const gitService = require('./GitService');
+const githubService = require('./GithubService');
+const { getResourceLimits } = require('../middleware/planLimits');
+
+const DEFAULT_API_URL_ENV_NAMES = 'VITE_API_URL,NEXT_PUBLIC_API_URL,REACT_APP_API_URL';
 
 class DeploymentService {
     constructor() {
@@ -13,6 +25,25 @@ class DeploymentService {
         this.nginxManager = new NginxManager();
         this.subdomainGenerator = new SubdomainGenerator();
         this.automationService = new AutomationService();
+        this.repoConfig = new RepoConfigService();
+        this.releaseRetention = parseInt(process.env.RELEASE_RETENTION || '3');
+        this.hookTimeout = parseInt(process.env.DEPLOY_HOOK_TIMEOUT_SECONDS || '300');
+        this.resourceLimits = process.env.RESOURCE_LIMITS !== 'false';
+    }
+
+    // Memory and CPU limits the owner's plan gives each app process, or null
+    // when RESOURCE_LIMITS is off
+    async getProcessLimits(deployment) {
+        return this.resourceLimits ? await getResourceLimits(deployment.user_id) : null;
+    }
+
+    // Limits a component was started with, as fields for Deployment.update
+    getLimitFields(component, limits) {
+        return {
+            [`resources.${component}.memory_mb`]: limits?.memory_mb ?? null,
+            [`resources.${component}.cpu_percent`]: limits?.cpu_percent ?? null,
+            [`resources.${component}.applied_at`]: limits ? new Date() : null
+        };
     }
 
     // Emit Socket.IO event to user
@@ -23,6 +54,97 @@ class DeploymentService {
         }
     }
 
+    // An unused deploy key generated by this user, or an error message
+    async checkDeployKey(userId, keyId) {
+        if (!String(keyId).startsWith(`${userId}-`)) {
+            return { error: 'Deploy key not found' };
+        }
+        if (await Deployment.exists({ deploy_key_id: keyId, parent_deployment_id: null })) {
+            return { error: 'Deploy key is already used by another deployment' };
+        }
+        const publicKey = await gitService.getDeployKey(keyId);
+        if (!publicKey) {
+            return { error: 'Deploy key not found - generate one with POST /api/deployments/deploy-keys' };
+        }
+        return { publicKey };
+    }
+
+    // Create the deployment record up front so it can be queued and tracked.
+    // A deploy key is checked here so no caller can attach another user's key.
+    async createDeploymentRecord(userId, deploymentData) {
+        let deployKeyPublic = null;
+        if (deploymentData.deploy_key_id) {
+            const deployKey = await this.checkDeployKey(userId, deploymentData.deploy_key_id);
+            if (deployKey.error) {
+                throw new Error(deployKey.error);
+            }
+            deployKeyPublic = deployKey.publicKey;
+        }
+
+        const existingDeployments = await Deployment.findByUserId(userId);
+        const existingSubdomains = existingDeployments.map(d => d.subdomain);
+        const subdomain = this.subdomainGenerator.generateUnique(existingSubdomains);
+
+        return await Deployment.create({
+            user_id: userId,
+            name: deploymentData.name || `Deployment ${subdomain}`,
+            subdomain,
+            frontend_repo: deploymentData.frontend_repo,
+            backend_repo: deploymentData.backend_repo,
+            frontend_description: deploymentData.frontend_description,
+            backend_description: deploymentData.backend_description,
+            frontend_branch: deploymentData.frontend_branch,
+            backend_branch: deploymentData.backend_branch,
+            frontend_git_auth: deploymentData.frontend_git_auth,
+            backend_git_auth: deploymentData.backend_git_auth,
+            frontend_git_username: deploymentData.frontend_git_username,
+            backend_git_username: deploymentData.backend_git_username,
+            frontend_git_token: deploymentData.frontend_git_token,
+            backend_git_token: deploymentData.backend_git_token,
+            deploy_key_id: deploymentData.deploy_key_id,
+            deploy_key_public: deployKeyPublic,
+            frontend_root_directory: deploymentData.frontend_root_directory,
+            backend_root_directory: deploymentData.backend_root_directory,
+            frontend_install_command: deploymentData.frontend_install_command,
+            frontend_build_command: deploymentData.frontend_build_command,
+            frontend_start_command: deploymentData.frontend_start_command,
+            frontend_node_version: deploymentData.frontend_node_version,
+            backend_install_command: deploymentData.backend_install_command,
+            backend_build_command: deploymentData.backend_build_command,
+            backend_start_command: deploymentData.backend_start_command,
+            backend_node_version: deploymentData.backend_node_version,
+            frontend_api_url_env_names: deploymentData.frontend_api_url_env_names,
+            frontend_pre_deploy: deploymentData.frontend_pre_deploy,
+            backend_pre_deploy: deploymentData.backend_pre_deploy,
+            frontend_post_deploy: deploymentData.frontend_post_deploy,
+            backend_post_deploy: deploymentData.backend_post_deploy,
+            frontend_hook_timeout: deploymentData.frontend_hook_timeout,
+            backend_hook_timeout: deploymentData.backend_hook_timeout,
+            frontend_hook_failure: deploymentData.frontend_hook_failure,
+            backend_hook_failure: deploymentData.backend_hook_failure,
+            frontend_health_check_path: deploymentData.frontend_health_check_path,
+            backend_health_check_path: deploymentData.backend_health_check_path,
+            frontend_health_check_status: deploymentData.frontend_health_check_status,
+            backend_health_check_status: deploymentData.backend_health_check_status,
+            frontend_health_check_timeout: deploymentData.frontend_health_check_timeout,
+            backend_health_check_timeout: deploymentData.backend_health_check_timeout,
+            frontend_health_check_interval: deploymentData.frontend_health_check_interval,
+            backend_health_check_interval: deploymentData.backend_health_check_interval,
+            frontend_type: deploymentData.frontend_type,
+            backend_type: deploymentData.backend_type,
+            frontend_output_directory: deploymentData.frontend_output_directory,
+            backend_output_directory: deploymentData.backend_output_directory,
+            frontend_commit: deploymentData.frontend_commit,
+            backend_commit: deploymentData.backend_commit,
+            custom_domain: deploymentData.custom_domain,
+            env_vars: deploymentData.env_vars || {},
+            frontend_env_vars: deploymentData.frontend_env_vars || {},
+            backend_env_vars: deploymentData.backend_env_vars || {},
+            deploy_strategy: deploymentData.deploy_strategy,
+            status: 'deploying'
+        });
+    }
+
     async deploy(userId, deploymentData, onLog) {
         const logMessage = (message, type = 'info') => {
             console.log(`[${type.toUpperCase()}] ${message}`);
@@ -31,6 +153,9 @@ class DeploymentService {
 
         let deployment;
         let deploymentId;
+        let release;
+        let phases = null;
+        const signal = deploymentData.signal;
 
         try {
             // Check if deployment_id is provided (pre-created deployment)
@@ -45,40 +170,44 @@ class DeploymentService {
                 // 1. Testing override: skip user deployment cap validation.
                 logMessage('✅ User validation skipped (testing mode)', 'info');
 
-                // 2. Generate unique subdomain
-                const existingDeployments = await Deployment.findByUserId(userId);
-                const existingSubdomains = existingDeployments.map(d => d.subdomain);
-                const subdomain = this.subdomainGenerator.generateUnique(existingSubdomains);
-
-                logMessage(`📝 Generated subdomain: ${subdomain}`, 'info');
-
-                // 3. Create deployment record
-                deployment = await Deployment.create({
-                    user_id: userId,
-                    name: deploymentData.name || `Deployment ${subdomain}`,
-                    subdomain,
-                    frontend_repo: deploymentData.frontend_repo,
-                    backend_repo: deploymentData.backend_repo,
-                    frontend_description: deploymentData.frontend_description,
-                    backend_description: deploymentData.backend_description,
-                    custom_domain: deploymentData.custom_domain,
-                    env_vars: deploymentData.env_vars || {},
-                    status: 'deploying'
-                });
+                // 2-3. Generate unique subdomain and create deployment record
+                deployment = await this.createDeploymentRecord(userId, deploymentData);
+
+                logMessage(`📝 Generated subdomain: ${deployment.subdomain}`, 'info');
 
                 deploymentId = deployment.id;
                 logMessage(`📦 Deployment record created: ${deployment.deployment_id}`, 'success');
             }
 
-            // 4. Find free ports
+            // Log helper that includes deployment ID and emits to Socket.IO
+            const log = this.createLogger(userId, deploymentId, logMessage);
+
+            const requested = ['frontend', 'backend']
+                .filter(component => deploymentData[`${component}_repo`] || deployment[`${component}_repo`]);
+            phases = await PhaseTracker.forJob(deployment, { jobId: deploymentData.job_id, jobType: 'deploy', components: requested });
+
+            // The repository config can add a component, so it is read before
+            // anything happens on the server
+            const repoConfig = await this.repoConfig.load(deployment, { components: requested, addComponents: true, log });
+            if (!repoConfig.success) {
+                throw new Error(repoConfig.error);
+            }
+            deployment = repoConfig.deployment;
+            for (const component of repoConfig.added) {
+                await phases.addComponent(component);
+            }
+
+            // 4. Find free ports - static components are served by nginx and need none
             const portsNeeded = [];
-            if (deploymentData.frontend_repo || deployment.frontend_repo) portsNeeded.push('frontend');
-            if (deploymentData.backend_repo || deployment.backend_repo) portsNeeded.push('backend');
+            if ((deploymentData.frontend_repo || deployment.frontend_repo) && !deployment.isStatic('frontend')) portsNeeded.push('frontend');
+            if ((deploymentData.backend_repo || deployment.backend_repo) && !deployment.isStatic('backend')) portsNeeded.push('backend');
+
+            await phases.start('allocating_ports');
 
             const ports = await this.portManager.findMultipleFreePorts(portsNeeded.length);
             
-            const frontend_port = (deploymentData.frontend_repo || deployment.frontend_repo) ? ports[0] : null;
-            const backend_port = (deploymentData.backend_repo || deployment.backend_repo) ? (portsNeeded.length > 1 ? ports[1] : ports[0]) : null;
+            const frontend_port = portsNeeded.includes('frontend') ? ports[0] : null;
+            const backend_port = portsNeeded.includes('backend') ? ports[portsNeeded.indexOf('backend')] : null;
 
             logMessage(`🔌 Allocated ports: Frontend=${frontend_port}, Backend=${backend_port}`, 'info');
 
@@ -91,117 +220,41 @@ class DeploymentService {
                 backend_port,
                 backend_allocated_port: backend_port,
                 backend_actual_port: null,
-                pm2_frontend_name: (deploymentData.frontend_repo || deployment.frontend_repo) ? `user${userId}_${subdomain}_frontend` : null,
-                pm2_backend_name: (deploymentData.backend_repo || deployment.backend_repo) ? `user${userId}_${subdomain}_backend` : null
+                pm2_frontend_name: portsNeeded.includes('frontend') ? `user${userId}_${subdomain}_frontend` : null,
+                pm2_backend_name: portsNeeded.includes('backend') ? `user${userId}_${subdomain}_backend` : null
             });
 
             // Refresh deployment object
             deployment = await Deployment.findById(deploymentId);
 
-            // Log helper that includes deployment ID and emits to Socket.IO
-            const log = (message, type = 'info') => {
-                // Skip empty messages to prevent validation errors
-                if (!message || message.trim() === '') {
-                    return;
-                }
-                
-                logMessage(message, type);
-                DeploymentLog.create(deploymentId, message, type).catch(console.error);
-                
-                // Emit log to user via Socket.IO
-                this.emitToUser(userId, 'log', {
-                    message,
-                    type,
-                    timestamp: new Date().toISOString()
-                });
-            };
-
-            // 6. Deploy frontend if present
-            let frontendResult = null;
-            if (deployment.frontend_repo) {
-                log('🚀 Deploying frontend...', 'info');
-                
-                frontendResult = await this.clawdBot.deploy(
-                    deploymentId,
-                    deployment.frontend_repo,
-                    frontend_port,
-                    `${subdomain}.${process.env.BASE_DOMAIN}`,
-                    deployment.pm2_frontend_name,
-                    deployment.env_vars || {},
-                    log
-                );
-
-                if (frontendResult.success) {
-                    // Get actual port detected by the 3-method detection system
-                    const actualPort = frontendResult.actualPort || frontendResult.port;
-                    const allocatedPort = frontendResult.allocatedPort || frontend_port;
-                    
-                    if (frontendResult.portChanged) {
-                        log(`⚠️ Port mismatch detected:`, 'warning');
-                        log(`   Allocated: ${allocatedPort} → Actual: ${actualPort}`, 'warning');
-                    }
-                    
-                    log(`🔌 Frontend running on port: ${actualPort} (allocated: ${allocatedPort})`, 'info');
-                    
-                    // Create nginx config pointing to ACTUAL port (not allocated)
-                    const nginxResult = await this.nginxManager.createSubdomainConfig(subdomain, actualPort, false);
-                    
-                    // Update deployment with both ports
-                    await Deployment.update(deploymentId, {
-                        frontend_url: nginxResult.url,
-                        frontend_port: actualPort,              // Actual port for backwards compatibility
-                        frontend_allocated_port: allocatedPort, // Port we tried to allocate
-                        frontend_actual_port: actualPort        // Port app is actually using
-                    });
-
-                    log(`✅ Frontend deployed: ${nginxResult.url} (port ${actualPort})`, 'success');
-                } else {
-                    log(`❌ Frontend deployment failed: ${frontendResult.error}`, 'error');
-                }
-            }
+            release = await Release.start({
+                deploymentId,
+                userId,
+                type: 'deploy',
+                triggeredBy: deploymentData.trigger,
+                jobId: deploymentData.job_id,
+                envVars: deployment.getEnvSnapshot()
+            });
 
-            // 7. Deploy backend if present
+            // 6. Deploy backend if present - first, so the frontend is built
+            // against a live API URL
             let backendResult = null;
             if (deployment.backend_repo) {
                 log('🚀 Deploying backend...', 'info');
-                
-                backendResult = await this.clawdBot.deploy(
-                    deploymentId,
-                    deployment.backend_repo,
-                    backend_port,
-                    `${subdomain}-api.${process.env.BASE_DOMAIN}`,
-                    deployment.pm2_backend_name,
-                    deployment.env_vars || {},
-                    log
-                );
-
-                if (backendResult.success) {
-                    // Get actual port detected by the 3-method detection system
-                    const actualPort = backendResult.actualPort || backendResult.port;
-                    const allocatedPort = backendResult.allocatedPort || backend_port;
-                    
-                    if (backendResult.portChanged) {
-                        log(`⚠️ Backend port mismatch detected:`, 'warning');
-                        log(`   Allocated: ${allocatedPort} → Actual: ${actualPort}`, 'warning');
-                    }
-                    
-                    log(`🔌 Backend running on port: ${actualPort} (allocated: ${allocatedPort})`, 'info');
-                    
-                    // Create nginx config pointing to ACTUAL port (not allocated)
-                    const nginxResult = await this.nginxManager.createSubdomainConfig(subdomain, actualPort, true);
-                    
-                    // Update deployment with both ports
-                    await Deployment.update(deploymentId, {
-                        backend_url: nginxResult.url,
-                        backend_port: actualPort,              // Actual port for backwards compatibility
-                        backend_allocated_port: allocatedPort, // Port we tried to allocate
-                        backend_actual_port: actualPort        // Port app is actually using
-                    });
+                backendResult = await this.deployComponent(deployment, 'backend', backend_port, log, { release, signal, phases });
+                deployment = await Deployment.findById(deploymentId);
+            }
 
-                    log(`✅ Backend deployed: ${nginxResult.url} (port ${actualPort})`, 'success');
-                } else {
-                    log(`❌ Backend deployment failed: ${backendResult.error}`, 'error');
-                }
+            // 7. Deploy frontend if present
+            let frontendResult = null;
+            if (deployment.frontend_repo && !signal?.aborted) {
+                log('🚀 Deploying frontend...', 'info');
+                frontendResult = await this.deployComponent(deployment, 'frontend', frontend_port, log, { release, signal, phases });
+            }
+
+            // The job queue cleans up and reports a cancelled deploy
+            if (signal?.aborted) {
+                return { success: false, cancelled: true, deployment: await Deployment.findById(deploymentId) };
             }
 
             // 8. Update deployment status
@@ -209,6 +262,8 @@ class DeploymentService {
                                     (backendResult === null || backendResult.success);
 
             await Deployment.updateStatus(deploymentId, overallSuccess ? 'deployed' : 'failed');
+            await Release.finish(release.id, overallSuccess ? 'succeeded' : 'failed');
+            await phases.finish(overallSuccess, overallSuccess ? null : 'Deployment completed with errors');
 
             if (overallSuccess) {
                 log('🎉 Deployment completed successfully!', 'success');
@@ -266,6 +321,13 @@ class DeploymentService {
 
         } catch (error) {
             logMessage(`❌ Deployment error: ${error.message}`, 'error');
+
+            if (release) {
+                await Release.finish(release.id, 'failed', error.message).catch(console.error);
+            }
+            if (phases) {
+                await phases.finish(false, error.message).catch(console.error);
+            }
             
             // Emit error to user via Socket.IO
             this.emitToUser(userId, 'status', {
@@ -298,7 +360,1111 @@ class DeploymentService {
         }
     }
 
-    async stopDeployment(deploymentId) {
+    // Log helper that persists to DeploymentLog and emits to Socket.IO
+    createLogger(userId, deploymentId, logMessage) {
+        return (message, type = 'info') => {
+            // Skip empty messages to prevent validation errors
+            if (!message || message.trim() === '') {
+                return;
+            }
+
+            if (logMessage) {
+                logMessage(message, type);
+            } else {
+                console.log(`[${type.toUpperCase()}] ${message}`);
+            }
+            DeploymentLog.create(deploymentId, message, type).catch(console.error);
+
+            this.emitToUser(userId, 'log', {
+                message,
+                type,
+                timestamp: new Date().toISOString()
+            });
+        };
+    }
+
+    getComponentDomain(subdomain, isBackend) {
+        return isBackend
+            ? `${subdomain}-api.${process.env.BASE_DOMAIN}`
+            : `${subdomain}.${process.env.BASE_DOMAIN}`;
+    }
+
+    // Where a component is served, also before its first deploy
+    getComponentUrl(deployment, component) {
+        if (deployment[`${component}_url`]) {
+            return deployment[`${component}_url`];
+        }
+        const protocol = process.env.ENABLE_SSL === 'false' ? 'http' : 'https';
+        return `${protocol}://${this.getComponentDomain(deployment.subdomain, component === 'backend')}`;
+    }
+
+    getApiUrlEnvNames(deployment) {
+        return deployment.getComponentSetting('frontend', 'api_url_env_names')
+            || (process.env.API_URL_ENV_NAMES || DEFAULT_API_URL_ENV_NAMES).split(',').map(name => name.trim()).filter(Boolean);
+    }
+
+    // Variables a component is deployed with. When the deployment has both
+    // components the frontend learns the backend URL and the backend allows
+    // the frontend's origins in CORS_ORIGIN. Variables the user set win.
+    getComponentEnv(deployment, component) {
+        const env = deployment.getEnvFor(component);
+        if (!deployment.frontend_repo || !deployment.backend_repo) {
+            return env;
+        }
+
+        if (component === 'frontend') {
+            const apiUrl = this.getComponentUrl(deployment, 'backend');
+            for (const name of this.getApiUrlEnvNames(deployment)) {
+                if (env[name] === undefined) {
+                    env[name] = apiUrl;
+                }
+            }
+            return env;
+        }
+
+        const origins = [
+            this.getComponentUrl(deployment, 'frontend'),
+            ...(deployment.custom_domains || [])
+                .filter(entry => entry.component === 'frontend' && entry.status === 'active' && entry.url)
+                .map(entry => entry.url)
+        ];
+        const configured = String(env.CORS_ORIGIN || '').split(',').map(origin => origin.trim()).filter(Boolean);
+        env.CORS_ORIGIN = [...new Set([...configured, ...origins])].join(',');
+        return env;
+    }
+
+    // How to clone a component: its deploy token or key, or for a private GitHub
+    // repository the owner's GitHub token. The token is only handed to the
+    // clone command's environment, for the length of the clone.
+    // Returns { credentials } or { error } when the repository cannot be read.
+    async getCloneCredentials(deployment, component) {
+        const credentials = deployment.getGitCredentials(component);
+        const repository = githubService.parseRepositoryUrl(deployment[`${component}_repo`]);
+        if (credentials || repository?.protocol !== 'https') {
+            return { credentials };
+        }
+
+        const user = await User.findById(deployment.user_id);
+        if (!user?.github_access_token) {
+            return { credentials: null };
+        }
+
+        const access = await githubService.checkRepositoryAccess(user.github_access_token, repository.owner, repository.repo);
+        if (access.error) {
+            return { error: access.error };
+        }
+        // Public repositories are cloned anonymously
+        if (access.private === false) {
+            return { credentials: null };
+        }
+        return { credentials: { type: 'token', source: 'github', token: user.github_access_token } };
+    }
+
+    // Run the component's pre_deploy or post_deploy hooks in the directory of
+    // appName. A failure carries abort unless hook_failure is 'continue'.
+    async runDeployHooks(deployment, component, hook, appName, log) {
+        const commands = deployment.getComponentSetting(component, hook) || [];
+        if (commands.length === 0) {
+            return { success: true };
+        }
+
+        const abort = deployment.getComponentSetting(component, 'hook_failure') !== 'continue';
+        const dir = await this.clawdBot.getComponentDirectory(appName, deployment.getComponentSetting(component, 'root_directory'));
+        const result = dir
+            ? await this.clawdBot.runHooks(hook, commands, dir, {
+                nodeVersion: deployment.getComponentSetting(component, 'node_version'),
+                timeoutSeconds: deployment.getComponentSetting(component, 'hook_timeout') || this.hookTimeout,
+                logMessage: log
+            })
+            : { success: false, error: `No app directory found for ${appName} to run ${hook} hooks in` };
+
+        if (result.success) {
+            log(`✅ ${component} ${hook} hooks finished`, 'success');
+            return result;
+        }
+        if (!abort) {
+            log(`⚠️ ${result.error} - continuing (hook_failure: continue)`, 'warning');
+            return { ...result, abort: false };
+        }
+        return { ...result, abort: true };
+    }
+
+    // Run ClawdBot for one component and point nginx at the port it ends up on.
+    // With reuseRouting the existing nginx config is kept and only repointed
+    // when the detected port differs from the one currently routed.
+    async deployComponent(deployment, component, port, log, options = {}) {
+        if (deployment.isStatic(component)) {
+            return await this.deployStaticComponent(deployment, component, log, options);
+        }
+
+        const isBackend = component === 'backend';
+        const label = isBackend ? 'Backend' : 'Frontend';
+        const deploymentId = deployment.id;
+        const phases = options.phases;
+        const onPhase = phases ? (name) => phases.start(name, component).catch(console.error) : null;
+
+        const git = await this.getCloneCredentials(deployment, component);
+        let result = git.error ? { success: false, error: git.error } : await this.clawdBot.deploy(
+            deploymentId,
+            deployment[`${component}_repo`],
+            port,
+            this.getComponentDomain(deployment.subdomain, isBackend),
+            deployment[`pm2_${component}_name`],
+            this.getComponentEnv(deployment, component),
+            log,
+            {
+                branch: deployment[`${component}_branch`],
+                commit: deployment[`${component}_commit`] || options.commit,
+                credentials: git.credentials,
+                limits: await this.getProcessLimits(deployment),
+                rootDirectory: deployment.getComponentSetting(component, 'root_directory'),
+                commands: deployment.getBuildCommands(component),
+                signal: options.signal,
+                onPhase
+            }
+        );
+
+        // Redeploys with pre_deploy hooks and a live process go blue/green, so
+        // here the new version either has nothing to replace or is not routed yet
+        if (result.success) {
+            const hooks = await this.runDeployHooks(deployment, component, 'pre_deploy', deployment[`pm2_${component}_name`], log);
+            if (hooks.abort) {
+                result = { ...result, success: false, error: hooks.error };
+            }
+        }
+
+        if (result.success) {
+            const healthCheck = deployment.getHealthCheck(component);
+            log(`🩺 Health-checking ${label.toLowerCase()} at ${healthCheck.path}...`, 'info');
+            const health = await this.clawdBot.checkHttpHealth(result.actualPort || result.port, log, healthCheck);
+            await Deployment.recordHealth(deploymentId, component, health);
+            if (!health.success) {
+                result = { ...result, success: false, error: `Health check on ${healthCheck.path} failed: ${health.error}` };
+            }
+        }
+
+        if (!result.success) {
+            await phases?.fail(component, result.cancelled ? 'Cancelled by user' : result.error);
+            log(result.cancelled ? `🛑 ${label} deployment cancelled` : `❌ ${label} deployment failed: ${result.error}`,
+                result.cancelled ? 'warning' : 'error');
+            if (options.release) {
+                await Release.addComponent(options.release.id, {
+                    component,
+                    status: 'failed',
+                    error: result.error,
+                    pm2_name: deployment[`pm2_${component}_name`],
+                    allocated_port: port
+                });
+            }
+            // Nothing routes to a process that failed its first deploy (or took
+            // over from static files), so it is not left running on its port.
+            // A cancelled job is cleaned up by cleanupCancelled.
+            if (!result.cancelled && (!deployment[`${component}_url`] || deployment[`${component}_web_root`])) {
+                await this.discardUnroutedProcess(deployment, component, port, log);
+            }
+            return result;
+        }
+
+        // Get actual port detected by the 3-method detection system
+        const actualPort = result.actualPort || result.port;
+        const allocatedPort = result.allocatedPort || port;
+
+        if (result.portChanged) {
+            log(`⚠️ ${isBackend ? 'Backend port' : 'Port'} mismatch detected:`, 'warning');
+            log(`   Allocated: ${allocatedPort} → Actual: ${actualPort}`, 'warning');
+        }
+
+        log(`🔌 ${label} running on port: ${actualPort} (allocated: ${allocatedPort})`, 'info');
+
+        let url = deployment[`${component}_url`];
+        const routedPort = deployment[`${component}_actual_port`] || deployment[`${component}_port`];
+        const webRoot = deployment[`${component}_web_root`];
+        const hibernated = deployment.hibernation?.components?.includes(component);
+
+        if (url && webRoot) {
+            // Served as static files until now
+            log(`🌐 Switching ${label.toLowerCase()} from static files to port ${actualPort}`, 'info');
+            await phases?.start('routing', component);
+            const nginxResult = await this.nginxManager.replaceSubdomainUpstream(deployment.subdomain, actualPort, isBackend);
+            url = nginxResult.url;
+            await this.replaceCustomDomainUpstreams(deployment, component, actualPort, log);
+            await this.clawdBot.deleteWebRoot(webRoot).catch(console.error);
+        } else if (url && hibernated) {
+            // Visitors were being sent to the wake endpoint
+            log(`🌐 ${label} was hibernated - routing it to port ${actualPort} again`, 'info');
+            await phases?.start('routing', component);
+            const nginxResult = await this.nginxManager.replaceSubdomainUpstream(deployment.subdomain, actualPort, isBackend);
+            url = nginxResult.url;
+            await this.replaceCustomDomainUpstreams(deployment, component, actualPort, log);
+        } else if (options.reuseRouting && url && routedPort === actualPort) {
+            log(`🌐 Port unchanged - keeping existing nginx config for ${label.toLowerCase()}`, 'info');
+        } else if (options.reuseRouting && url) {
+            log(`🌐 Port changed (${routedPort} → ${actualPort}) - updating nginx config`, 'info');
+            await phases?.start('routing', component);
+            await this.nginxManager.updateSubdomainPort(deployment.subdomain, actualPort, isBackend);
+        } else {
+            // Create nginx config pointing to ACTUAL port (not allocated)
+            const nginxResult = await this.nginxManager.createSubdomainConfig(deployment.subdomain, actualPort, isBackend, onPhase);
+            url = nginxResult.url;
+        }
+
+        if (routedPort && routedPort !== actualPort && !webRoot && !hibernated) {
+            await this.updateCustomDomainPorts(deployment, component, actualPort, log);
+        }
+        if (hibernated) {
+            await Deployment.clearHibernated(deploymentId, component);
+        }
+        await phases?.completeComponent(component);
+
+        // Update deployment with both ports and the commit that is now live
+        await Deployment.update(deploymentId, {
+            [`${component}_url`]: url,
+            [`${component}_web_root`]: null,
+            [`${component}_port`]: actualPort,              // Actual port for backwards compatibility
+            [`${component}_allocated_port`]: allocatedPort, // Port we tried to allocate
+            [`${component}_actual_port`]: actualPort,       // Port app is actually using
+            [`${component}_deployed_commit`]: result.commitSha || null,
+            ...this.getLimitFields(component, result.limits)
+        });
+        await this.applyRepoConfig(deployment, component, log);
+
+        log(`✅ ${label} deployed: ${url} (port ${actualPort})`, 'success');
+        if (result.commitSha) {
+            log(`🔖 ${label} commit: ${result.commitSha}`, 'info');
+        }
+
+        if (options.release) {
+            await this.recordReleaseComponent(options.release, deployment, component, {
+                ...result,
+                allocatedPort,
+                actualPort,
+                url
+            }, log);
+        }
+
+        // Already serving, so a failure can only fail the deploy
+        const postDeploy = await this.runDeployHooks(deployment, component, 'post_deploy', deployment[`pm2_${component}_name`], log);
+        if (postDeploy.abort) {
+            log(`❌ ${label} deployment failed: ${postDeploy.error}`, 'error');
+            return { ...result, success: false, error: postDeploy.error };
+        }
+
+        return result;
+    }
+
+    // Remove the PM2 process of a failed component that never received
+    // traffic and give its port back
+    async discardUnroutedProcess(deployment, component, port, log) {
+        const appName = deployment[`pm2_${component}_name`];
+        const rootDirectory = deployment.getComponentSetting(component, 'root_directory');
+        const removed = await this.clawdBot.retireProcess(appName, null, rootDirectory).catch(() => false);
+        if (!removed) {
+            log(`⚠️ Could not remove ${appName} after the failed deploy`, 'warning');
+        }
+        if (port) {
+            this.portManager.releasePort(port);
+        }
+        await Deployment.update(deployment.id, {
+            [`${component}_port`]: null,
+            [`${component}_allocated_port`]: null,
+            [`${component}_actual_port`]: null
+        });
+    }
+
+    // Build a static component and point nginx at its web root. No port or PM2
+    // process is involved; one left from when the component ran as an app is removed.
+    async deployStaticComponent(deployment, component, log, options = {}) {
+        const isBackend = component === 'backend';
+        const label = isBackend ? 'Backend' : 'Frontend';
+        const deploymentId = deployment.id;
+        const phases = options.phases;
+        const onPhase = phases ? (name) => phases.start(name, component).catch(console.error) : null;
+        const rootDirectory = deployment.getComponentSetting(component, 'root_directory');
+        const webRoot = this.clawdBot.getWebRoot(deployment.subdomain, component);
+
+        const git = await this.getCloneCredentials(deployment, component);
+        const result = git.error ? { success: false, error: git.error } : await this.clawdBot.deployStatic(
+            deploymentId,
+            deployment[`${component}_repo`],
+            webRoot,
+            `${deployment.subdomain}_${component}`,
+            this.getComponentEnv(deployment, component),
+            log,
+            {
+                branch: deployment[`${component}_branch`],
+                commit: deployment[`${component}_commit`] || options.commit,
+                credentials: git.credentials,
+                rootDirectory,
+                commands: {
+                    install_command: deployment.getComponentSetting(component, 'install_command'),
+                    build_command: deployment.getComponentSetting(component, 'build_command'),
+                    node_version: deployment.getComponentSetting(component, 'node_version')
+                },
+                outputDirectory: deployment.getComponentSetting(component, 'output_directory') || 'dist',
+                signal: options.signal,
+                onPhase
+            }
+        );
+
+        if (!result.success) {
+            await phases?.fail(component, result.cancelled ? 'Cancelled by user' : result.error);
+            log(result.cancelled ? `🛑 ${label} deployment cancelled` : `❌ ${label} deployment failed: ${result.error}`,
+                result.cancelled ? 'warning' : 'error');
+            if (options.release) {
+                await Release.addComponent(options.release.id, {
+                    component,
+                    status: 'failed',
+                    error: result.error
+                });
+            }
+            return result;
+        }
+
+        const upstream = { root: webRoot };
+        let url = deployment[`${component}_url`];
+        if (url && deployment[`${component}_web_root`] === webRoot) {
+            log(`🌐 Static files replaced - keeping existing nginx config for ${label.toLowerCase()}`, 'info');
+        } else if (url) {
+            log(`🌐 Switching ${label.toLowerCase()} to static files`, 'info');
+            await phases?.start('routing', component);
+            const nginxResult = await this.nginxManager.replaceSubdomainUpstream(deployment.subdomain, upstream, isBackend);
+            url = nginxResult.url;
+            await this.replaceCustomDomainUpstreams(deployment, component, upstream, log);
+        } else {
+            const nginxResult = await this.nginxManager.createSubdomainConfig(deployment.subdomain, upstream, isBackend, onPhase);
+            url = nginxResult.url;
+        }
+
+        if (deployment.hibernation?.components?.includes(component)) {
+            await Deployment.clearHibernated(deploymentId, component);
+        }
+
+        const previousApp = deployment[`pm2_${component}_name`];
+        if (previousApp) {
+            log(`🧹 Removing ${previousApp} - the ${label.toLowerCase()} is now served as static files`, 'info');
+            await this.clawdBot.deleteDeployment(previousApp, deploymentId, rootDirectory);
+            const previousPort = deployment[`${component}_actual_port`] || deployment[`${component}_port`];
+            if (previousPort) {
+                this.portManager.releasePort(previousPort);
+            }
+        }
+        await phases?.completeComponent(component);
+
+        await Deployment.update(deploymentId, {
+            [`${component}_url`]: url,
+            [`${component}_web_root`]: webRoot,
+            [`pm2_${component}_name`]: null,
+            [`${component}_port`]: null,
+            [`${component}_allocated_port`]: null,
+            [`${component}_actual_port`]: null,
+            [`${component}_deployed_commit`]: result.commitSha || null
+        });
+        await this.applyRepoConfig(await Deployment.findById(deploymentId), component, log);
+
+        log(`✅ ${label} deployed: ${url} (static)`, 'success');
+        if (result.commitSha) {
+            log(`🔖 ${label} commit: ${result.commitSha}`, 'info');
+        }
+
+        if (options.release) {
+            await Release.addComponent(options.release.id, {
+                component,
+                status: 'succeeded',
+                commit_sha: result.commitSha || null,
+                url
+            });
+        }
+
+        return result;
+    }
+
+    // Undo what a cancelled job left behind: the remote ClawdBot run,
+    // half-started PM2 processes and the ports allocated for them
+    async cleanupCancelled(deploymentId, jobType) {
+        const deployment = await Deployment.findById(deploymentId);
+        if (!deployment) {
+            return;
+        }
+
+        for (const component of ['frontend', 'backend']) {
+            const appName = deployment[`pm2_${component}_name`];
+            if (!appName) {
+                continue;
+            }
+
+            const shadowName = this.getShadowName(appName);
+            await this.clawdBot.killDeployer(appName);
+            await this.clawdBot.killDeployer(shadowName);
+
+            const liveDir = await this.clawdBot.getAppDirectory(appName);
+            const rootDirectory = deployment.getComponentSetting(component, 'root_directory');
+
+            if (jobType === 'deploy') {
+                // Nothing was live before a first deploy
+                await this.clawdBot.retireProcess(appName, null, rootDirectory).catch(() => false);
+                const port = deployment[`${component}_port`];
+                if (port) {
+                    this.portManager.releasePort(port);
+                }
+            } else if (liveDir && !(await this.clawdBot.checkDeploymentStatus(appName)).running) {
+                // An in-place redeploy that never came up
+                await this.clawdBot.retireProcess(appName, liveDir, rootDirectory).catch(() => false);
+            }
+
+            if (await this.clawdBot.getAppDirectory(shadowName)) {
+                await this.clawdBot.retireProcess(shadowName, liveDir, rootDirectory).catch(() => false);
+            }
+        }
+
+        if (jobType === 'deploy') {
+            await Deployment.update(deploymentId, {
+                frontend_port: null,
+                frontend_allocated_port: null,
+                frontend_actual_port: null,
+                backend_port: null,
+                backend_allocated_port: null,
+                backend_actual_port: null
+            });
+        }
+    }
+
+    // Custom domains proxy to the same port as the component's own subdomain
+    async updateCustomDomainPorts(deployment, component, port, log) {
+        const domains = (deployment.custom_domains || [])
+            .filter(entry => entry.component === component && entry.status === 'active');
+
+        for (const entry of domains) {
+            try {
+                await this.nginxManager.updateDomainPort(entry.domain, port);
+                log(`🌍 ${entry.domain} now points to port ${port}`, 'info');
+            } catch (error) {
+                log(`⚠️ Could not update nginx for ${entry.domain}: ${error.message}`, 'warning');
+            }
+        }
+    }
+
+    // Custom domains follow the component when it switches between an app and static files
+    async replaceCustomDomainUpstreams(deployment, component, upstream, log) {
+        const domains = (deployment.custom_domains || [])
+            .filter(entry => entry.component === component && entry.status === 'active');
+
+        for (const entry of domains) {
+            try {
+                await this.nginxManager.replaceDomainUpstream(entry.domain, upstream);
+                log(`🌍 ${entry.domain} switched along with the ${component}`, 'info');
+            } catch (error) {
+                log(`⚠️ Could not update nginx for ${entry.domain}: ${error.message}`, 'warning');
+            }
+        }
+    }
+
+    // Redirects and cron jobs from the repository config, for a component that
+    // was just deployed
+    async applyRepoConfig(deployment, component, log) {
+        const config = deployment.repo_config;
+        if (!config) {
+            return;
+        }
+
+        const redirects = (config.redirects || []).filter(redirect => redirect.component === component);
+        const hosts = [
+            this.getComponentDomain(deployment.subdomain, component === 'backend'),
+            ...(deployment.custom_domains || [])
+                .filter(entry => entry.component === component && entry.status === 'active')
+                .map(entry => entry.domain)
+        ];
+        for (const host of hosts) {
+            try {
+                await this.nginxManager.updateRedirects(host, redirects);
+                if (redirects.length > 0) {
+                    log(`↪️ ${redirects.length} redirect(s) active on ${host}`, 'info');
+                }
+            } catch (error) {
+                log(`⚠️ Could not update redirects for ${host}: ${error.message}`, 'warning');
+            }
+        }
+
+        let jobs = (config.cron || []).filter(job => job.component === component);
+        if (jobs.length > 0 && deployment.isStatic(component)) {
+            log(`⚠️ Skipping ${jobs.length} cron job(s): the ${component} is a static site with no working directory`, 'warning');
+            jobs = [];
+        }
+        const cron = await this.clawdBot.installCronJobs(
+            this.getCronName(deployment, component),
+            deployment[`pm2_${component}_name`],
+            jobs,
+            deployment.getComponentSetting(component, 'root_directory')
+        );
+        if (!cron.success) {
+            log(`⚠️ Could not install cron jobs for ${component}: ${cron.error}`, 'warning');
+        } else if (jobs.length > 0) {
+            log(`⏰ Installed ${jobs.length} cron job(s) for ${component}`, 'info');
+        }
+    }
+
+    getCronName(deployment, component) {
+        return `clawdeploy-${deployment.subdomain}-${component}`;
+    }
+
+    // Blue/green needs a live process and an nginx site to switch over from.
+    // Components with pre_deploy hooks always take this path when they can:
+    // in place, PM2 would replace the live process before the hooks run.
+    async canSwitchBlueGreen(deployment, component, strategy) {
+        const preDeploy = deployment.getComponentSetting(component, 'pre_deploy') || [];
+        if (strategy !== 'blue_green' && preDeploy.length === 0) {
+            return false;
+        }
+
+        // A hibernated component has no live process and its site points at the wake endpoint
+        const liveName = deployment[`pm2_${component}_name`];
+        if (!liveName || !deployment[`${component}_url`] || deployment.hibernation?.components?.includes(component)) {
+            return false;
+        }
+
+        const status = await this.clawdBot.checkDeploymentStatus(liveName);
+        return status.running;
+    }
+
+    // Blue/green slots alternate between the base PM2 name and a "_green" twin
+    getShadowName(appName) {
+        return appName.endsWith('_green') ? appName.slice(0, -'_green'.length) : `${appName}_green`;
+    }
+
+    // Start the new version next to the live one under a shadow PM2 name and a
+    // fresh port, then switch nginx over once it is healthy. Until the switch
+    // the live process is never touched, so any failure leaves it serving.
+    async deployComponentBlueGreen(deployment, component, log, options = {}) {
+        const isBackend = component === 'backend';
+        const label = isBackend ? 'Backend' : 'Frontend';
+        const deploymentId = deployment.id;
+        const liveName = deployment[`pm2_${component}_name`];
+        const livePort = deployment[`${component}_actual_port`] || deployment[`${component}_port`];
+        const shadowName = this.getShadowName(liveName);
+        const liveDir = await this.clawdBot.getAppDirectory(liveName);
+        const rootDirectory = deployment.getComponentSetting(component, 'root_directory');
+        const phases = options.phases;
+        let port = null;
+
+        const fail = async (error) => {
+            await phases?.fail(component, error);
+            log(`❌ ${label} blue/green deploy failed: ${error}`, 'error');
+            log(`↩️ ${label} is still served by ${liveName} on port ${livePort}`, 'warning');
+            await this.clawdBot.retireProcess(shadowName, liveDir, rootDirectory).catch(() => {});
+            if (port) {
+                this.portManager.releasePort(port);
+            }
+            if (options.release) {
+                await Release.addComponent(options.release.id, {
+                    component,
+                    status: 'failed',
+                    error,
+                    pm2_name: shadowName
+                });
+            }
+            return { success: false, error, previousVersionServing: true };
+        };
+
+        // Leftover from an earlier attempt that never got switched in
+        if (await this.clawdBot.getAppDirectory(shadowName)) {
+            log(`🧹 Removing stale ${shadowName} from an earlier attempt`, 'info');
+            await this.clawdBot.retireProcess(shadowName, liveDir, rootDirectory);
+        }
+
+        port = await this.portManager.findFreePort();
+        log(`🟢 Starting new ${label.toLowerCase()} as ${shadowName} on port ${port} (live: ${liveName} on ${livePort})`, 'info');
+
+        const git = await this.getCloneCredentials(deployment, component);
+        const result = git.error ? { success: false, error: git.error } : await this.clawdBot.deploy(
+            deploymentId,
+            deployment[`${component}_repo`],
+            port,
+            this.getComponentDomain(deployment.subdomain, isBackend),
+            shadowName,
+            this.getComponentEnv(deployment, component),
+            log,
+            {
+                branch: deployment[`${component}_branch`],
+                commit: deployment[`${component}_commit`] || options.commit,
+                credentials: git.credentials,
+                limits: await this.getProcessLimits(deployment),
+                rootDirectory: deployment.getComponentSetting(component, 'root_directory'),
+                commands: deployment.getBuildCommands(component),
+                signal: options.signal,
+                onPhase: phases ? (name) => phases.start(name, component).catch(console.error) : null
+            }
+        );
+
+        if (!result.success) {
+            return await fail(result.error);
+        }
+
+        const actualPort = result.actualPort || result.port;
+        const allocatedPort = result.allocatedPort || port;
+
+        if (actualPort === livePort) {
+            return await fail(`New version came up on the live port ${actualPort}`);
+        }
+
+        const healthCheck = deployment.getHealthCheck(component);
+        log(`🩺 Health-checking ${shadowName} on port ${actualPort}${healthCheck.path}...`, 'info');
+        const health = await this.clawdBot.checkHttpHealth(actualPort, log, healthCheck);
+        if (!health.success) {
+            return await fail(health.error);
+        }
+
+        // Never switch traffic to a version whose deploy was cancelled
+        if (options.signal?.aborted) {
+            return await fail('Deployment cancelled');
+        }
+
+        // e.g. migrations, while the previous version still serves
+        const preDeploy = await this.runDeployHooks(deployment, component, 'pre_deploy', shadowName, log);
+        if (preDeploy.abort) {
+            return await fail(preDeploy.error);
+        }
+
+        let url = deployment[`${component}_url`];
+        try {
+            log(`🔀 Switching nginx from port ${livePort} to ${actualPort}...`, 'info');
+            await phases?.start('routing', component);
+            const nginxResult = await this.nginxManager.updateSubdomainPort(deployment.subdomain, actualPort, isBackend);
+            url = nginxResult.url;
+        } catch (error) {
+            return await fail(`nginx switch failed: ${error.message}`);
+        }
+        await this.updateCustomDomainPorts(deployment, component, actualPort, log);
+
+        // The previous version is still running, so a failure switches back to it
+        const postDeploy = await this.runDeployHooks(deployment, component, 'post_deploy', shadowName, log);
+        if (postDeploy.abort) {
+            log(`🔀 Switching nginx back to ${liveName} on port ${livePort}...`, 'warning');
+            try {
+                await this.nginxManager.updateSubdomainPort(deployment.subdomain, livePort, isBackend);
+            } catch (error) {
+                log(`⚠️ Could not switch back to port ${livePort}: ${error.message}`, 'warning');
+            }
+            await this.updateCustomDomainPorts(deployment, component, livePort, log);
+            return await fail(postDeploy.error);
+        }
+        await phases?.completeComponent(component);
+
+        await Deployment.update(deploymentId, {
+            [`pm2_${component}_name`]: shadowName,
+            [`${component}_url`]: url,
+            [`${component}_port`]: actualPort,
+            [`${component}_allocated_port`]: allocatedPort,
+            [`${component}_actual_port`]: actualPort,
+            [`${component}_deployed_commit`]: result.commitSha || null,
+            ...this.getLimitFields(component, result.limits)
+        });
+        // The live version is the one that just passed the health check
+        await Deployment.recordHealth(deploymentId, component, health);
+        await this.applyRepoConfig(await Deployment.findById(deploymentId), component, log);
+
+        log(`✅ ${label} switched to ${shadowName}: ${url} (port ${actualPort})`, 'success');
+        if (result.commitSha) {
+            log(`🔖 ${label} commit: ${result.commitSha}`, 'info');
+        }
+
+        // Let in-flight requests on the old upstream finish before removing it
+        const drainMs = parseInt(process.env.BLUE_GREEN_DRAIN_MS || '10000');
+        await new Promise(resolve => setTimeout(resolve, drainMs));
+
+        log(`🔵 Removing previous ${label.toLowerCase()} process ${liveName}`, 'info');
+        const newDir = await this.clawdBot.getAppDirectory(shadowName);
+        const retired = await this.clawdBot.retireProcess(liveName, newDir, rootDirectory).catch(() => false);
+        if (!retired) {
+            log(`⚠️ Could not remove ${liveName} - it no longer receives traffic`, 'warning');
+        }
+        this.portManager.releasePort(livePort);
+
+        if (options.release) {
+            await this.recordReleaseComponent(options.release, await Deployment.findById(deploymentId), component, {
+                ...result,
+                allocatedPort,
+                actualPort,
+                url
+            }, log);
+        }
+
+        return { ...result, appName: shadowName };
+    }
+
+    // Snapshot the component's build so the release can be rolled back to
+    async recordReleaseComponent(release, deployment, component, result, log) {
+        const appName = deployment[`pm2_${component}_name`];
+        const snapshot = await this.clawdBot.snapshotRelease(appName, release.id);
+
+        if (snapshot.success) {
+            log(`📸 Saved ${component} build as release #${release.number}`, 'info');
+        } else {
+            log(`⚠️ Could not snapshot ${component} build - rollback to this release will be unavailable: ${snapshot.error}`, 'warning');
+        }
+
+        await Release.addComponent(release.id, {
+            component,
+            status: 'succeeded',
+            pm2_name: appName,
+            commit_sha: result.commitSha || null,
+            allocated_port: result.allocatedPort,
+            actual_port: result.actualPort,
+            url: result.url,
+            app_dir: snapshot.appDir,
+            snapshot_path: snapshot.snapshotPath,
+            pm2_script: snapshot.script,
+            pm2_args: snapshot.args,
+            pm2_interpreter: snapshot.interpreter
+        });
+
+        if (snapshot.success) {
+            await this.pruneReleaseSnapshots(deployment.id, appName);
+        }
+    }
+
+    // Keep only the newest RELEASE_RETENTION snapshots per PM2 process
+    async pruneReleaseSnapshots(deploymentId, appName) {
+        try {
+            const releases = await Release.findSnapshots(deploymentId, appName);
+
+            for (const release of releases.slice(this.releaseRetention)) {
+                const component = release.components.find(c => c.pm2_name === appName);
+                await this.clawdBot.deleteReleaseSnapshot(component.snapshot_path);
+                await Release.clearSnapshot(release._id, appName);
+            }
+        } catch (error) {
+            console.error(`⚠️ Failed to prune release snapshots for ${appName}:`, error.message);
+        }
+    }
+
+    // Ship a new commit to an existing deployment, keeping its subdomain,
+    // PM2 names, ports and nginx config. options.commit (a pushed commit)
+    // is deployed instead of the branch head, unless a component is pinned.
+    async redeploy(userId, deploymentId, options = {}) {
+        let deployment = await Deployment.findById(deploymentId);
+        if (!deployment) {
+            throw new Error('Deployment not found');
+        }
+
+        const log = this.createLogger(userId, deployment.id);
+        // Backend first so a frontend redeployed alongside it builds against the new API
+        const requested = options.components || ['frontend', 'backend'];
+        const components = ['backend', 'frontend']
+            .filter(component => requested.includes(component) && deployment[`${component}_repo`]);
+
+        if (components.length === 0) {
+            throw new Error('Nothing to redeploy for the selected target');
+        }
+
+        const strategy = options.strategy || deployment.deploy_strategy;
+
+        const release = await Release.start({
+            deploymentId: deployment.id,
+            userId,
+            type: 'redeploy',
+            triggeredBy: options.trigger,
+            jobId: options.job_id,
+            envVars: deployment.getEnvSnapshot()
+        });
+
+        let phases = null;
+        const results = {};
+        // Component being replaced in place, whose previous version may be gone
+        let replacing = null;
+        try {
+            phases = await PhaseTracker.forJob(deployment, { jobId: options.job_id, jobType: 'redeploy', components });
+
+            const repoConfig = await this.repoConfig.load(deployment, { components, log });
+            if (!repoConfig.success) {
+                throw new Error(repoConfig.error);
+            }
+            deployment = repoConfig.deployment;
+            await phases.start('allocating_ports');
+
+            await Deployment.updateStatus(deployment.id, 'deploying');
+            log(`🔁 Redeploying ${components.join(' and ')} for ${deployment.subdomain}...`, 'info');
+
+            for (const component of components) {
+                if (options.signal?.aborted) {
+                    break;
+                }
+
+                if (deployment.isStatic(component)) {
+                    log(`🚀 Redeploying ${component} (static)...`, 'info');
+                    replacing = component;
+                    results[component] = await this.deployStaticComponent(deployment, component, log, { release, commit: options.commit, signal: options.signal, phases });
+                    replacing = null;
+                    deployment = await Deployment.findById(deployment.id);
+                    continue;
+                }
+
+                // PM2 names are only set on first deploy; fall back to the naming scheme
+                if (!deployment[`pm2_${component}_name`]) {
+                    deployment = await Deployment.update(deployment.id, {
+                        [`pm2_${component}_name`]: `user${userId}_${deployment.subdomain}_${component}`
+                    });
+                }
+
+                let port = deployment[`${component}_allocated_port`] || deployment[`${component}_port`];
+                if (!port) {
+                    port = await this.portManager.findFreePort();
+                    log(`🔌 Allocated port for ${component}: ${port}`, 'info');
+                }
+
+                if (await this.canSwitchBlueGreen(deployment, component, strategy)) {
+                    log(`🚀 Redeploying ${component} (blue/green${strategy !== 'blue_green' ? ', to run pre_deploy hooks before the switch' : ''})...`, 'info');
+                    results[component] = await this.deployComponentBlueGreen(deployment, component, log, { release, commit: options.commit, signal: options.signal, phases });
+                } else {
+                    log(`🚀 Redeploying ${component}...`, 'info');
+                    replacing = component;
+                    results[component] = await this.deployComponent(deployment, component, port, log, {
+                        reuseRouting: true,
+                        release,
+                        commit: options.commit,
+                        signal: options.signal,
+                        phases
+                    });
+                    replacing = null;
+                }
+                deployment = await Deployment.findById(deployment.id);
+            }
+
+            if (options.signal?.aborted) {
+                return { success: false, cancelled: true, deployment };
+            }
+
+            const overallSuccess = Object.values(results).every(result => result.success);
+            // A failed blue/green switch leaves the previous version live
+            const stillServing = Object.values(results).every(result => result.success || result.previousVersionServing);
+            await Deployment.updateStatus(deployment.id, stillServing ? 'deployed' : 'failed');
+            await Release.finish(release.id, overallSuccess ? 'succeeded' : 'failed');
+            await phases.finish(overallSuccess, overallSuccess ? null : 'Redeploy completed with errors');
+
+            const finalDeployment = await Deployment.findById(deployment.id);
+
+            if (overallSuccess) {
+                log('🎉 Redeploy completed successfully!', 'success');
+                this.emitToUser(userId, 'status', {
+                    type: 'status',
+                    status: 'deployed',
+                    url: finalDeployment.frontend_url || finalDeployment.backend_url,
+                    deployment: finalDeployment
+                });
+
+                await this.automationService.sendDeploymentSuccess({
+                    userId,
+                    deployment: finalDeployment
+                });
+            } else {
+                log('⚠️ Redeploy completed with errors', 'warning');
+                this.emitToUser(userId, 'status', {
+                    type: 'status',
+                    status: 'failed',
+                    error: 'Redeploy failed'
+                });
+
+                await this.automationService.sendCriticalAlert({
+                    userId,
+                    eventType: 'deployment_failed',
+                    title: 'Redeploy Failed',
+                    message: `Redeploy of ${finalDeployment?.name || deploymentId} failed`,
+                    severity: 'critical',
+                    metadata: {
+                        deployment_id: finalDeployment?.deployment_id,
+                        components
+                    }
+                });
+            }
+
+            return {
+                success: overallSuccess,
+                deployment: finalDeployment,
+                frontendResult: results.frontend || null,
+                backendResult: results.backend || null
+            };
+
+        } catch (error) {
+            log(`❌ Redeploy error: ${error.message}`, 'error');
+            // As above, unless the error hit while a component was being replaced
+            const stillServing = !replacing && Object.values(results).every(result => result.success || result.previousVersionServing);
+            await Deployment.updateStatus(deployment.id, stillServing ? 'deployed' : 'failed').catch(console.error);
+            await Release.finish(release.id, 'failed', error.message).catch(console.error);
+            if (phases) {
+                await phases.finish(false, error.message).catch(console.error);
+            }
+
+            this.emitToUser(userId, 'status', {
+                type: 'status',
+                status: 'failed',
+                error: error.message
+            });
+
+            throw error;
+        }
+    }
+
+    // Restore the build directories and PM2 processes saved with an earlier
+    // release. Nothing is cloned or rebuilt.
+    async rollback(userId, deploymentId, options = {}) {
+        const deployment = await Deployment.findById(deploymentId);
+        if (!deployment) {
+            throw new Error('Deployment not found');
+        }
+
+        const target = await Release.findForDeployment(deployment.id, options.release_id);
+        if (!target) {
+            throw new Error('Release not found');
+        }
+
+        const components = target.components.filter(c => c.status === 'succeeded' && c.snapshot_path);
+        if (components.length === 0) {
+            throw new Error(`Release #${target.number} has no build snapshot to restore`);
+        }
+
+        const log = this.createLogger(userId, deployment.id);
+        const release = await Release.start({
+            deploymentId: deployment.id,
+            userId,
+            type: 'rollback',
+            triggeredBy: options.trigger,
+            rollbackOf: target._id,
+            jobId: options.job_id,
+            envHash: target.env_hash
+        });
+
+        try {
+            await Deployment.updateStatus(deployment.id, 'deploying');
+            log(`⏪ Rolling back to release #${target.number}...`, 'info');
+
+            const results = {};
+            for (const snapshot of components) {
+                if (options.signal?.aborted) {
+                    break;
+                }
+                const { component } = snapshot;
+                const isBackend = component === 'backend';
+                // Restore under the PM2 name the build ran as; when that is the idle
+                // blue/green slot the live process keeps serving until the switch
+                const liveName = deployment[`pm2_${component}_name`];
+                const appName = snapshot.pm2_name || liveName;
+
+                const result = await this.clawdBot.restoreRelease(deployment.id, appName, {
+                    appDir: snapshot.app_dir,
+                    snapshotPath: snapshot.snapshot_path,
+                    script: snapshot.pm2_script,
+                    args: snapshot.pm2_args,
+                    interpreter: snapshot.pm2_interpreter
+                }, snapshot.allocated_port, log, { limits: await this.getProcessLimits(deployment) });
+                results[component] = result;
+
+                if (!result.success) {
+                    await Release.addComponent(release.id, {
+                        component,
+                        status: 'failed',
+                        error: result.error,
+                        pm2_name: appName
+                    });
+                    continue;
+                }
+
+                const routedPort = deployment[`${component}_actual_port`] || deployment[`${component}_port`];
+                if (deployment[`${component}_url`] && routedPort !== result.actualPort) {
+                    log(`🌐 Port changed (${routedPort} → ${result.actualPort}) - updating nginx config`, 'info');
+                    await this.nginxManager.updateSubdomainPort(deployment.subdomain, result.actualPort, isBackend);
+                    await this.updateCustomDomainPorts(deployment, component, result.actualPort, log);
+                }
+
+                if (liveName && liveName !== appName) {
+                    log(`🔵 Removing previous ${component} process ${liveName}`, 'info');
+                    await this.clawdBot.retireProcess(liveName, snapshot.app_dir, deployment.getComponentSetting(component, 'root_directory')).catch(() => false);
+                }
+
+                const commitSha = result.commitSha || snapshot.commit_sha;
+                await Deployment.update(deployment.id, {
+                    [`pm2_${component}_name`]: appName,
+                    [`${component}_port`]: result.actualPort,
+                    [`${component}_allocated_port`]: result.allocatedPort,
+                    [`${component}_actual_port`]: result.actualPort,
+                    [`${component}_deployed_commit`]: commitSha || null,
+                    ...this.getLimitFields(component, result.limits)
+                });
+
+                // The snapshot stays owned by the target release
+                await Release.addComponent(release.id, {
+                    component,
+                    status: 'succeeded',
+                    pm2_name: appName,
+                    commit_sha: commitSha,
+                    allocated_port: result.allocatedPort,
+                    actual_port: result.actualPort,
+                    url: deployment[`${component}_url`],
+                    app_dir: snapshot.app_dir
+                });
+            }
+
+            if (options.signal?.aborted) {
+                return { success: false, cancelled: true, deployment: await Deployment.findById(deployment.id) };
+            }
+
+            const overallSuccess = Object.values(results).every(result => result.success);
+            await Deployment.updateStatus(deployment.id, overallSuccess ? 'deployed' : 'failed');
+            await Release.finish(release.id, overallSuccess ? 'succeeded' : 'failed');
+
+            const finalDeployment = await Deployment.findById(deployment.id);
+
+            if (overallSuccess) {
+                log(`🎉 Rolled back to release #${target.number}`, 'success');
+                this.emitToUser(userId, 'status', {
+                    type: 'status',
+                    status: 'deployed',
+                    url: finalDeployment.frontend_url || finalDeployment.backend_url,
+                    deployment: finalDeployment
+                });
+            } else {
+                log(`⚠️ Rollback to release #${target.number} completed with errors`, 'warning');
+                this.emitToUser(userId, 'status', {
+                    type: 'status',
+                    status: 'failed',
+                    error: 'Rollback failed'
+                });
+
+                await this.automationService.sendCriticalAlert({
+                    userId,
+                    eventType: 'deployment_failed',
+                    title: 'Rollback Failed',
+                    message: `Rollback of ${finalDeployment?.name || deploymentId} to release #${target.number} failed`,
+                    severity: 'critical',
+                    metadata: {
+                        deployment_id: finalDeployment?.deployment_id,
+                        release: target.number
+                    }
+                });
+            }
+
+            return {
+                success: overallSuccess,
+                deployment: finalDeployment,
+                release,
+                frontendResult: results.frontend || null,
+                backendResult: results.backend || null
+            };
+
+        } catch (error) {
+            log(`❌ Rollback error: ${error.message}`, 'error');
+            await Deployment.updateStatus(deployment.id, 'failed');
+            await Release.finish(release.id, 'failed', error.message).catch(console.error);
+
+            this.emitToUser(userId, 'status', {
+                type: 'status',
+                status: 'failed',
+                error: error.message
+            });
+
+            throw error;
+        }
+    }
+
+    // status: 'sleeping' when the schedule stops it rather than the user
+    async stopDeployment(deploymentId, { status = 'stopped' } = {}) {
         const deployment = await Deployment.findById(deploymentId);
         if (!deployment) {
             throw new Error('Deployment not found');
@@ -319,7 +1485,7 @@ class DeploymentService {
         const allSuccess = results.every(r => r.success);
         
         if (allSuccess) {
-            await Deployment.updateStatus(deploymentId, 'stopped');
+            await Deployment.updateStatus(deploymentId, status);
         }
 
         return { success: allSuccess, results };
@@ -358,13 +1524,40 @@ class DeploymentService {
             throw new Error('Deployment not found');
         }
 
+        // Pull request previews do not outlive their parent
+        for (const preview of await Deployment.findPreviews(deployment._id)) {
+            await this.deleteDeployment(preview.id);
+        }
+
         // 1. Stop PM2 processes
         if (deployment.pm2_frontend_name) {
-            await this.clawdBot.deleteDeployment(deployment.pm2_frontend_name, deploymentId);
+            await this.clawdBot.deleteDeployment(deployment.pm2_frontend_name, deploymentId, deployment.getComponentSetting('frontend', 'root_directory'));
         }
 
         if (deployment.pm2_backend_name) {
-            await this.clawdBot.deleteDeployment(deployment.pm2_backend_name, deploymentId);
+            await this.clawdBot.deleteDeployment(deployment.pm2_backend_name, deploymentId, deployment.getComponentSetting('backend', 'root_directory'));
+        }
+
+        // Blue/green twins left by an interrupted switch, saved release builds,
+        // static web roots and cron jobs
+        for (const component of ['frontend', 'backend']) {
+            await this.clawdBot.removeCronJobs(this.getCronName(deployment, component)).catch(console.error);
+            if (deployment[`${component}_web_root`]) {
+                await this.clawdBot.deleteWebRoot(deployment[`${component}_web_root`]).catch(console.error);
+            }
+
+            const appName = deployment[`pm2_${component}_name`];
+            if (!appName) {
+                continue;
+            }
+
+            const shadowName = this.getShadowName(appName);
+            if (await this.clawdBot.getAppDirectory(shadowName)) {
+                await this.clawdBot.deleteDeployment(shadowName, deploymentId, deployment.getComponentSetting(component, 'root_directory'));
+            }
+
+            await this.clawdBot.deleteReleaseSnapshots(appName).catch(console.error);
+            await this.clawdBot.deleteReleaseSnapshots(shadowName).catch(console.error);
         }
 
         // 2. Delete nginx configs
@@ -374,6 +1567,11 @@ class DeploymentService {
                 await this.nginxManager.deleteSubdomainConfig(deployment.subdomain, true);
             }
         }
+        for (const entry of deployment.custom_domains || []) {
+            if (['active', 'failed'].includes(entry.status)) {
+                await this.nginxManager.deleteDomainConfig(entry.domain).catch(console.error);
+            }
+        }
 
         // 3. Release ports
         if (deployment.frontend_port) {
@@ -383,8 +1581,17 @@ class DeploymentService {
             this.portManager.releasePort(deployment.backend_port);
         }
 
-        // 4. Delete deployment logs
+        // Previews borrow their parent's deploy key
+        if (deployment.deploy_key_id && !deployment.parent_deployment_id) {
+            await gitService.deleteDeployKey(deployment.deploy_key_id).catch(console.error);
+        }
+
+        // 4. Delete deployment logs, job and release history
         await DeploymentLog.deleteByDeploymentId(deploymentId);
+        await DeploymentJob.deleteByDeploymentId(deploymentId);
+        await Release.deleteByDeploymentId(deploymentId);
+        await EnvVersion.deleteByDeploymentId(deploymentId);
+        await WebhookDelivery.detachDeployment(deploymentId);
 
         // 5. Delete deployment record
         await Deployment.delete(deploymentId);
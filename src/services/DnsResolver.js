@@ -0,0 +1,72 @@
+const dns = require('dns');
+const fs = require('fs');
+
+// Resolvers used for custom domain verification. Both expose the same
+// resolveTxt/resolveCname methods as dns.promises, so any object with those
+// two methods can be plugged in with setDnsResolver().
+
+// Live DNS, optionally through specific servers (DNS_SERVERS=1.1.1.1,8.8.8.8)
+class SystemResolver {
+    constructor(servers = []) {
+        this.resolver = new dns.promises.Resolver();
+        if (servers.length > 0) {
+            this.resolver.setServers(servers);
+        }
+    }
+
+    async resolveTxt(name) {
+        return await this.resolver.resolveTxt(name);
+    }
+
+    async resolveCname(name) {
+        return await this.resolver.resolveCname(name);
+    }
+}
+
+// Records from a JSON file, for local development without real DNS:
+// { "_clawdeploy-challenge.example.com": { "TXT": ["clawdeploy-verification=..."] },
+//   "www.example.com": { "CNAME": ["abc123.projectmarket.in"] } }
+// The file is read on every lookup so it can be edited while the server runs.
+class StaticResolver {
+    constructor(filePath) {
+        this.filePath = filePath;
+    }
+
+    lookup(name, type) {
+        const records = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        const values = records[name.toLowerCase()]?.[type];
+
+        if (!values || values.length === 0) {
+            const error = new Error(`query${type === 'TXT' ? 'Txt' : 'Cname'} ENOTFOUND ${name}`);
+            error.code = 'ENOTFOUND';
+            throw error;
+        }
+        return values;
+    }
+
+    async resolveTxt(name) {
+        return this.lookup(name, 'TXT').map(value => [value]);
+    }
+
+    async resolveCname(name) {
+        return this.lookup(name, 'CNAME');
+    }
+}
+
+// Singleton instance
+let resolverInstance = null;
+
+function getDnsResolver() {
+    if (!resolverInstance) {
+        resolverInstance = process.env.DNS_STATIC_RECORDS
+            ? new StaticResolver(process.env.DNS_STATIC_RECORDS)
+            : new SystemResolver((process.env.DNS_SERVERS || '').split(',').map(s => s.trim()).filter(Boolean));
+    }
+    return resolverInstance;
+}
+
+function setDnsResolver(resolver) {
+    resolverInstance = resolver;
+}
+
+module.exports = { SystemResolver, StaticResolver, getDnsResolver, setDnsResolver };
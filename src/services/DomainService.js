@@ -0,0 +1,216 @@
+const crypto = require('crypto');
+const Deployment = require('../models/Deployment');
+const DeploymentLog = require('../models/DeploymentLog');
+const NginxManager = require('./NginxManager');
+const { getDnsResolver } = require('./DnsResolver');
+
+const CHALLENGE_PREFIX = '_clawdeploy-challenge';
+const TOKEN_PREFIX = 'clawdeploy-verification=';
+
+class DomainService {
+    constructor(resolver = null) {
+        this.nginxManager = new NginxManager();
+        this.resolver = resolver || getDnsResolver();
+        this.baseDomain = process.env.BASE_DOMAIN || 'projectmarket.in';
+    }
+
+    // Our own host name the custom domain points at
+    getTarget(deployment, component) {
+        return this.nginxManager.getFullDomain(deployment.subdomain, component === 'backend');
+    }
+
+    // DNS records the user has to create, for the API response
+    getInstructions(deployment, entry) {
+        const target = this.getTarget(deployment, entry.component);
+
+        const challenge = entry.verification_method === 'cname'
+            ? { type: 'CNAME', name: entry.domain, value: target }
+            : { type: 'TXT', name: `${CHALLENGE_PREFIX}.${entry.domain}`, value: `${TOKEN_PREFIX}${entry.verification_token}` };
+
+        // Subdomains can CNAME to us; apex domains need an A record to the server
+        const routing = [
+            { type: 'CNAME', name: entry.domain, value: target }
+        ];
+        if (process.env.SSH_HOST) {
+            routing.push({ type: 'A', name: entry.domain, value: process.env.SSH_HOST });
+        }
+
+        return { challenge, routing };
+    }
+
+    serialize(deployment, entry) {
+        return {
+            ...entry.toObject(),
+            target: this.getTarget(deployment, entry.component),
+            ...this.getInstructions(deployment, entry)
+        };
+    }
+
+    async addDomain(deployment, { domain, component = 'frontend', method = 'txt' }) {
+        const entry = {
+            domain: domain.toLowerCase(),
+            component,
+            verification_method: method,
+            verification_token: crypto.randomBytes(16).toString('hex'),
+            status: 'pending'
+        };
+
+        deployment.custom_domains.push(entry);
+        await deployment.save();
+
+        await DeploymentLog.create(
+            deployment._id,
+            `🌍 Custom domain ${entry.domain} added for ${component} - waiting for DNS verification (${method.toUpperCase()})`,
+            'info'
+        );
+
+        return deployment.getCustomDomain(entry.domain);
+    }
+
+    normalizeHost(host) {
+        return host.toLowerCase().replace(/\.$/, '');
+    }
+
+    // Check the challenge record. Returns { verified, error }.
+    async checkDns(deployment, entry) {
+        try {
+            if (entry.verification_method === 'cname') {
+                const target = this.getTarget(deployment, entry.component);
+                const records = await this.resolver.resolveCname(entry.domain);
+                if (records.map(record => this.normalizeHost(record)).includes(target)) {
+                    return { verified: true };
+                }
+                return { verified: false, error: `CNAME for ${entry.domain} points to ${records.join(', ')}, expected ${target}` };
+            }
+
+            const name = `${CHALLENGE_PREFIX}.${entry.domain}`;
+            const expected = `${TOKEN_PREFIX}${entry.verification_token}`;
+            const records = await this.resolver.resolveTxt(name);
+            if (records.map(chunks => chunks.join('')).includes(expected)) {
+                return { verified: true };
+            }
+            return { verified: false, error: `TXT record ${name} does not contain the verification token` };
+        } catch (error) {
+            if (['ENOTFOUND', 'ENODATA'].includes(error.code)) {
+                const type = entry.verification_method === 'cname' ? 'CNAME' : 'TXT';
+                return { verified: false, error: `No ${type} record found yet - DNS changes can take a while to propagate` };
+            }
+            return { verified: false, error: `DNS lookup failed: ${error.message}` };
+        }
+    }
+
+    async verifyDomain(deployment, domain) {
+        const entry = deployment.getCustomDomain(domain);
+        const result = await this.checkDns(deployment, entry);
+
+        entry.last_checked_at = new Date();
+        if (result.verified) {
+            entry.status = entry.status === 'active' ? 'active' : 'verified';
+            entry.verified_at = entry.verified_at || new Date();
+            entry.error = undefined;
+        } else {
+            entry.error = result.error;
+        }
+        await deployment.save();
+
+        await DeploymentLog.create(
+            deployment._id,
+            result.verified
+                ? `✅ DNS verified for ${entry.domain}`
+                : `⏳ DNS not verified for ${entry.domain}: ${result.error}`,
+            result.verified ? 'success' : 'warning'
+        );
+
+        return { ...result, entry };
+    }
+
+    // Job queue handler: nginx server block + certificate for a verified domain
+    async attachDomain(deploymentId, { domain }) {
+        const deployment = await Deployment.findById(deploymentId);
+        const entry = deployment?.getCustomDomain(domain);
+        if (!entry) {
+            throw new Error(`Custom domain ${domain} not found`);
+        }
+        if (entry.status === 'pending') {
+            throw new Error(`Custom domain ${domain} is not verified`);
+        }
+
+        const upstream = deployment.getUpstream(entry.component);
+        if (!upstream) {
+            entry.status = 'failed';
+            entry.error = `The ${entry.component} is not deployed yet`;
+            await deployment.save();
+            throw new Error(entry.error);
+        }
+
+        await DeploymentLog.create(deployment._id, `🌐 Configuring nginx and SSL for ${entry.domain}...`, 'info');
+
+        try {
+            const nginxResult = await this.nginxManager.createDomainConfig(entry.domain, upstream);
+            const redirects = (deployment.repo_config?.redirects || []).filter(redirect => redirect.component === entry.component);
+            if (redirects.length > 0) {
+                await this.nginxManager.updateRedirects(entry.domain, redirects);
+            }
+            entry.status = 'active';
+            entry.url = nginxResult.url;
+            entry.secure = nginxResult.secure;
+            entry.error = undefined;
+            entry.attached_at = new Date();
+        } catch (error) {
+            entry.status = 'failed';
+            entry.error = error.message;
+        }
+
+        if (entry.status === 'active' && !deployment.custom_domain) {
+            deployment.custom_domain = entry.domain;
+        }
+        await deployment.save();
+
+        if (entry.status !== 'active') {
+            await DeploymentLog.create(deployment._id, `❌ Could not route ${entry.domain}: ${entry.error}`, 'error');
+            return { success: false, error: entry.error };
+        }
+
+        await DeploymentLog.create(
+            deployment._id,
+            `✅ ${entry.url} is live${entry.secure ? '' : ' (certificate failed - HTTP only)'}`,
+            entry.secure ? 'success' : 'warning'
+        );
+
+        if (global.io) {
+            global.io.to(`user_${deployment.user_id}`).emit('domain_attached', {
+                deployment_id: deployment.deployment_id,
+                domain: entry.domain,
+                url: entry.url,
+                secure: entry.secure
+            });
+        }
+
+        return { success: true, domain: entry.domain, url: entry.url };
+    }
+
+    // Job queue handler: drop the nginx site and the domain record
+    async detachDomain(deploymentId, { domain }) {
+        const deployment = await Deployment.findById(deploymentId);
+        const entry = deployment?.getCustomDomain(domain);
+        if (!entry) {
+            return { success: true };
+        }
+
+        if (['active', 'failed'].includes(entry.status)) {
+            await this.nginxManager.deleteDomainConfig(entry.domain);
+        }
+
+        deployment.custom_domains = deployment.custom_domains.filter(d => d.domain !== entry.domain);
+        if (deployment.custom_domain === entry.domain) {
+            deployment.custom_domain = deployment.custom_domains.find(d => d.status === 'active')?.domain;
+        }
+        await deployment.save();
+
+        await DeploymentLog.create(deployment._id, `🗑️ Custom domain ${entry.domain} removed`, 'info');
+
+        return { success: true, domain: entry.domain };
+    }
+}
+
+module.exports = DomainService;
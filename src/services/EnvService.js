@@ -0,0 +1,146 @@
+const Deployment = require('../models/Deployment');
+const DeploymentLog = require('../models/DeploymentLog');
+const EnvVersion = require('../models/EnvVersion');
+const ClawdBotService = require('./ClawdBotService');
+const DeploymentService = require('./DeploymentService');
+const { MASK } = require('../utils/SecretCipher');
+
+class EnvService {
+    constructor() {
+        this.clawdBot = new ClawdBotService();
+        this.deploymentService = new DeploymentService();
+    }
+
+    maskSnapshot(snapshot) {
+        const masked = {};
+        for (const [scope, vars] of Object.entries(snapshot)) {
+            masked[scope] = Object.fromEntries(Object.keys(vars).map(key => [key, MASK]));
+        }
+        return masked;
+    }
+
+    // Components whose running process picks up the changed keys
+    getAffectedComponents(deployment, changes) {
+        const components = new Set();
+
+        for (const { scope } of changes) {
+            const targets = scope === 'shared' ? ['frontend', 'backend'] : [scope];
+            targets
+                .filter(component => deployment[`${component}_repo`])
+                .forEach(component => components.add(component));
+        }
+
+        return Array.from(components);
+    }
+
+    // Apply a change to the deployment's variables and version it.
+    // mutate receives a copy of { shared, frontend, backend } to edit in place.
+    async updateEnv(deployment, userId, action, mutate, { revertedTo } = {}) {
+        const before = deployment.getEnvSnapshot();
+        const after = JSON.parse(JSON.stringify(before));
+        mutate(after);
+
+        const changes = EnvVersion.diff(before, after);
+        if (changes.length === 0) {
+            return { changed: false, changes, components: [] };
+        }
+
+        deployment.setEnvSnapshot(after);
+        await deployment.save();
+
+        const version = await EnvVersion.record({
+            deploymentId: deployment._id,
+            userId,
+            action,
+            before,
+            after,
+            revertedTo
+        });
+
+        await DeploymentLog.create(
+            deployment._id,
+            `🔐 Environment updated to v${version.version}: ${changes.map(c => `${c.change} ${c.scope}:${c.key}`).join(', ')}`,
+            'info'
+        );
+
+        return {
+            changed: true,
+            version,
+            changes,
+            components: this.getAffectedComponents(deployment, changes)
+        };
+    }
+
+    async revertTo(deployment, userId, versionNumber) {
+        const target = await EnvVersion.findVersion(deployment._id, versionNumber);
+        if (!target) {
+            return null;
+        }
+
+        return await this.updateEnv(deployment, userId, 'revert', (snapshot) => {
+            for (const scope of Deployment.ENV_SCOPES) {
+                snapshot[scope] = { ...(target.snapshot[scope] || {}) };
+            }
+        }, { revertedTo: target.version });
+    }
+
+    // Rewrite the remote .env of each component and restart it (job queue handler)
+    async applyEnv(deploymentId, { components = [] } = {}) {
+        const deployment = await Deployment.findById(deploymentId);
+        if (!deployment) {
+            throw new Error('Deployment not found');
+        }
+
+        const log = (message, type = 'info') => {
+            console.log(`[${type.toUpperCase()}] ${message}`);
+            DeploymentLog.create(deployment._id, message, type).catch(console.error);
+        };
+
+        // Stopped apps get the new file and pick it up on their next start
+        const restart = !['stopped', 'sleeping', 'hibernated', 'suspended'].includes(deployment.status);
+        const results = {};
+
+        for (const component of components) {
+            // Variables are baked into a static build
+            if (deployment.isStatic(component)) {
+                log(`ℹ️ The ${component} is a static site - redeploy it to build with the new variables`, 'info');
+                results[component] = { success: true, restarted: false };
+                continue;
+            }
+
+            const appName = deployment[`pm2_${component}_name`];
+            if (!appName) {
+                continue;
+            }
+
+            const written = await this.clawdBot.writeEnvFile(appName, this.deploymentService.getComponentEnv(deployment, component), deployment.getComponentSetting(component, 'root_directory'));
+            if (!written.success) {
+                log(`❌ Could not update ${component} .env: ${written.error}`, 'error');
+                results[component] = written;
+                continue;
+            }
+            log(`🔐 Wrote ${component} environment to ${written.path}`, 'success');
+
+            if (restart) {
+                const restarted = await this.clawdBot.restartDeployment(appName, deployment._id);
+                results[component] = restarted;
+            } else {
+                results[component] = { success: true, restarted: false };
+            }
+        }
+
+        const success = Object.values(results).every(result => result.success);
+
+        if (global.io) {
+            global.io.to(`user_${deployment.user_id}`).emit('env_applied', {
+                deployment_id: deployment.deployment_id,
+                success,
+                components: Object.keys(results)
+            });
+        }
+
+        return { success, results };
+    }
+}
+
+module.exports = EnvService;
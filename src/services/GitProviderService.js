@@ -0,0 +1,105 @@
+const githubService = require('./GithubService');
+const gitlabService = require('./GitlabService');
+const bitbucketService = require('./BitbucketService');
+const gitService = require('./GitService');
+
+// Where repositories come from. Every provider implements
+//   name, label, hosts, example, tokenUsername
+//   parseRepositoryUrl(url)                      -> { host, owner, repo, protocol } | null
+//   getRepositoryBranches(accessToken, owner, repo)
+//   getFileContent(accessToken, owner, repo, path, ref)
+// GitHub, GitLab and Bitbucket are read through their APIs; any other HTTPS or
+// SSH URL falls back to plain git (GitService). Repositories with deploy
+// credentials are always read with git, since deploy tokens and keys do not
+// open the providers' APIs.
+class GitProviderService {
+    constructor() {
+        this.providers = [githubService, gitlabService, bitbucketService];
+        this.git = gitService;
+    }
+
+    // { provider, ...parsed } for a supported URL, or null
+    parseRepositoryUrl(repoUrl) {
+        for (const provider of this.providers) {
+            const parsed = provider.parseRepositoryUrl(repoUrl);
+            if (parsed) {
+                return { provider, ...parsed };
+            }
+        }
+
+        const parsed = this.git.parseRepositoryUrl(repoUrl);
+        // Hosts of a known provider only take that provider's URL shapes
+        if (!parsed || this.providers.some(provider => provider.hosts.includes(parsed.host))) {
+            return null;
+        }
+        return { provider: this.git, ...parsed };
+    }
+
+    getProvider(repoUrl) {
+        return this.parseRepositoryUrl(repoUrl)?.provider || null;
+    }
+
+    // Error message for an unsupported URL, or null when it can be deployed
+    validateRepositoryUrl(repoUrl) {
+        const value = (repoUrl || '').trim();
+        if (/^https?:\/\/[^/]*@/.test(value)) {
+            return 'Repository URL must not contain credentials - set a deploy token instead';
+        }
+        if (this.parseRepositoryUrl(value)) {
+            return null;
+        }
+
+        const host = this.git.parseRepositoryUrl(value)?.host
+            || /^https?:\/\/([^/]+)/.exec(value)?.[1]?.toLowerCase();
+        const provider = this.providers.find(entry => entry.hosts.includes(host));
+        if (provider) {
+            return `Invalid ${provider.label} repository URL, expected e.g. ${provider.example}`;
+        }
+        return 'Repository URL must be an HTTPS (https://host/path) or SSH (git@host:path) git URL';
+    }
+
+    // Branches of a repository. accessToken is the user's GitHub OAuth token
+    // and is only sent to GitHub.
+    async getRepositoryBranches(repoUrl, { credentials = null, accessToken = null } = {}) {
+        const parsed = this.parseRepositoryUrl(repoUrl);
+        if (!parsed) {
+            throw new Error('Unsupported repository URL');
+        }
+
+        const { provider } = parsed;
+        if (credentials || provider === this.git) {
+            return await this.git.getRepositoryBranches(repoUrl, credentials, provider.tokenUsername);
+        }
+        return await provider.getRepositoryBranches(
+            provider === githubService ? accessToken : null, parsed.owner, parsed.repo
+        );
+    }
+
+    // Content of a file at ref (default branch when empty), or null when missing
+    async getFileContent(repoUrl, path, ref = null, { credentials = null, accessToken = null } = {}) {
+        const parsed = this.parseRepositoryUrl(repoUrl);
+        if (!parsed) {
+            return null;
+        }
+
+        const { provider } = parsed;
+        if (credentials || provider === this.git) {
+            return await this.git.getFileContent(repoUrl, path, ref, credentials, provider.tokenUsername);
+        }
+        return await provider.getFileContent(
+            provider === githubService ? accessToken : null, parsed.owner, parsed.repo, path, ref
+        );
+    }
+
+    // A git command that clones or fetches repoUrl, as { command, stdin }
+    getCloneCommand(repoUrl, command, credentials = null) {
+        const provider = this.getProvider(repoUrl) || this.git;
+        return this.git.getGitCommand(command, credentials, provider.tokenUsername);
+    }
+
+    describeGitError(stderr, credentials = null) {
+        return this.git.describeGitError(stderr, credentials);
+    }
+}
+
+module.exports = new GitProviderService();
@@ -0,0 +1,198 @@
+const { getSSHManager } = require('./SSHManager');
+const { shellQuote } = require('../utils/shellQuote');
+
+// Any git server reachable over HTTPS or SSH, and the git plumbing shared by
+// every provider: authenticated remote operations run on the deployment
+// server and per-deployment SSH deploy keys.
+//
+// Credentials are { type: 'token', username, token } or { type: 'ssh_key', key }
+// (see Deployment#getGitCredentials); the owner's GitHub login token comes as
+// { type: 'token', source: 'github', token }. They only reach a single git
+// command - tokens through a private temporary file, written from the command's
+// stdin and removed when it exits - so they never end up in a repository's
+// .git/config, on a command line, in a process environment or in the output.
+class GitService {
+    constructor() {
+        this.name = 'git';
+        this.label = 'Git';
+        this.tokenUsername = 'git';
+        this.ssh = getSSHManager();
+        this.keysPath = process.env.DEPLOY_KEYS_PATH || '/root/clawdeploy/keys';
+    }
+
+    /**
+     * Split a clone URL into host and repository path. Accepts
+     * https://host/path, ssh://[user@]host[:port]/path and user@host:path.
+     * Credentials embedded in HTTPS URLs are rejected - use a deploy token.
+     */
+    parseRepositoryUrl(repoUrl) {
+        const value = (repoUrl || '').trim();
+
+        let match = /^https:\/\/([\w.-]+(?::\d+)?)\/([\w./~-]+?)(?:\.git)?\/?$/.exec(value);
+        if (match) {
+            return this.buildParsed(match[1], match[2], 'https');
+        }
+
+        match = /^ssh:\/\/(?:[\w.-]+@)?([\w.-]+(?::\d+)?)\/([\w./~-]+?)(?:\.git)?\/?$/.exec(value);
+        if (match) {
+            return this.buildParsed(match[1], match[2], 'ssh');
+        }
+
+        match = /^[\w.-]+@([\w.-]+):(?!\/\/)([\w./~-]+?)(?:\.git)?\/?$/.exec(value);
+        if (match) {
+            return this.buildParsed(match[1], match[2], 'ssh');
+        }
+
+        return null;
+    }
+
+    buildParsed(host, path, protocol) {
+        if (path.split('/').some(segment => segment === '..')) {
+            return null;
+        }
+        const segments = path.split('/').filter(Boolean);
+        return {
+            host: host.toLowerCase(),
+            owner: segments.slice(0, -1).join('/'),
+            repo: segments[segments.length - 1],
+            protocol
+        };
+    }
+
+    isSshUrl(repoUrl) {
+        return this.parseRepositoryUrl(repoUrl)?.protocol === 'ssh';
+    }
+
+    getDeployKeyPath(key) {
+        return `${this.keysPath}/${key}`;
+    }
+
+    /**
+     * One git command authenticated with the credentials: { command, stdin }
+     * for SSHManager#executeCommand. Tokens go in as an HTTP Basic header in a
+     * mode-600 config file that git includes, deploy keys through
+     * GIT_SSH_COMMAND; prompts are disabled so a rejected credential fails
+     * instead of hanging.
+     */
+    getGitCommand(command, credentials, tokenUsername = this.tokenUsername) {
+        const env = ['GIT_TERMINAL_PROMPT=0'];
+
+        let stdin;
+        if (credentials?.type === 'token' && credentials.token) {
+            const basic = Buffer.from(`${credentials.username || tokenUsername}:${credentials.token}`).toString('base64');
+            stdin = `[http]\n\textraHeader = Authorization: Basic ${basic}\n`;
+            env.push('GIT_CONFIG_COUNT=1', 'GIT_CONFIG_KEY_0=include.path', 'GIT_CONFIG_VALUE_0="$auth"');
+        }
+
+        if (credentials?.type === 'ssh_key' && credentials.key) {
+            const sshCommand = `ssh -i ${this.getDeployKeyPath(credentials.key)} -o IdentitiesOnly=yes -o StrictHostKeyChecking=accept-new -o BatchMode=yes`;
+            env.push(`GIT_SSH_COMMAND=${shellQuote(sshCommand)}`);
+        } else {
+            // Without a key of our own, SSH URLs must not fall back to prompting
+            env.push(`GIT_SSH_COMMAND=${shellQuote('ssh -o StrictHostKeyChecking=accept-new -o BatchMode=yes')}`);
+        }
+
+        if (!stdin) {
+            return { command: `${env.join(' ')} ${command}` };
+        }
+        // mktemp creates the file readable by its owner only
+        return {
+            command: `auth=$(mktemp) && cat > "$auth" && ${env.join(' ')} ${command}; code=$?; rm -f "$auth"; exit $code`,
+            stdin
+        };
+    }
+
+    // Turn git's complaint about a rejected credential into something actionable
+    describeGitError(stderr, credentials) {
+        const message = (stderr || '').trim();
+        if (/Authentication failed|could not read Username|Permission denied \(publickey|Repository not found|returned error: 40[134]|access denied|HTTP Basic: Access denied/i.test(message)) {
+            if (credentials?.type === 'ssh_key') {
+                return 'Repository access denied - add the deployment\'s deploy key to the repository (read-only is enough)';
+            }
+            if (credentials?.source === 'github') {
+                return 'GitHub denied access to the repository - your GitHub token has been revoked or cannot read it; sign in with GitHub again';
+            }
+            if (credentials?.type === 'token') {
+                return 'Repository access denied - the deploy token is invalid, expired or cannot read this repository';
+            }
+            return 'Repository access denied - private repositories need a deploy token or deploy key';
+        }
+        return message || 'git command failed';
+    }
+
+    /**
+     * Branches of any repository, read with git ls-remote on the server
+     */
+    async getRepositoryBranches(repoUrl, credentials = null, tokenUsername = this.tokenUsername) {
+        const git = this.getGitCommand(`timeout 30 git ls-remote --heads ${shellQuote(repoUrl)}`, credentials, tokenUsername);
+        const result = await this.ssh.executeCommand(git.command, { stdin: git.stdin });
+        if (!result.success) {
+            throw new Error(this.describeGitError(result.stderr, credentials));
+        }
+
+        return result.stdout.split('\n').filter(Boolean).map(line => {
+            const [sha, ref] = line.split('\t');
+            return {
+                name: ref.replace(/^refs\/heads\//, ''),
+                commit: { sha, url: null }
+            };
+        });
+    }
+
+    /**
+     * Content of a file at a branch or commit (default branch when ref is
+     * empty), or null when it does not exist. Uses a blobless clone, so only
+     * commits, trees and the one file are transferred.
+     */
+    async getFileContent(repoUrl, path, ref = null, credentials = null, tokenUsername = this.tokenUsername) {
+        const dir = `/tmp/clawdeploy-read-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+        const revision = ref
+            ? `"$(git -C ${dir} rev-parse --verify -q ${shellQuote(`origin/${ref}`)} || echo ${shellQuote(ref)})"`
+            : 'HEAD';
+
+        try {
+            const clone = this.getGitCommand(
+                `timeout 60 git clone --quiet --filter=blob:none --no-checkout ${shellQuote(repoUrl)} ${dir}`, credentials, tokenUsername
+            );
+            const cloneResult = await this.ssh.executeCommand(clone.command, { stdin: clone.stdin });
+            if (!cloneResult.success) {
+                throw new Error(this.describeGitError(cloneResult.stderr, credentials));
+            }
+
+            const show = this.getGitCommand(`git -C ${dir} show ${revision}:${shellQuote(path)}`, credentials, tokenUsername);
+            const showResult = await this.ssh.executeCommand(show.command, { stdin: show.stdin });
+            return showResult.success ? showResult.stdout : null;
+        } finally {
+            await this.ssh.executeCommand(`rm -rf ${dir}`).catch(() => {});
+        }
+    }
+
+    /**
+     * Create an ed25519 key pair on the server and return the public half.
+     * The private key never leaves the server.
+     */
+    async generateDeployKey(key, comment = 'clawdeploy') {
+        const keyPath = this.getDeployKeyPath(key);
+        const result = await this.ssh.executeCommand(
+            `mkdir -p ${this.keysPath} && chmod 700 ${this.keysPath} && rm -f ${keyPath} ${keyPath}.pub && ` +
+            `ssh-keygen -q -t ed25519 -N '' -C ${shellQuote(comment)} -f ${keyPath} && cat ${keyPath}.pub`
+        );
+        if (!result.success) {
+            throw new Error(`Failed to generate deploy key: ${result.stderr.trim()}`);
+        }
+        return result.stdout.trim();
+    }
+
+    // Public half of an existing key, or null
+    async getDeployKey(key) {
+        const result = await this.ssh.executeCommand(`cat ${this.getDeployKeyPath(key)}.pub`);
+        return result.success ? result.stdout.trim() : null;
+    }
+
+    async deleteDeployKey(key) {
+        const keyPath = this.getDeployKeyPath(key);
+        await this.ssh.executeCommand(`rm -f ${keyPath} ${keyPath}.pub`);
+    }
+}
+
+module.exports = new GitService();
@@ -1,7 +1,14 @@
 const axios = require('axios');
 
+// GitHub provider (see GitProviderService for the shared interface) and the
+// GitHub OAuth login
 class GithubService {
     constructor() {
+        this.name = 'github';
+        this.label = 'GitHub';
+        this.hosts = ['github.com', 'www.github.com'];
+        this.example = 'https://github.com/owner/repo';
+        this.tokenUsername = 'x-access-token';
         this.clientId = process.env.GITHUB_CLIENT_ID;
         this.clientSecret = process.env.GITHUB_CLIENT_SECRET;
         this.redirectUri = process.env.GITHUB_REDIRECT_URI || 'http://localhost:5173/auth/github/callback';
@@ -9,7 +16,8 @@ class GithubService {
         // Track used authorization codes to prevent reuse
         this.usedCodes = new Map();
         
-        // Clean up old codes every 15 minutes
+        // Clean up old codes every 15 minutes; the timer alone does not keep
+        // the process running
         setInterval(() => {
             const fifteenMinutesAgo = Date.now() - (15 * 60 * 1000);
             for (const [code, timestamp] of this.usedCodes.entries()) {
@@ -17,7 +25,7 @@ class GithubService {
                     this.usedCodes.delete(code);
                 }
             }
-        }, 15 * 60 * 1000);
+        }, 15 * 60 * 1000).unref();
     }
 
     /**
@@ -173,7 +181,7 @@ class GithubService {
     }
 
     /**
-     * Get user's repositories (public only for now)
+     * Get user's repositories, private ones included
      */
     async getUserRepositories(accessToken) {
         try {
@@ -183,10 +191,10 @@ class GithubService {
                     Accept: 'application/vnd.github.v3+json'
                 },
                 params: {
-                    affiliation: 'owner',
+                    affiliation: 'owner,collaborator,organization_member',
                     sort: 'updated',
                     per_page: 100,
-                    visibility: 'public'
+                    visibility: 'all'
                 }
             });
 
@@ -208,6 +216,9 @@ class GithubService {
             }));
         } catch (error) {
             console.error('Error getting repositories:', error.response?.data || error.message);
+            if (error.response?.status === 401) {
+                throw new Error('GitHub access has been revoked or has expired. Please sign in with GitHub again.');
+            }
             throw new Error('Failed to get repositories from GitHub');
         }
     }
@@ -241,6 +252,58 @@ class GithubService {
         }
     }
 
+    /**
+     * Whether the user's token can clone a repository: { private } when it can
+     * (private is null when GitHub could not be asked), { error } when not.
+     * Public repositories stay deployable after the token is revoked.
+     */
+    async checkRepositoryAccess(accessToken, owner, repo) {
+        const url = `https://api.github.com/repos/${owner}/${repo}`;
+        const headers = { Accept: 'application/vnd.github.v3+json' };
+
+        try {
+            const response = await axios.get(url, {
+                headers: { ...headers, Authorization: `token ${accessToken}` },
+                timeout: 10000
+            });
+            return { private: response.data.private };
+        } catch (error) {
+            const status = error.response?.status;
+
+            if (status === 401) {
+                const publicRepository = await axios.get(url, { headers, timeout: 10000 }).catch(() => null);
+                if (publicRepository && !publicRepository.data.private) {
+                    return { private: false };
+                }
+                return { error: 'GitHub access has been revoked or has expired - sign in with GitHub again to deploy private repositories' };
+            }
+
+            if (status === 404) {
+                return { error: `Repository ${owner}/${repo} not found, or your GitHub account cannot access it. For organization repositories, the organization must grant ClawDeploy access` };
+            }
+
+            // Rate limits and outages: let the clone find out
+            console.error('Error checking repository access:', error.response?.data || error.message);
+            return { private: null };
+        }
+    }
+
+    /**
+     * Split a GitHub repository URL (HTTPS or SSH) into owner and repo name
+     */
+    parseRepositoryUrl(repoUrl) {
+        const match = /^(https?:\/\/(?:www\.)?github\.com\/|ssh:\/\/git@github\.com\/|git@github\.com:)([\w.-]+)\/([\w.-]+?)(?:\.git)?\/?$/.exec((repoUrl || '').trim());
+        if (!match) {
+            return null;
+        }
+        return {
+            host: 'github.com',
+            owner: match[2],
+            repo: match[3],
+            protocol: match[1].startsWith('http') ? 'https' : 'ssh'
+        };
+    }
+
     /**
      * Get repository branches
      */
@@ -265,6 +328,79 @@ class GithubService {
             throw new Error('Failed to get branches from GitHub');
         }
     }
+
+    /**
+     * Raw content of a file in a repository, or null when it does not exist.
+     * Public repositories are read without a token.
+     */
+    async getFileContent(accessToken, owner, repo, path, ref = null) {
+        try {
+            const response = await axios.get(`https://api.github.com/repos/${owner}/${repo}/contents/${path}`, {
+                params: ref ? { ref } : {},
+                headers: {
+                    ...(accessToken ? { Authorization: `token ${accessToken}` } : {}),
+                    Accept: 'application/vnd.github.v3.raw'
+                },
+                responseType: 'text',
+                transformResponse: [data => data],
+                timeout: 10000
+            });
+
+            return response.data;
+        } catch (error) {
+            if (error.response?.status === 404) {
+                return null;
+            }
+            console.error('Error getting file content:', error.response?.data || error.message);
+            throw new Error(`Failed to read ${path} from GitHub`);
+        }
+    }
+
+    /**
+     * Comment on a pull request (PRs share the issue comments API)
+     */
+    async createPullRequestComment(accessToken, owner, repo, number, body) {
+        try {
+            const response = await axios.post(
+                `https://api.github.com/repos/${owner}/${repo}/issues/${number}/comments`,
+                { body },
+                {
+                    headers: {
+                        Authorization: `token ${accessToken}`,
+                        Accept: 'application/vnd.github.v3+json'
+                    }
+                }
+            );
+
+            return { id: response.data.id, html_url: response.data.html_url };
+        } catch (error) {
+            console.error('Error creating PR comment:', error.response?.data || error.message);
+            throw new Error('Failed to comment on pull request');
+        }
+    }
+
+    /**
+     * Replace the body of an existing pull request comment
+     */
+    async updatePullRequestComment(accessToken, owner, repo, commentId, body) {
+        try {
+            const response = await axios.patch(
+                `https://api.github.com/repos/${owner}/${repo}/issues/comments/${commentId}`,
+                { body },
+                {
+                    headers: {
+                        Authorization: `token ${accessToken}`,
+                        Accept: 'application/vnd.github.v3+json'
+                    }
+                }
+            );
+
+            return { id: response.data.id, html_url: response.data.html_url };
+        } catch (error) {
+            console.error('Error updating PR comment:', error.response?.data || error.message);
+            throw new Error('Failed to update pull request comment');
+        }
+    }
 }
 
 module.exports = new GithubService();
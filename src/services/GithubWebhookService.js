@@ -0,0 +1,333 @@
+const crypto = require('crypto');
+const Deployment = require('../models/Deployment');
+const DeploymentJob = require('../models/DeploymentJob');
+const DeploymentLog = require('../models/DeploymentLog');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { getDeploymentQueue } = require('./DeploymentQueue');
+const PreviewService = require('./PreviewService');
+
+class GithubWebhookService {
+    constructor() {
+        this.previewService = new PreviewService();
+    }
+
+    // Compare X-Hub-Signature-256 against an HMAC of the raw request body
+    verifySignature(rawBody, signature, secret) {
+        if (!rawBody || !signature || !secret) {
+            return false;
+        }
+
+        const expected = 'sha256=' + crypto
+            .createHmac('sha256', secret)
+            .update(rawBody)
+            .digest('hex');
+
+        const expectedBuffer = Buffer.from(expected);
+        const signatureBuffer = Buffer.from(signature);
+
+        return expectedBuffer.length === signatureBuffer.length &&
+            crypto.timingSafeEqual(expectedBuffer, signatureBuffer);
+    }
+
+    // https://github.com/Owner/Repo.git -> github.com/owner/repo
+    normalizeRepoUrl(url) {
+        if (!url) {
+            return null;
+        }
+
+        return url.trim()
+            .toLowerCase()
+            .replace(/^git@github\.com:/, 'github.com/')
+            .replace(/^(https?|git|ssh):\/\/(git@)?/, '')
+            .replace(/^www\./, '')
+            .replace(/\.git$/, '')
+            .replace(/\/+$/, '');
+    }
+
+    getRepositoryUrls(repository = {}) {
+        return [repository.html_url, repository.clone_url, repository.ssh_url, repository.url]
+            .map(url => this.normalizeRepoUrl(url))
+            .filter(Boolean);
+    }
+
+    // Components of a deployment that track the given repository
+    matchComponents(deployment, repositoryUrls) {
+        return ['frontend', 'backend'].filter(component =>
+            repositoryUrls.includes(this.normalizeRepoUrl(deployment[`${component}_repo`]))
+        );
+    }
+
+    async handleDelivery({ event, deliveryId, signature, rawBody, payload }) {
+        const repositoryUrls = this.getRepositoryUrls(payload?.repository);
+        const base = {
+            delivery_id: deliveryId,
+            event: event || 'unknown',
+            repository: payload?.repository?.full_name
+        };
+
+        // Only deployments tracking this repository can vouch for the signature
+        const candidates = (await Deployment.findWebhookEnabled())
+            .filter(deployment => this.matchComponents(deployment, repositoryUrls).length > 0);
+        const verified = candidates
+            .filter(deployment => this.verifySignature(rawBody, signature, deployment.webhook_secret));
+
+        if (verified.length === 0) {
+            await WebhookDelivery.record({
+                ...base,
+                outcome: 'rejected',
+                reason: candidates.length === 0
+                    ? 'No auto-deploy or preview enabled deployment tracks this repository'
+                    : 'Signature verification failed'
+            });
+            return { status: 401, outcome: 'rejected' };
+        }
+
+        if (event === 'ping') {
+            await WebhookDelivery.record({
+                ...base,
+                outcome: 'ignored',
+                reason: 'Webhook ping',
+                results: verified.map(deployment => ({
+                    deployment_id: deployment._id,
+                    outcome: 'ignored',
+                    reason: 'Webhook ping'
+                }))
+            });
+            return { status: 200, outcome: 'ignored' };
+        }
+
+        if (event === 'pull_request') {
+            return await this.handlePullRequest(base, payload, verified, repositoryUrls);
+        }
+
+        if (event !== 'push') {
+            await WebhookDelivery.record({
+                ...base,
+                outcome: 'ignored',
+                reason: `Unsupported event: ${event}`
+            });
+            return { status: 202, outcome: 'ignored' };
+        }
+
+        return await this.handlePush(base, payload, verified, repositoryUrls);
+    }
+
+    async handlePush(base, payload, deployments, repositoryUrls) {
+        const ref = payload.ref || '';
+        const commitSha = payload.after;
+        const branch = ref.startsWith('refs/heads/') ? ref.slice('refs/heads/'.length) : null;
+        const defaultBranch = payload.repository?.default_branch;
+
+        const results = [];
+
+        for (const deployment of deployments) {
+            const result = { deployment_id: deployment._id, components: [] };
+            results.push(result);
+
+            if (!deployment.auto_deploy_enabled) {
+                result.outcome = 'ignored';
+                result.reason = 'Auto-deploy is disabled';
+                continue;
+            }
+
+            if (deployment.status === 'suspended') {
+                result.outcome = 'ignored';
+                result.reason = 'Deployment is suspended';
+                continue;
+            }
+
+            if (!branch || payload.deleted) {
+                result.outcome = 'ignored';
+                result.reason = branch ? 'Branch deleted' : 'Not a branch push';
+                continue;
+            }
+
+            const components = this.matchComponents(deployment, repositoryUrls).filter(component =>
+                deployment[`auto_deploy_${component}`] &&
+                (deployment[`${component}_branch`] || defaultBranch) === branch &&
+                !deployment[`${component}_commit`]
+            );
+
+            if (components.length === 0) {
+                result.outcome = 'ignored';
+                result.reason = `No auto-deploy component tracks branch ${branch}`;
+                continue;
+            }
+
+            // A queued redeploy picks up this commit instead; one pinned to an
+            // earlier push is moved on to it
+            const pendingJob = await DeploymentJob.findOne({ deployment_id: deployment._id, status: 'pending' });
+            if (pendingJob) {
+                if (pendingJob.payload?.commit && commitSha) {
+                    await DeploymentJob.updateOne(
+                        { _id: pendingJob._id, status: 'pending' },
+                        { $set: { 'payload.commit': commitSha } }
+                    );
+                }
+                result.components = components;
+                result.job_id = pendingJob._id;
+                result.outcome = 'ignored';
+                result.reason = 'A redeploy is already queued';
+                continue;
+            }
+
+            try {
+                await Deployment.updateStatus(deployment._id, 'deploying');
+                await DeploymentLog.create(
+                    deployment._id,
+                    `🪝 Push to ${branch} (${(commitSha || '').slice(0, 7)}) - auto-deploying ${components.join(' and ')}`,
+                    'info'
+                );
+
+                const job = await getDeploymentQueue().enqueue({
+                    deploymentId: deployment._id,
+                    userId: deployment.user_id,
+                    type: 'redeploy',
+                    payload: { components, trigger: 'github_push', commit: commitSha }
+                });
+
+                result.components = components;
+                result.job_id = job._id;
+                result.outcome = 'triggered';
+            } catch (error) {
+                console.error(`❌ Auto-deploy failed for ${deployment.deployment_id}:`, error.message);
+                result.components = components;
+                result.outcome = 'failed';
+                result.reason = error.message;
+            }
+        }
+
+        const triggered = results.some(r => r.outcome === 'triggered');
+        const failed = results.some(r => r.outcome === 'failed');
+
+        await WebhookDelivery.record({
+            ...base,
+            ref,
+            commit_sha: commitSha,
+            outcome: triggered ? 'triggered' : (failed ? 'failed' : 'ignored'),
+            results
+        });
+
+        return { status: 202, outcome: triggered ? 'triggered' : (failed ? 'failed' : 'ignored'), results };
+    }
+
+    // Opened/updated pull requests get a preview deployment; closing removes it
+    async handlePullRequest(base, payload, deployments, repositoryUrls) {
+        const action = payload.action;
+        const pullRequest = payload.pull_request || {};
+        const results = [];
+
+        for (const deployment of deployments) {
+            const result = { deployment_id: deployment._id, components: [] };
+            results.push(result);
+
+            if (!deployment.previews_enabled) {
+                result.outcome = 'ignored';
+                result.reason = 'Previews are disabled';
+                continue;
+            }
+
+            try {
+                if (action === 'closed') {
+                    await this.teardownPreview(deployment, pullRequest, result);
+                } else if (['opened', 'reopened', 'synchronize'].includes(action)) {
+                    await this.deployPreview(deployment, pullRequest, repositoryUrls, result);
+                } else {
+                    result.outcome = 'ignored';
+                    result.reason = `Pull request action "${action}" does not affect previews`;
+                }
+            } catch (error) {
+                console.error(`❌ Preview handling failed for ${deployment.deployment_id}:`, error.message);
+                result.outcome = 'failed';
+                result.reason = error.message;
+            }
+        }
+
+        const triggered = results.some(r => r.outcome === 'triggered');
+        const failed = results.some(r => r.outcome === 'failed');
+        const outcome = triggered ? 'triggered' : (failed ? 'failed' : 'ignored');
+
+        await WebhookDelivery.record({
+            ...base,
+            ref: pullRequest.head?.ref,
+            commit_sha: pullRequest.head?.sha,
+            outcome,
+            reason: `pull_request.${action} #${pullRequest.number}`,
+            results
+        });
+
+        return { status: 202, outcome, results };
+    }
+
+    async deployPreview(deployment, pullRequest, repositoryUrls, result) {
+        // Fork PRs would run someone else's code with this deployment's env vars
+        if (pullRequest.head?.repo?.full_name !== pullRequest.base?.repo?.full_name) {
+            result.outcome = 'ignored';
+            result.reason = 'Pull requests from forks are not previewed';
+            return;
+        }
+
+        if (deployment.status === 'suspended') {
+            result.outcome = 'ignored';
+            result.reason = 'Deployment is suspended';
+            return;
+        }
+
+        const components = this.matchComponents(deployment, repositoryUrls);
+        const prepared = await this.previewService.preparePreview(deployment, pullRequest, components);
+
+        result.components = components;
+        result.outcome = prepared.outcome;
+        result.reason = prepared.reason;
+
+        if (prepared.quota) {
+            await this.previewService.reportQuotaReached(deployment, pullRequest, prepared.quota);
+        }
+
+        if (prepared.outcome !== 'triggered') {
+            return;
+        }
+
+        // A queued redeploy will pick up the new head commit from the record
+        const pendingJob = await DeploymentJob.findOne({ deployment_id: prepared.preview._id, status: 'pending' });
+        if (pendingJob) {
+            result.job_id = pendingJob._id;
+            result.reason = 'Preview deploy already queued';
+            return;
+        }
+
+        const job = await getDeploymentQueue().enqueue({
+            deploymentId: prepared.preview._id,
+            userId: deployment.user_id,
+            type: prepared.jobType,
+            payload: prepared.jobType === 'redeploy'
+                ? { components, trigger: 'github_pull_request' }
+                : { trigger: 'github_pull_request' }
+        });
+
+        result.job_id = job._id;
+        result.reason = `Preview ${prepared.preview.subdomain}`;
+    }
+
+    async teardownPreview(deployment, pullRequest, result) {
+        const preview = await Deployment.findPreview(deployment._id, pullRequest.number);
+        if (!preview) {
+            result.outcome = 'ignored';
+            result.reason = `No preview for PR #${pullRequest.number}`;
+            return;
+        }
+
+        // Queued so it runs after any deploy still in flight for the preview
+        const job = await getDeploymentQueue().enqueue({
+            deploymentId: preview._id,
+            userId: deployment.user_id,
+            type: 'teardown'
+        });
+
+        result.job_id = job._id;
+        result.outcome = 'triggered';
+        result.reason = `Tearing down preview ${preview.subdomain}`;
+    }
+}
+
+module.exports = GithubWebhookService;
@@ -0,0 +1,91 @@
+const axios = require('axios');
+
+// GitLab provider (see GitProviderService for the shared interface).
+// Projects may live in nested groups, so owner can contain slashes.
+class GitlabService {
+    constructor() {
+        this.name = 'gitlab';
+        this.label = 'GitLab';
+        this.hosts = ['gitlab.com', 'www.gitlab.com'];
+        this.example = 'https://gitlab.com/group/project';
+        this.tokenUsername = 'oauth2';
+        this.apiUrl = 'https://gitlab.com/api/v4';
+    }
+
+    /**
+     * Split a GitLab repository URL (HTTPS or SSH) into group path and project
+     */
+    parseRepositoryUrl(repoUrl) {
+        const match = /^(https:\/\/(?:www\.)?gitlab\.com\/|ssh:\/\/git@gitlab\.com\/|git@gitlab\.com:)((?:[\w.-]+\/)+)([\w.-]+?)(?:\.git)?\/?$/.exec((repoUrl || '').trim());
+        if (!match || match[2].split('/').includes('-')) {
+            return null;
+        }
+        return {
+            host: 'gitlab.com',
+            owner: match[2].replace(/\/$/, ''),
+            repo: match[3],
+            protocol: match[1].startsWith('http') ? 'https' : 'ssh'
+        };
+    }
+
+    getProjectUrl(owner, repo) {
+        return `${this.apiUrl}/projects/${encodeURIComponent(`${owner}/${repo}`)}`;
+    }
+
+    getHeaders(accessToken) {
+        return accessToken ? { Authorization: `Bearer ${accessToken}` } : {};
+    }
+
+    /**
+     * Get repository branches
+     */
+    async getRepositoryBranches(accessToken, owner, repo) {
+        try {
+            const response = await axios.get(`${this.getProjectUrl(owner, repo)}/repository/branches`, {
+                params: { per_page: 100 },
+                headers: this.getHeaders(accessToken),
+                timeout: 10000
+            });
+
+            return response.data.map(branch => ({
+                name: branch.name,
+                commit: {
+                    sha: branch.commit.id,
+                    url: branch.web_url
+                }
+            }));
+        } catch (error) {
+            console.error('Error getting branches:', error.response?.data || error.message);
+            throw new Error('Failed to get branches from GitLab');
+        }
+    }
+
+    /**
+     * Raw content of a file in a repository, or null when it does not exist.
+     * Public projects are read without a token.
+     */
+    async getFileContent(accessToken, owner, repo, path, ref = null) {
+        try {
+            const response = await axios.get(
+                `${this.getProjectUrl(owner, repo)}/repository/files/${encodeURIComponent(path)}/raw`,
+                {
+                    params: { ref: ref || 'HEAD' },
+                    headers: this.getHeaders(accessToken),
+                    responseType: 'text',
+                    transformResponse: [data => data],
+                    timeout: 10000
+                }
+            );
+
+            return response.data;
+        } catch (error) {
+            if (error.response?.status === 404) {
+                return null;
+            }
+            console.error('Error getting file content:', error.response?.data || error.message);
+            throw new Error(`Failed to read ${path} from GitLab`);
+        }
+    }
+}
+
+module.exports = new GitlabService();
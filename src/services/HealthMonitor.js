@@ -0,0 +1,133 @@
+const Deployment = require('../models/Deployment');
+const DeploymentLog = require('../models/DeploymentLog');
+const ClawdBotService = require('./ClawdBotService');
+
+// Periodic HTTP health probes of running apps. Each app component is probed on
+// the server at 127.0.0.1:<actual port> every health_check_interval seconds;
+// results are stored on the deployment (health.<component>) and a component
+// turning unhealthy or recovering is written to the deployment log.
+class HealthMonitor {
+    constructor() {
+        this.clawdBot = new ClawdBotService();
+        this.enabled = process.env.HEALTH_MONITOR !== 'false';
+        this.intervalMs = parseInt(process.env.HEALTH_CHECK_MS || '15000');
+        this.checking = false;
+    }
+
+    // Components running under PM2 that currently receive traffic
+    getProbedComponents(deployment) {
+        const hibernated = deployment.hibernation?.components || [];
+        return ['frontend', 'backend'].filter(component =>
+            deployment[`pm2_${component}_name`] && !deployment.isStatic(component) && !hibernated.includes(component));
+    }
+
+    isDue(deployment, component, now) {
+        const lastCheckedAt = deployment.health?.[component]?.last_checked_at;
+        return !lastCheckedAt || now - lastCheckedAt >= deployment.getHealthCheck(component).intervalSeconds * 1000;
+    }
+
+    log(deployment, message, type = 'info') {
+        console.log(`[${type.toUpperCase()}] ${message}`);
+        DeploymentLog.create(deployment._id, message, type).catch(console.error);
+    }
+
+    async probeComponent(deployment, component) {
+        const port = deployment.getUpstream(component);
+        if (!port) {
+            return null;
+        }
+
+        const health = await this.clawdBot.checkHttpHealth(port, () => {}, {
+            ...deployment.getHealthCheck(component),
+            attempts: 1
+        });
+        const previous = deployment.health?.[component]?.status;
+        const updated = await Deployment.recordHealth(deployment._id, component, health);
+        const state = updated?.health?.[component];
+        if (!state || state.status === previous) {
+            return state;
+        }
+
+        // Only changes are logged, and a first probe only when it fails
+        if (state.status === 'unhealthy') {
+            this.log(deployment, `🩺 ${component} health check failed: ${health.error}`, 'warning');
+        } else if (previous) {
+            this.log(deployment, `💚 ${component} is healthy again (HTTP ${state.status_code}, ${state.latency_ms} ms)`, 'success');
+        }
+
+        if (global.io) {
+            global.io.to(`user_${deployment.user_id}`).emit('health', {
+                type: 'health',
+                deployment_id: deployment.deployment_id,
+                component,
+                ...state.toObject()
+            });
+        }
+        return state;
+    }
+
+    async checkDeployments() {
+        if (this.checking) {
+            return;
+        }
+        this.checking = true;
+
+        try {
+            const deployments = await Deployment.find({
+                status: 'deployed',
+                $or: [{ pm2_frontend_name: { $ne: null } }, { pm2_backend_name: { $ne: null } }]
+            });
+
+            const now = new Date();
+            for (const deployment of deployments) {
+                for (const component of this.getProbedComponents(deployment)) {
+                    if (!this.isDue(deployment, component, now)) {
+                        continue;
+                    }
+                    await this.probeComponent(deployment, component).catch(error => {
+                        console.error(`❌ Health probe failed for ${deployment.deployment_id} ${component}:`, error.message);
+                    });
+                }
+            }
+        } catch (error) {
+            console.error('❌ Error checking deployment health:', error);
+        } finally {
+            this.checking = false;
+        }
+    }
+
+    start() {
+        if (!this.enabled) {
+            console.log('ℹ️ Health monitor disabled (HEALTH_MONITOR=false)');
+            return;
+        }
+
+        console.log('🚀 Starting health monitor...');
+
+        this.interval = setInterval(() => {
+            this.checkDeployments();
+        }, this.intervalMs);
+
+        console.log('✅ Health monitor started');
+    }
+
+    stop() {
+        if (this.interval) {
+            clearInterval(this.interval);
+            this.interval = null;
+            console.log('🛑 Health monitor stopped');
+        }
+    }
+}
+
+// Singleton instance
+let healthMonitorInstance = null;
+
+function getHealthMonitor() {
+    if (!healthMonitorInstance) {
+        healthMonitorInstance = new HealthMonitor();
+    }
+    return healthMonitorInstance;
+}
+
+module.exports = { HealthMonitor, getHealthMonitor };
@@ -0,0 +1,346 @@
+const Deployment = require('../models/Deployment');
+const DeploymentLog = require('../models/DeploymentLog');
+const DeploymentService = require('./DeploymentService');
+const NginxManager = require('./NginxManager');
+const { getSSHManager } = require('./SSHManager');
+const { getIdleTimeout } = require('../middleware/planLimits');
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+// Scale-to-zero. Deployments that opted in (hibernation.enabled) and whose
+// sites have had no requests for longer than the owner's plan allows are
+// hibernated: their PM2 processes are stopped and
+// nginx sends visitors to the wake endpoint (routes/wake.js), which starts the
+// processes again, waits for them to answer and sends the visitor back.
+class HibernationService {
+    constructor() {
+        this.deploymentService = new DeploymentService();
+        this.nginxManager = new NginxManager();
+        this.ssh = getSSHManager();
+        this.enabled = process.env.IDLE_HIBERNATION !== 'false';
+        this.intervalMs = parseInt(process.env.HIBERNATE_CHECK_MS || '300000');
+        this.wakeTimeoutMs = parseInt(process.env.WAKE_TIMEOUT_MS || '60000');
+        this.checking = false;
+        this.pending = new Map();       // deployment id -> running hibernate/wake
+    }
+
+    getWakeUrl(deployment) {
+        const apiUrl = process.env.PUBLIC_API_URL || `http://localhost:${process.env.PORT || 3000}`;
+        return `${apiUrl.replace(/\/+$/, '')}/wake/${deployment.deployment_id}`;
+    }
+
+    // Components running under PM2; static sites are served by nginx alone
+    getAppComponents(deployment) {
+        return ['frontend', 'backend'].filter(component => deployment[`pm2_${component}_name`]);
+    }
+
+    // Host names routed to the components: our subdomain plus active custom domains
+    getDomains(deployment, components = ['frontend', 'backend']) {
+        const domains = [];
+        for (const component of components) {
+            if (deployment[`${component}_url`]) {
+                domains.push({ component, domain: this.nginxManager.getFullDomain(deployment.subdomain, component === 'backend') });
+            }
+            for (const entry of deployment.custom_domains || []) {
+                if (entry.component === component && entry.status === 'active') {
+                    domains.push({ component, domain: entry.domain });
+                }
+            }
+        }
+        return domains;
+    }
+
+    // "[19/Oct/2026:09:15:02 +0200]" in nginx's combined log format
+    parseLogTime(line) {
+        const match = line.match(/\[(\d{2})\/(\w{3})\/(\d{4}):(\d{2}):(\d{2}):(\d{2}) ([+-]\d{2})(\d{2})\]/);
+        if (!match) {
+            return null;
+        }
+        const [, day, month, year, hour, minute, second, offsetHours, offsetMinutes] = match;
+        const monthNumber = String(MONTHS.indexOf(month) + 1).padStart(2, '0');
+        const date = new Date(`${year}-${monthNumber}-${day}T${hour}:${minute}:${second}${offsetHours}:${offsetMinutes}`);
+        return isNaN(date) ? null : date;
+    }
+
+    // Latest request across the sites, read from the last line of each access
+    // log (or of the rotated one when logrotate has just emptied it).
+    // Sites without a log of their own are listed in missing.
+    async getLastRequest(domains) {
+        if (domains.length === 0) {
+            return { lastRequestAt: null, missing: [] };
+        }
+
+        const command = domains.map(({ domain }) => {
+            const log = this.nginxManager.getAccessLogPath(domain);
+            return `if [ -e ${log} ]; then echo "${domain} $(tail -qn1 ${log} ${log}.1 2>/dev/null | head -n1)"; else echo "${domain} -"; fi`;
+        }).join('; ');
+        const result = await this.ssh.executeCommand(command);
+
+        let lastRequestAt = null;
+        const missing = [];
+        for (const line of result.stdout.split('\n').filter(Boolean)) {
+            const [domain, ...rest] = line.split(' ');
+            const entry = rest.join(' ');
+            if (entry === '-') {
+                missing.push(domain);
+                continue;
+            }
+            const time = this.parseLogTime(entry);
+            if (time && (!lastRequestAt || time > lastRequestAt)) {
+                lastRequestAt = time;
+            }
+        }
+
+        return { lastRequestAt, missing };
+    }
+
+    // One hibernate or wake at a time per deployment. Callers asking for the
+    // action already running share it; the other one waits its turn.
+    runExclusive(deployment, action, task) {
+        const key = deployment._id.toString();
+        const running = this.pending.get(key);
+        if (running?.action === action) {
+            return running.promise;
+        }
+
+        const promise = (running ? running.promise.catch(() => {}) : Promise.resolve())
+            .then(task)
+            .finally(() => {
+                if (this.pending.get(key)?.promise === promise) {
+                    this.pending.delete(key);
+                }
+            });
+        this.pending.set(key, { action, promise });
+        return promise;
+    }
+
+    isWaking(deployment) {
+        return this.pending.get(deployment._id.toString())?.action === 'wake';
+    }
+
+    log(deployment, message, type = 'info') {
+        console.log(`[${type.toUpperCase()}] ${message}`);
+        DeploymentLog.create(deployment._id, message, type).catch(console.error);
+    }
+
+    emitStatus(deployment, status, extra = {}) {
+        if (global.io) {
+            global.io.to(`user_${deployment.user_id}`).emit('status', {
+                type: 'status',
+                deployment_id: deployment.deployment_id,
+                status,
+                ...extra
+            });
+        }
+    }
+
+    // Hibernate the deployment when it has been idle past its plan's threshold
+    async checkDeployment(deployment, idleTimeoutMinutes) {
+        if (deployment.status !== 'deployed' || !deployment.hibernation?.enabled || idleTimeoutMinutes === null || idleTimeoutMinutes === undefined) {
+            return null;
+        }
+        const components = this.getAppComponents(deployment);
+        if (components.length === 0) {
+            return null;
+        }
+
+        // Traffic to a static frontend counts as activity for the app behind it
+        const { lastRequestAt, missing } = await this.getLastRequest(this.getDomains(deployment));
+        if (missing.length > 0) {
+            for (const domain of missing) {
+                await this.nginxManager.ensureAccessLog(domain).catch(error => {
+                    console.error(`❌ Could not enable the access log for ${domain}:`, error.message);
+                });
+            }
+            // Tracking starts now; idle time is counted from here
+            await Deployment.update(deployment._id, { 'hibernation.last_request_at': new Date() });
+            return null;
+        }
+
+        if (lastRequestAt && lastRequestAt > (deployment.hibernation?.last_request_at || 0)) {
+            await Deployment.update(deployment._id, { 'hibernation.last_request_at': lastRequestAt });
+        }
+
+        // A fresh deploy or wake-up counts as activity too
+        const lastActiveAt = Math.max(
+            lastRequestAt || 0,
+            deployment.hibernation?.last_request_at || 0,
+            deployment.hibernation?.woken_at || 0,
+            deployment.progress?.finished_at || 0,
+            deployment.createdAt || 0
+        );
+        if (Date.now() - lastActiveAt < idleTimeoutMinutes * 60 * 1000) {
+            return null;
+        }
+
+        return await this.hibernate(deployment, idleTimeoutMinutes);
+    }
+
+    async hibernate(deployment, idleTimeoutMinutes) {
+        return await this.runExclusive(deployment, 'hibernate', async () => {
+            const current = await Deployment.findById(deployment._id);
+            if (!current || current.status !== 'deployed') {
+                return null;
+            }
+
+            const components = this.getAppComponents(current);
+            const wake = { wake: this.getWakeUrl(current) };
+
+            // Recorded first so a half-switched deployment can always be woken
+            const hibernating = await Deployment.update(current._id, {
+                'hibernation.hibernated_at': new Date(),
+                'hibernation.components': components
+            });
+
+            // Visitors are sent to the wake endpoint before the processes go
+            // down, so nobody sees a 502 in between
+            let error = null;
+            try {
+                for (const { domain } of this.getDomains(current, components)) {
+                    await this.nginxManager.replaceDomainUpstream(domain, wake);
+                }
+                const result = await this.deploymentService.stopDeployment(current._id, { status: 'hibernated' });
+                if (!result.success) {
+                    error = result.results.filter(entry => !entry.success).map(entry => `${entry.type}: ${entry.error}`).join(', ');
+                }
+            } catch (switchError) {
+                error = switchError.message;
+            }
+
+            if (error) {
+                this.log(current, `❌ Hibernation failed, keeping the deployment running: ${error}`, 'error');
+                await this.restoreRouting(hibernating);
+                return { success: false, error };
+            }
+
+            console.log(`💤 Deployment ${current.deployment_id} hibernated`);
+            this.log(current, `💤 Hibernated after ${idleTimeoutMinutes} minutes without requests - the next visit wakes it up`, 'info');
+            this.emitStatus(current, 'hibernated');
+            return { success: true };
+        });
+    }
+
+    // Start the processes, wait until they answer and point nginx back at them.
+    // A deployment restarted some other way while hibernated only needs its routing back.
+    async wake(deployment) {
+        return await this.runExclusive(deployment, 'wake', async () => {
+            const current = await Deployment.findById(deployment._id);
+            if (!current || !current.hibernation?.components?.length) {
+                return { success: true };
+            }
+            if (!['hibernated', 'deployed'].includes(current.status)) {
+                return { success: false, error: `Deployment is ${current.status}` };
+            }
+
+            if (current.status === 'hibernated') {
+                this.log(current, '☀️ Request received - waking up', 'info');
+                const result = await this.deploymentService.restartDeployment(current._id);
+                if (!result.success) {
+                    const error = result.results.filter(entry => !entry.success).map(entry => `${entry.type}: ${entry.error}`).join(', ');
+                    this.log(current, `❌ Wake-up failed: ${error}`, 'error');
+                    // Shown on the dashboard; the waiting page stops waiting
+                    await Deployment.updateStatus(current._id, 'failed');
+                    this.emitStatus(current, 'failed', { error });
+                    return { success: false, error };
+                }
+
+                const attempts = Math.max(Math.ceil(this.wakeTimeoutMs / 2000), 1);
+                for (const component of current.hibernation.components) {
+                    const health = await this.deploymentService.clawdBot.checkHttpHealth(
+                        current.getUpstream(component),
+                        (message, type) => type !== 'info' && this.log(current, message, type),
+                        { ...current.getHealthCheck(component), attempts, intervalMs: 2000 }
+                    );
+                    if (!health.success) {
+                        // Routing is restored anyway; a slow app is better than a wake loop
+                        this.log(current, `⚠️ The ${component} did not answer in time: ${health.error}`, 'warning');
+                    }
+                }
+            }
+
+            await this.restoreRouting(current);
+            console.log(`☀️ Deployment ${current.deployment_id} woke up`);
+            this.log(current, '☀️ Awake - routing restored', 'success');
+            this.emitStatus(current, 'deployed');
+            return { success: true };
+        });
+    }
+
+    async restoreRouting(deployment) {
+        const components = deployment.hibernation?.components || [];
+        for (const { component, domain } of this.getDomains(deployment, components)) {
+            await this.nginxManager.replaceDomainUpstream(domain, deployment.getUpstream(component));
+        }
+        await Deployment.update(deployment._id, {
+            'hibernation.hibernated_at': null,
+            'hibernation.woken_at': new Date(),
+            'hibernation.components': []
+        });
+    }
+
+    async checkIdleDeployments() {
+        if (this.checking) {
+            return;
+        }
+        this.checking = true;
+
+        try {
+            const deployments = await Deployment.find({
+                status: 'deployed',
+                'hibernation.enabled': true,
+                $or: [{ pm2_frontend_name: { $ne: null } }, { pm2_backend_name: { $ne: null } }]
+            });
+
+            const timeouts = new Map();
+            for (const deployment of deployments) {
+                const userId = deployment.user_id.toString();
+                if (!timeouts.has(userId)) {
+                    timeouts.set(userId, await getIdleTimeout(deployment.user_id));
+                }
+
+                await this.checkDeployment(deployment, timeouts.get(userId)).catch(error => {
+                    console.error(`❌ Idle check failed for ${deployment.deployment_id}:`, error.message);
+                });
+            }
+        } catch (error) {
+            console.error('❌ Error checking idle deployments:', error);
+        } finally {
+            this.checking = false;
+        }
+    }
+
+    start() {
+        if (!this.enabled) {
+            console.log('ℹ️ Idle hibernation disabled (IDLE_HIBERNATION=false)');
+            return;
+        }
+
+        console.log('🚀 Starting idle hibernation monitor...');
+
+        this.interval = setInterval(() => {
+            this.checkIdleDeployments();
+        }, this.intervalMs);
+
+        console.log('✅ Idle hibernation monitor started');
+    }
+
+    stop() {
+        if (this.interval) {
+            clearInterval(this.interval);
+            this.interval = null;
+            console.log('🛑 Idle hibernation monitor stopped');
+        }
+    }
+}
+
+// Singleton instance
+let hibernationInstance = null;
+
+function getHibernationService() {
+    if (!hibernationInstance) {
+        hibernationInstance = new HibernationService();
+    }
+    return hibernationInstance;
+}
+
+module.exports = { HibernationService, getHibernationService };
@@ -1,5 +1,9 @@
 const { getSSHManager } = require('./SSHManager');
 
+// Lowercase host names made of letter-digit-hyphen labels (punycode included).
+// Domains end up in nginx directives, file paths and shell commands.
+const DOMAIN_PATTERN = /^(?=.{1,253}$)[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?(?:\.[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?)+$/;
+
 class NginxManager {
     constructor() {
         this.ssh = getSSHManager();
@@ -39,21 +43,74 @@ class NginxManager {
         }
     }
 
-    async createSubdomainConfig(subdomain, port, isBackend = false) {
-        const fullDomain = isBackend 
+    assertDomain(fullDomain) {
+        if (typeof fullDomain !== 'string' || !DOMAIN_PATTERN.test(fullDomain)) {
+            throw new Error(`Invalid domain: ${JSON.stringify(fullDomain)}`);
+        }
+    }
+
+    getFullDomain(subdomain, isBackend = false) {
+        return isBackend
             ? `${subdomain}-api.${this.baseDomain}`
             : `${subdomain}.${this.baseDomain}`;
+    }
 
-        let config;
-        let useHTTPS = false;
+    async createSubdomainConfig(subdomain, upstream, isBackend = false, onPhase = null) {
+        return await this.createDomainConfig(this.getFullDomain(subdomain, isBackend), upstream, onPhase);
+    }
+
+    // Site for any host name: our subdomains and verified custom domains.
+    // The site is routed over HTTP first, then switched to HTTPS once the
+    // certificate is issued. onPhase(name) reports 'routing' and 'ssl'.
+    async createDomainConfig(fullDomain, upstream, onPhase = null) {
+        this.assertDomain(fullDomain);
+        onPhase?.('routing');
+        await this.installConfig(fullDomain, this.buildConfig(fullDomain, upstream, false));
 
-        // Try to get SSL certificate first
+        let useHTTPS = false;
         if (this.enableSSL) {
+            onPhase?.('ssl');
             const sslObtained = await this.obtainSSLCertificate(fullDomain);
             if (sslObtained) {
+                await this.installConfig(fullDomain, this.buildConfig(fullDomain, upstream, true));
                 useHTTPS = true;
-                // Create HTTPS config with redirect
-                config = `server {
+            } else {
+                console.log('⚠️  SSL certificate failed, falling back to HTTP');
+            }
+        }
+
+        const protocol = useHTTPS ? 'https' : 'http';
+        return {
+            success: true,
+            domain: fullDomain,
+            url: `${protocol}://${fullDomain}`,
+            secure: useHTTPS
+        };
+    }
+
+    // Extra location blocks for a site (redirects from the repository config)
+    getSnippetDir(fullDomain) {
+        return `/etc/nginx/clawdeploy/${fullDomain}`;
+    }
+
+    // Per-site access log; its latest entry is the site's last request.
+    // Kept next to nginx's own logs so the stock logrotate rules cover it.
+    getAccessLogPath(fullDomain) {
+        return `/var/log/nginx/${fullDomain}.access.log`;
+    }
+
+    // upstream is the port an app listens on, { root } for a static site or
+    // { wake } for a hibernated app whose visitors go to the wake endpoint
+    buildConfig(fullDomain, upstream, secure) {
+        this.assertDomain(fullDomain);
+        const site = `    access_log ${this.getAccessLogPath(fullDomain)};
+    include ${this.getSnippetDir(fullDomain)}/*.conf;
+
+${this.buildLocations(upstream)}`;
+
+        if (secure) {
+            // HTTPS config with redirect
+            return `server {
     listen 80;
     server_name ${fullDomain};
     return 301 https://$server_name$request_uri;
@@ -70,33 +127,50 @@ server {
     ssl_prefer_server_ciphers off;
     ssl_ciphers 'ECDHE-ECDSA-AES128-GCM-SHA256:ECDHE-RSA-AES128-GCM-SHA256:ECDHE-ECDSA-AES256-GCM-SHA384:ECDHE-RSA-AES256-GCM-SHA384';
 
-    location / {
-        proxy_pass http://127.0.0.1:${port};
-        proxy_http_version 1.1;
-        proxy_set_header Upgrade $http_upgrade;
-        proxy_set_header Connection 'upgrade';
-        proxy_set_header Host $host;
-        proxy_set_header X-Real-IP $remote_addr;
-        proxy_set_header X-Forwarded-For $proxy_add_x_forwarded_for;
-        proxy_set_header X-Forwarded-Proto $scheme;
-        proxy_cache_bypass $http_upgrade;
-        proxy_read_timeout 300s;
-        proxy_connect_timeout 75s;
-    }
+${site}
 }`;
-            } else {
-                console.log('⚠️  SSL certificate failed, falling back to HTTP');
-            }
         }
 
-        // Fallback to HTTP-only config if SSL failed or disabled
-        if (!useHTTPS) {
-            config = `server {
+        return `server {
     listen 80;
     server_name ${fullDomain};
 
+${site}
+}`;
+    }
+
+    buildLocations(upstream) {
+        if (upstream?.wake) {
+            // The wake endpoint gets the original URL back as its path
+            return `    location / {
+        add_header Cache-Control "no-store" always;
+        return 302 ${upstream.wake}/$scheme/$host$request_uri;
+    }`;
+        }
+
+        if (upstream && typeof upstream === 'object') {
+            // Single-page apps: unknown paths fall back to index.html, which is
+            // never cached; fingerprinted build assets are cached for a year
+            return `    root ${upstream.root};
+    index index.html;
+
+    location ~* "[.-][A-Za-z0-9_-]{8,}\\.(js|mjs|css|map|woff2?|ttf|otf|eot|png|jpe?g|gif|svg|webp|avif|ico)$" {
+        expires 1y;
+        add_header Cache-Control "public, max-age=31536000, immutable";
+        try_files $uri =404;
+    }
+
+    location = /index.html {
+        add_header Cache-Control "no-cache";
+    }
+
     location / {
-        proxy_pass http://127.0.0.1:${port};
+        try_files $uri $uri/ /index.html;
+    }`;
+        }
+
+        return `    location / {
+        proxy_pass http://127.0.0.1:${upstream};
         proxy_http_version 1.1;
         proxy_set_header Upgrade $http_upgrade;
         proxy_set_header Connection 'upgrade';
@@ -107,10 +181,11 @@ server {
         proxy_cache_bypass $http_upgrade;
         proxy_read_timeout 300s;
         proxy_connect_timeout 75s;
+    }`;
     }
-}`;
-        }
 
+    // Write the site, enable it and reload nginx
+    async installConfig(fullDomain, config) {
         const configPath = `/etc/nginx/sites-available/${fullDomain}`;
         const enabledPath = `/etc/nginx/sites-enabled/${fullDomain}`;
 
@@ -141,26 +216,207 @@ server {
             }
 
             console.log(`✅ Nginx reloaded successfully`);
+        } catch (error) {
+            console.error(`❌ Failed to create nginx config for ${fullDomain}:`, error.message);
+            throw error;
+        }
+    }
 
-            const protocol = useHTTPS ? 'https' : 'http';
-            return {
-                success: true,
-                domain: fullDomain,
-                url: `${protocol}://${fullDomain}`,
-                secure: useHTTPS
-            };
+    // Repoint an existing site at a new upstream port, keeping its SSL setup
+    async updateSubdomainPort(subdomain, port, isBackend = false) {
+        return await this.updateDomainPort(this.getFullDomain(subdomain, isBackend), port);
+    }
+
+    async updateDomainPort(fullDomain, port) {
+        this.assertDomain(fullDomain);
+        const configPath = `/etc/nginx/sites-available/${fullDomain}`;
+
+        const exists = await this.ssh.fileExists(configPath);
+        if (!exists) {
+            console.log(`⚠️  No nginx config for ${fullDomain}, creating a new one`);
+            return await this.createDomainConfig(fullDomain, port);
+        }
+
+        // Keep a backup so a failed config test leaves the old routing in place
+        await this.ssh.executeCommand(`cp ${configPath} ${configPath}.bak`);
+        await this.ssh.executeCommand(
+            `sed -i -E 's#proxy_pass http://127\\.0\\.0\\.1:[0-9]+;#proxy_pass http://127.0.0.1:${port};#' ${configPath}`
+        );
+
+        const testResult = await this.ssh.executeCommand('/usr/sbin/nginx -t');
+        if (!testResult.success) {
+            await this.ssh.executeCommand(`mv ${configPath}.bak ${configPath}`);
+            console.error('❌ Nginx config test failed:', testResult.stderr);
+            throw new Error('Nginx configuration test failed: ' + testResult.stderr);
+        }
+
+        // Reload is graceful: in-flight requests finish on the old upstream
+        const reloadResult = await this.ssh.executeCommand('systemctl reload nginx');
+        if (!reloadResult.success) {
+            await this.ssh.executeCommand(`mv ${configPath}.bak ${configPath}`);
+            console.error('❌ Nginx reload failed:', reloadResult.stderr);
+            throw new Error('Nginx reload failed: ' + reloadResult.stderr);
+        }
+
+        await this.ssh.executeCommand(`rm -f ${configPath}.bak`);
+        console.log(`✅ Nginx config for ${fullDomain} now points to port ${port}`);
+
+        const secureResult = await this.ssh.executeCommand(`grep -q "listen 443" ${configPath}`);
+        const protocol = secureResult.success ? 'https' : 'http';
+
+        return {
+            success: true,
+            domain: fullDomain,
+            url: `${protocol}://${fullDomain}`,
+            secure: secureResult.success
+        };
+    }
+
+    // Rewrite a site for another kind of upstream (app port, static web root
+    // or wake endpoint), keeping HTTPS when the site already has it
+    async replaceSubdomainUpstream(subdomain, upstream, isBackend = false) {
+        return await this.replaceDomainUpstream(this.getFullDomain(subdomain, isBackend), upstream);
+    }
+
+    async replaceDomainUpstream(fullDomain, upstream) {
+        this.assertDomain(fullDomain);
+        const configPath = `/etc/nginx/sites-available/${fullDomain}`;
+
+        const exists = await this.ssh.fileExists(configPath);
+        if (!exists) {
+            console.log(`⚠️  No nginx config for ${fullDomain}, creating a new one`);
+            return await this.createDomainConfig(fullDomain, upstream);
+        }
 
+        const secureResult = await this.ssh.executeCommand(`grep -q "listen 443" ${configPath}`);
+        await this.ssh.executeCommand(`cp ${configPath} ${configPath}.bak`);
+        try {
+            await this.installConfig(fullDomain, this.buildConfig(fullDomain, upstream, secureResult.success));
         } catch (error) {
-            console.error(`❌ Failed to create nginx config for ${fullDomain}:`, error.message);
+            await this.ssh.executeCommand(`mv ${configPath}.bak ${configPath} && systemctl reload nginx`);
             throw error;
         }
+        await this.ssh.executeCommand(`rm -f ${configPath}.bak`);
+
+        const protocol = secureResult.success ? 'https' : 'http';
+        return {
+            success: true,
+            domain: fullDomain,
+            url: `${protocol}://${fullDomain}`,
+            secure: secureResult.success
+        };
+    }
+
+    // Replace the site's redirects. redirects: [{ source, destination, permanent }]
+    async updateRedirects(fullDomain, redirects = []) {
+        this.assertDomain(fullDomain);
+        const configPath = `/etc/nginx/sites-available/${fullDomain}`;
+        const snippetDir = this.getSnippetDir(fullDomain);
+        const snippetPath = `${snippetDir}/redirects.conf`;
+
+        if (!(await this.ssh.fileExists(configPath))) {
+            throw new Error(`No nginx config for ${fullDomain}`);
+        }
+
+        const hasRedirects = await this.ssh.fileExists(snippetPath);
+        if (redirects.length === 0 && !hasRedirects) {
+            return { success: true, domain: fullDomain, redirects: 0 };
+        }
+
+        await this.ssh.executeCommand(`cp ${configPath} ${configPath}.bak`);
+        if (hasRedirects) {
+            await this.ssh.executeCommand(`cp ${snippetPath} ${snippetPath}.bak`);
+        }
+        const restore = async () => {
+            await this.ssh.executeCommand(`mv ${configPath}.bak ${configPath}`);
+            await this.ssh.executeCommand(hasRedirects ? `mv ${snippetPath}.bak ${snippetPath}` : `rm -f ${snippetPath}`);
+        };
+
+        // Sites created before redirects were supported do not include the snippets yet
+        const included = await this.ssh.executeCommand(`grep -qF "include ${snippetDir}/" ${configPath}`);
+        if (!included.success) {
+            await this.ssh.executeCommand(
+                `sed -i 's#^    location / {#    include ${snippetDir}/*.conf;\\n\\n    location / {#' ${configPath}`
+            );
+        }
+
+        if (redirects.length > 0) {
+            const config = redirects.map(redirect =>
+                `location = ${redirect.source} {\n    return ${redirect.permanent === false ? 302 : 301} ${redirect.destination};\n}`
+            ).join('\n\n');
+            await this.ssh.createDirectory(snippetDir);
+            await this.ssh.writeFile(snippetPath, config);
+        } else {
+            await this.ssh.executeCommand(`rm -f ${snippetPath}`);
+        }
+
+        const testResult = await this.ssh.executeCommand('/usr/sbin/nginx -t');
+        if (!testResult.success) {
+            await restore();
+            console.error('❌ Nginx config test failed:', testResult.stderr);
+            throw new Error('Nginx configuration test failed: ' + testResult.stderr);
+        }
+
+        const reloadResult = await this.ssh.executeCommand('systemctl reload nginx');
+        if (!reloadResult.success) {
+            await restore();
+            console.error('❌ Nginx reload failed:', reloadResult.stderr);
+            throw new Error('Nginx reload failed: ' + reloadResult.stderr);
+        }
+
+        await this.ssh.executeCommand(`rm -f ${configPath}.bak ${snippetPath}.bak`);
+        console.log(`✅ Nginx redirects for ${fullDomain} updated (${redirects.length})`);
+
+        return { success: true, domain: fullDomain, redirects: redirects.length };
+    }
+
+    // Sites created before access logs were split out log to nginx's shared
+    // file; give them their own so their traffic can be tracked
+    async ensureAccessLog(fullDomain) {
+        this.assertDomain(fullDomain);
+        const configPath = `/etc/nginx/sites-available/${fullDomain}`;
+        const logPath = this.getAccessLogPath(fullDomain);
+
+        if (!(await this.ssh.fileExists(configPath))) {
+            throw new Error(`No nginx config for ${fullDomain}`);
+        }
+
+        const configured = await this.ssh.executeCommand(`grep -qF "access_log ${logPath};" ${configPath}`);
+        if (configured.success) {
+            return { success: true, domain: fullDomain, changed: false };
+        }
+
+        await this.ssh.executeCommand(`cp ${configPath} ${configPath}.bak`);
+        await this.ssh.executeCommand(
+            `sed -i 's#^    location / {#    access_log ${logPath};\\n\\n    location / {#' ${configPath}`
+        );
+
+        const testResult = await this.ssh.executeCommand('/usr/sbin/nginx -t');
+        if (!testResult.success) {
+            await this.ssh.executeCommand(`mv ${configPath}.bak ${configPath}`);
+            console.error('❌ Nginx config test failed:', testResult.stderr);
+            throw new Error('Nginx configuration test failed: ' + testResult.stderr);
+        }
+
+        const reloadResult = await this.ssh.executeCommand('systemctl reload nginx');
+        if (!reloadResult.success) {
+            await this.ssh.executeCommand(`mv ${configPath}.bak ${configPath}`);
+            console.error('❌ Nginx reload failed:', reloadResult.stderr);
+            throw new Error('Nginx reload failed: ' + reloadResult.stderr);
+        }
+
+        await this.ssh.executeCommand(`rm -f ${configPath}.bak`);
+        console.log(`✅ Nginx access log for ${fullDomain} enabled`);
+
+        return { success: true, domain: fullDomain, changed: true };
     }
 
     async deleteSubdomainConfig(subdomain, isBackend = false) {
-        const fullDomain = isBackend 
-            ? `${subdomain}-api.${this.baseDomain}`
-            : `${subdomain}.${this.baseDomain}`;
+        return await this.deleteDomainConfig(this.getFullDomain(subdomain, isBackend));
+    }
 
+    async deleteDomainConfig(fullDomain) {
+        this.assertDomain(fullDomain);
         const configPath = `/etc/nginx/sites-available/${fullDomain}`;
         const enabledPath = `/etc/nginx/sites-enabled/${fullDomain}`;
 
@@ -168,8 +424,10 @@ server {
             // Remove symlink
             await this.ssh.executeCommand(`rm -f ${enabledPath}`);
             
-            // Remove config file
+            // Remove config file, its snippets and access logs
             await this.ssh.executeCommand(`rm -f ${configPath}`);
+            await this.ssh.executeCommand(`rm -rf ${this.getSnippetDir(fullDomain)}`);
+            await this.ssh.executeCommand(`rm -f ${this.getAccessLogPath(fullDomain)}*`);
 
             // Reload nginx
             await this.ssh.executeCommand('systemctl reload nginx');
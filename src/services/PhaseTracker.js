@@ -0,0 +1,238 @@
+const Deployment = require('../models/Deployment');
+
+const GLOBAL_PHASES = ['queued', 'allocating_ports'];
+const COMPONENT_PHASES = ['cloning', 'installing', 'building', 'starting', 'port_detection', 'verifying', 'routing', 'ssl'];
+
+// Keeps deployment.progress up to date while a deploy or redeploy job runs:
+// which phase each component is in, with start/end times and errors. Every
+// change is also emitted to the user's sockets as a `phase` event.
+//
+// Phases only move forward. Starting a phase closes the ones before it on the
+// same component; phases that were passed without being observed (ClawdBot
+// does not always say when it installs or builds) are marked succeeded
+// without timings.
+class PhaseTracker {
+    constructor(deployment) {
+        this.deploymentId = deployment._id;
+        this.publicId = deployment.deployment_id;
+        this.userId = deployment.user_id.toString();
+        this.progress = deployment.progress?.phases?.length
+            ? JSON.parse(JSON.stringify(deployment.progress))
+            : null;
+    }
+
+    // New phase list for a job, with "queued" running until a worker picks it up
+    static async queue(deployment, { jobId, jobType, components }) {
+        const tracker = new PhaseTracker(deployment);
+        tracker.progress = {
+            job_id: jobId,
+            job_type: jobType,
+            current_phase: null,
+            started_at: new Date(),
+            finished_at: null,
+            phases: [
+                ...GLOBAL_PHASES.map(name => ({ name, component: null, status: 'pending' })),
+                ...components.flatMap(component =>
+                    COMPONENT_PHASES.map(name => ({ name, component, status: 'pending' }))
+                ),
+                { name: 'done', component: null, status: 'pending' }
+            ]
+        };
+        await tracker.start('queued');
+        return tracker;
+    }
+
+    // Continue the phase list created when the job was queued, or start one
+    // for work that did not go through the queue
+    static async forJob(deployment, { jobId, jobType, components }) {
+        const tracker = new PhaseTracker(deployment);
+        if (jobId && tracker.isFor(jobId)) {
+            return tracker;
+        }
+        return await PhaseTracker.queue(deployment, { jobId, jobType, components });
+    }
+
+    static async load(deploymentId) {
+        const deployment = await Deployment.findById(deploymentId);
+        return deployment ? new PhaseTracker(deployment) : null;
+    }
+
+    // Whether the phases belong to this job and it has not finished yet
+    isFor(jobId) {
+        return Boolean(this.progress && String(this.progress.job_id) === String(jobId) && !this.progress.finished_at);
+    }
+
+    // Lane for a component that joined after the job was queued, e.g. one
+    // added by the repository config file
+    async addComponent(component) {
+        if (!this.progress || this.progress.phases.some(phase => phase.component === component)) {
+            return;
+        }
+
+        const done = this.progress.phases.findIndex(phase => phase.name === 'done');
+        this.progress.phases.splice(done, 0, ...COMPONENT_PHASES.map(name => ({ name, component, status: 'pending' })));
+        this.writing = (this.writing || Promise.resolve())
+            .catch(() => {})
+            .then(() => Deployment.update(this.deploymentId, { progress: this.progress }));
+        await this.writing;
+    }
+
+    find(name, component = null) {
+        return this.progress?.phases.find(phase => phase.name === name && (phase.component || null) === component) || null;
+    }
+
+    // Phases that come before (and including) the target on its own lane:
+    // global phases plus the target component's phases
+    lane(component, until = null) {
+        const phases = [];
+        for (const phase of this.progress?.phases || []) {
+            if (phase === until) {
+                break;
+            }
+            if (!phase.component || !component || phase.component === component) {
+                phases.push(phase);
+            }
+        }
+        return phases;
+    }
+
+    close(phase, status, now, error = null) {
+        if (phase.status === 'running') {
+            phase.finished_at = now;
+            phase.duration_ms = now - new Date(phase.started_at);
+        } else if (phase.status !== 'pending') {
+            return;
+        }
+        phase.status = status;
+        if (error) {
+            phase.error = error;
+        }
+    }
+
+    getPercent() {
+        const phases = this.progress?.phases || [];
+        if (phases.length === 0) {
+            return 0;
+        }
+        const finished = phases.filter(phase => ['succeeded', 'failed', 'skipped'].includes(phase.status)).length;
+        return Math.round((finished / phases.length) * 100);
+    }
+
+    async start(name, component = null) {
+        const phase = this.find(name, component);
+        if (!phase || phase.status !== 'pending') {
+            return;
+        }
+
+        const now = new Date();
+        for (const earlier of this.lane(component, phase)) {
+            this.close(earlier, 'succeeded', now);
+        }
+
+        phase.status = 'running';
+        phase.started_at = now;
+        this.progress.current_phase = name;
+        await this.save(phase);
+    }
+
+    // Component finished: close its running phase and skip what it did not need
+    async completeComponent(component) {
+        if (!this.progress) {
+            return;
+        }
+
+        const now = new Date();
+        const phases = this.progress.phases.filter(phase => phase.component === component);
+        if (phases.length === 0) {
+            return;
+        }
+        const running = phases.find(phase => phase.status === 'running');
+        if (running) {
+            this.close(running, 'succeeded', now);
+        }
+        phases.filter(phase => phase.status === 'pending').forEach(phase => {
+            phase.status = 'skipped';
+        });
+
+        await this.save(running || phases[phases.length - 1]);
+    }
+
+    // Mark the phase the component (or the global pipeline) is in as failed
+    async fail(component, error) {
+        if (!this.progress) {
+            return;
+        }
+
+        const now = new Date();
+        const lane = this.progress.phases.filter(phase => (phase.component || null) === (component || null) && phase.name !== 'done');
+        const failed = lane.find(phase => phase.status === 'running') || lane.find(phase => phase.status === 'pending');
+        if (!failed) {
+            return;
+        }
+
+        this.close(failed, 'failed', now, error);
+        lane.filter(phase => phase.status === 'pending').forEach(phase => {
+            phase.status = 'skipped';
+        });
+
+        await this.save(failed);
+    }
+
+    async finish(success, error = null) {
+        if (!this.progress) {
+            return;
+        }
+
+        const now = new Date();
+        const done = this.find('done');
+        for (const phase of this.progress.phases) {
+            if (phase === done) {
+                continue;
+            }
+            if (phase.status === 'running') {
+                this.close(phase, success ? 'succeeded' : 'failed', now, success ? null : error);
+            } else if (phase.status === 'pending') {
+                phase.status = 'skipped';
+            }
+        }
+
+        done.status = success ? 'succeeded' : 'failed';
+        done.started_at = now;
+        done.finished_at = now;
+        done.duration_ms = 0;
+        if (!success && error) {
+            done.error = error;
+        }
+
+        this.progress.current_phase = 'done';
+        this.progress.finished_at = now;
+        await this.save(done);
+    }
+
+    async save(phase) {
+        const event = {
+            deployment_id: this.publicId,
+            phase: phase.name,
+            component: phase.component,
+            status: phase.status,
+            started_at: phase.started_at,
+            finished_at: phase.finished_at,
+            duration_ms: phase.duration_ms,
+            error: phase.error,
+            percent: this.getPercent()
+        };
+
+        // ClawdBot reports phases without waiting on them; chaining the writes
+        // keeps an older snapshot from landing after a newer one
+        this.writing = (this.writing || Promise.resolve())
+            .catch(() => {})
+            .then(() => Deployment.update(this.deploymentId, { progress: this.progress }));
+        await this.writing;
+
+        if (global.io) {
+            global.io.to(`user_${this.userId}`).emit('phase', event);
+        }
+    }
+}
+
+module.exports = PhaseTracker;
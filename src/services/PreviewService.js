@@ -0,0 +1,230 @@
+const Deployment = require('../models/Deployment');
+const DeploymentLog = require('../models/DeploymentLog');
+const User = require('../models/User');
+const DeploymentService = require('./DeploymentService');
+const SubdomainGenerator = require('../utils/SubdomainGenerator');
+const githubService = require('./GithubService');
+const { getPreviewQuota } = require('../middleware/planLimits');
+
+class PreviewService {
+    constructor() {
+        this.deploymentService = new DeploymentService();
+        this.subdomainGenerator = new SubdomainGenerator();
+    }
+
+    getPreviewSubdomain(parent, prNumber) {
+        const subdomain = `${parent.subdomain}-pr-${prNumber}`;
+        if (!this.subdomainGenerator.validate(subdomain)) {
+            throw new Error(`Preview subdomain "${subdomain}" is not a valid subdomain`);
+        }
+        return subdomain;
+    }
+
+    // Create the preview record for a pull request, or point an existing one at
+    // the new head commit. Returns the job type the caller should enqueue.
+    async preparePreview(parent, pullRequest, components) {
+        const head = pullRequest.head;
+        const pinned = {};
+        for (const component of components) {
+            pinned[`${component}_branch`] = head.ref;
+            pinned[`${component}_commit`] = head.sha;
+        }
+
+        const existing = await Deployment.findPreview(parent._id, pullRequest.number);
+        if (existing) {
+            const preview = await Deployment.update(existing.id, { ...pinned, status: 'deploying' });
+            await DeploymentLog.create(
+                preview._id,
+                `🔁 PR #${pullRequest.number} updated (${head.sha.slice(0, 7)}) - redeploying preview`,
+                'info'
+            );
+            return { outcome: 'triggered', preview, jobType: 'redeploy', components };
+        }
+
+        const quota = await getPreviewQuota(parent.user_id);
+        if (quota.available <= 0) {
+            return {
+                outcome: 'ignored',
+                reason: `Preview limit reached (${quota.used}/${quota.limit})`,
+                quota
+            };
+        }
+
+        const subdomain = this.getPreviewSubdomain(parent, pullRequest.number);
+        if (await Deployment.findBySubdomain(subdomain)) {
+            return { outcome: 'failed', reason: `Subdomain ${subdomain} is already taken` };
+        }
+
+        const preview = await Deployment.create({
+            user_id: parent.user_id,
+            name: `${parent.name} (PR #${pullRequest.number})`,
+            subdomain,
+            frontend_repo: parent.frontend_repo,
+            backend_repo: parent.backend_repo,
+            frontend_description: parent.frontend_description,
+            backend_description: parent.backend_description,
+            frontend_branch: parent.frontend_branch,
+            backend_branch: parent.backend_branch,
+            // Cloned with the parent's credentials and deploy key
+            frontend_git_auth: parent.frontend_git_auth,
+            backend_git_auth: parent.backend_git_auth,
+            frontend_git_username: parent.frontend_git_username,
+            backend_git_username: parent.backend_git_username,
+            frontend_git_token: parent.frontend_git_token,
+            backend_git_token: parent.backend_git_token,
+            deploy_key_id: parent.deploy_key_id,
+            deploy_key_public: parent.deploy_key_public,
+            frontend_root_directory: parent.frontend_root_directory,
+            backend_root_directory: parent.backend_root_directory,
+            frontend_install_command: parent.frontend_install_command,
+            frontend_build_command: parent.frontend_build_command,
+            frontend_start_command: parent.frontend_start_command,
+            frontend_node_version: parent.frontend_node_version,
+            backend_install_command: parent.backend_install_command,
+            backend_build_command: parent.backend_build_command,
+            backend_start_command: parent.backend_start_command,
+            backend_node_version: parent.backend_node_version,
+            frontend_api_url_env_names: parent.frontend_api_url_env_names,
+            frontend_pre_deploy: parent.frontend_pre_deploy,
+            backend_pre_deploy: parent.backend_pre_deploy,
+            frontend_post_deploy: parent.frontend_post_deploy,
+            backend_post_deploy: parent.backend_post_deploy,
+            frontend_hook_timeout: parent.frontend_hook_timeout,
+            backend_hook_timeout: parent.backend_hook_timeout,
+            frontend_hook_failure: parent.frontend_hook_failure,
+            backend_hook_failure: parent.backend_hook_failure,
+            frontend_health_check_path: parent.frontend_health_check_path,
+            backend_health_check_path: parent.backend_health_check_path,
+            frontend_health_check_status: parent.frontend_health_check_status,
+            backend_health_check_status: parent.backend_health_check_status,
+            frontend_health_check_timeout: parent.frontend_health_check_timeout,
+            backend_health_check_timeout: parent.backend_health_check_timeout,
+            frontend_health_check_interval: parent.frontend_health_check_interval,
+            backend_health_check_interval: parent.backend_health_check_interval,
+            frontend_type: parent.frontend_type,
+            backend_type: parent.backend_type,
+            frontend_output_directory: parent.frontend_output_directory,
+            backend_output_directory: parent.backend_output_directory,
+            frontend_commit: parent.frontend_commit,
+            backend_commit: parent.backend_commit,
+            ...pinned,
+            env_vars: parent.env_vars,
+            frontend_env_vars: parent.frontend_env_vars,
+            backend_env_vars: parent.backend_env_vars,
+            deploy_strategy: 'in_place',
+            parent_deployment_id: parent._id,
+            pr_number: pullRequest.number,
+            pr_repository: pullRequest.base.repo.full_name,
+            status: 'deploying'
+        });
+
+        await DeploymentLog.create(
+            preview._id,
+            `🔍 Preview for PR #${pullRequest.number} (${head.ref} @ ${head.sha.slice(0, 7)}) created from ${parent.subdomain}`,
+            'info'
+        );
+
+        await this.updateComment(preview, 'deploying');
+
+        return { outcome: 'triggered', preview, jobType: 'deploy', components };
+    }
+
+    // Tell the pull request that there is no preview because of the quota
+    async reportQuotaReached(parent, pullRequest, quota) {
+        const user = await User.findById(parent.user_id);
+        if (!user?.github_access_token) {
+            return;
+        }
+
+        const [owner, repo] = pullRequest.base.repo.full_name.split('/');
+        const body = [
+            '### 🔍 Preview deployment',
+            '',
+            `⚠️ No preview was created: your plan allows ${quota.limit} preview deployment(s) and ${quota.used} are in use.`,
+            'Close another pull request or upgrade your plan to get a preview for this one.'
+        ].join('\n');
+
+        await githubService.createPullRequestComment(user.github_access_token, owner, repo, pullRequest.number, body)
+            .catch(error => console.error(`⚠️ Could not comment on PR #${pullRequest.number}:`, error.message));
+    }
+
+    // Keep a single PR comment up to date with the preview's state and URLs
+    async updateComment(preview, state) {
+        try {
+            const user = await User.findById(preview.user_id);
+            if (!user?.github_access_token) {
+                await DeploymentLog.create(preview._id, '⚠️ No GitHub token on the account - skipping PR comment', 'warning');
+                return;
+            }
+
+            const [owner, repo] = preview.pr_repository.split('/');
+            const body = this.buildComment(preview, state);
+
+            if (preview.pr_comment_id) {
+                await githubService.updatePullRequestComment(user.github_access_token, owner, repo, preview.pr_comment_id, body);
+            } else {
+                const comment = await githubService.createPullRequestComment(user.github_access_token, owner, repo, preview.pr_number, body);
+                await Deployment.update(preview._id, { pr_comment_id: comment.id });
+                preview.pr_comment_id = comment.id;
+            }
+        } catch (error) {
+            console.error(`⚠️ Could not update PR comment for ${preview.subdomain}:`, error.message);
+        }
+    }
+
+    buildComment(preview, state) {
+        const baseDomain = process.env.BASE_DOMAIN;
+        const lines = ['### 🔍 Preview deployment', ''];
+
+        if (state === 'deploying') {
+            lines.push('⏳ **Deploying…**');
+        } else if (state === 'deployed') {
+            lines.push('✅ **Ready**');
+        } else if (state === 'failed') {
+            lines.push('❌ **Deployment failed** - check the deployment logs for details');
+        } else if (state === 'removed') {
+            lines.push('🗑️ **Removed** - the pull request was closed');
+            return lines.join('\n');
+        }
+
+        lines.push('');
+        if (preview.frontend_repo) {
+            lines.push(`- Frontend: ${preview.frontend_url || `https://${preview.subdomain}.${baseDomain}`}`);
+        }
+        if (preview.backend_repo) {
+            lines.push(`- Backend: ${preview.backend_url || `https://${preview.subdomain}-api.${baseDomain}`}`);
+        }
+
+        const commit = preview.frontend_deployed_commit || preview.backend_deployed_commit ||
+            preview.frontend_commit || preview.backend_commit;
+        if (commit) {
+            lines.push('', `Commit: \`${commit.slice(0, 7)}\``);
+        }
+
+        return lines.join('\n');
+    }
+
+    // Called by the job queue when a preview's deploy or redeploy finishes
+    async reportDeployment(deploymentId, success) {
+        const preview = await Deployment.findById(deploymentId);
+        if (!preview?.parent_deployment_id) {
+            return;
+        }
+
+        await this.updateComment(preview, success ? 'deployed' : 'failed');
+    }
+
+    async teardownPreview(deploymentId) {
+        const preview = await Deployment.findById(deploymentId);
+        if (!preview) {
+            return { success: true };
+        }
+
+        console.log(`🗑️ Tearing down preview ${preview.subdomain} (PR #${preview.pr_number})`);
+        await this.updateComment(preview, 'removed');
+
+        return await this.deploymentService.deleteDeployment(preview.id);
+    }
+}
+
+module.exports = PreviewService;
@@ -11,6 +11,10 @@ const PLANS = {
         limits: {
             max_frontend: 1,
             max_backend: 1,
+            max_previews: 1,
+            idle_timeout_minutes: 30, // Idle time before apps hibernate; null never hibernates
+            memory_mb: 512, // Per app process; PM2 restarts it above this
+            cpu_percent: 50, // Per app process, of one CPU core
             features: ['basic_ssl', 'community_support']
         }
     },
@@ -23,6 +27,10 @@ const PLANS = {
         limits: {
             max_frontend: 5,
             max_backend: 3,
+            max_previews: 3,
+            idle_timeout_minutes: 120,
+            memory_mb: 1024,
+            cpu_percent: 100,
             features: ['basic_ssl', 'priority_support', 'custom_domain']
         }
     },
@@ -35,6 +43,10 @@ const PLANS = {
         limits: {
             max_frontend: 10,
             max_backend: 7,
+            max_previews: 5,
+            idle_timeout_minutes: null,
+            memory_mb: 2048,
+            cpu_percent: 200,
             features: ['basic_ssl', 'priority_support', 'custom_domain', 'advanced_analytics']
         }
     },
@@ -47,6 +59,10 @@ const PLANS = {
         limits: {
             max_frontend: 15,
             max_backend: 15,
+            max_previews: 10,
+            idle_timeout_minutes: null,
+            memory_mb: 4096,
+            cpu_percent: 400,
             features: ['basic_ssl', 'priority_support', 'custom_domain', 'advanced_analytics', 'log_monitoring', 'auto_scaling', 'dedicated_support']
         }
     }
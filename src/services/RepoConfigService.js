@@ -0,0 +1,209 @@
+const Ajv = require('ajv');
+const yaml = require('js-yaml');
+const Deployment = require('../models/Deployment');
+const DeploymentLog = require('../models/DeploymentLog');
+const User = require('../models/User');
+const gitProviders = require('./GitProviderService');
+const schema = require('../schemas/clawdeploy.schema.json');
+
+const CONFIG_FILES = ['clawdeploy.json', 'clawdeploy.yaml', 'clawdeploy.yml'];
+
+// Deployment settings kept in the repository. The file is read from the
+// repository's git provider before any server work, validated against the
+// published schema and stored on the deployment as repo_config; settings sent
+// with the API request win.
+class RepoConfigService {
+    constructor() {
+        this.validateSchema = new Ajv({ allErrors: true }).compile(schema);
+    }
+
+    // First config file found at the repository root, or null
+    async fetchConfig(repoUrl, ref, auth = {}) {
+        if (!gitProviders.getProvider(repoUrl)) {
+            return null;
+        }
+
+        for (const file of CONFIG_FILES) {
+            const content = await gitProviders.getFileContent(repoUrl, file, ref, auth);
+            if (content !== null) {
+                return { file, content };
+            }
+        }
+        return null;
+    }
+
+    // { config } or { errors } shaped like schema errors
+    parseConfig(file, content) {
+        const isJson = file.endsWith('.json');
+        try {
+            const config = isJson ? JSON.parse(content) : yaml.load(content);
+            if (isJson) {
+                // JSON.parse keeps the last of duplicated keys; the YAML parser
+                // also reads JSON and refuses them, as it does in YAML files
+                yaml.load(content);
+            }
+            return { config: config ?? {} };
+        } catch (error) {
+            return {
+                errors: [{ path: '/', keyword: 'parse', message: `invalid ${isJson ? 'JSON' : 'YAML'}: ${error.message.split('\n')[0]}` }]
+            };
+        }
+    }
+
+    validateConfig(config) {
+        if (this.validateSchema(config)) {
+            return [];
+        }
+        // "if" only repeats the then/else error next to it
+        return this.validateSchema.errors.filter(error => error.keyword !== 'if').map(error => ({
+            path: error.instancePath || '/',
+            keyword: error.keyword,
+            message: error.keyword === 'false schema' ? 'is not used by static components' : error.message,
+            params: error.params
+        }));
+    }
+
+    // Read the config of every repository the deployment builds from and store
+    // the merged result. With addComponents a component the file describes but
+    // the request left out is deployed from the same repository.
+    // Errors are written to the deployment log, one entry each.
+    async load(deployment, { components, addComponents = false, log }) {
+        const user = await User.findById(deployment.user_id);
+        const accessToken = user?.github_access_token || null;
+
+        // Components built from the same repository and ref share one file
+        const sources = new Map();
+        for (const component of components) {
+            const repoUrl = deployment[`${component}_repo`];
+            const ref = deployment[`${component}_commit`] || deployment[`${component}_branch`] || null;
+            const key = `${repoUrl}#${ref || ''}`;
+            if (!sources.has(key)) {
+                sources.set(key, { repoUrl, ref, origin: component, components: [] });
+            }
+            sources.get(key).components.push(component);
+        }
+
+        const repoConfig = { files: [], components: {}, redirects: [], cron: [] };
+        const updates = {};
+        const errors = [];
+
+        for (const source of sources.values()) {
+            let found;
+            try {
+                found = await this.fetchConfig(source.repoUrl, source.ref, {
+                    accessToken,
+                    credentials: deployment.getGitCredentials(source.origin)
+                });
+            } catch (error) {
+                log(`⚠️ Could not read repository config from ${source.repoUrl}: ${error.message}`, 'warning');
+                continue;
+            }
+            if (!found) {
+                continue;
+            }
+
+            const parsed = this.parseConfig(found.file, found.content);
+            const fileErrors = parsed.errors || this.validateConfig(parsed.config);
+            if (fileErrors.length > 0) {
+                errors.push(...fileErrors.map(error => ({ source: found.file, repository: source.repoUrl, ...error })));
+                continue;
+            }
+
+            const config = parsed.config;
+            log(`📄 Using ${found.file} from ${source.repoUrl}`, 'info');
+            repoConfig.files.push({ repository: source.repoUrl, ref: source.ref, path: found.file });
+
+            const targets = [...source.components];
+            for (const component of Object.keys(config.components || {})) {
+                if (targets.includes(component) || !addComponents || deployment[`${component}_repo`] || updates[`${component}_repo`]) {
+                    continue;
+                }
+                targets.push(component);
+                updates[`${component}_repo`] = source.repoUrl;
+                updates[`${component}_branch`] = deployment[`${source.origin}_branch`];
+                updates[`${component}_commit`] = deployment[`${source.origin}_commit`];
+                // Same repository, same credentials
+                for (const field of ['git_auth', 'git_username', 'git_token']) {
+                    updates[`${component}_${field}`] = deployment[`${source.origin}_${field}`];
+                }
+                log(`➕ Adding ${component} from ${found.file}`, 'info');
+            }
+
+            for (const component of targets) {
+                if (config.components?.[component]) {
+                    repoConfig.components[component] = config.components[component];
+                }
+            }
+
+            const pick = (entry, preferred) => {
+                const component = entry.component || (targets.includes(preferred) ? preferred : targets[0]);
+                if (!targets.includes(component)) {
+                    log(`⚠️ Ignoring ${found.file} entry for ${component}: it is not deployed from ${source.repoUrl}`, 'warning');
+                    return null;
+                }
+                return component;
+            };
+            for (const redirect of config.redirects || []) {
+                const component = pick(redirect, 'frontend');
+                if (component) {
+                    repoConfig.redirects.push({ ...redirect, component, permanent: redirect.permanent !== false });
+                }
+            }
+            for (const job of config.cron || []) {
+                const component = pick(job, 'backend');
+                if (component) {
+                    repoConfig.cron.push({ ...job, component });
+                }
+            }
+        }
+
+        // Required variables are checked once the file's components are known
+        for (const component of Object.keys(repoConfig.components)) {
+            const repoUrl = updates[`${component}_repo`] || deployment[`${component}_repo`];
+            const required = repoConfig.components[component].env?.required || [];
+            const env = deployment.getEnvFor(component);
+            for (const key of required.filter(name => !(name in env))) {
+                errors.push({
+                    source: repoConfig.files.find(file => file.repository === repoUrl)?.path,
+                    repository: repoUrl,
+                    path: `/components/${component}/env/required`,
+                    keyword: 'env',
+                    message: `${key} is required but not set for the ${component}`,
+                    params: { key, component }
+                });
+            }
+        }
+
+        if (errors.length > 0) {
+            for (const error of errors) {
+                await this.logError(deployment, error);
+            }
+            return {
+                success: false,
+                errors,
+                error: `Repository config is invalid (${errors.length} error${errors.length === 1 ? '' : 's'})`
+            };
+        }
+
+        const updated = await Deployment.update(deployment._id, { ...updates, repo_config: repoConfig });
+        return { success: true, deployment: updated, added: Object.keys(updates).filter(key => key.endsWith('_repo')).map(key => key.slice(0, -5)) };
+    }
+
+    // Structured log entry; details carry the file, JSON pointer and keyword
+    async logError(deployment, error) {
+        const message = `❌ ${error.source || 'clawdeploy config'} ${error.path}: ${error.message}`;
+        console.log(`[ERROR] ${message}`);
+        await DeploymentLog.create(deployment._id, message, 'error', error).catch(console.error);
+
+        if (global.io) {
+            global.io.to(`user_${deployment.user_id}`).emit('log', {
+                message,
+                type: 'error',
+                details: error,
+                timestamp: new Date().toISOString()
+            });
+        }
+    }
+}
+
+module.exports = RepoConfigService;
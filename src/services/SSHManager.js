@@ -178,13 +178,18 @@ done`;
         return result.success;
     }
 
-    async deletePM2Process(processName) {
+    async deletePM2Process(processName, rootDirectory = null) {
         await this.ensureConnection();
 
         // First, get the working directory from PM2
         const cwdCommand = `pm2 jlist | jq -r '.[] | select(.name=="${processName}") | .pm2_env.pm_cwd'`;
         const cwdResult = await this.executeCommand(cwdCommand);
-        const workingDir = cwdResult.stdout?.trim();
+        let workingDir = cwdResult.stdout?.trim();
+
+        // Monorepo components run from a subdirectory - remove the whole checkout
+        if (workingDir && rootDirectory && workingDir.endsWith(`/${rootDirectory}`)) {
+            workingDir = workingDir.slice(0, -(rootDirectory.length + 1));
+        }
 
         // Delete the PM2 process
         const command = `pm2 delete ${processName}`;
@@ -0,0 +1,154 @@
+const crypto = require('crypto');
+
+// Envelope encryption for secrets stored in MongoDB.
+// Every record gets its own random data key; the data key is stored next to the
+// record wrapped (encrypted) with the master key from ENCRYPTION_MASTER_KEY.
+// Values and wrapped keys are AES-256-GCM: base64(iv | auth tag | ciphertext).
+const ALGORITHM = 'aes-256-gcm';
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+const PREFIX = 'enc:v1:';
+const MASK = '********';
+
+class SecretCipher {
+    constructor() {
+        this.keys = null;
+    }
+
+    // 32-byte key as 64 hex characters or base64
+    parseKey(value) {
+        const key = /^[0-9a-fA-F]{64}$/.test(value)
+            ? Buffer.from(value, 'hex')
+            : Buffer.from(value, 'base64');
+
+        if (key.length !== 32) {
+            throw new Error('Encryption master keys must be 32 bytes (64 hex characters or base64)');
+        }
+        return key;
+    }
+
+    getKeyId(key) {
+        return crypto.createHash('sha256').update(key).digest('hex').slice(0, 16);
+    }
+
+    // Current master key plus retired ones still needed to read older records
+    loadKeys() {
+        if (this.keys) {
+            return this.keys;
+        }
+
+        if (!process.env.ENCRYPTION_MASTER_KEY) {
+            throw new Error('ENCRYPTION_MASTER_KEY is not configured');
+        }
+
+        const current = this.parseKey(process.env.ENCRYPTION_MASTER_KEY.trim());
+        const previous = (process.env.ENCRYPTION_PREVIOUS_KEYS || '')
+            .split(',')
+            .map(key => key.trim())
+            .filter(Boolean)
+            .map(key => this.parseKey(key));
+
+        const byId = new Map();
+        for (const key of [current, ...previous]) {
+            byId.set(this.getKeyId(key), key);
+        }
+
+        this.keys = { currentId: this.getKeyId(current), current, byId };
+        return this.keys;
+    }
+
+    isConfigured() {
+        try {
+            this.loadKeys();
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    getCurrentKeyId() {
+        return this.loadKeys().currentId;
+    }
+
+    seal(key, plaintext, aad) {
+        const iv = crypto.randomBytes(IV_LENGTH);
+        const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+        if (aad) {
+            cipher.setAAD(Buffer.from(aad));
+        }
+        const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+        return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]).toString('base64');
+    }
+
+    open(key, payload, aad) {
+        const data = Buffer.from(payload, 'base64');
+        // GCM would otherwise check a cut-off value against a shorter tag
+        if (data.length < IV_LENGTH + TAG_LENGTH) {
+            throw new Error('Encrypted value is truncated');
+        }
+        const decipher = crypto.createDecipheriv(ALGORITHM, key, data.subarray(0, IV_LENGTH), { authTagLength: TAG_LENGTH });
+        if (aad) {
+            decipher.setAAD(Buffer.from(aad));
+        }
+        decipher.setAuthTag(data.subarray(IV_LENGTH, IV_LENGTH + TAG_LENGTH));
+        return Buffer.concat([
+            decipher.update(data.subarray(IV_LENGTH + TAG_LENGTH)),
+            decipher.final()
+        ]);
+    }
+
+    // New data key for a record: the plaintext key to use now and the
+    // reference ({ key_id, wrapped_key }) to store on the record
+    generateDataKey() {
+        const { currentId, current } = this.loadKeys();
+        const key = crypto.randomBytes(32);
+
+        return {
+            key,
+            keyRef: {
+                key_id: currentId,
+                wrapped_key: this.seal(current, key, currentId)
+            }
+        };
+    }
+
+    unwrapDataKey(keyRef) {
+        const master = this.loadKeys().byId.get(keyRef.key_id);
+        if (!master) {
+            throw new Error(`Master key ${keyRef.key_id} is not available - add it to ENCRYPTION_PREVIOUS_KEYS`);
+        }
+        return this.open(master, keyRef.wrapped_key, keyRef.key_id);
+    }
+
+    isEncrypted(value) {
+        return typeof value === 'string' && value.startsWith(PREFIX);
+    }
+
+    // aad binds the ciphertext to the field it was written to
+    encrypt(dataKey, plaintext, aad) {
+        if (this.isEncrypted(plaintext)) {
+            return plaintext;
+        }
+        return PREFIX + this.seal(dataKey, Buffer.from(String(plaintext), 'utf8'), aad);
+    }
+
+    // Values written before encryption was enabled are returned as they are
+    decrypt(dataKey, value, aad) {
+        if (!this.isEncrypted(value)) {
+            return value;
+        }
+        return this.open(dataKey, value.slice(PREFIX.length), aad).toString('utf8');
+    }
+}
+
+// Singleton instance
+let cipherInstance = null;
+
+function getSecretCipher() {
+    if (!cipherInstance) {
+        cipherInstance = new SecretCipher();
+    }
+    return cipherInstance;
+}
+
+module.exports = { SecretCipher, getSecretCipher, MASK };
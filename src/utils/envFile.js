@@ -0,0 +1,33 @@
+// .env files have two readers: bash sources them (`. ./.env`) before build,
+// start and cron commands, and apps load them with dotenv. Both take a
+// single-quoted value literally, newlines included. dotenv has no escape for
+// a single quote inside one, so such a value is double-quoted instead, which
+// both read the same as long as it holds no " $ ` or \.
+const quoteEnvValue = (value) => {
+    const text = String(value);
+    if (!text.includes("'")) {
+        return `'${text}'`;
+    }
+    if (!/["$`\\]/.test(text)) {
+        return `"${text}"`;
+    }
+    return null;
+};
+
+// Why a value cannot be written to a .env file, if it cannot
+const envValueProblem = (key, value) => quoteEnvValue(value) === null
+    ? `Value of ${key} cannot combine a single quote with any of " $ \` \\`
+    : null;
+
+const formatEnvFile = (envVars = {}) => {
+    const lines = Object.entries(envVars).map(([key, value]) => {
+        const problem = envValueProblem(key, value);
+        if (problem) {
+            throw new Error(problem);
+        }
+        return `${key}=${quoteEnvValue(value)}`;
+    });
+    return lines.length > 0 ? `${lines.join('\n')}\n` : '';
+};
+
+module.exports = { quoteEnvValue, envValueProblem, formatEnvFile };
@@ -0,0 +1,5 @@
+// Quotes a value as one word for bash: single quotes keep everything literal,
+// and a single quote inside is closed, escaped and reopened ('\'')
+const shellQuote = (value) => `'${String(value).replace(/'/g, "'\\''")}'`;
+
+module.exports = { shellQuote };
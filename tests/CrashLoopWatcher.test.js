@@ -0,0 +1,422 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const mongoose = require('mongoose');
+const { CrashLoopWatcher } = require('../src/services/CrashLoopWatcher');
+const Deployment = require('../src/models/Deployment');
+const DeploymentLog = require('../src/models/DeploymentLog');
+const { runLocally } = require('./helpers/localShell');
+
+const START = new Date('2026-01-01T12:00:00Z');
+const SAMPLE_SECONDS = 30;
+
+// A server as the watcher sees it: PM2's process list kept here, error logs
+// and PM2's own log written to a temp PM2_HOME and read with the local shell
+const fakeServer = () => {
+    const home = fs.mkdtempSync(path.join(os.tmpdir(), 'clawdeploy-pm2-'));
+    const apps = new Map();
+    const pm2Log = path.join(home, 'pm2.log');
+
+    return {
+        home,
+        apps,
+        start(name, pmId, { errorLog } = {}) {
+            let errorLogPath;
+            if (errorLog !== undefined) {
+                errorLogPath = path.join(home, 'logs', `${name}'s error.log`);
+                fs.mkdirSync(path.dirname(errorLogPath), { recursive: true });
+                fs.writeFileSync(errorLogPath, errorLog);
+            }
+            apps.set(name, { name, pm_id: pmId, pm2_env: { status: 'online', restart_time: 0, pm_err_log_path: errorLogPath } });
+        },
+        restart(name, times = 1) {
+            apps.get(name).pm2_env.restart_time += times;
+        },
+        overMemory(name) {
+            this.restart(name);
+            fs.appendFileSync(pm2Log,
+                `2026-01-01T12:00:00: PM2 log: Process ${apps.get(name).pm_id} restarted because it exceeds --max-memory-restart value (current_memory=560001024 max_memory_limit=536870912 [octets])\n`);
+        },
+        rotatePm2Log() {
+            fs.writeFileSync(pm2Log, '');
+        },
+        ssh: {
+            executeCommand: jest.fn((command) => runLocally(command, { env: { ...process.env, PM2_HOME: home } })),
+            getPM2Processes: jest.fn(async () => JSON.parse(JSON.stringify([...apps.values()]))),
+            stopPM2Process: jest.fn(async (name) => {
+                apps.get(name).pm2_env.status = 'stopped';
+                return true;
+            })
+        },
+        remove() {
+            fs.rmSync(home, { recursive: true, force: true });
+        }
+    };
+};
+
+const deploymentOf = (name, fields = {}) => ({
+    _id: new mongoose.Types.ObjectId(),
+    user_id: new mongoose.Types.ObjectId(),
+    deployment_id: `dep_${name}`,
+    name,
+    status: 'deployed',
+    pm2_frontend_name: null,
+    pm2_backend_name: null,
+    ...fields
+});
+
+describe('CrashLoopWatcher', () => {
+    const originalEnv = { ...process.env };
+    let server;
+    let deployments;
+    let watcher;
+    let logs;
+    let emitted;
+
+    // Runs checks every 30 seconds for the given time, letting the
+    // scenario change the server before each one
+    const run = async (seconds, change = () => {}) => {
+        for (let elapsed = 0; elapsed < seconds; elapsed += SAMPLE_SECONDS) {
+            jest.setSystemTime(new Date(Date.now() + SAMPLE_SECONDS * 1000));
+            change();
+            await watcher.checkDeployments();
+        }
+    };
+
+    const newWatcher = () => {
+        const created = new CrashLoopWatcher();
+        created.ssh = server.ssh;
+        created.automationService = { sendCriticalAlert: jest.fn() };
+        return created;
+    };
+
+    const logsOf = (deployment) => logs.filter(([id]) => id === deployment._id).map(([, message]) => message);
+
+    beforeEach(() => {
+        jest.useFakeTimers({ now: START, doNotFake: ['nextTick', 'setImmediate'] });
+        server = fakeServer();
+        deployments = [];
+        logs = [];
+        emitted = [];
+
+        jest.spyOn(Deployment, 'find').mockImplementation(async () => deployments);
+        // Same filter as the real update: only a deployed deployment is marked
+        jest.spyOn(Deployment, 'markCrashed').mockImplementation(async (id, crash) => {
+            const deployment = deployments.find(candidate => candidate._id === id);
+            if (deployment?.status !== 'deployed') {
+                return null;
+            }
+            Object.assign(deployment, { status: 'crashed', crash });
+            return deployment;
+        });
+        jest.spyOn(Deployment, 'updateStatus').mockImplementation(async (id, status) => {
+            deployments.find(candidate => candidate._id === id).status = status;
+        });
+        jest.spyOn(Deployment, 'recordOomRestart').mockResolvedValue(null);
+        jest.spyOn(DeploymentLog, 'create').mockImplementation(async (id, message) => logs.push([id, message]));
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        global.io = { to: (room) => ({ emit: (event, data) => emitted.push([room, data.status]) }) };
+
+        watcher = newWatcher();
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+        jest.restoreAllMocks();
+        server.remove();
+        delete global.io;
+        process.env = { ...originalEnv };
+    });
+
+    it('stops an app that dies on start and tells the owner what it printed', async () => {
+        const lines = Array.from({ length: 50 }, (_, index) => `\x1b[31mError: connect ECONNREFUSED 127.0.0.1:5432 (${index + 1})\x1b[39m`);
+        server.start('shop_backend', 3, { errorLog: lines.join('\n') + '\n' });
+        const shop = deploymentOf('shop', { pm2_backend_name: 'shop_backend' });
+        deployments = [shop];
+
+        await run(SAMPLE_SECONDS);
+        await run(4 * SAMPLE_SECONDS, () => server.restart('shop_backend'));
+        expect(shop.status).toBe('deployed');
+
+        await run(SAMPLE_SECONDS, () => server.restart('shop_backend'));
+
+        const excerpt = Array.from({ length: 40 }, (_, index) => `Error: connect ECONNREFUSED 127.0.0.1:5432 (${index + 11})`).join('\n');
+        expect(shop).toMatchObject({
+            status: 'crashed',
+            crash: {
+                stopped: true,
+                components: [{ component: 'backend', reason: 'crash_loop', restarts: 5, pm2_name: 'shop_backend', log_excerpt: excerpt }]
+            }
+        });
+        expect(server.ssh.stopPM2Process.mock.calls).toEqual([['shop_backend']]);
+        expect(logsOf(shop)).toEqual([
+            '💥 The backend restarted 5 times in 5 minutes',
+            '🛑 Stopped to protect the server - fix the error, then restart or redeploy'
+        ]);
+        expect(emitted).toEqual([[`user_${shop.user_id}`, 'crashed']]);
+        expect(watcher.automationService.sendCriticalAlert).toHaveBeenCalledWith(expect.objectContaining({
+            userId: shop.user_id,
+            eventType: 'deployment_crashed',
+            message: `Deployment shop: the backend restarted 5 times in 5 minutes. It has been stopped.\n\nLast error output:\n[backend]\n${excerpt}`
+        }));
+
+        // Stopped for good: no second alert while it stays down
+        await run(10 * 60);
+        expect(watcher.automationService.sendCriticalAlert).toHaveBeenCalledTimes(1);
+        expect(shop.status).toBe('crashed');
+    });
+
+    it('leaves an app alone that restarts now and then, however long it runs', async () => {
+        server.start('blog_backend', 1);
+        const blog = deploymentOf('blog', { pm2_backend_name: 'blog_backend' });
+        deployments = [blog];
+        let samples = 0;
+
+        // One restart every 90 seconds: at most 4 fall inside any 5 minutes
+        await run(60 * 60, () => {
+            if (++samples % 3 === 0) {
+                server.restart('blog_backend');
+            }
+        });
+
+        expect(server.apps.get('blog_backend').pm2_env.restart_time).toBe(40);
+        expect(blog.status).toBe('deployed');
+        expect(watcher.automationService.sendCriticalAlert).not.toHaveBeenCalled();
+    });
+
+    it('does not count a redeploy, which starts PM2 counting from zero again', async () => {
+        server.start('shop_frontend', 0);
+        server.restart('shop_frontend', 12);
+        const shop = deploymentOf('shop', { pm2_frontend_name: 'shop_frontend' });
+        deployments = [shop];
+
+        await run(SAMPLE_SECONDS);
+        await run(SAMPLE_SECONDS, () => server.restart('shop_frontend', 2));
+        await run(SAMPLE_SECONDS, () => server.start('shop_frontend', 7));
+        await run(2 * SAMPLE_SECONDS, () => server.restart('shop_frontend'));
+
+        // 2 before the redeploy and 2 after it
+        expect(watcher.samples.get('shop_frontend').events).toHaveLength(4);
+        expect(shop.status).toBe('deployed');
+    });
+
+    it('marks an app PM2 gave up on at once, without an error log to quote', async () => {
+        server.start('shop_frontend', 0);
+        Object.assign(server.apps.get('shop_frontend').pm2_env, { status: 'errored', restart_time: 15 });
+        const shop = deploymentOf('shop', { pm2_frontend_name: 'shop_frontend' });
+        deployments = [shop];
+
+        await run(SAMPLE_SECONDS);
+
+        expect(shop.crash.components).toEqual([
+            { component: 'frontend', reason: 'errored', restarts: 0, pm2_name: 'shop_frontend', log_excerpt: '' }
+        ]);
+        expect(watcher.automationService.sendCriticalAlert.mock.calls[0][0].message)
+            .toBe('Deployment shop: the frontend was given up on by PM2 after repeated crashes. It has been stopped.');
+    });
+
+    it('sends one alert when both components crash together', async () => {
+        server.start('shop_frontend', 0, { errorLog: 'ReferenceError: window is not defined\n' });
+        server.start('shop_backend', 1, { errorLog: '' });
+        const shop = deploymentOf('shop', { pm2_frontend_name: 'shop_frontend', pm2_backend_name: 'shop_backend' });
+        deployments = [shop];
+
+        await run(SAMPLE_SECONDS);
+        await run(SAMPLE_SECONDS, () => {
+            server.apps.get('shop_frontend').pm2_env.status = 'errored';
+            server.restart('shop_backend', 6);
+        });
+
+        expect(watcher.automationService.sendCriticalAlert).toHaveBeenCalledTimes(1);
+        expect(watcher.automationService.sendCriticalAlert.mock.calls[0][0]).toMatchObject({
+            message: 'Deployment shop: the frontend was given up on by PM2 after repeated crashes, the backend restarted 6 times in 5 minutes. ' +
+                'It has been stopped.\n\nLast error output:\n[frontend]\nReferenceError: window is not defined',
+            metadata: { components: ['frontend', 'backend'], reason: 'errored', stopped: true }
+        });
+        expect(server.ssh.stopPM2Process.mock.calls).toEqual([['shop_frontend'], ['shop_backend']]);
+    });
+
+    it('leaves a deployment alone that was redeployed while it was being marked', async () => {
+        server.start('shop_backend', 3);
+        const shop = deploymentOf('shop', { pm2_backend_name: 'shop_backend' });
+        deployments = [shop];
+        await run(SAMPLE_SECONDS);
+        Deployment.markCrashed.mockImplementationOnce(async () => {
+            shop.status = 'deploying';
+            return null;
+        });
+
+        await run(SAMPLE_SECONDS, () => server.restart('shop_backend', 5));
+
+        expect(shop.status).toBe('deploying');
+        expect(server.ssh.stopPM2Process).not.toHaveBeenCalled();
+        expect(logsOf(shop)).toEqual([]);
+        expect(emitted).toEqual([]);
+        expect(watcher.automationService.sendCriticalAlert).not.toHaveBeenCalled();
+    });
+
+    describe('with CRASH_LOOP_STOP=false', () => {
+        let shop;
+
+        beforeEach(async () => {
+            process.env.CRASH_LOOP_STOP = 'false';
+            watcher = newWatcher();
+            server.start('shop_backend', 3);
+            shop = deploymentOf('shop', { pm2_backend_name: 'shop_backend' });
+            deployments = [shop];
+
+            await run(SAMPLE_SECONDS);
+            await run(SAMPLE_SECONDS, () => server.restart('shop_backend', 5));
+        });
+
+        it('keeps the app running and alerts once while it goes on crashing', async () => {
+            await run(10 * 60, () => server.restart('shop_backend'));
+
+            expect(shop.crash.stopped).toBe(false);
+            expect(server.ssh.stopPM2Process).not.toHaveBeenCalled();
+            expect(watcher.automationService.sendCriticalAlert).toHaveBeenCalledTimes(1);
+            expect(watcher.automationService.sendCriticalAlert.mock.calls[0][0].message)
+                .toBe('Deployment shop: the backend restarted 5 times in 5 minutes.');
+            expect(shop.status).toBe('crashed');
+        });
+
+        it('marks it deployed again after a whole window without restarts', async () => {
+            await run(2 * 60, () => server.restart('shop_backend'));
+            await run(5 * 60 - SAMPLE_SECONDS);
+            expect(shop.status).toBe('crashed');
+
+            await run(SAMPLE_SECONDS);
+
+            expect(shop.status).toBe('deployed');
+            expect(logsOf(shop).at(-1)).toBe('💚 No more crashes - the deployment is running normally again');
+            expect(emitted.map(([, status]) => status)).toEqual(['crashed', 'deployed']);
+        });
+
+        it('does not count a stopped app as recovered', async () => {
+            server.apps.get('shop_backend').pm2_env.status = 'stopped';
+
+            await run(10 * 60);
+
+            expect(shop.status).toBe('crashed');
+        });
+    });
+
+    describe('memory-limit restarts', () => {
+        let shop;
+
+        beforeEach(async () => {
+            server.start('shop_frontend', 2);
+            server.start('shop_backend', 3);
+            shop = deploymentOf('shop', {
+                pm2_frontend_name: 'shop_frontend',
+                pm2_backend_name: 'shop_backend',
+                resources: { backend: { memory_mb: 512 } }
+            });
+            deployments = [shop];
+        });
+
+        const pm2LogReads = () => server.ssh.executeCommand.mock.calls.filter(([command]) => command.includes('pm2.log')).length;
+
+        it('counts only restarts logged after the watcher started, for the component they hit', async () => {
+            server.overMemory('shop_backend');
+            server.overMemory('shop_backend');
+            await run(SAMPLE_SECONDS);
+
+            await run(SAMPLE_SECONDS, () => server.overMemory('shop_backend'));
+            await run(SAMPLE_SECONDS, () => server.overMemory('shop_frontend'));
+
+            expect(Deployment.recordOomRestart.mock.calls).toEqual([[shop._id, 'backend'], [shop._id, 'frontend']]);
+            expect(logsOf(shop)).toEqual([
+                '🧠 The backend went over its 512 MB memory limit and was restarted',
+                '🧠 The frontend went over its memory limit and was restarted'
+            ]);
+        });
+
+        it('reads the log only after a watched app restarted, and skips processes it does not watch', async () => {
+            server.start('manual_worker', 9);
+            await run(SAMPLE_SECONDS);
+            expect(pm2LogReads()).toBe(1);
+
+            await run(5 * SAMPLE_SECONDS);
+            await run(SAMPLE_SECONDS, () => server.overMemory('manual_worker'));
+            expect(pm2LogReads()).toBe(1);
+
+            await run(SAMPLE_SECONDS, () => server.overMemory('shop_backend'));
+
+            expect(pm2LogReads()).toBe(2);
+            expect(Deployment.recordOomRestart.mock.calls).toEqual([[shop._id, 'backend']]);
+        });
+
+        it('reads a rotated log from its start', async () => {
+            server.overMemory('shop_backend');
+            server.overMemory('shop_backend');
+            await run(SAMPLE_SECONDS);
+
+            await run(SAMPLE_SECONDS, () => {
+                server.rotatePm2Log();
+                server.overMemory('shop_backend');
+            });
+
+            expect(Deployment.recordOomRestart.mock.calls).toEqual([[shop._id, 'backend']]);
+        });
+
+        it('starts counting when PM2 writes its first log', async () => {
+            await run(SAMPLE_SECONDS);
+            expect(fs.existsSync(path.join(server.home, 'pm2.log'))).toBe(false);
+
+            await run(SAMPLE_SECONDS, () => server.overMemory('shop_backend'));
+
+            expect(Deployment.recordOomRestart.mock.calls).toEqual([[shop._id, 'backend']]);
+        });
+    });
+
+    it('keeps checking other deployments when one cannot be marked', async () => {
+        server.start('shop_backend', 1);
+        server.start('blog_backend', 2);
+        const shop = deploymentOf('shop', { pm2_backend_name: 'shop_backend' });
+        const blog = deploymentOf('blog', { pm2_backend_name: 'blog_backend' });
+        deployments = [shop, blog];
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        await run(SAMPLE_SECONDS);
+        Deployment.markCrashed.mockRejectedValueOnce(new Error('connection reset'));
+
+        await run(SAMPLE_SECONDS, () => {
+            server.restart('shop_backend', 5);
+            server.restart('blog_backend', 5);
+        });
+
+        expect(shop.status).toBe('deployed');
+        expect(blog.status).toBe('crashed');
+        expect(console.error).toHaveBeenCalledWith('❌ Crash check failed for dep_shop:', 'connection reset');
+    });
+
+    it('starts over for a process that went away and came back', async () => {
+        server.start('shop_backend', 1);
+        const shop = deploymentOf('shop', { pm2_backend_name: 'shop_backend' });
+        deployments = [shop];
+        await run(SAMPLE_SECONDS);
+        await run(SAMPLE_SECONDS, () => server.restart('shop_backend', 4));
+
+        server.apps.delete('shop_backend');
+        await run(SAMPLE_SECONDS);
+        expect(watcher.samples.has('shop_backend')).toBe(false);
+
+        server.start('shop_backend', 1);
+        server.restart('shop_backend', 4);
+        await run(SAMPLE_SECONDS);
+        await run(SAMPLE_SECONDS, () => server.restart('shop_backend'));
+
+        expect(watcher.samples.get('shop_backend').events).toHaveLength(1);
+        expect(shop.status).toBe('deployed');
+    });
+
+    it('skips a check while the previous one is still running', async () => {
+        server.start('shop_backend', 1);
+        deployments = [deploymentOf('shop', { pm2_backend_name: 'shop_backend' })];
+
+        await Promise.all([watcher.checkDeployments(), watcher.checkDeployments()]);
+        await watcher.checkDeployments();
+
+        expect(Deployment.find).toHaveBeenCalledTimes(2);
+    });
+});
@@ -0,0 +1,65 @@
+const Deployment = require('../src/models/Deployment');
+
+const deployment = (fields = {}) => new Deployment({
+    user_id: '64b000000000000000000001',
+    project_name: 'Shop',
+    subdomain: 'shop',
+    ...fields
+});
+
+describe('Deployment', () => {
+    describe('getBuildCommands', () => {
+        it('leaves a component without a start command to ClawdBot', () => {
+            const shop = deployment({ backend_install_command: 'npm ci', backend_node_version: '20' });
+
+            expect(shop.getBuildCommands('backend')).toBeNull();
+        });
+
+        it('takes commands from the API first and the repository config per missing setting', () => {
+            const shop = deployment({
+                backend_start_command: 'node dist/server.js',
+                repo_config: {
+                    components: {
+                        backend: { start_command: 'npm start', build_command: 'npm run build', node_version: '18' },
+                        frontend: { start_command: 'npm run preview' }
+                    }
+                }
+            });
+
+            expect(shop.getBuildCommands('backend')).toEqual({
+                install_command: null,
+                build_command: 'npm run build',
+                start_command: 'node dist/server.js',
+                node_version: '18'
+            });
+            expect(shop.getBuildCommands('frontend')).toMatchObject({ start_command: 'npm run preview', build_command: null });
+        });
+    });
+
+    describe('getHealthCheck', () => {
+        it('expects any answer below 500 on / by default', () => {
+            expect(deployment().getHealthCheck('backend')).toEqual({
+                path: '/',
+                expectedStatus: { min: 200, max: 499 },
+                timeoutSeconds: 5,
+                intervalSeconds: 60
+            });
+        });
+
+        it('reads a single status as a range of one', () => {
+            expect(deployment({ backend_health_check_status: '204' }).getHealthCheck('backend').expectedStatus).toEqual({ min: 204, max: 204 });
+            expect(deployment({ backend_health_check_status: '200-399' }).getHealthCheck('backend').expectedStatus).toEqual({ min: 200, max: 399 });
+        });
+
+        it('keeps the settings of each component apart and falls back to the repository config', () => {
+            const shop = deployment({
+                backend_health_check_path: '/healthz',
+                backend_health_check_timeout: 2,
+                repo_config: { components: { frontend: { health_check_status: '200', health_check_interval: 300 } } }
+            });
+
+            expect(shop.getHealthCheck('backend')).toMatchObject({ path: '/healthz', timeoutSeconds: 2, expectedStatus: { min: 200, max: 499 } });
+            expect(shop.getHealthCheck('frontend')).toMatchObject({ path: '/', intervalSeconds: 300, expectedStatus: { min: 200, max: 200 } });
+        });
+    });
+});
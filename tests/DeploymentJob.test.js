@@ -0,0 +1,107 @@
+const mongoose = require('mongoose');
+const DeploymentJob = require('../src/models/DeploymentJob');
+
+// In-memory stand-in for the jobs collection: just the queries claimNext
+// makes, plus the unique index on running jobs
+const createStore = (jobs) => {
+    const isBusy = (deploymentId) =>
+        jobs.some(job => job.status === 'running' && String(job.deployment_id) === String(deploymentId));
+
+    jest.spyOn(DeploymentJob, 'distinct').mockImplementation(async (field, filter) =>
+        [...new Set(jobs.filter(job => job.status === filter.status).map(job => job[field]))]);
+
+    jest.spyOn(DeploymentJob, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+        const excluded = filter.deployment_id.$nin.map(String);
+        const job = jobs
+            .filter(job => job.status === filter.status && !excluded.includes(String(job.deployment_id)))
+            .sort((a, b) => a.createdAt - b.createdAt)[0];
+        if (!job) {
+            return null;
+        }
+        if (update.$set.status === 'running' && isBusy(job.deployment_id)) {
+            throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+        }
+        Object.assign(job, update.$set);
+        job.attempts += update.$inc.attempts;
+        return { ...job };
+    });
+
+    return jobs;
+};
+
+const job = (deploymentId, minutesAgo, status = 'pending') => ({
+    _id: new mongoose.Types.ObjectId(),
+    deployment_id: deploymentId,
+    status,
+    attempts: 0,
+    createdAt: new Date(Date.now() - minutesAgo * 60 * 1000)
+});
+
+describe('DeploymentJob.claimNext', () => {
+    const deploymentA = new mongoose.Types.ObjectId();
+    const deploymentB = new mongoose.Types.ObjectId();
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('leases the oldest pending job to the worker', async () => {
+        const jobs = createStore([job(deploymentA, 1), job(deploymentB, 5)]);
+
+        const claimed = await DeploymentJob.claimNext('worker-1', 60000);
+
+        expect(claimed._id).toEqual(jobs[1]._id);
+        expect(claimed.status).toBe('running');
+        expect(claimed.worker_id).toBe('worker-1');
+        expect(claimed.attempts).toBe(1);
+        expect(claimed.lease_expires_at - claimed.started_at).toBe(60000);
+    });
+
+    it('leaves jobs of a deployment with a running job waiting', async () => {
+        createStore([job(deploymentA, 10, 'running'), job(deploymentA, 5), job(deploymentB, 1)]);
+
+        const claimed = await DeploymentJob.claimNext('worker-1', 60000);
+
+        expect(claimed.deployment_id).toBe(deploymentB);
+        expect(await DeploymentJob.claimNext('worker-1', 60000)).toBeNull();
+    });
+
+    it('hands a pending job to only one of two racing workers', async () => {
+        createStore([job(deploymentA, 1)]);
+
+        const claims = await Promise.all([
+            DeploymentJob.claimNext('worker-1', 60000),
+            DeploymentJob.claimNext('worker-2', 60000)
+        ]);
+
+        expect(claims.filter(Boolean)).toHaveLength(1);
+    });
+
+    it('runs one job per deployment when workers race for the same deployment', async () => {
+        const jobs = createStore([job(deploymentA, 3), job(deploymentA, 2), job(deploymentB, 1)]);
+
+        const claims = await Promise.all([
+            DeploymentJob.claimNext('worker-1', 60000),
+            DeploymentJob.claimNext('worker-2', 60000)
+        ]);
+
+        expect(claims.map(claim => claim.deployment_id).sort()).toEqual([deploymentA, deploymentB].sort());
+        expect(jobs.filter(j => j.status === 'running' && j.deployment_id === deploymentA)).toHaveLength(1);
+    });
+
+    it('gives up after repeatedly losing the race', async () => {
+        jest.spyOn(DeploymentJob, 'distinct').mockResolvedValue([]);
+        const update = jest.spyOn(DeploymentJob, 'findOneAndUpdate')
+            .mockRejectedValue(Object.assign(new Error('E11000 duplicate key error'), { code: 11000 }));
+
+        expect(await DeploymentJob.claimNext('worker-1', 60000)).toBeNull();
+        expect(update).toHaveBeenCalledTimes(3);
+    });
+
+    it('passes other database errors on', async () => {
+        jest.spyOn(DeploymentJob, 'distinct').mockResolvedValue([]);
+        jest.spyOn(DeploymentJob, 'findOneAndUpdate').mockRejectedValue(new Error('connection lost'));
+
+        await expect(DeploymentJob.claimNext('worker-1', 60000)).rejects.toThrow('connection lost');
+    });
+});
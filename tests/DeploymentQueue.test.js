@@ -0,0 +1,147 @@
+const mongoose = require('mongoose');
+const Deployment = require('../src/models/Deployment');
+const DeploymentJob = require('../src/models/DeploymentJob');
+const DeploymentLog = require('../src/models/DeploymentLog');
+const Release = require('../src/models/Release');
+const PhaseTracker = require('../src/services/PhaseTracker');
+const { DeploymentQueue } = require('../src/services/DeploymentQueue');
+
+const deploymentId = new mongoose.Types.ObjectId();
+
+const redeployJob = (fields = {}) => {
+    const _id = new mongoose.Types.ObjectId();
+    return {
+        _id,
+        id: _id.toString(),
+        deployment_id: deploymentId,
+        user_id: new mongoose.Types.ObjectId(),
+        type: 'redeploy',
+        status: 'running',
+        attempts: 1,
+        max_attempts: 3,
+        payload: { components: ['backend'] },
+        ...fields
+    };
+};
+
+describe('DeploymentQueue cancellation', () => {
+    let queue;
+    let events;
+    let statuses;
+
+    beforeEach(() => {
+        queue = new DeploymentQueue();
+        queue.heartbeatMs = 60000;
+        events = [];
+        statuses = [];
+        queue.deploymentService.emitToUser = jest.fn((userId, event, data) => events.push({ event, data }));
+        queue.deploymentService.cleanupCancelled = jest.fn().mockResolvedValue(undefined);
+        queue.previewService.reportDeployment = jest.fn().mockResolvedValue(undefined);
+
+        // The redeploy runs until its signal is aborted, like a ClawdBot run
+        queue.deploymentService.redeploy = jest.fn((userId, id, { signal }) => new Promise(resolve => {
+            signal.addEventListener('abort', () => resolve({ success: false, cancelled: true }), { once: true });
+        }));
+
+        jest.spyOn(DeploymentJob, 'heartbeat').mockImplementation(async (id) => ({ _id: id }));
+        jest.spyOn(DeploymentJob, 'finish').mockResolvedValue(null);
+        jest.spyOn(DeploymentJob, 'requestCancel').mockImplementation(async (id) => ({ _id: id, status: 'running' }));
+        jest.spyOn(DeploymentJob, 'markCancelled').mockImplementation(async (id) => ({ _id: id, status: 'cancelled' }));
+        jest.spyOn(Deployment, 'updateStatus').mockImplementation(async (id, status) => statuses.push(status));
+        jest.spyOn(Deployment, 'findById').mockResolvedValue({ deployment_id: 'dep_shop' });
+        jest.spyOn(DeploymentLog, 'create').mockResolvedValue(null);
+        jest.spyOn(Release, 'failRunning').mockResolvedValue(null);
+        jest.spyOn(PhaseTracker, 'load').mockResolvedValue(null);
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('stops a job running in this process, cleans up and reports it once', async () => {
+        const job = redeployJob();
+        jest.spyOn(DeploymentJob, 'findActiveJobs').mockResolvedValue([job]);
+
+        const execution = queue.execute(job);
+        const cancel = await queue.cancel(deploymentId);
+
+        // Nothing is reported before the job has stopped and cleaned up
+        expect(cancel).toEqual({ jobs: [job], running: true });
+        expect(events).toEqual([]);
+
+        await execution;
+
+        expect(queue.deploymentService.cleanupCancelled).toHaveBeenCalledWith(deploymentId, 'redeploy');
+        expect(Release.failRunning).toHaveBeenCalledWith(deploymentId, 'Deployment cancelled', 'cancelled');
+        expect(DeploymentJob.finish).toHaveBeenCalledWith(job.id, queue.workerId, 'cancelled', { error: 'Cancelled by user' });
+        expect(statuses).toEqual(['cancelled']);
+        expect(events).toEqual([{
+            event: 'deployment_cancelled',
+            data: { deployment_id: 'dep_shop', job_id: job.id, type: 'redeploy' }
+        }]);
+        expect(queue.previewService.reportDeployment).not.toHaveBeenCalled();
+        expect(queue.activeJobs.size).toBe(0);
+    });
+
+    it('treats a job that throws after the cancel as cancelled, not failed', async () => {
+        const job = redeployJob();
+        jest.spyOn(DeploymentJob, 'findActiveJobs').mockResolvedValue([job]);
+        queue.deploymentService.redeploy.mockImplementation((userId, id, { signal }) => new Promise((resolve, reject) => {
+            signal.addEventListener('abort', () => reject(new Error('Connection closed by the cancel')), { once: true });
+        }));
+
+        const execution = queue.execute(job);
+        await queue.cancel(deploymentId);
+        await execution;
+
+        expect(statuses).toEqual(['cancelled']);
+        expect(events.map(({ event }) => event)).toEqual(['deployment_cancelled']);
+        expect(DeploymentJob.finish).not.toHaveBeenCalledWith(job.id, queue.workerId, 'failed', expect.anything());
+    });
+
+    it('stops its job when another API instance requested the cancel', async () => {
+        const job = redeployJob();
+        queue.heartbeatMs = 10;
+        DeploymentJob.heartbeat.mockImplementation(async (id) => ({ _id: id, cancel_requested_at: new Date() }));
+
+        await queue.execute(job);
+
+        expect(queue.deploymentService.cleanupCancelled).toHaveBeenCalledWith(deploymentId, 'redeploy');
+        expect(statuses).toEqual(['cancelled']);
+    });
+
+    it('cancels a queued job right away without any cleanup', async () => {
+        const job = redeployJob({ status: 'pending' });
+        jest.spyOn(DeploymentJob, 'findActiveJobs').mockResolvedValue([job]);
+
+        const cancel = await queue.cancel(deploymentId);
+
+        expect(cancel.running).toBe(false);
+        expect(DeploymentJob.markCancelled).toHaveBeenCalledWith(job._id);
+        expect(DeploymentJob.requestCancel).not.toHaveBeenCalled();
+        expect(queue.deploymentService.cleanupCancelled).not.toHaveBeenCalled();
+        expect(statuses).toEqual(['cancelled']);
+        expect(events.map(({ event }) => event)).toEqual(['deployment_cancelled']);
+    });
+
+    it('reports nothing to cancel when no build job is queued or running', async () => {
+        jest.spyOn(DeploymentJob, 'findActiveJobs').mockResolvedValue([]);
+
+        expect(await queue.cancel(deploymentId)).toBeNull();
+        expect(statuses).toEqual([]);
+    });
+
+    it('finishes the cancel of a job whose worker died, instead of running it again', async () => {
+        const job = redeployJob({ cancel_requested_at: new Date() });
+        jest.spyOn(DeploymentJob, 'findOrphaned').mockResolvedValue([job]);
+        const requeue = jest.spyOn(DeploymentJob, 'requeue').mockResolvedValue(null);
+
+        await queue.recoverOrphanedJobs();
+
+        expect(requeue).not.toHaveBeenCalled();
+        expect(DeploymentJob.markCancelled).toHaveBeenCalledWith(job._id);
+        expect(queue.deploymentService.cleanupCancelled).toHaveBeenCalledWith(deploymentId, 'redeploy');
+        expect(statuses).toEqual(['cancelled']);
+    });
+});
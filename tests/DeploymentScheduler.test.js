@@ -0,0 +1,227 @@
+const mongoose = require('mongoose');
+const Deployment = require('../src/models/Deployment');
+const DeploymentLog = require('../src/models/DeploymentLog');
+const User = require('../src/models/User');
+const { DeploymentScheduler } = require('../src/services/DeploymentScheduler');
+const { validateSchedule } = require('../src/middleware/validation');
+const { runValidation } = require('./helpers/validate');
+
+const weekdays = ['mon', 'tue', 'wed', 'thu', 'fri'];
+
+describe('DeploymentScheduler', () => {
+    const scheduler = new DeploymentScheduler();
+
+    describe('isWithinWindows', () => {
+        // 2026-03-02 is a Monday
+        const at = (iso) => new Date(iso);
+        const office = [{ days: weekdays, start: '09:00', end: '21:00' }];
+
+        it('opens a window at its start and closes it at its end, in local time', () => {
+            expect(scheduler.isWithinWindows(office, 'Asia/Kolkata', at('2026-03-02T03:29:00Z'))).toBe(false);
+            expect(scheduler.isWithinWindows(office, 'Asia/Kolkata', at('2026-03-02T03:30:00Z'))).toBe(true);
+            expect(scheduler.isWithinWindows(office, 'Asia/Kolkata', at('2026-03-02T15:29:00Z'))).toBe(true);
+            expect(scheduler.isWithinWindows(office, 'Asia/Kolkata', at('2026-03-02T15:30:00Z'))).toBe(false);
+        });
+
+        it('reads the day in the time zone, not in UTC', () => {
+            // Monday 03:30 UTC is still Sunday evening in New York
+            expect(scheduler.isWithinWindows(office, 'America/New_York', at('2026-03-02T03:30:00Z'))).toBe(false);
+            expect(scheduler.isWithinWindows(office, 'Pacific/Auckland', at('2026-03-01T21:00:00Z'))).toBe(true);
+        });
+
+        it('follows daylight saving time changes', () => {
+            // New York moves to UTC-4 on Sunday 2026-03-08
+            const sunday = [{ days: ['sun'], start: '09:00', end: '17:00' }];
+
+            expect(scheduler.isWithinWindows(sunday, 'America/New_York', at('2026-03-01T13:30:00Z'))).toBe(false);
+            expect(scheduler.isWithinWindows(sunday, 'America/New_York', at('2026-03-08T13:30:00Z'))).toBe(true);
+        });
+
+        it('carries a window past midnight into the next day only after a listed day', () => {
+            const friday = [{ days: ['fri'], start: '22:00', end: '02:00' }];
+
+            expect(scheduler.isWithinWindows(friday, 'UTC', at('2026-03-06T23:00:00Z'))).toBe(true);
+            expect(scheduler.isWithinWindows(friday, 'UTC', at('2026-03-07T01:59:00Z'))).toBe(true);
+            expect(scheduler.isWithinWindows(friday, 'UTC', at('2026-03-07T02:00:00Z'))).toBe(false);
+            expect(scheduler.isWithinWindows(friday, 'UTC', at('2026-03-07T23:00:00Z'))).toBe(false);
+            expect(scheduler.isWithinWindows(friday, 'UTC', at('2026-03-06T01:00:00Z'))).toBe(false);
+        });
+
+        it('keeps a whole day ending at 24:00 open until midnight', () => {
+            const sunday = [{ days: ['sun'], start: '00:00', end: '24:00' }];
+
+            expect(scheduler.isWithinWindows(sunday, 'UTC', at('2026-03-01T00:00:00Z'))).toBe(true);
+            expect(scheduler.isWithinWindows(sunday, 'UTC', at('2026-03-01T23:59:00Z'))).toBe(true);
+            expect(scheduler.isWithinWindows(sunday, 'UTC', at('2026-03-02T00:00:00Z'))).toBe(false);
+        });
+
+        it('is awake in any of several windows', () => {
+            const split = [
+                { days: ['mon'], start: '08:00', end: '12:00' },
+                { days: ['mon'], start: '14:00', end: '18:00' }
+            ];
+
+            expect(['09:00', '13:00', '15:00'].map(time => scheduler.isWithinWindows(split, 'UTC', at(`2026-03-02T${time}:00Z`))))
+                .toEqual([true, false, true]);
+        });
+    });
+
+    describe('getTimezone', () => {
+        afterEach(() => {
+            jest.restoreAllMocks();
+        });
+
+        it("prefers the schedule's zone, then the owner's calendar zone", async () => {
+            jest.spyOn(User, 'findById').mockResolvedValue({ calendar_preferences: { timezone: 'Europe/Berlin' } });
+
+            expect(await scheduler.getTimezone({ schedule: { timezone: 'UTC' } })).toBe('UTC');
+            expect(await scheduler.getTimezone({ schedule: { timezone: null } })).toBe('Europe/Berlin');
+
+            User.findById.mockResolvedValue(null);
+            expect(await scheduler.getTimezone({ schedule: {} })).toBe('Asia/Kolkata');
+        });
+    });
+
+    describe('checkDeployment', () => {
+        let service;
+        let events;
+
+        // Deployed backend with an office-hours schedule in UTC
+        const scheduled = (fields = {}) => ({
+            _id: new mongoose.Types.ObjectId(),
+            deployment_id: 'dep_shop',
+            user_id: 'user-1',
+            status: 'deployed',
+            pm2_backend_name: 'shop_backend',
+            schedule: { enabled: true, timezone: 'UTC', windows: [{ days: weekdays, start: '09:00', end: '21:00' }] },
+            ...fields
+        });
+
+        beforeEach(() => {
+            // Monday 22:00 UTC, outside the window
+            jest.useFakeTimers({ now: new Date('2026-03-02T22:00:00Z') });
+            service = {
+                stopDeployment: jest.fn().mockResolvedValue({ success: true, results: [{ type: 'backend', success: true }] }),
+                restartDeployment: jest.fn().mockResolvedValue({ success: true, results: [{ type: 'backend', success: true }] })
+            };
+            scheduler.deploymentService = service;
+            events = [];
+            global.io = { to: () => ({ emit: (name, event) => events.push(event) }) };
+            jest.spyOn(Deployment, 'update').mockResolvedValue(null);
+            jest.spyOn(DeploymentLog, 'create').mockResolvedValue(null);
+            jest.spyOn(console, 'log').mockImplementation(() => {});
+            jest.spyOn(console, 'error').mockImplementation(() => {});
+        });
+
+        afterEach(() => {
+            delete global.io;
+            jest.useRealTimers();
+            jest.restoreAllMocks();
+        });
+
+        it('puts a deployment to sleep outside its windows', async () => {
+            const deployment = scheduled();
+
+            const result = await scheduler.checkDeployment(deployment);
+
+            expect(result).toMatchObject({ action: 'sleep', success: true });
+            expect(service.stopDeployment).toHaveBeenCalledWith(deployment._id, { status: 'sleeping' });
+            expect(Deployment.update).toHaveBeenCalledWith(deployment._id, {
+                'schedule.last_action': 'sleep',
+                'schedule.last_action_at': new Date('2026-03-02T22:00:00Z'),
+                'schedule.last_error': null
+            });
+            expect(events).toEqual([{ type: 'status', deployment_id: 'dep_shop', status: 'sleeping' }]);
+        });
+
+        it('wakes a sleeping deployment when its window opens', async () => {
+            jest.setSystemTime(new Date('2026-03-03T09:00:00Z'));
+
+            const result = await scheduler.checkDeployment(scheduled({ status: 'sleeping' }));
+
+            expect(result.action).toBe('wake');
+            expect(service.restartDeployment).toHaveBeenCalled();
+            expect(service.stopDeployment).not.toHaveBeenCalled();
+        });
+
+        it('wakes a sleeping deployment whose schedule was removed or disabled', async () => {
+            await scheduler.checkDeployment(scheduled({ status: 'sleeping', schedule: null }));
+            await scheduler.checkDeployment(scheduled({ status: 'sleeping', schedule: { enabled: false, windows: [] } }));
+
+            expect(service.restartDeployment).toHaveBeenCalledTimes(2);
+            expect(Deployment.update).toHaveBeenCalledTimes(1);
+        });
+
+        it('leaves deployments alone that are already right, stopped by their owner, busy or static', async () => {
+            const untouched = [
+                scheduled({ status: 'sleeping' }),
+                scheduled({ status: 'stopped' }),
+                scheduled({ status: 'deploying' }),
+                scheduled({ status: 'suspended' }),
+                scheduled({ pm2_backend_name: null, backend_web_root: '/var/www/shop' })
+            ];
+
+            for (const deployment of untouched) {
+                expect(await scheduler.checkDeployment(deployment)).toBeNull();
+            }
+            expect(service.stopDeployment).not.toHaveBeenCalled();
+            expect(service.restartDeployment).not.toHaveBeenCalled();
+        });
+
+        it('records which component could not be stopped and keeps reporting the old status', async () => {
+            service.stopDeployment.mockResolvedValue({
+                success: false,
+                results: [{ type: 'frontend', success: true }, { type: 'backend', success: false, error: 'pm2 not found' }]
+            });
+
+            const result = await scheduler.checkDeployment(scheduled());
+
+            expect(result.success).toBe(false);
+            expect(Deployment.update).toHaveBeenCalledWith(expect.anything(), expect.objectContaining({ 'schedule.last_error': 'backend: pm2 not found' }));
+            expect(DeploymentLog.create).toHaveBeenCalledWith(expect.anything(), '❌ Scheduled sleep failed: backend: pm2 not found', 'error');
+            expect(events).toEqual([{ type: 'status', deployment_id: 'dep_shop', status: 'deployed', error: 'backend: pm2 not found' }]);
+        });
+
+        it('keeps checking the other deployments when one of them throws', async () => {
+            const broken = scheduled({ deployment_id: 'dep_broken' });
+            const healthy = scheduled();
+            jest.spyOn(Deployment, 'find').mockResolvedValue([broken, healthy]);
+            service.stopDeployment.mockRejectedValueOnce(new Error('Deployment not found'));
+
+            await scheduler.checkSchedules();
+
+            expect(service.stopDeployment).toHaveBeenCalledTimes(2);
+            expect(events).toEqual([expect.objectContaining({ status: 'sleeping' })]);
+            expect(scheduler.checking).toBe(false);
+        });
+    });
+});
+
+describe('validateSchedule', () => {
+    const validate = (body) => runValidation(validateSchedule, { params: { id: 'dep_1' }, body });
+
+    it('accepts windows up to midnight in a known time zone', async () => {
+        expect(await validate({
+            timezone: 'America/New_York',
+            windows: [{ days: ['sat', 'sun'], start: '00:00', end: '24:00' }, { days: weekdays, start: '22:00', end: '06:00' }]
+        })).toEqual([]);
+    });
+
+    it('rejects unknown time zones', async () => {
+        expect(await validate({ timezone: 'Mars/Olympus', windows: [{ days: ['mon'], start: '09:00', end: '17:00' }] }))
+            .toEqual(['Unknown time zone: Mars/Olympus']);
+    });
+
+    it('rejects times that are not on the clock', async () => {
+        expect(await validate({ windows: [{ days: ['mon'], start: '24:00', end: '9:00' }] }))
+            .toEqual(['start must be a time like 09:00', 'end must be a time like 21:00 or 24:00']);
+    });
+
+    it('rejects empty windows, unknown days and windows without length', async () => {
+        expect(await validate({ windows: [] })).toEqual(['windows must be an array of 1 to 14 entries']);
+        expect(await validate({ windows: [{ days: ['monday'], start: '09:00', end: '17:00' }] }))
+            .toEqual(['Days must be one of: mon, tue, wed, thu, fri, sat, sun']);
+        expect(await validate({ windows: [{ days: [], start: '09:00', end: '09:00' }] }))
+            .toEqual(['Each window needs at least one day', 'A window cannot start and end at the same time']);
+    });
+});
@@ -0,0 +1,611 @@
+const Deployment = require('../src/models/Deployment');
+const DeploymentLog = require('../src/models/DeploymentLog');
+const Release = require('../src/models/Release');
+const User = require('../src/models/User');
+const PhaseTracker = require('../src/services/PhaseTracker');
+const DeploymentService = require('../src/services/DeploymentService');
+const githubService = require('../src/services/GithubService');
+
+// A deployment whose backend runs as shop_backend on port 3100
+const liveBackend = (fields = {}) => new Deployment({
+    user_id: '64b000000000000000000001',
+    project_name: 'Shop',
+    subdomain: 'shop',
+    status: 'deployed',
+    backend_repo: 'https://github.com/acme/shop-api',
+    pm2_backend_name: 'shop_backend',
+    backend_port: 3100,
+    backend_actual_port: 3100,
+    backend_url: 'https://shop-api.example.com',
+    ...fields
+});
+
+describe('DeploymentService', () => {
+    let service;
+    let log;
+
+    beforeEach(() => {
+        service = new DeploymentService();
+        log = jest.fn();
+        service.portManager = { findFreePort: jest.fn().mockResolvedValue(3200), releasePort: jest.fn() };
+        service.nginxManager = { updateSubdomainPort: jest.fn().mockResolvedValue({ url: 'https://shop-api.example.com' }) };
+        service.clawdBot = {
+            getAppDirectory: jest.fn(async (name) => name === 'shop_backend' ? '/root/clawdeploy/apps/shop_backend' : null),
+            retireProcess: jest.fn().mockResolvedValue(true),
+            deploy: jest.fn().mockResolvedValue({ success: true, port: 3200, actualPort: 3200, commitSha: 'abc123' }),
+            checkHttpHealth: jest.fn().mockResolvedValue({ success: true, status: 200 })
+        };
+        jest.spyOn(service, 'getCloneCredentials').mockResolvedValue({ credentials: null });
+        jest.spyOn(service, 'getProcessLimits').mockResolvedValue(null);
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('API URL wiring', () => {
+        const originalEnv = { ...process.env };
+
+        // Frontend and backend, neither deployed yet
+        const fullStack = (fields = {}) => liveBackend({
+            frontend_repo: 'https://github.com/acme/shop-web',
+            backend_url: null,
+            ...fields
+        });
+
+        beforeEach(() => {
+            process.env.BASE_DOMAIN = 'example.com';
+            delete process.env.ENABLE_SSL;
+            delete process.env.API_URL_ENV_NAMES;
+        });
+
+        afterEach(() => {
+            process.env = { ...originalEnv };
+        });
+
+        it('tells the frontend where the backend will be before its first deploy', () => {
+            expect(service.getComponentEnv(fullStack(), 'frontend')).toEqual({
+                VITE_API_URL: 'https://shop-api.example.com',
+                NEXT_PUBLIC_API_URL: 'https://shop-api.example.com',
+                REACT_APP_API_URL: 'https://shop-api.example.com'
+            });
+
+            process.env.ENABLE_SSL = 'false';
+            expect(service.getComponentEnv(fullStack(), 'frontend').VITE_API_URL).toBe('http://shop-api.example.com');
+        });
+
+        it('uses the URL the backend is served at and keeps variables the user set', () => {
+            const shop = fullStack({
+                backend_url: 'http://shop-api.example.com:8080',
+                frontend_env_vars: { VITE_API_URL: 'https://api.shop.io', NEXT_PUBLIC_API_URL: '' }
+            });
+
+            expect(service.getComponentEnv(shop, 'frontend')).toEqual({
+                VITE_API_URL: 'https://api.shop.io',
+                NEXT_PUBLIC_API_URL: '',
+                REACT_APP_API_URL: 'http://shop-api.example.com:8080'
+            });
+        });
+
+        it('injects under the names the deployment or the server asks for, or not at all', () => {
+            process.env.API_URL_ENV_NAMES = ' PUBLIC_API , ,NUXT_PUBLIC_API_BASE ';
+
+            expect(Object.keys(service.getComponentEnv(fullStack(), 'frontend'))).toEqual(['PUBLIC_API', 'NUXT_PUBLIC_API_BASE']);
+            expect(Object.keys(service.getComponentEnv(fullStack({ frontend_api_url_env_names: ['API'] }), 'frontend'))).toEqual(['API']);
+            expect(service.getComponentEnv(fullStack({ frontend_api_url_env_names: [] }), 'frontend')).toEqual({});
+        });
+
+        it('allows the frontend and its live custom domains in CORS_ORIGIN, after the configured origins', () => {
+            const shop = fullStack({
+                backend_env_vars: { CORS_ORIGIN: 'https://admin.shop.io, https://shop.example.com' },
+                custom_domains: [
+                    { domain: 'shop.io', component: 'frontend', status: 'active', url: 'https://shop.io' },
+                    { domain: 'www.shop.io', component: 'frontend', status: 'verified' },
+                    { domain: 'api.shop.io', component: 'backend', status: 'active', url: 'https://api.shop.io' }
+                ]
+            });
+
+            expect(service.getComponentEnv(shop, 'backend').CORS_ORIGIN)
+                .toBe('https://admin.shop.io,https://shop.example.com,https://shop.io');
+            expect(service.getComponentEnv(shop, 'backend').CORS_ORIGIN)
+                .toBe('https://admin.shop.io,https://shop.example.com,https://shop.io');
+            expect(shop.backend_env_vars.get('CORS_ORIGIN')).toBe('https://admin.shop.io, https://shop.example.com');
+        });
+
+        it('leaves the variables of a deployment with a single component alone', () => {
+            const backendOnly = liveBackend({ env_vars: { NODE_ENV: 'production' } });
+
+            expect(service.getComponentEnv(backendOnly, 'backend')).toEqual({ NODE_ENV: 'production' });
+        });
+    });
+
+    describe('deployComponentBlueGreen', () => {
+        const expectLiveUntouched = () => {
+            expect(service.clawdBot.retireProcess).not.toHaveBeenCalledWith('shop_backend', expect.anything(), expect.anything());
+            expect(service.nginxManager.updateSubdomainPort).not.toHaveBeenCalled();
+        };
+
+        it('retires the new version and frees its port when it fails the health check', async () => {
+            service.clawdBot.checkHttpHealth.mockResolvedValue({ success: false, error: 'GET / returned 502' });
+
+            const result = await service.deployComponentBlueGreen(liveBackend(), 'backend', log);
+
+            expect(result).toEqual({ success: false, error: 'GET / returned 502', previousVersionServing: true });
+            expect(service.clawdBot.retireProcess).toHaveBeenCalledWith('shop_backend_green', '/root/clawdeploy/apps/shop_backend', null);
+            expect(service.portManager.releasePort).toHaveBeenCalledWith(3200);
+            expectLiveUntouched();
+        });
+
+        it('frees the allocated port when the new version binds the live port', async () => {
+            service.clawdBot.deploy.mockResolvedValue({ success: true, port: 3200, actualPort: 3100 });
+
+            const result = await service.deployComponentBlueGreen(liveBackend(), 'backend', log);
+
+            expect(result.error).toBe('New version came up on the live port 3100');
+            expect(service.portManager.releasePort).toHaveBeenCalledWith(3200);
+            expect(service.portManager.releasePort).not.toHaveBeenCalledWith(3100);
+            expectLiveUntouched();
+        });
+
+        it('frees the port once when the build fails', async () => {
+            service.clawdBot.deploy.mockResolvedValue({ success: false, error: 'npm ci failed' });
+
+            await service.deployComponentBlueGreen(liveBackend(), 'backend', log);
+
+            expect(service.portManager.releasePort).toHaveBeenCalledTimes(1);
+            expect(service.portManager.releasePort).toHaveBeenCalledWith(3200);
+            expect(service.clawdBot.checkHttpHealth).not.toHaveBeenCalled();
+        });
+
+        it('frees the port when the repository cannot be read', async () => {
+            service.getCloneCredentials.mockResolvedValue({ error: 'Repository not found' });
+
+            const result = await service.deployComponentBlueGreen(liveBackend(), 'backend', log);
+
+            expect(result.error).toBe('Repository not found');
+            expect(service.clawdBot.deploy).not.toHaveBeenCalled();
+            expect(service.portManager.releasePort).toHaveBeenCalledWith(3200);
+        });
+    });
+
+    describe('deployComponent', () => {
+        // Allocated port 3100 and PM2 name set, nothing routed yet
+        const firstDeploy = () => liveBackend({ backend_url: null, backend_actual_port: null });
+
+        beforeEach(() => {
+            jest.spyOn(Deployment, 'recordHealth').mockResolvedValue(null);
+            jest.spyOn(Deployment, 'update').mockResolvedValue(null);
+            jest.spyOn(service, 'runDeployHooks').mockResolvedValue({ success: true });
+            service.clawdBot.deploy.mockResolvedValue({ success: true, port: 3100, actualPort: 3100 });
+        });
+
+        const expectDiscarded = () => {
+            expect(service.clawdBot.retireProcess).toHaveBeenCalledWith('shop_backend', null, null);
+            expect(service.portManager.releasePort).toHaveBeenCalledWith(3100);
+            expect(Deployment.update).toHaveBeenCalledWith(expect.anything(), {
+                backend_port: null,
+                backend_allocated_port: null,
+                backend_actual_port: null
+            });
+        };
+
+        it('removes a first deploy whose pre_deploy hook aborted, before health-checking it', async () => {
+            service.runDeployHooks.mockResolvedValue({ success: false, abort: true, error: 'npm run migrate exited with 1' });
+
+            const result = await service.deployComponent(firstDeploy(), 'backend', 3100, log);
+
+            expect(result).toMatchObject({ success: false, error: 'npm run migrate exited with 1' });
+            expect(service.clawdBot.checkHttpHealth).not.toHaveBeenCalled();
+            expectDiscarded();
+        });
+
+        it('removes a first deploy that failed its health check', async () => {
+            service.clawdBot.checkHttpHealth.mockResolvedValue({ success: false, error: 'connection refused' });
+
+            const result = await service.deployComponent(firstDeploy(), 'backend', 3100, log);
+
+            expect(result.error).toBe('Health check on / failed: connection refused');
+            expectDiscarded();
+        });
+
+        it('leaves a routed component in place when its in-place redeploy fails', async () => {
+            service.clawdBot.checkHttpHealth.mockResolvedValue({ success: false, error: 'connection refused' });
+
+            await service.deployComponent(liveBackend(), 'backend', 3100, log, { reuseRouting: true });
+
+            expect(service.clawdBot.retireProcess).not.toHaveBeenCalled();
+            expect(service.portManager.releasePort).not.toHaveBeenCalled();
+        });
+
+        it("starts the app under the owner's plan limits and records what was applied", async () => {
+            service.getProcessLimits.mockResolvedValue({ plan: 'starter', memory_mb: 512, cpu_percent: 50 });
+            service.clawdBot.deploy.mockResolvedValue({ success: true, port: 3100, actualPort: 3100, limits: { memory_mb: 512, cpu_percent: null } });
+            jest.spyOn(service, 'applyRepoConfig').mockResolvedValue(undefined);
+
+            await service.deployComponent(liveBackend(), 'backend', 3100, log, { reuseRouting: true });
+
+            expect(service.clawdBot.deploy.mock.calls[0][7].limits).toEqual({ plan: 'starter', memory_mb: 512, cpu_percent: 50 });
+            expect(Deployment.update).toHaveBeenCalledWith(expect.anything(), expect.objectContaining({
+                'resources.backend.memory_mb': 512,
+                'resources.backend.cpu_percent': null,
+                'resources.backend.applied_at': expect.any(Date)
+            }));
+        });
+
+        it('leaves a cancelled first deploy to the cancellation cleanup', async () => {
+            service.clawdBot.deploy.mockResolvedValue({ success: false, cancelled: true, error: 'Deployment cancelled' });
+
+            await service.deployComponent(firstDeploy(), 'backend', 3100, log);
+
+            expect(service.clawdBot.retireProcess).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('getCloneCredentials', () => {
+        beforeEach(() => {
+            service.getCloneCredentials.mockRestore();
+            jest.spyOn(User, 'findById').mockResolvedValue({ github_access_token: 'gho_owner' });
+            jest.spyOn(githubService, 'checkRepositoryAccess').mockResolvedValue({ private: true });
+        });
+
+        it("clones a private GitHub repository with the owner's token", async () => {
+            const deployment = liveBackend();
+
+            expect(await service.getCloneCredentials(deployment, 'backend')).toEqual({
+                credentials: { type: 'token', source: 'github', token: 'gho_owner' }
+            });
+            expect(User.findById).toHaveBeenCalledWith(deployment.user_id);
+            expect(githubService.checkRepositoryAccess).toHaveBeenCalledWith('gho_owner', 'acme', 'shop-api');
+        });
+
+        it('clones public repositories anonymously and keeps the token when GitHub cannot say', async () => {
+            githubService.checkRepositoryAccess.mockResolvedValueOnce({ private: false });
+            expect(await service.getCloneCredentials(liveBackend(), 'backend')).toEqual({ credentials: null });
+
+            // An outage or rate limit: the token still goes along, the clone has the last word
+            githubService.checkRepositoryAccess.mockResolvedValueOnce({ private: null });
+            expect((await service.getCloneCredentials(liveBackend(), 'backend')).credentials).toMatchObject({ source: 'github' });
+
+            User.findById.mockResolvedValue({ github_access_token: null });
+            expect(await service.getCloneCredentials(liveBackend(), 'backend')).toEqual({ credentials: null });
+        });
+
+        it('hands back a revoked token or missing access as an error instead of cloning', async () => {
+            const revoked = 'GitHub access has been revoked or has expired - sign in with GitHub again to deploy private repositories';
+            githubService.checkRepositoryAccess.mockResolvedValue({ error: revoked });
+
+            expect(await service.getCloneCredentials(liveBackend(), 'backend')).toEqual({ error: revoked });
+        });
+
+        it('prefers deploy credentials and never sends the GitHub token over SSH or to other hosts', async () => {
+            const withToken = liveBackend({ backend_git_auth: 'token', backend_git_token: 'ghp_deploy' });
+            const overSsh = liveBackend({ backend_repo: 'git@github.com:acme/shop-api.git' });
+            const elsewhere = liveBackend({ backend_repo: 'https://gitlab.com/acme/shop-api' });
+
+            expect((await service.getCloneCredentials(withToken, 'backend')).credentials).toEqual({ type: 'token', username: null, token: 'ghp_deploy' });
+            expect(await service.getCloneCredentials(overSsh, 'backend')).toEqual({ credentials: null });
+            expect(await service.getCloneCredentials(elsewhere, 'backend')).toEqual({ credentials: null });
+            expect(User.findById).not.toHaveBeenCalled();
+        });
+
+        it('fails the component with the access error without cloning', async () => {
+            githubService.checkRepositoryAccess.mockResolvedValue({ error: 'Repository acme/shop-api not found, or your GitHub account cannot access it' });
+            jest.spyOn(Deployment, 'recordHealth').mockResolvedValue(null);
+            jest.spyOn(Deployment, 'update').mockResolvedValue(null);
+
+            const result = await service.deployComponent(liveBackend({ backend_url: null, backend_actual_port: null }), 'backend', 3100, log);
+
+            expect(result).toMatchObject({ success: false, error: 'Repository acme/shop-api not found, or your GitHub account cannot access it' });
+            expect(service.clawdBot.deploy).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('pruneReleaseSnapshots', () => {
+        // Releases 5 (newest) to 1 with a snapshot of shop_backend
+        const snapshots = [5, 4, 3, 2, 1].map(number => ({
+            _id: `release-${number}`,
+            components: [
+                { component: 'frontend', pm2_name: 'shop_frontend', snapshot_path: `/releases/shop_frontend/r${number}` },
+                { component: 'backend', pm2_name: 'shop_backend', snapshot_path: `/releases/shop_backend/r${number}` }
+            ]
+        }));
+
+        beforeEach(() => {
+            service.clawdBot.deleteReleaseSnapshot = jest.fn().mockResolvedValue(true);
+            jest.spyOn(Release, 'findSnapshots').mockResolvedValue(snapshots);
+            jest.spyOn(Release, 'clearSnapshot').mockResolvedValue(null);
+        });
+
+        it('keeps the newest RELEASE_RETENTION builds of the process', async () => {
+            service.releaseRetention = 3;
+
+            await service.pruneReleaseSnapshots('dep-1', 'shop_backend');
+
+            expect(service.clawdBot.deleteReleaseSnapshot.mock.calls).toEqual([
+                ['/releases/shop_backend/r2'],
+                ['/releases/shop_backend/r1']
+            ]);
+            expect(Release.clearSnapshot.mock.calls).toEqual([['release-2', 'shop_backend'], ['release-1', 'shop_backend']]);
+        });
+
+        it('deletes nothing while there are no more than that', async () => {
+            service.releaseRetention = 5;
+
+            await service.pruneReleaseSnapshots('dep-1', 'shop_backend');
+
+            expect(service.clawdBot.deleteReleaseSnapshot).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('redeploy status', () => {
+        let deployment;
+        let statuses;
+
+        beforeEach(() => {
+            deployment = liveBackend({
+                frontend_repo: 'https://github.com/acme/shop-web',
+                pm2_frontend_name: 'shop_frontend',
+                frontend_port: 3101,
+                frontend_url: 'https://shop.example.com'
+            });
+            statuses = [];
+            jest.spyOn(Deployment, 'findById').mockImplementation(async () => deployment);
+            jest.spyOn(Deployment, 'updateStatus').mockImplementation(async (id, status) => statuses.push(status));
+            jest.spyOn(DeploymentLog, 'create').mockResolvedValue(null);
+            jest.spyOn(Release, 'start').mockResolvedValue({ id: 'release-1', number: 4 });
+            jest.spyOn(Release, 'finish').mockResolvedValue(null);
+            jest.spyOn(PhaseTracker, 'forJob').mockResolvedValue({
+                start: jest.fn().mockResolvedValue(), finish: jest.fn().mockResolvedValue()
+            });
+            jest.spyOn(console, 'log').mockImplementation(() => {});
+            service.repoConfig = { load: jest.fn(async () => ({ success: true, deployment })) };
+            service.automationService = { sendDeploymentSuccess: jest.fn(), sendCriticalAlert: jest.fn() };
+            jest.spyOn(service, 'canSwitchBlueGreen').mockImplementation(async (_, component) => component === 'backend');
+            jest.spyOn(service, 'deployComponentBlueGreen').mockResolvedValue({ success: true });
+            jest.spyOn(service, 'deployComponent').mockResolvedValue({ success: true });
+        });
+
+        it('redeploys the backend before the frontend that builds against it', async () => {
+            jest.spyOn(service, 'canSwitchBlueGreen').mockResolvedValue(false);
+
+            await service.redeploy('user-1', deployment.id, { components: ['frontend', 'backend'] });
+
+            expect(service.deployComponent.mock.calls.map(([, component]) => component)).toEqual(['backend', 'frontend']);
+        });
+
+        it('keeps a deployment whose blue/green switch failed marked deployed', async () => {
+            service.deployComponentBlueGreen.mockResolvedValue({ success: false, error: 'unhealthy', previousVersionServing: true });
+
+            const result = await service.redeploy('user-1', deployment.id, { components: ['backend'] });
+
+            expect(result.success).toBe(false);
+            expect(statuses).toEqual(['deploying', 'deployed']);
+            expect(Release.finish).toHaveBeenCalledWith('release-1', 'failed');
+        });
+
+        it('marks the deployment failed when an in-place redeploy failed', async () => {
+            service.deployComponent.mockResolvedValue({ success: false, error: 'build failed' });
+
+            await service.redeploy('user-1', deployment.id, { components: ['frontend'] });
+
+            expect(statuses).toEqual(['deploying', 'failed']);
+        });
+
+        it('keeps it deployed when the redeploy throws before replacing anything', async () => {
+            service.repoConfig.load.mockRejectedValue(new Error('GitHub API unavailable'));
+
+            await expect(service.redeploy('user-1', deployment.id)).rejects.toThrow('GitHub API unavailable');
+
+            expect(statuses).toEqual(['deployed']);
+            expect(Release.finish).toHaveBeenCalledWith('release-1', 'failed', 'GitHub API unavailable');
+        });
+
+        it('keeps it deployed when a blue/green switch throws', async () => {
+            service.deployComponentBlueGreen.mockRejectedValue(new Error('No free ports available'));
+
+            await expect(service.redeploy('user-1', deployment.id, { components: ['backend'] })).rejects.toThrow();
+
+            expect(statuses).toEqual(['deploying', 'deployed']);
+        });
+
+        it('marks it failed when the throw hit a component being replaced in place', async () => {
+            service.deployComponentBlueGreen.mockResolvedValue({ success: false, error: 'unhealthy', previousVersionServing: true });
+            service.deployComponent.mockRejectedValue(new Error('SSH connection failed'));
+
+            await expect(service.redeploy('user-1', deployment.id)).rejects.toThrow('SSH connection failed');
+
+            expect(service.deployComponentBlueGreen).toHaveBeenCalledTimes(1);
+            expect(statuses).toEqual(['deploying', 'failed']);
+        });
+    });
+
+    describe('rollback', () => {
+        let deployment;
+        let statuses;
+        let target;
+
+        // Release #2 built the backend as the shop_backend_green slot
+        const savedRelease = () => ({
+            _id: 'release-2',
+            number: 2,
+            env_hash: 'hash',
+            components: [{
+                component: 'backend',
+                status: 'succeeded',
+                pm2_name: 'shop_backend_green',
+                commit_sha: 'c0ffee',
+                allocated_port: 3150,
+                app_dir: '/root/clawdeploy/apps/shop_backend_green',
+                snapshot_path: '/root/clawdeploy/releases/shop_backend_green/release-2',
+                pm2_script: 'dist/server.js'
+            }, {
+                component: 'frontend',
+                status: 'failed',
+                error: 'build failed'
+            }]
+        });
+
+        beforeEach(() => {
+            target = savedRelease();
+            deployment = liveBackend();
+            statuses = [];
+            jest.spyOn(Deployment, 'findById').mockImplementation(async () => deployment);
+            jest.spyOn(Deployment, 'update').mockResolvedValue(null);
+            jest.spyOn(Deployment, 'updateStatus').mockImplementation(async (id, status) => statuses.push(status));
+            jest.spyOn(DeploymentLog, 'create').mockResolvedValue(null);
+            jest.spyOn(Release, 'findForDeployment').mockResolvedValue(target);
+            jest.spyOn(Release, 'start').mockResolvedValue({ id: 'release-3', number: 3 });
+            jest.spyOn(Release, 'addComponent').mockResolvedValue(null);
+            jest.spyOn(Release, 'finish').mockResolvedValue(null);
+            jest.spyOn(console, 'log').mockImplementation(() => {});
+            service.automationService = { sendCriticalAlert: jest.fn() };
+            service.clawdBot.restoreRelease = jest.fn().mockResolvedValue({
+                success: true, allocatedPort: 3150, actualPort: 3150, commitSha: null, limits: null
+            });
+        });
+
+        it('restores only the saved builds, switches nginx and retires the live slot', async () => {
+            const result = await service.rollback('user-1', deployment.id, { release_id: 'release-2' });
+
+            expect(result.success).toBe(true);
+            expect(service.clawdBot.restoreRelease).toHaveBeenCalledTimes(1);
+            expect(service.clawdBot.restoreRelease).toHaveBeenCalledWith(deployment.id, 'shop_backend_green', expect.objectContaining({
+                snapshotPath: '/root/clawdeploy/releases/shop_backend_green/release-2',
+                script: 'dist/server.js'
+            }), 3150, expect.any(Function), { limits: null });
+            expect(service.nginxManager.updateSubdomainPort).toHaveBeenCalledWith('shop', 3150, true);
+            expect(service.clawdBot.retireProcess).toHaveBeenCalledWith('shop_backend', '/root/clawdeploy/apps/shop_backend_green', null);
+            expect(Deployment.update).toHaveBeenCalledWith(deployment.id, expect.objectContaining({
+                pm2_backend_name: 'shop_backend_green',
+                backend_actual_port: 3150,
+                backend_deployed_commit: 'c0ffee'
+            }));
+            expect(Release.start).toHaveBeenCalledWith(expect.objectContaining({ type: 'rollback', rollbackOf: 'release-2', envHash: 'hash' }));
+            expect(statuses).toEqual(['deploying', 'deployed']);
+            expect(Release.finish).toHaveBeenCalledWith('release-3', 'succeeded');
+        });
+
+        it('marks the deployment failed when the live process could not be restored', async () => {
+            target.components[0].pm2_name = 'shop_backend';
+            service.clawdBot.restoreRelease.mockResolvedValue({ success: false, error: 'Release snapshot is no longer available on the server' });
+
+            const result = await service.rollback('user-1', deployment.id, { release_id: 'release-2' });
+
+            expect(result.success).toBe(false);
+            expect(service.clawdBot.retireProcess).not.toHaveBeenCalled();
+            expect(statuses).toEqual(['deploying', 'failed']);
+            expect(Release.finish).toHaveBeenCalledWith('release-3', 'failed');
+        });
+
+        it('refuses a release without any saved build before touching the deployment', async () => {
+            Release.findForDeployment.mockResolvedValue({ number: 1, components: [{ component: 'backend', status: 'failed' }] });
+
+            await expect(service.rollback('user-1', deployment.id, { release_id: 'release-1' }))
+                .rejects.toThrow('Release #1 has no build snapshot to restore');
+            expect(Release.start).not.toHaveBeenCalled();
+            expect(statuses).toEqual([]);
+        });
+    });
+
+    describe('cleanupCancelled', () => {
+        let deployment;
+
+        beforeEach(() => {
+            deployment = liveBackend();
+            jest.spyOn(Deployment, 'findById').mockImplementation(async () => deployment);
+            jest.spyOn(Deployment, 'update').mockResolvedValue(null);
+            Object.assign(service.clawdBot, {
+                killDeployer: jest.fn().mockResolvedValue(false),
+                checkDeploymentStatus: jest.fn().mockResolvedValue({ running: true })
+            });
+        });
+
+        it('removes every trace of a cancelled first deploy', async () => {
+            deployment = liveBackend({ status: 'deploying', backend_url: null, backend_root_directory: 'apps/api' });
+
+            await service.cleanupCancelled(deployment.id, 'deploy');
+
+            expect(service.clawdBot.killDeployer.mock.calls).toEqual([['shop_backend'], ['shop_backend_green']]);
+            expect(service.clawdBot.retireProcess).toHaveBeenCalledWith('shop_backend', null, 'apps/api');
+            expect(service.portManager.releasePort).toHaveBeenCalledWith(3100);
+            expect(Deployment.update).toHaveBeenCalledWith(deployment.id, expect.objectContaining({
+                backend_port: null,
+                backend_allocated_port: null,
+                backend_actual_port: null
+            }));
+        });
+
+        it('still frees the port when the half-started process cannot be removed', async () => {
+            deployment = liveBackend({ status: 'deploying', backend_url: null });
+            service.clawdBot.retireProcess.mockRejectedValue(new Error('pm2: process not found'));
+
+            await service.cleanupCancelled(deployment.id, 'deploy');
+
+            expect(service.portManager.releasePort).toHaveBeenCalledWith(3100);
+        });
+
+        it('leaves the live process of a redeploy alone while it still runs', async () => {
+            await service.cleanupCancelled(deployment.id, 'redeploy');
+
+            expect(service.clawdBot.killDeployer).toHaveBeenCalledWith('shop_backend');
+            expect(service.clawdBot.retireProcess).not.toHaveBeenCalled();
+            expect(service.portManager.releasePort).not.toHaveBeenCalled();
+            expect(Deployment.update).not.toHaveBeenCalled();
+        });
+
+        it('removes an in-place redeploy that never came back up', async () => {
+            service.clawdBot.checkDeploymentStatus.mockResolvedValue({ running: false });
+
+            await service.cleanupCancelled(deployment.id, 'redeploy');
+
+            expect(service.clawdBot.retireProcess).toHaveBeenCalledWith('shop_backend', '/root/clawdeploy/apps/shop_backend', null);
+            expect(service.portManager.releasePort).not.toHaveBeenCalled();
+        });
+
+        it('retires the idle slot of a cancelled blue/green redeploy but keeps the live files', async () => {
+            service.clawdBot.getAppDirectory.mockImplementation(async (name) => `/root/clawdeploy/apps/${name}`);
+
+            await service.cleanupCancelled(deployment.id, 'rollback');
+
+            expect(service.clawdBot.retireProcess).toHaveBeenCalledTimes(1);
+            expect(service.clawdBot.retireProcess).toHaveBeenCalledWith('shop_backend_green', '/root/clawdeploy/apps/shop_backend', null);
+        });
+
+        it('does nothing for a deployment that was deleted meanwhile', async () => {
+            deployment = null;
+
+            await service.cleanupCancelled('gone', 'deploy');
+
+            expect(service.clawdBot.killDeployer).not.toHaveBeenCalled();
+            expect(Deployment.update).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('stopDeployment', () => {
+        let statuses;
+
+        beforeEach(() => {
+            statuses = [];
+            jest.spyOn(Deployment, 'findById').mockResolvedValue(liveBackend({ pm2_frontend_name: 'shop_frontend' }));
+            jest.spyOn(Deployment, 'updateStatus').mockImplementation(async (id, status) => statuses.push(status));
+            service.clawdBot.stopDeployment = jest.fn().mockResolvedValue({ success: true });
+        });
+
+        it('stops every process and records why', async () => {
+            const result = await service.stopDeployment('dep-1', { status: 'sleeping' });
+
+            expect(result.results.map(entry => entry.type)).toEqual(['frontend', 'backend']);
+            expect(service.clawdBot.stopDeployment.mock.calls.map(([name]) => name)).toEqual(['shop_frontend', 'shop_backend']);
+            expect(statuses).toEqual(['sleeping']);
+        });
+
+        it('keeps the status when a process could not be stopped', async () => {
+            service.clawdBot.stopDeployment.mockResolvedValueOnce({ success: false, error: 'pm2 not found' });
+
+            const result = await service.stopDeployment('dep-1', { status: 'sleeping' });
+
+            expect(result.success).toBe(false);
+            expect(statuses).toEqual([]);
+        });
+    });
+});
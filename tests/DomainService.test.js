@@ -0,0 +1,208 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Deployment = require('../src/models/Deployment');
+const DeploymentLog = require('../src/models/DeploymentLog');
+const DomainService = require('../src/services/DomainService');
+const { StaticResolver } = require('../src/services/DnsResolver');
+const { validateCustomDomain } = require('../src/middleware/validation');
+const { runValidation } = require('./helpers/validate');
+
+const dnsError = (code) => Object.assign(new Error(`queryTxt ${code} shop.example.org`), { code });
+
+// Resolver answering from a plain map, like the records of a DNS zone
+const zone = (records) => ({
+    resolveTxt: jest.fn(async (name) => {
+        if (!records[name]?.TXT) throw dnsError('ENOTFOUND');
+        return records[name].TXT;
+    }),
+    resolveCname: jest.fn(async (name) => {
+        if (!records[name]?.CNAME) throw dnsError('ENODATA');
+        return records[name].CNAME;
+    })
+});
+
+const withDomain = (fields) => new Deployment({
+    name: 'Shop',
+    subdomain: 'shop',
+    user_id: '64b000000000000000000001',
+    custom_domains: [{ domain: 'shop.example.org', verification_token: 'c0ffee', ...fields }]
+});
+
+describe('DomainService', () => {
+    const originalBaseDomain = process.env.BASE_DOMAIN;
+
+    beforeAll(() => {
+        process.env.BASE_DOMAIN = 'clawdeploy.dev';
+    });
+
+    afterAll(() => {
+        if (originalBaseDomain === undefined) delete process.env.BASE_DOMAIN;
+        else process.env.BASE_DOMAIN = originalBaseDomain;
+    });
+
+    beforeEach(() => {
+        jest.spyOn(Deployment.prototype, 'save').mockImplementation(async function() { return this; });
+        jest.spyOn(DeploymentLog, 'create').mockResolvedValue(null);
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('TXT verification', () => {
+        it('finds the token among other records on the challenge name', async () => {
+            const service = new DomainService(zone({
+                '_clawdeploy-challenge.shop.example.org': { TXT: [['v=spf1 -all'], ['clawdeploy-verification=c0ffee']] }
+            }));
+            const deployment = withDomain();
+
+            const result = await service.verifyDomain(deployment, 'Shop.Example.org');
+
+            expect(result.verified).toBe(true);
+            expect(result.entry.status).toBe('verified');
+            expect(result.entry.verified_at).toBeInstanceOf(Date);
+            expect(DeploymentLog.create).toHaveBeenCalledWith(deployment._id, '✅ DNS verified for shop.example.org', 'success');
+        });
+
+        it('joins a token split into several strings of one record', async () => {
+            const service = new DomainService(zone({
+                '_clawdeploy-challenge.shop.example.org': { TXT: [['clawdeploy-verification=', 'c0', 'ffee']] }
+            }));
+
+            expect((await service.checkDns(withDomain(), withDomain().custom_domains[0])).verified).toBe(true);
+        });
+
+        it('does not accept the token of another domain or a record on the domain itself', async () => {
+            const service = new DomainService(zone({
+                '_clawdeploy-challenge.shop.example.org': { TXT: [['clawdeploy-verification=deadbeef']] },
+                'shop.example.org': { TXT: [['clawdeploy-verification=c0ffee']] }
+            }));
+            const deployment = withDomain();
+
+            const result = await service.verifyDomain(deployment, 'shop.example.org');
+
+            expect(result).toMatchObject({
+                verified: false,
+                error: 'TXT record _clawdeploy-challenge.shop.example.org does not contain the verification token'
+            });
+            expect(result.entry.status).toBe('pending');
+            expect(result.entry.error).toBe(result.error);
+            expect(result.entry.last_checked_at).toBeInstanceOf(Date);
+        });
+
+        it('reports a missing record as not propagated yet and other DNS failures as they are', async () => {
+            const entry = withDomain().custom_domains[0];
+            const missing = new DomainService(zone({}));
+            const broken = new DomainService({ resolveTxt: async () => { throw dnsError('ESERVFAIL'); } });
+
+            expect((await missing.checkDns(withDomain(), entry)).error)
+                .toBe('No TXT record found yet - DNS changes can take a while to propagate');
+            expect((await broken.checkDns(withDomain(), entry)).error)
+                .toBe('DNS lookup failed: queryTxt ESERVFAIL shop.example.org');
+        });
+    });
+
+    describe('CNAME verification', () => {
+        it('accepts a CNAME to the component host in any case and with a trailing dot', async () => {
+            const service = new DomainService(zone({ 'shop.example.org': { CNAME: ['Shop-API.clawdeploy.dev.'] } }));
+            const deployment = withDomain({ verification_method: 'cname', component: 'backend' });
+
+            expect((await service.verifyDomain(deployment, 'shop.example.org')).verified).toBe(true);
+        });
+
+        it('rejects a CNAME to the other component of the same deployment', async () => {
+            const service = new DomainService(zone({ 'shop.example.org': { CNAME: ['shop.clawdeploy.dev'] } }));
+            const deployment = withDomain({ verification_method: 'cname', component: 'backend' });
+
+            const result = await service.verifyDomain(deployment, 'shop.example.org');
+
+            expect(result.error).toBe('CNAME for shop.example.org points to shop.clawdeploy.dev, expected shop-api.clawdeploy.dev');
+            expect(result.entry.status).toBe('pending');
+        });
+
+        it('keeps an active domain active when it is checked again', async () => {
+            const service = new DomainService(zone({ 'shop.example.org': { CNAME: ['shop.clawdeploy.dev'] } }));
+            const verifiedAt = new Date('2026-01-01T00:00:00Z');
+            const deployment = withDomain({ verification_method: 'cname', status: 'active', verified_at: verifiedAt, error: 'stale' });
+
+            const { entry } = await service.verifyDomain(deployment, 'shop.example.org');
+
+            expect(entry.status).toBe('active');
+            expect(entry.verified_at).toEqual(verifiedAt);
+            expect(entry.error).toBeUndefined();
+        });
+    });
+
+    describe('StaticResolver', () => {
+        let dir;
+
+        beforeEach(() => {
+            dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dns-'));
+        });
+
+        afterEach(() => {
+            fs.rmSync(dir, { recursive: true, force: true });
+        });
+
+        it('verifies from the records file and picks up edits without a restart', async () => {
+            const file = path.join(dir, 'records.json');
+            fs.writeFileSync(file, '{}');
+            const service = new DomainService(new StaticResolver(file));
+            const entry = withDomain().custom_domains[0];
+
+            expect((await service.checkDns(withDomain(), entry)).error).toMatch(/^No TXT record found yet/);
+
+            fs.writeFileSync(file, JSON.stringify({
+                '_clawdeploy-challenge.shop.example.org': { TXT: ['clawdeploy-verification=c0ffee'] }
+            }));
+            expect((await service.checkDns(withDomain(), entry)).verified).toBe(true);
+        });
+    });
+
+    describe('attachDomain', () => {
+        it('refuses a domain whose DNS was never verified', async () => {
+            const deployment = withDomain({ status: 'pending' });
+            jest.spyOn(Deployment, 'findById').mockResolvedValue(deployment);
+
+            await expect(new DomainService(zone({})).attachDomain(deployment._id, { domain: 'shop.example.org' }))
+                .rejects.toThrow('Custom domain shop.example.org is not verified');
+        });
+
+        it('fails a verified domain of a component that is not deployed', async () => {
+            const deployment = withDomain({ status: 'verified' });
+            jest.spyOn(Deployment, 'findById').mockResolvedValue(deployment);
+
+            await expect(new DomainService(zone({})).attachDomain(deployment._id, { domain: 'shop.example.org' }))
+                .rejects.toThrow('The frontend is not deployed yet');
+            expect(deployment.custom_domains[0].status).toBe('failed');
+        });
+    });
+});
+
+describe('validateCustomDomain', () => {
+    const validate = (body) => runValidation(validateCustomDomain, { params: { id: 'dep_1' }, body });
+
+    it('accepts a domain with its component and verification method', async () => {
+        expect(await validate({ domain: 'www.Example.org', component: 'backend', method: 'cname' })).toEqual([]);
+    });
+
+    it('rejects names that are not fully qualified domains', async () => {
+        for (const domain of ['localhost', 'exa mple.org', 'a_b.example.org', 'example.org; rm -rf /', 'http://example.org']) {
+            expect(await validate({ domain })).toEqual(['Invalid domain name']);
+        }
+    });
+
+    it('rejects the platform domain and its subdomains, but not look-alikes', async () => {
+        const baseDomain = process.env.BASE_DOMAIN || 'projectmarket.in';
+
+        expect(await validate({ domain: baseDomain })).toEqual([`Subdomains of ${baseDomain} cannot be added as custom domains`]);
+        expect(await validate({ domain: `evil.${baseDomain.toUpperCase()}` })).toEqual([`Subdomains of ${baseDomain} cannot be added as custom domains`]);
+        expect(await validate({ domain: `not${baseDomain}` })).toEqual([]);
+    });
+
+    it('rejects unknown components and verification methods', async () => {
+        expect(await validate({ domain: 'example.org', component: 'worker', method: 'http' }))
+            .toEqual(['Component must be frontend or backend', 'Verification method must be txt or cname']);
+    });
+});
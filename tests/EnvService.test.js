@@ -0,0 +1,117 @@
+const mongoose = require('mongoose');
+const Deployment = require('../src/models/Deployment');
+const DeploymentLog = require('../src/models/DeploymentLog');
+const EnvVersion = require('../src/models/EnvVersion');
+const EnvService = require('../src/services/EnvService');
+
+describe('environment versions', () => {
+    let saved;
+
+    beforeEach(() => {
+        saved = [];
+        jest.spyOn(EnvVersion.prototype, 'save').mockImplementation(async function() {
+            saved.push(this);
+            return this;
+        });
+        jest.spyOn(EnvVersion, 'findLatest').mockImplementation(async () => saved[saved.length - 1] || null);
+        jest.spyOn(DeploymentLog, 'create').mockResolvedValue(null);
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('EnvVersion.diff', () => {
+        it('lists added, updated and removed keys per scope without their values', () => {
+            const changes = EnvVersion.diff(
+                { shared: { API_KEY: 'old', REGION: 'eu' }, frontend: { VITE_FLAG: '1' } },
+                { shared: { API_KEY: 'new', DEBUG: 'false' }, backend: { VITE_FLAG: '1' } }
+            );
+
+            expect(changes).toEqual([
+                { scope: 'shared', key: 'API_KEY', change: 'updated' },
+                { scope: 'shared', key: 'DEBUG', change: 'added' },
+                { scope: 'shared', key: 'REGION', change: 'removed' },
+                { scope: 'frontend', key: 'VITE_FLAG', change: 'removed' },
+                { scope: 'backend', key: 'VITE_FLAG', change: 'added' }
+            ]);
+            expect(JSON.stringify(changes)).not.toMatch(/old|new|false/);
+        });
+
+        it('sees an empty string set over a missing key', () => {
+            expect(EnvVersion.diff({ shared: {} }, { shared: { TOKEN: '' } }))
+                .toEqual([{ scope: 'shared', key: 'TOKEN', change: 'added' }]);
+        });
+    });
+
+    describe('EnvService', () => {
+        const service = new EnvService();
+        let deployment;
+
+        beforeEach(() => {
+            deployment = new Deployment({
+                user_id: new mongoose.Types.ObjectId(),
+                project_name: 'Shop',
+                subdomain: 'shop',
+                frontend_repo: 'https://github.com/acme/shop-web',
+                backend_repo: 'https://github.com/acme/shop-api',
+                env_vars: { NODE_ENV: 'production' },
+                backend_env_vars: { DATABASE_URL: 'postgres://db/v1' }
+            });
+            jest.spyOn(deployment, 'save').mockResolvedValue(deployment);
+        });
+
+        const setBackend = (key, value) => service.updateEnv(deployment, 'user-1', 'upsert', (env) => {
+            env.backend[key] = value;
+        });
+
+        it('stores the starting variables as version 1 on the first change', async () => {
+            const result = await setBackend('DATABASE_URL', 'postgres://db/v2');
+
+            expect(saved.map(version => [version.version, version.action])).toEqual([[1, 'initial'], [2, 'upsert']]);
+            expect(saved[0].snapshot.backend).toEqual({ DATABASE_URL: 'postgres://db/v1' });
+            expect(saved[1].snapshot.backend).toEqual({ DATABASE_URL: 'postgres://db/v2' });
+            expect(result).toMatchObject({ changed: true, components: ['backend'] });
+        });
+
+        it('numbers later changes after the latest version', async () => {
+            await setBackend('DATABASE_URL', 'postgres://db/v2');
+            await setBackend('CACHE_TTL', '60');
+
+            expect(saved.map(version => version.version)).toEqual([1, 2, 3]);
+        });
+
+        it('records nothing for a change to the same values', async () => {
+            const result = await setBackend('DATABASE_URL', 'postgres://db/v1');
+
+            expect(result).toEqual({ changed: false, changes: [], components: [] });
+            expect(saved).toEqual([]);
+            expect(deployment.save).not.toHaveBeenCalled();
+        });
+
+        it('restarts every component with a repository for a shared change', async () => {
+            const result = await service.updateEnv(deployment, 'user-1', 'upsert', (env) => {
+                env.shared.LOG_LEVEL = 'debug';
+            });
+
+            expect(result.components.sort()).toEqual(['backend', 'frontend']);
+        });
+
+        it('reverts to an earlier version as a new version', async () => {
+            await setBackend('DATABASE_URL', 'postgres://db/v2');
+            jest.spyOn(EnvVersion, 'findVersion').mockImplementation(async (id, number) => saved.find(version => version.version === number));
+
+            const result = await service.revertTo(deployment, 'user-1', 1);
+
+            expect(deployment.getEnvSnapshot().backend).toEqual({ DATABASE_URL: 'postgres://db/v1' });
+            expect(result.version).toMatchObject({ version: 3, action: 'revert', reverted_to: 1 });
+            expect(result.changes).toEqual([{ scope: 'backend', key: 'DATABASE_URL', change: 'updated' }]);
+        });
+
+        it('returns nothing for a version that does not exist', async () => {
+            jest.spyOn(EnvVersion, 'findVersion').mockResolvedValue(null);
+
+            expect(await service.revertTo(deployment, 'user-1', 9)).toBeNull();
+        });
+    });
+});
@@ -0,0 +1,80 @@
+const axios = require('axios');
+const githubService = require('../src/services/GithubService');
+
+// A rejection the way axios reports an HTTP error status
+const httpError = (status) => Object.assign(new Error(`Request failed with status code ${status}`), { response: { status, data: {} } });
+
+describe('GithubService', () => {
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('checkRepositoryAccess', () => {
+        it('reports whether a repository the token can read is private', async () => {
+            const get = jest.spyOn(axios, 'get').mockResolvedValue({ data: { private: true } });
+
+            expect(await githubService.checkRepositoryAccess('gho_owner', 'acme', 'shop')).toEqual({ private: true });
+            expect(get).toHaveBeenCalledWith('https://api.github.com/repos/acme/shop', expect.objectContaining({
+                headers: expect.objectContaining({ Authorization: 'token gho_owner' })
+            }));
+        });
+
+        it('still deploys a public repository after the token was revoked', async () => {
+            const get = jest.spyOn(axios, 'get')
+                .mockRejectedValueOnce(httpError(401))
+                .mockResolvedValueOnce({ data: { private: false } });
+
+            expect(await githubService.checkRepositoryAccess('gho_revoked', 'acme', 'shop')).toEqual({ private: false });
+            expect(get.mock.calls[1][1].headers.Authorization).toBeUndefined();
+        });
+
+        it('asks for a new sign-in when a revoked token was needed', async () => {
+            jest.spyOn(axios, 'get').mockRejectedValueOnce(httpError(401)).mockRejectedValueOnce(httpError(404));
+
+            expect(await githubService.checkRepositoryAccess('gho_revoked', 'acme', 'shop')).toEqual({
+                error: 'GitHub access has been revoked or has expired - sign in with GitHub again to deploy private repositories'
+            });
+        });
+
+        it('points at organization access when GitHub hides the repository', async () => {
+            jest.spyOn(axios, 'get').mockRejectedValue(httpError(404));
+
+            const { error } = await githubService.checkRepositoryAccess('gho_owner', 'acme', 'internal');
+
+            expect(error).toMatch(/^Repository acme\/internal not found, or your GitHub account cannot access it/);
+            expect(error).toMatch(/organization must grant ClawDeploy access/);
+        });
+
+        it('leaves the decision to the clone when GitHub is rate limiting or down', async () => {
+            jest.spyOn(console, 'error').mockImplementation(() => {});
+
+            for (const failure of [httpError(403), httpError(502), new Error('socket hang up')]) {
+                jest.spyOn(axios, 'get').mockRejectedValueOnce(failure);
+                expect(await githubService.checkRepositoryAccess('gho_owner', 'acme', 'shop')).toEqual({ private: null });
+            }
+        });
+    });
+
+    describe('getUserRepositories', () => {
+        it('lists private repositories next to public ones', async () => {
+            const get = jest.spyOn(axios, 'get').mockResolvedValue({
+                data: [
+                    { id: 1, name: 'shop', full_name: 'acme/shop', private: true, default_branch: 'main' },
+                    { id: 2, name: 'docs', full_name: 'acme/docs', private: false, default_branch: 'gh-pages' }
+                ]
+            });
+
+            const repositories = await githubService.getUserRepositories('gho_owner');
+
+            expect(repositories.map(({ full_name, private: isPrivate }) => [full_name, isPrivate])).toEqual([['acme/shop', true], ['acme/docs', false]]);
+            expect(get.mock.calls[0][1].params.visibility).toBe('all');
+        });
+
+        it('tells the user to sign in again when the token was revoked', async () => {
+            jest.spyOn(console, 'error').mockImplementation(() => {});
+            jest.spyOn(axios, 'get').mockRejectedValue(httpError(401));
+
+            await expect(githubService.getUserRepositories('gho_revoked')).rejects.toThrow('Please sign in with GitHub again');
+        });
+    });
+});
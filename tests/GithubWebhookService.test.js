@@ -0,0 +1,219 @@
+const crypto = require('crypto');
+const express = require('express');
+const mongoose = require('mongoose');
+const GithubWebhookService = require('../src/services/GithubWebhookService');
+const Deployment = require('../src/models/Deployment');
+const DeploymentJob = require('../src/models/DeploymentJob');
+const DeploymentLog = require('../src/models/DeploymentLog');
+const WebhookDelivery = require('../src/models/WebhookDelivery');
+const { getDeploymentQueue } = require('../src/services/DeploymentQueue');
+const integrationRoutes = require('../src/routes/integrations');
+
+const sign = (body, secret) => 'sha256=' + crypto.createHmac('sha256', secret).update(body).digest('hex');
+
+const HEAD = 'a1b2c3d4e5f60718293a4b5c6d7e8f9012345678';
+
+// A push to main of acme/shop as GitHub sends it: pretty-printed, with
+// non-ASCII characters escaped
+const pushBody = (fields = {}) => JSON.stringify({
+    ref: 'refs/heads/main',
+    after: HEAD,
+    repository: {
+        full_name: 'Acme/Shop',
+        html_url: 'https://github.com/Acme/Shop',
+        ssh_url: 'git@github.com:Acme/Shop.git',
+        default_branch: 'main'
+    },
+    head_commit: { message: 'Café menu' },
+    ...fields
+}, null, 2).replace('Café', 'Caf\\u00e9');
+
+const tracking = (secret, fields = {}) => ({
+    _id: new mongoose.Types.ObjectId(),
+    user_id: new mongoose.Types.ObjectId(),
+    deployment_id: `dep_${secret}`,
+    status: 'deployed',
+    webhook_secret: secret,
+    auto_deploy_enabled: true,
+    auto_deploy_frontend: true,
+    auto_deploy_backend: true,
+    frontend_repo: 'https://github.com/acme/shop.git',
+    ...fields
+});
+
+describe('GitHub webhook deliveries', () => {
+    let server;
+    let url;
+    let deployments;
+    let deliveries;
+    let enqueue;
+
+    beforeAll(async () => {
+        // Parsed like src/app.js does, keeping the bytes that were sent
+        const app = express();
+        app.use(express.json({ verify: (req, res, buf) => { req.rawBody = buf; } }));
+        app.use('/api/integrations', integrationRoutes);
+        server = app.listen(0);
+        await new Promise(resolve => server.once('listening', resolve));
+        url = `http://127.0.0.1:${server.address().port}/api/integrations/github/webhook`;
+    });
+
+    afterAll(async () => {
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    beforeEach(() => {
+        deployments = [];
+        deliveries = [];
+        jest.spyOn(Deployment, 'findWebhookEnabled').mockImplementation(async () => deployments);
+        jest.spyOn(WebhookDelivery, 'record').mockImplementation(async (delivery) => deliveries.push(delivery));
+        enqueue = jest.spyOn(getDeploymentQueue(), 'enqueue').mockImplementation(async ({ deploymentId }) => ({ _id: `job-${deploymentId}` }));
+        jest.spyOn(DeploymentJob, 'findOne').mockResolvedValue(null);
+        jest.spyOn(Deployment, 'updateStatus').mockResolvedValue(null);
+        jest.spyOn(DeploymentLog, 'create').mockResolvedValue(null);
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    const deliver = (body, signature, event = 'push') => fetch(url, {
+        method: 'POST',
+        headers: {
+            'content-type': 'application/json',
+            'x-github-event': event,
+            'x-github-delivery': crypto.randomUUID(),
+            'x-hub-signature-256': signature
+        },
+        body
+    });
+
+    const enqueued = () => enqueue.mock.calls.map(([job]) => [job.deploymentId, job.payload.components, job.payload.commit]);
+
+    describe('signatures', () => {
+        it('verifies the bytes GitHub sent, not the JSON they parse to', async () => {
+            const shop = tracking('s3cret');
+            deployments = [shop];
+            const body = pushBody();
+            expect(JSON.stringify(JSON.parse(body))).not.toBe(body);
+
+            const response = await deliver(body, sign(body, 's3cret'));
+
+            expect(response.status).toBe(202);
+            expect(enqueued()).toEqual([[shop._id, ['frontend'], HEAD]]);
+        });
+
+        it('rejects a body changed after signing, even when only the commit differs', async () => {
+            deployments = [tracking('s3cret')];
+            const signature = sign(pushBody(), 's3cret');
+            const tampered = pushBody({ after: 'ffffffffffffffffffffffffffffffffffffffff' });
+
+            const response = await deliver(tampered, signature);
+
+            expect(response.status).toBe(401);
+            expect(await response.json()).toEqual({ success: false, error: 'Invalid signature' });
+            expect(enqueue).not.toHaveBeenCalled();
+            expect(deliveries).toEqual([expect.objectContaining({ outcome: 'rejected', reason: 'Signature verification failed' })]);
+        });
+
+        it('rejects a signature that only looks right', async () => {
+            deployments = [tracking('s3cret')];
+            const body = pushBody();
+            const signature = sign(body, 's3cret');
+
+            for (const forged of [
+                signature.toUpperCase(),
+                signature.replace('sha256=', 'sha1='),
+                `${signature.slice(0, -1)}é`,
+                `${signature} `,
+                'sha256=',
+                undefined
+            ]) {
+                expect(new GithubWebhookService().verifySignature(Buffer.from(body), forged, 's3cret')).toBe(false);
+            }
+            expect((await deliver(body, sign(body, 's3cret ')))).toHaveProperty('status', 401);
+        });
+
+        it('lets only deployments of the pushed repository vouch for a delivery', async () => {
+            deployments = [tracking('s3cret', { frontend_repo: 'https://github.com/acme/shop-admin' })];
+            const body = pushBody();
+
+            expect((await deliver(body, sign(body, 's3cret'))).status).toBe(401);
+            expect(deliveries[0].reason).toBe('No auto-deploy or preview enabled deployment tracks this repository');
+        });
+    });
+
+    describe('several deployments of one repository', () => {
+        it('redeploys only the deployments whose secret signed the delivery', async () => {
+            const first = tracking('one');
+            const second = tracking('two');
+            const third = tracking('three');
+            const withoutSecret = tracking(null);
+            deployments = [first, second, third, withoutSecret];
+            const body = pushBody();
+
+            const response = await deliver(body, sign(body, 'two'));
+
+            expect(response.status).toBe(202);
+            expect(enqueued()).toEqual([[second._id, ['frontend'], HEAD]]);
+        });
+
+        it('redeploys every deployment sharing the signing secret, each with the components it tracks there', async () => {
+            const storefront = tracking('shared');
+            const api = tracking('shared', { frontend_repo: null, backend_repo: 'git@github.com:ACME/shop.git' });
+            const monorepo = tracking('shared', { backend_repo: 'https://www.github.com/acme/shop/' });
+            deployments = [storefront, api, monorepo];
+            const body = pushBody();
+
+            const response = await deliver(body, sign(body, 'shared'));
+
+            expect(response.status).toBe(202);
+            expect(enqueued()).toEqual([
+                [storefront._id, ['frontend'], HEAD],
+                [api._id, ['backend'], HEAD],
+                [monorepo._id, ['frontend', 'backend'], HEAD]
+            ]);
+        });
+
+        it('decides per deployment, and moves a queued redeploy on to the pushed commit', async () => {
+            const disabled = tracking('shared', { auto_deploy_enabled: false });
+            const release = tracking('shared', { frontend_branch: 'release' });
+            const pinned = tracking('shared', { frontend_commit: '0123456789abcdef0123456789abcdef01234567' });
+            const queued = tracking('shared');
+            const live = tracking('shared');
+            deployments = [disabled, release, pinned, queued, live];
+            DeploymentJob.findOne.mockImplementation(async ({ deployment_id }) =>
+                deployment_id === queued._id ? { _id: 'job-queued', payload: { commit: '1111111' } } : null);
+            const updateOne = jest.spyOn(DeploymentJob, 'updateOne').mockResolvedValue(null);
+            const body = pushBody();
+
+            const { deployments: results } = await (await deliver(body, sign(body, 'shared'))).json();
+
+            expect(results.map(({ outcome, reason }) => [outcome, reason])).toEqual([
+                ['ignored', 'Auto-deploy is disabled'],
+                ['ignored', 'No auto-deploy component tracks branch main'],
+                ['ignored', 'No auto-deploy component tracks branch main'],
+                ['ignored', 'A redeploy is already queued'],
+                ['triggered', undefined]
+            ]);
+            expect(updateOne).toHaveBeenCalledWith({ _id: 'job-queued', status: 'pending' }, { $set: { 'payload.commit': HEAD } });
+            expect(enqueued()).toEqual([[live._id, ['frontend'], HEAD]]);
+            expect(deliveries[0]).toMatchObject({ outcome: 'triggered', ref: 'refs/heads/main', commit_sha: HEAD });
+        });
+
+        it('keeps going when queueing one of them fails', async () => {
+            const broken = tracking('shared');
+            const healthy = tracking('shared');
+            deployments = [broken, healthy];
+            enqueue.mockRejectedValueOnce(new Error('Queue unavailable'));
+            jest.spyOn(console, 'error').mockImplementation(() => {});
+            const body = pushBody();
+
+            const { outcome, deployments: results } = await (await deliver(body, sign(body, 'shared'))).json();
+
+            expect(outcome).toBe('triggered');
+            expect(results.map(result => result.outcome)).toEqual(['failed', 'triggered']);
+            expect(results[0].reason).toBe('Queue unavailable');
+        });
+    });
+});
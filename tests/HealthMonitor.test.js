@@ -0,0 +1,119 @@
+const Deployment = require('../src/models/Deployment');
+const DeploymentLog = require('../src/models/DeploymentLog');
+const { HealthMonitor } = require('../src/services/HealthMonitor');
+
+// A running app with a PM2 backend on port 3100, probed at /healthz
+const runningApp = (fields = {}) => new Deployment({
+    user_id: '64b000000000000000000001',
+    project_name: 'Shop',
+    subdomain: 'shop',
+    deployment_id: 'dep_shop',
+    status: 'deployed',
+    pm2_backend_name: 'shop_backend',
+    backend_actual_port: 3100,
+    backend_health_check_path: '/healthz',
+    backend_health_check_status: '200-299',
+    ...fields
+});
+
+describe('HealthMonitor', () => {
+    let monitor;
+    let events;
+
+    beforeEach(() => {
+        monitor = new HealthMonitor();
+        monitor.clawdBot.checkHttpHealth = jest.fn().mockResolvedValue({ success: true, statusCode: 200, latencyMs: 12 });
+        events = [];
+        global.io = { to: () => ({ emit: (name, event) => events.push(event) }) };
+        jest.spyOn(DeploymentLog, 'create').mockResolvedValue(null);
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        delete global.io;
+        jest.restoreAllMocks();
+    });
+
+    // recordHealth answering with the deployment as it is after the probe
+    const recordAs = (health) => jest.spyOn(Deployment, 'recordHealth').mockImplementation(async () => runningApp({ health: { backend: health } }));
+
+    describe('which components are probed', () => {
+        it('probes PM2 apps only, and not while they hibernate', () => {
+            expect(monitor.getProbedComponents(runningApp({ pm2_frontend_name: 'shop_frontend' }))).toEqual(['frontend', 'backend']);
+            expect(monitor.getProbedComponents(runningApp({ hibernation: { components: ['backend'] } }))).toEqual([]);
+            expect(monitor.getProbedComponents(runningApp({ pm2_frontend_name: 'shop_frontend', frontend_type: 'static' }))).toEqual(['backend']);
+        });
+
+        it('waits for the configured interval since the last probe', () => {
+            const now = new Date('2026-03-01T10:00:00Z');
+            const checkedAgo = (seconds) => runningApp({
+                backend_health_check_interval: 30,
+                health: { backend: { last_checked_at: new Date(now - seconds * 1000) } }
+            });
+
+            expect(monitor.isDue(runningApp(), 'backend', now)).toBe(true);
+            expect(monitor.isDue(checkedAgo(29), 'backend', now)).toBe(false);
+            expect(monitor.isDue(checkedAgo(30), 'backend', now)).toBe(true);
+        });
+    });
+
+    describe('probeComponent', () => {
+        it("probes once with the component's own check", async () => {
+            recordAs({ status: 'healthy', status_code: 200 });
+
+            await monitor.probeComponent(runningApp(), 'backend');
+
+            expect(monitor.clawdBot.checkHttpHealth).toHaveBeenCalledWith(3100, expect.any(Function), {
+                path: '/healthz', expectedStatus: { min: 200, max: 299 }, timeoutSeconds: 5, intervalSeconds: 60, attempts: 1
+            });
+        });
+
+        it('stays quiet about a healthy first probe but tells the browser', async () => {
+            recordAs({ status: 'healthy', status_code: 200, latency_ms: 12 });
+
+            await monitor.probeComponent(runningApp(), 'backend');
+
+            expect(DeploymentLog.create).not.toHaveBeenCalled();
+            expect(events).toEqual([expect.objectContaining({ type: 'health', deployment_id: 'dep_shop', component: 'backend', status: 'healthy' })]);
+        });
+
+        it('logs when a component turns unhealthy and when it recovers, not while it stays that way', async () => {
+            monitor.clawdBot.checkHttpHealth.mockResolvedValue({ success: false, statusCode: 503, error: 'No healthy HTTP response on port 3100/healthz (HTTP 503, expected 200-299)' });
+            recordAs({ status: 'unhealthy', status_code: 503, consecutive_failures: 1 });
+            await monitor.probeComponent(runningApp({ health: { backend: { status: 'healthy' } } }), 'backend');
+            await monitor.probeComponent(runningApp({ health: { backend: { status: 'unhealthy' } } }), 'backend');
+
+            recordAs({ status: 'healthy', status_code: 200, latency_ms: 12 });
+            await monitor.probeComponent(runningApp({ health: { backend: { status: 'unhealthy' } } }), 'backend');
+
+            expect(DeploymentLog.create.mock.calls.map(([, message, type]) => [message, type])).toEqual([
+                ['🩺 backend health check failed: No healthy HTTP response on port 3100/healthz (HTTP 503, expected 200-299)', 'warning'],
+                ['💚 backend is healthy again (HTTP 200, 12 ms)', 'success']
+            ]);
+            expect(events.map(event => event.status)).toEqual(['unhealthy', 'healthy']);
+        });
+
+        it('skips a component without a port', async () => {
+            jest.spyOn(Deployment, 'recordHealth');
+
+            expect(await monitor.probeComponent(runningApp({ backend_actual_port: null }), 'backend')).toBeNull();
+            expect(Deployment.recordHealth).not.toHaveBeenCalled();
+        });
+    });
+
+    it('keeps probing the other apps when one probe throws', async () => {
+        const broken = runningApp({ deployment_id: 'dep_broken' });
+        const healthy = runningApp();
+        jest.spyOn(Deployment, 'find').mockResolvedValue([broken, healthy]);
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        recordAs({ status: 'healthy' });
+        monitor.clawdBot.checkHttpHealth.mockRejectedValueOnce(new Error('SSH connection lost'));
+
+        await monitor.checkDeployments();
+
+        expect(monitor.clawdBot.checkHttpHealth).toHaveBeenCalledTimes(2);
+        expect(Deployment.recordHealth).toHaveBeenCalledTimes(1);
+        expect(console.error).toHaveBeenCalledWith('❌ Health probe failed for dep_broken backend:', 'SSH connection lost');
+        expect(monitor.checking).toBe(false);
+    });
+});
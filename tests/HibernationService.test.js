@@ -0,0 +1,263 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Deployment = require('../src/models/Deployment');
+const DeploymentLog = require('../src/models/DeploymentLog');
+const { HibernationService } = require('../src/services/HibernationService');
+const { localSshManager } = require('./helpers/localShell');
+
+const MINUTE = 60 * 1000;
+
+// An app with a backend on port 3100 and an active custom domain
+const idleApp = (fields = {}) => new Deployment({
+    user_id: '64b000000000000000000001',
+    project_name: 'Shop',
+    subdomain: 'shop',
+    deployment_id: 'dep_shop',
+    status: 'deployed',
+    backend_repo: 'https://github.com/acme/shop-api',
+    pm2_backend_name: 'shop_backend',
+    backend_port: 3100,
+    backend_url: 'https://shop-api.example.com',
+    custom_domains: [
+        { domain: 'api.shop.io', component: 'backend', status: 'active' },
+        { domain: 'beta.shop.io', component: 'backend', status: 'pending' }
+    ],
+    hibernation: { enabled: true },
+    createdAt: new Date('2026-01-01T00:00:00Z'),
+    ...fields
+});
+
+describe('HibernationService', () => {
+    const originalEnv = { ...process.env };
+    let service;
+
+    beforeEach(() => {
+        process.env.BASE_DOMAIN = 'example.com';
+        process.env.PUBLIC_API_URL = 'https://api.clawdeploy.dev/';
+        service = new HibernationService();
+        jest.spyOn(DeploymentLog, 'create').mockResolvedValue(null);
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        process.env = { ...originalEnv };
+        jest.restoreAllMocks();
+    });
+
+    describe('reading the access logs', () => {
+        let dir;
+
+        beforeEach(() => {
+            dir = fs.mkdtempSync(path.join(os.tmpdir(), 'nginx-logs-'));
+            service.ssh = localSshManager();
+            service.nginxManager.getAccessLogPath = (domain) => path.join(dir, `${domain}.access.log`);
+        });
+
+        afterEach(() => {
+            fs.rmSync(dir, { recursive: true, force: true });
+        });
+
+        const entry = (time) => `203.0.113.7 - - [${time}] "GET /api/products?q=a%20b HTTP/1.1" 200 512 "-" "Mozilla/5.0 (X11; Linux)"`;
+
+        it('parses the time of a combined log line with its UTC offset', () => {
+            expect(service.parseLogTime(entry('19/Oct/2026:09:15:02 +0530'))).toEqual(new Date('2026-10-19T03:45:02Z'));
+            expect(service.parseLogTime(entry('01/Jan/2026:00:00:00 -0800'))).toEqual(new Date('2026-01-01T08:00:00Z'));
+        });
+
+        it('ignores lines without a valid time', () => {
+            expect(service.parseLogTime('')).toBeNull();
+            expect(service.parseLogTime(entry('19/Okt/2026:09:15:02 +0000'))).toBeNull();
+            expect(service.parseLogTime(entry('19/Oct/2026:25:15:02 +0000'))).toBeNull();
+        });
+
+        it('takes the newest last line across sites, falling back to the rotated log', async () => {
+            fs.writeFileSync(service.nginxManager.getAccessLogPath('shop.example.com'),
+                `${entry('19/Oct/2026:08:00:00 +0000')}\n${entry('19/Oct/2026:09:00:00 +0000')}\n`);
+            fs.writeFileSync(service.nginxManager.getAccessLogPath('shop-api.example.com'), '');
+            fs.writeFileSync(`${service.nginxManager.getAccessLogPath('shop-api.example.com')}.1`, `${entry('19/Oct/2026:10:30:00 +0200')}\n`);
+
+            const result = await service.getLastRequest([
+                { domain: 'shop.example.com' }, { domain: 'shop-api.example.com' }, { domain: 'api.shop.io' }
+            ]);
+
+            expect(result).toEqual({ lastRequestAt: new Date('2026-10-19T09:00:00Z'), missing: ['api.shop.io'] });
+        });
+
+        it('has nothing to read for a deployment without routed sites', async () => {
+            expect(await service.getLastRequest([])).toEqual({ lastRequestAt: null, missing: [] });
+        });
+    });
+
+    describe('checkDeployment', () => {
+        const now = new Date('2026-10-19T12:00:00Z');
+
+        beforeEach(() => {
+            jest.useFakeTimers({ now, doNotFake: ['nextTick', 'setImmediate'] });
+            jest.spyOn(Deployment, 'update').mockResolvedValue(null);
+            jest.spyOn(service, 'hibernate').mockResolvedValue({ success: true });
+            service.nginxManager.ensureAccessLog = jest.fn().mockResolvedValue(true);
+        });
+
+        afterEach(() => {
+            jest.useRealTimers();
+        });
+
+        const lastRequest = (minutesAgo) => {
+            jest.spyOn(service, 'getLastRequest').mockResolvedValue({ lastRequestAt: new Date(now - minutesAgo * MINUTE), missing: [] });
+        };
+
+        it('watches the subdomain and active custom domains of the app components', async () => {
+            lastRequest(5);
+
+            await service.checkDeployment(idleApp(), 15);
+
+            expect(service.getLastRequest).toHaveBeenCalledWith([
+                { component: 'backend', domain: 'shop-api.example.com' },
+                { component: 'backend', domain: 'api.shop.io' }
+            ]);
+        });
+
+        it('hibernates an app idle longer than its plan allows and records the last request', async () => {
+            lastRequest(16);
+            const deployment = idleApp({ hibernation: { enabled: true, last_request_at: new Date(now - 60 * MINUTE) } });
+
+            await service.checkDeployment(deployment, 15);
+
+            expect(Deployment.update).toHaveBeenCalledWith(deployment._id, { 'hibernation.last_request_at': new Date(now - 16 * MINUTE) });
+            expect(service.hibernate).toHaveBeenCalledWith(deployment, 15);
+        });
+
+        it('counts a recent deploy or wake-up as activity', async () => {
+            lastRequest(600);
+
+            await service.checkDeployment(idleApp({ progress: { finished_at: new Date(now - 5 * MINUTE) } }), 15);
+            await service.checkDeployment(idleApp({ hibernation: { enabled: true, woken_at: new Date(now - 5 * MINUTE) } }), 15);
+
+            expect(service.hibernate).not.toHaveBeenCalled();
+        });
+
+        it('starts counting from now for a site without an access log', async () => {
+            jest.spyOn(service, 'getLastRequest').mockResolvedValue({ lastRequestAt: null, missing: ['api.shop.io'] });
+            const deployment = idleApp();
+
+            expect(await service.checkDeployment(deployment, 15)).toBeNull();
+            expect(service.nginxManager.ensureAccessLog).toHaveBeenCalledWith('api.shop.io');
+            expect(Deployment.update).toHaveBeenCalledWith(deployment._id, { 'hibernation.last_request_at': now });
+            expect(service.hibernate).not.toHaveBeenCalled();
+        });
+
+        it('leaves apps alone that did not opt in, whose plan keeps them running, or that are not deployed', async () => {
+            lastRequest(600);
+            const cases = [
+                [idleApp({ hibernation: { enabled: false } }), 15],
+                [idleApp(), null],
+                [idleApp({ status: 'sleeping' }), 15],
+                [idleApp({ pm2_backend_name: null, backend_type: 'static' }), 15]
+            ];
+
+            for (const [deployment, timeout] of cases) {
+                expect(await service.checkDeployment(deployment, timeout)).toBeNull();
+            }
+            expect(service.hibernate).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('hibernate and wake', () => {
+        let deployment;
+        let calls;
+
+        beforeEach(() => {
+            deployment = idleApp();
+            calls = [];
+            jest.spyOn(Deployment, 'findById').mockImplementation(async () => deployment);
+            jest.spyOn(Deployment, 'update').mockImplementation(async (id, fields) => {
+                if (fields['hibernation.components']) {
+                    deployment.hibernation.components = fields['hibernation.components'];
+                }
+                return deployment;
+            });
+            jest.spyOn(Deployment, 'updateStatus').mockImplementation(async (id, status) => {
+                calls.push(`status ${status}`);
+            });
+            service.nginxManager.replaceDomainUpstream = jest.fn(async (domain, upstream) => {
+                calls.push(`route ${domain} ${JSON.stringify(upstream)}`);
+            });
+            service.deploymentService.stopDeployment = jest.fn(async (id, { status }) => {
+                calls.push(`stop ${status}`);
+                deployment.status = status;
+                return { success: true, results: [] };
+            });
+            service.deploymentService.restartDeployment = jest.fn(async () => {
+                calls.push('restart');
+                deployment.status = 'deployed';
+                return { success: true, results: [] };
+            });
+            service.deploymentService.clawdBot.checkHttpHealth = jest.fn(async (upstream) => {
+                calls.push(`health ${upstream}`);
+                return { success: true };
+            });
+        });
+
+        it('sends visitors to the wake endpoint before stopping the processes', async () => {
+            expect(await service.hibernate(deployment, 15)).toEqual({ success: true });
+
+            const wake = JSON.stringify({ wake: 'https://api.clawdeploy.dev/wake/dep_shop' });
+            expect(calls).toEqual([`route shop-api.example.com ${wake}`, `route api.shop.io ${wake}`, 'stop hibernated']);
+        });
+
+        it('puts the routing back when the processes could not be stopped', async () => {
+            service.deploymentService.stopDeployment.mockResolvedValue({
+                success: false, results: [{ type: 'backend', success: false, error: 'pm2 not responding' }]
+            });
+
+            expect(await service.hibernate(deployment, 15)).toEqual({ success: false, error: 'backend: pm2 not responding' });
+            expect(calls.slice(-2)).toEqual(['route shop-api.example.com 3100', 'route api.shop.io 3100']);
+            expect(Deployment.update).toHaveBeenLastCalledWith(deployment._id, expect.objectContaining({ 'hibernation.components': [] }));
+        });
+
+        it('starts the app, waits for it to answer and then restores the routing', async () => {
+            await service.hibernate(deployment, 15);
+            calls = [];
+
+            expect(await service.wake(deployment)).toEqual({ success: true });
+            expect(calls).toEqual(['restart', 'health 3100', 'route shop-api.example.com 3100', 'route api.shop.io 3100']);
+        });
+
+        it('shares one wake-up between visitors arriving together', async () => {
+            await service.hibernate(deployment, 15);
+
+            await Promise.all([service.wake(deployment), service.wake(deployment), service.wake(deployment)]);
+
+            expect(service.deploymentService.restartDeployment).toHaveBeenCalledTimes(1);
+        });
+
+        it('wakes only after a hibernation in progress has finished', async () => {
+            const hibernating = service.hibernate(deployment, 15);
+            const waking = service.wake(deployment);
+            await Promise.all([hibernating, waking]);
+
+            expect(calls.indexOf('stop hibernated')).toBeLessThan(calls.indexOf('restart'));
+            expect(deployment.status).toBe('deployed');
+        });
+
+        it('marks the deployment failed when it cannot be started again', async () => {
+            await service.hibernate(deployment, 15);
+            service.deploymentService.restartDeployment.mockResolvedValue({
+                success: false, results: [{ type: 'backend', success: false, error: 'script not found' }]
+            });
+
+            expect(await service.wake(deployment)).toEqual({ success: false, error: 'backend: script not found' });
+            expect(calls).toContain('status failed');
+            expect(calls.filter(call => call.startsWith('route')).pop()).toContain('wake');
+        });
+
+        it('refuses to wake a deployment its owner stopped meanwhile', async () => {
+            await service.hibernate(deployment, 15);
+            deployment.status = 'stopped';
+
+            expect(await service.wake(deployment)).toEqual({ success: false, error: 'Deployment is stopped' });
+            expect(service.deploymentService.restartDeployment).not.toHaveBeenCalled();
+        });
+    });
+});
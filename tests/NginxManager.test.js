@@ -0,0 +1,215 @@
+const NginxManager = require('../src/services/NginxManager');
+
+// Reads a generated site the way nginx tokenizes it: directives end in ";",
+// blocks in "{ }", quoted arguments may hold either. Throws on anything
+// nginx would reject as unbalanced.
+const parse = (config) => {
+    const tokens = config.match(/"[^"]*"|'[^']*'|[{};]|[^\s{};"']+/g);
+    const root = [];
+    const stack = [root];
+    let args = [];
+    for (const token of tokens) {
+        if (token === ';' || token === '{') {
+            const [name, ...rest] = args;
+            const directive = { name, args: rest.map(arg => arg.replace(/^(["'])(.*)\1$/, '$2')) };
+            stack[stack.length - 1].push(directive);
+            if (token === '{') {
+                directive.block = [];
+                stack.push(directive.block);
+            }
+            args = [];
+        } else if (token === '}') {
+            if (args.length > 0 || stack.length === 1) {
+                throw new Error(`Unexpected } after ${args.join(' ')}`);
+            }
+            stack.pop();
+        } else {
+            args.push(token);
+        }
+    }
+    if (args.length > 0 || stack.length !== 1) {
+        throw new Error('Unterminated config');
+    }
+    return root;
+};
+
+// "name arg arg" for every directive of a block, nested blocks left out
+const directives = (block) => block.map(({ name, args }) => [name, ...args].join(' '));
+const locations = (server) => server.filter(({ name }) => name === 'location');
+
+describe('NginxManager', () => {
+    const nginx = new NginxManager();
+    const domain = 'swift-falcon-42.example.com';
+
+    describe('generated sites', () => {
+        it('proxies an app over HTTP with one server block', () => {
+            const [server, ...rest] = parse(nginx.buildConfig(domain, 3005, false));
+
+            expect(rest).toEqual([]);
+            expect(directives(server.block)).toEqual([
+                'listen 80',
+                `server_name ${domain}`,
+                `access_log /var/log/nginx/${domain}.access.log`,
+                `include /etc/nginx/clawdeploy/${domain}/*.conf`,
+                'location /'
+            ]);
+            expect(directives(locations(server.block)[0].block)).toEqual(expect.arrayContaining([
+                'proxy_pass http://127.0.0.1:3005',
+                'proxy_set_header Upgrade $http_upgrade',
+                'proxy_set_header Connection upgrade',
+                'proxy_set_header Host $host'
+            ]));
+        });
+
+        it('only redirects on port 80 once HTTPS is on, and serves the site on 443', () => {
+            const [redirect, site, ...rest] = parse(nginx.buildConfig(domain, 3005, true));
+
+            expect(rest).toEqual([]);
+            expect(directives(redirect.block)).toEqual(['listen 80', `server_name ${domain}`, 'return 301 https://$server_name$request_uri']);
+            expect(directives(site.block)).toEqual(expect.arrayContaining([
+                'listen 443 ssl http2',
+                `ssl_certificate /etc/letsencrypt/live/${domain}/fullchain.pem`,
+                `ssl_certificate_key /etc/letsencrypt/live/${domain}/privkey.pem`,
+                'ssl_protocols TLSv1.2 TLSv1.3'
+            ]));
+            // The redirects snippet is included before location /, so its exact
+            // matches are seen by nginx on the HTTPS site
+            expect(directives(site.block).slice(-3)).toEqual([
+                `access_log /var/log/nginx/${domain}.access.log`,
+                `include /etc/nginx/clawdeploy/${domain}/*.conf`,
+                'location /'
+            ]);
+        });
+
+        it('serves a static site with long-cached assets and a never-cached index.html', () => {
+            const [server] = parse(nginx.buildConfig(domain, { root: '/var/www/clawdeploy/shop_frontend' }, false));
+            const [assets, index, fallback] = locations(server.block);
+
+            expect(directives(server.block)).toContain('root /var/www/clawdeploy/shop_frontend');
+            expect(directives(locations(server.block))).toEqual([
+                expect.stringMatching(/^location ~\* /),
+                'location = /index.html',
+                'location /'
+            ]);
+            expect(directives(assets.block)).toEqual(['expires 1y', 'add_header Cache-Control public, max-age=31536000, immutable', 'try_files $uri =404']);
+            expect(directives(index.block)).toEqual(['add_header Cache-Control no-cache']);
+            expect(directives(fallback.block)).toEqual(['try_files $uri $uri/ /index.html']);
+            expect(server.block.some(({ name }) => name === 'proxy_pass')).toBe(false);
+        });
+
+        it('caches only file names carrying a build hash', () => {
+            const [server] = parse(nginx.buildConfig(domain, { root: '/var/www/site' }, false));
+            // ~* is a case-insensitive PCRE; these patterns are also valid JavaScript
+            const hashed = new RegExp(locations(server.block)[0].args[1], 'i');
+
+            for (const file of ['/assets/index-BRtq3x9Z.js', '/static/js/main.3f9a1b2c.js', '/fonts/inter-a1b2c3d4e5.woff2', '/IMG/HERO.ABCDEF12.PNG']) {
+                expect({ file, cached: hashed.test(file) }).toEqual({ file, cached: true });
+            }
+            for (const file of ['/app.js', '/logo.png', '/favicon.ico', '/assets/short-1234567.js', '/robots.txt', '/main.3f9a1b2c.html', '/main.3f9a1b2c.js.map']) {
+                expect({ file, cached: hashed.test(file) }).toEqual({ file, cached: false });
+            }
+        });
+
+        it('sends visitors of a hibernated app to the wake endpoint with the URL they asked for', () => {
+            const [, site] = parse(nginx.buildConfig(domain, { wake: 'https://api.example.com/wake/dep_123' }, true));
+
+            expect(locations(site.block).map(location => directives(location.block))).toEqual([[
+                'add_header Cache-Control no-store always',
+                'return 302 https://api.example.com/wake/dep_123/$scheme/$host$request_uri'
+            ]]);
+            expect(directives(site.block)).not.toContain('root');
+        });
+    });
+
+    describe('domains', () => {
+        it.each([
+            ['a directive smuggled after the name', 'evil.com; include /etc/passwd'],
+            ['a second server block', 'evil.com; } server { listen 80'],
+            ['a shell command', 'shop.example.com$(reboot)'],
+            ['a path', '../../etc/nginx/nginx.conf'],
+            ['a space', 'shop example.com'],
+            ['upper case, which would name a second config file', 'Shop.Example.com'],
+            ['a trailing dot', 'shop.example.com.'],
+            ['an empty label', 'shop..example.com'],
+            ['a label starting with a hyphen', '-shop.example.com'],
+            ['a label ending with a hyphen', 'shop-.example.com'],
+            ['an underscore', 'my_shop.example.com'],
+            ['a wildcard', '*.example.com'],
+            ['a single label', 'localhost'],
+            ['a label over 63 characters', `${'a'.repeat(64)}.example.com`],
+            ['a name over 253 characters', `${'a'.repeat(63)}.${'b'.repeat(63)}.${'c'.repeat(63)}.${'d'.repeat(59)}.io`],
+            ['unicode that was not converted to punycode', 'bücher.example'],
+            ['nothing', '']
+        ])('refuses %s', (name, fullDomain) => {
+            expect(() => nginx.buildConfig(fullDomain, 3005, false)).toThrow(`Invalid domain: ${JSON.stringify(fullDomain)}`);
+        });
+
+        it('refuses a missing domain', () => {
+            expect(() => nginx.buildConfig(undefined, 3005, false)).toThrow('Invalid domain: undefined');
+            expect(() => nginx.buildConfig(null, 3005, false)).toThrow('Invalid domain: null');
+        });
+
+        it.each([
+            ['punycode', 'xn--bcher-kva.example'],
+            ['a punycode top-level domain', 'shop.xn--p1ai'],
+            ['digits and inner hyphens', '42-shop--eu.example.co.uk'],
+            ['a 63-character label', `${'a'.repeat(63)}.example.com`],
+            ['a 253-character name', `${'a'.repeat(63)}.${'b'.repeat(63)}.${'c'.repeat(63)}.${'d'.repeat(58)}.io`]
+        ])('accepts %s', (name, fullDomain) => {
+            const [server] = parse(nginx.buildConfig(fullDomain, 3005, false));
+
+            expect(directives(server.block)).toContain(`server_name ${fullDomain}`);
+        });
+
+        describe('on the server', () => {
+            let ssh;
+            const forged = 'evil.com; rm -rf /';
+
+            beforeEach(() => {
+                ssh = {
+                    executeCommand: jest.fn().mockResolvedValue({ success: true, stdout: '', stderr: '' }),
+                    fileExists: jest.fn().mockResolvedValue(true),
+                    writeFile: jest.fn().mockResolvedValue(true),
+                    createDirectory: jest.fn().mockResolvedValue(true)
+                };
+                nginx.ssh = ssh;
+                jest.spyOn(console, 'log').mockImplementation(() => {});
+            });
+
+            afterEach(() => {
+                jest.restoreAllMocks();
+            });
+
+            it.each([
+                ['createDomainConfig', (manager) => manager.createDomainConfig(forged, 3005, jest.fn())],
+                ['updateDomainPort', (manager) => manager.updateDomainPort(forged, 3005)],
+                ['replaceDomainUpstream', (manager) => manager.replaceDomainUpstream(forged, { root: '/var/www/site' })],
+                ['updateRedirects', (manager) => manager.updateRedirects(forged, [{ source: '/a', destination: '/b' }])],
+                ['ensureAccessLog', (manager) => manager.ensureAccessLog(forged)],
+                ['deleteDomainConfig', (manager) => manager.deleteDomainConfig(forged)]
+            ])('%s runs nothing for an invalid domain', async (name, call) => {
+                await expect(call(nginx)).rejects.toThrow(`Invalid domain: ${JSON.stringify(forged)}`);
+
+                for (const method of Object.values(ssh)) {
+                    expect(method).not.toHaveBeenCalled();
+                }
+            });
+
+            it('writes, enables and reloads the site for a valid domain', async () => {
+                nginx.enableSSL = false;
+                const onPhase = jest.fn();
+
+                const result = await nginx.createDomainConfig('xn--bcher-kva.example', 3005, onPhase);
+
+                expect(result).toEqual({ success: true, domain: 'xn--bcher-kva.example', url: 'http://xn--bcher-kva.example', secure: false });
+                expect(onPhase.mock.calls).toEqual([['routing']]);
+                expect(ssh.writeFile).toHaveBeenCalledWith('/etc/nginx/sites-available/xn--bcher-kva.example', expect.stringContaining('server_name xn--bcher-kva.example;'));
+                expect(ssh.executeCommand.mock.calls.map(([command]) => command)).toEqual([
+                    'ln -sf /etc/nginx/sites-available/xn--bcher-kva.example /etc/nginx/sites-enabled/xn--bcher-kva.example',
+                    '/usr/sbin/nginx -t',
+                    'systemctl reload nginx'
+                ]);
+            });
+        });
+    });
+});
@@ -0,0 +1,221 @@
+const mongoose = require('mongoose');
+const Deployment = require('../src/models/Deployment');
+const PhaseTracker = require('../src/services/PhaseTracker');
+
+const deployment = (progress) => ({
+    _id: new mongoose.Types.ObjectId(),
+    deployment_id: 'dep_shop',
+    user_id: new mongoose.Types.ObjectId(),
+    progress
+});
+
+// "name/component status" of every phase, to compare whole pipelines at a glance
+const summary = (tracker) => tracker.progress.phases.map(phase =>
+    `${phase.name}${phase.component ? `/${phase.component}` : ''} ${phase.status}`);
+
+describe('PhaseTracker', () => {
+    const start = new Date('2026-03-01T10:00:00Z');
+    const jobId = new mongoose.Types.ObjectId();
+    let saved;
+    let events;
+
+    // Moves the clock on by the given number of seconds
+    const advance = (seconds) => jest.setSystemTime(new Date(Date.now() + seconds * 1000));
+
+    beforeEach(() => {
+        jest.useFakeTimers({ now: start, doNotFake: ['nextTick', 'setImmediate'] });
+        saved = [];
+        events = [];
+        jest.spyOn(Deployment, 'update').mockImplementation(async (id, { progress }) => {
+            saved.push(JSON.parse(JSON.stringify(progress)));
+        });
+        global.io = { to: (room) => ({ emit: (name, event) => events.push({ room, name, ...event }) }) };
+    });
+
+    afterEach(() => {
+        delete global.io;
+        jest.useRealTimers();
+        jest.restoreAllMocks();
+    });
+
+    const queued = (components = ['frontend', 'backend']) =>
+        PhaseTracker.queue(deployment(), { jobId, jobType: 'deploy', components });
+
+    it('lays out global phases, one lane per component and done, with queued running', async () => {
+        const tracker = await queued(['backend']);
+
+        expect(summary(tracker)).toEqual([
+            'queued running', 'allocating_ports pending',
+            'cloning/backend pending', 'installing/backend pending', 'building/backend pending', 'starting/backend pending',
+            'port_detection/backend pending', 'verifying/backend pending', 'routing/backend pending', 'ssl/backend pending',
+            'done pending'
+        ]);
+        expect(tracker.progress.current_phase).toBe('queued');
+        expect(saved).toHaveLength(1);
+        expect(events).toEqual([expect.objectContaining({ name: 'phase', phase: 'queued', status: 'running', percent: 0 })]);
+        expect(events[0].room).toBe(`user_${tracker.userId}`);
+    });
+
+    it('times observed phases and closes skipped-over ones without timings', async () => {
+        const tracker = await queued(['backend']);
+
+        advance(4);
+        await tracker.start('cloning', 'backend');
+        advance(30);
+        await tracker.start('starting', 'backend');
+
+        const queuedPhase = tracker.find('queued');
+        expect(queuedPhase.duration_ms).toBe(4000);
+        expect(tracker.find('allocating_ports')).toEqual({ name: 'allocating_ports', component: null, status: 'succeeded' });
+        expect(tracker.find('cloning', 'backend')).toMatchObject({ status: 'succeeded', duration_ms: 30000 });
+        expect(tracker.find('building', 'backend').status).toBe('succeeded');
+        expect(tracker.find('building', 'backend').started_at).toBeUndefined();
+        expect(tracker.find('starting', 'backend')).toMatchObject({ status: 'running', started_at: new Date(Date.now()) });
+    });
+
+    it('keeps each component on its own lane', async () => {
+        const tracker = await queued();
+
+        await tracker.start('building', 'frontend');
+        await tracker.start('cloning', 'backend');
+
+        expect(tracker.find('building', 'frontend').status).toBe('running');
+        expect(tracker.find('cloning', 'frontend').status).toBe('succeeded');
+        expect(tracker.find('cloning', 'backend').status).toBe('running');
+        expect(tracker.find('installing', 'backend').status).toBe('pending');
+    });
+
+    it('only moves forward', async () => {
+        const tracker = await queued(['backend']);
+        await tracker.start('verifying', 'backend');
+        const writes = saved.length;
+
+        await tracker.start('building', 'backend');
+        await tracker.start('verifying', 'backend');
+        await tracker.start('compiling', 'backend');
+
+        expect(tracker.find('building', 'backend').status).toBe('succeeded');
+        expect(tracker.progress.current_phase).toBe('verifying');
+        expect(saved).toHaveLength(writes);
+    });
+
+    it('fails the running phase of a component and skips the rest of its lane only', async () => {
+        const tracker = await queued();
+        await tracker.start('installing', 'frontend');
+        await tracker.start('building', 'backend');
+        advance(12);
+
+        await tracker.fail('backend', 'npm run build exited with 1');
+
+        expect(tracker.find('building', 'backend')).toMatchObject({
+            status: 'failed', error: 'npm run build exited with 1', duration_ms: 12000
+        });
+        expect(tracker.find('ssl', 'backend').status).toBe('skipped');
+        expect(tracker.find('installing', 'frontend').status).toBe('running');
+        expect(tracker.find('done').status).toBe('pending');
+    });
+
+    it('blames the first phase of a component that fails before it started', async () => {
+        const tracker = await queued(['backend']);
+        await tracker.start('allocating_ports');
+
+        await tracker.fail('backend', 'Repository not found');
+
+        expect(tracker.find('cloning', 'backend')).toMatchObject({ status: 'failed', error: 'Repository not found' });
+        expect(tracker.find('cloning', 'backend').duration_ms).toBeUndefined();
+        expect(tracker.find('allocating_ports').status).toBe('running');
+    });
+
+    it('skips phases a component did not need when it completes', async () => {
+        const tracker = await queued(['frontend']);
+        await tracker.start('building', 'frontend');
+        advance(20);
+
+        await tracker.completeComponent('frontend');
+
+        expect(tracker.find('building', 'frontend')).toMatchObject({ status: 'succeeded', duration_ms: 20000 });
+        expect(['starting', 'port_detection', 'verifying', 'routing', 'ssl'].map(name => tracker.find(name, 'frontend').status))
+            .toEqual(['skipped', 'skipped', 'skipped', 'skipped', 'skipped']);
+    });
+
+    it('ends a failed job with every phase settled and the error on done', async () => {
+        const tracker = await queued();
+        await tracker.start('ssl', 'frontend');
+        await tracker.start('starting', 'backend');
+
+        await tracker.finish(false, 'Cancelled by user');
+
+        expect(tracker.progress.phases.filter(phase => ['pending', 'running'].includes(phase.status))).toEqual([]);
+        expect(tracker.find('ssl', 'frontend')).toMatchObject({ status: 'failed', error: 'Cancelled by user' });
+        expect(tracker.find('done')).toMatchObject({ status: 'failed', error: 'Cancelled by user', duration_ms: 0 });
+        expect(tracker.progress.finished_at).toEqual(new Date(Date.now()));
+        expect(events[events.length - 1]).toMatchObject({ phase: 'done', status: 'failed', percent: 100 });
+    });
+
+    it('reports percent from finished phases, counting skipped ones', async () => {
+        const tracker = await queued(['backend']);
+        expect(tracker.getPercent()).toBe(0);
+
+        await tracker.start('cloning', 'backend');
+        expect(tracker.getPercent()).toBe(Math.round(2 / 11 * 100));
+
+        await tracker.completeComponent('backend');
+        expect(tracker.getPercent()).toBe(Math.round(10 / 11 * 100));
+    });
+
+    it('adds a lane before done for a component that joins later, once', async () => {
+        const tracker = await queued(['frontend']);
+
+        await tracker.addComponent('backend');
+        await tracker.addComponent('backend');
+
+        const names = summary(tracker);
+        expect(names.filter(name => name.endsWith('/backend pending'))).toHaveLength(8);
+        expect(names[names.length - 1]).toBe('done pending');
+    });
+
+    it('never lets an older write land after a newer one', async () => {
+        const tracker = await queued(['backend']);
+        const writes = [];
+        let finishFirst;
+        Deployment.update
+            .mockImplementationOnce(() => new Promise(resolve => {
+                writes.push('first started');
+                finishFirst = () => resolve(writes.push('first landed'));
+            }))
+            .mockImplementation(async (id, { progress }) => writes.push(`second landed at ${progress.current_phase}`));
+
+        const first = tracker.start('cloning', 'backend');
+        const second = tracker.start('building', 'backend');
+        await new Promise(resolve => setImmediate(resolve));
+        finishFirst();
+        await Promise.all([first, second]);
+
+        expect(writes).toEqual(['first started', 'first landed', 'second landed at building']);
+    });
+
+    describe('forJob', () => {
+        it('continues the phases of the job that queued them', async () => {
+            const tracker = await queued(['backend']);
+            await tracker.start('cloning', 'backend');
+
+            const resumed = await PhaseTracker.forJob(deployment(tracker.progress), { jobId, jobType: 'deploy', components: ['backend'] });
+
+            expect(resumed.find('cloning', 'backend').status).toBe('running');
+        });
+
+        it('starts over for another job or a finished one', async () => {
+            const tracker = await queued(['backend']);
+            const otherJob = await PhaseTracker.forJob(deployment(tracker.progress), {
+                jobId: new mongoose.Types.ObjectId(), jobType: 'redeploy', components: ['frontend']
+            });
+            await tracker.finish(true);
+            const sameJobAgain = await PhaseTracker.forJob(deployment(tracker.progress), { jobId, jobType: 'deploy', components: ['backend'] });
+
+            expect(otherJob.progress.job_type).toBe('redeploy');
+            expect(otherJob.find('cloning', 'frontend').status).toBe('pending');
+            expect(sameJobAgain.progress.finished_at).toBeNull();
+            expect(sameJobAgain.find('queued').status).toBe('running');
+        });
+    });
+});
@@ -0,0 +1,167 @@
+const mongoose = require('mongoose');
+const Deployment = require('../src/models/Deployment');
+const DeploymentLog = require('../src/models/DeploymentLog');
+const User = require('../src/models/User');
+const githubService = require('../src/services/GithubService');
+
+jest.mock('../src/middleware/planLimits', () => ({
+    ...jest.requireActual('../src/middleware/planLimits'),
+    getPreviewQuota: jest.fn()
+}));
+const { getPreviewQuota } = require('../src/middleware/planLimits');
+const PreviewService = require('../src/services/PreviewService');
+
+const parent = {
+    _id: new mongoose.Types.ObjectId(),
+    user_id: new mongoose.Types.ObjectId(),
+    name: 'Shop',
+    subdomain: 'shop',
+    frontend_repo: 'https://github.com/acme/shop',
+    frontend_branch: 'main',
+    frontend_commit: 'a1b2c3d',
+    frontend_git_auth: 'token',
+    frontend_git_token: 'glpat-parent',
+    backend_repo: 'https://github.com/acme/shop',
+    backend_branch: 'main',
+    backend_root_directory: 'api',
+    deploy_strategy: 'blue_green'
+};
+
+const pullRequest = (number, sha = 'feedc0de'.padEnd(40, '0')) => ({
+    number,
+    head: { ref: 'feature/cart', sha },
+    base: { repo: { full_name: 'acme/shop' } }
+});
+
+describe('PreviewService.preparePreview', () => {
+    const service = new PreviewService();
+    let created;
+
+    beforeEach(() => {
+        created = null;
+        jest.spyOn(Deployment, 'findPreview').mockResolvedValue(null);
+        jest.spyOn(Deployment, 'findBySubdomain').mockResolvedValue(null);
+        jest.spyOn(Deployment, 'create').mockImplementation(async (fields) => {
+            created = { _id: new mongoose.Types.ObjectId(), ...fields };
+            return created;
+        });
+        jest.spyOn(Deployment, 'update').mockImplementation(async (id, fields) => ({ _id: id, id, ...fields }));
+        jest.spyOn(DeploymentLog, 'create').mockResolvedValue(null);
+        jest.spyOn(User, 'findById').mockResolvedValue({ github_access_token: 'gho_owner' });
+        jest.spyOn(githubService, 'createPullRequestComment').mockResolvedValue({ id: 991 });
+        getPreviewQuota.mockResolvedValue({ limit: 2, used: 1, available: 1 });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('deploys a new preview of the pushed head next to the parent', async () => {
+        const result = await service.preparePreview(parent, pullRequest(17), ['frontend']);
+
+        expect(result).toMatchObject({ outcome: 'triggered', jobType: 'deploy', components: ['frontend'] });
+        expect(created).toMatchObject({
+            subdomain: 'shop-pr-17',
+            parent_deployment_id: parent._id,
+            pr_number: 17,
+            pr_repository: 'acme/shop',
+            status: 'deploying',
+            // Only the pushed component follows the pull request
+            frontend_branch: 'feature/cart',
+            frontend_commit: 'feedc0de'.padEnd(40, '0'),
+            backend_branch: 'main',
+            backend_root_directory: 'api',
+            // Cloned like the parent, but never switched blue/green
+            frontend_git_token: 'glpat-parent',
+            deploy_strategy: 'in_place'
+        });
+    });
+
+    it('comments on the pull request once and remembers the comment', async () => {
+        await service.preparePreview(parent, pullRequest(17), ['frontend']);
+
+        expect(githubService.createPullRequestComment).toHaveBeenCalledWith('gho_owner', 'acme', 'shop', 17, expect.stringContaining('Deploying'));
+        expect(Deployment.update).toHaveBeenCalledWith(created._id, { pr_comment_id: 991 });
+    });
+
+    it('redeploys an existing preview at the new head without counting it against the quota again', async () => {
+        Deployment.findPreview.mockResolvedValue({ id: 'preview-1' });
+        getPreviewQuota.mockResolvedValue({ limit: 2, used: 2, available: 0 });
+
+        const result = await service.preparePreview(parent, pullRequest(17, 'beef'.padEnd(40, '1')), ['frontend', 'backend']);
+
+        expect(result).toMatchObject({ outcome: 'triggered', jobType: 'redeploy' });
+        expect(Deployment.update).toHaveBeenCalledWith('preview-1', {
+            frontend_branch: 'feature/cart',
+            frontend_commit: 'beef'.padEnd(40, '1'),
+            backend_branch: 'feature/cart',
+            backend_commit: 'beef'.padEnd(40, '1'),
+            status: 'deploying'
+        });
+        expect(Deployment.create).not.toHaveBeenCalled();
+    });
+
+    it('creates nothing once the plan\'s previews are used up', async () => {
+        getPreviewQuota.mockResolvedValue({ limit: 2, used: 2, available: 0 });
+
+        const result = await service.preparePreview(parent, pullRequest(18), ['frontend']);
+
+        expect(result).toMatchObject({ outcome: 'ignored', reason: 'Preview limit reached (2/2)' });
+        expect(Deployment.create).not.toHaveBeenCalled();
+    });
+
+    it('does not take over a subdomain that is in use', async () => {
+        Deployment.findBySubdomain.mockResolvedValue({ id: 'someone-else' });
+
+        const result = await service.preparePreview(parent, pullRequest(19), ['frontend']);
+
+        expect(result).toEqual({ outcome: 'failed', reason: 'Subdomain shop-pr-19 is already taken' });
+        expect(Deployment.create).not.toHaveBeenCalled();
+    });
+
+    it('refuses preview subdomains longer than a DNS label', async () => {
+        const longParent = { ...parent, subdomain: 'a'.repeat(58) };
+
+        await expect(service.preparePreview(longParent, pullRequest(1234), ['frontend']))
+            .rejects.toThrow(`Preview subdomain "${'a'.repeat(58)}-pr-1234" is not a valid subdomain`);
+    });
+});
+
+describe('PreviewService.buildComment', () => {
+    const service = new PreviewService();
+    const preview = {
+        subdomain: 'shop-pr-17',
+        frontend_repo: 'https://github.com/acme/shop',
+        frontend_url: 'https://shop-pr-17.example.com',
+        backend_repo: 'https://github.com/acme/shop',
+        frontend_commit: 'feedc0de'.padEnd(40, '0'),
+        backend_deployed_commit: 'c0ffee'.padEnd(40, '0')
+    };
+
+    const baseDomain = process.env.BASE_DOMAIN;
+
+    beforeAll(() => {
+        process.env.BASE_DOMAIN = 'example.com';
+    });
+
+    afterAll(() => {
+        process.env.BASE_DOMAIN = baseDomain;
+    });
+
+    it('lists both URLs and the deployed commit once ready', () => {
+        expect(service.buildComment(preview, 'deployed')).toBe([
+            '### 🔍 Preview deployment',
+            '',
+            '✅ **Ready**',
+            '',
+            '- Frontend: https://shop-pr-17.example.com',
+            '- Backend: https://shop-pr-17-api.example.com',
+            '',
+            'Commit: `c0ffee0`'
+        ].join('\n'));
+    });
+
+    it('drops the links once the pull request is closed', () => {
+        expect(service.buildComment(preview, 'removed')).not.toContain('https://');
+    });
+});
@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+const Release = require('../src/models/Release');
+
+describe('Release', () => {
+    describe('hashEnv', () => {
+        it('does not depend on key order or on the map type', () => {
+            const hash = Release.hashEnv({ API_URL: 'https://api.example.com', NODE_ENV: 'production' });
+
+            expect(Release.hashEnv({ NODE_ENV: 'production', API_URL: 'https://api.example.com' })).toBe(hash);
+            expect(Release.hashEnv(new Map([['NODE_ENV', 'production'], ['API_URL', 'https://api.example.com']]))).toBe(hash);
+        });
+
+        it('changes with any value and tells a key apart from a value', () => {
+            const hash = Release.hashEnv({ A: 'b' });
+
+            expect(Release.hashEnv({ A: 'c' })).not.toBe(hash);
+            expect(Release.hashEnv({ A: 'b', B: '' })).not.toBe(hash);
+            expect(Release.hashEnv({ Ab: '' })).not.toBe(Release.hashEnv({ A: 'b' }));
+        });
+
+        it('hashes a missing env like an empty one', () => {
+            expect(Release.hashEnv(undefined)).toBe(Release.hashEnv({}));
+        });
+    });
+
+    describe('rollback_available', () => {
+        const release = (status, components) => new Release({
+            deployment_id: new mongoose.Types.ObjectId(),
+            user_id: new mongoose.Types.ObjectId(),
+            number: 3,
+            type: 'redeploy',
+            status,
+            components
+        }).toJSON();
+
+        it('is offered for a finished release with a saved build', () => {
+            expect(release('succeeded', [
+                { component: 'backend', status: 'succeeded', snapshot_path: '/root/clawdeploy/releases/shop_backend/r3' }
+            ]).rollback_available).toBe(true);
+        });
+
+        it('is not offered once retention removed the snapshot', () => {
+            expect(release('succeeded', [
+                { component: 'backend', status: 'succeeded', snapshot_path: null }
+            ]).rollback_available).toBe(false);
+        });
+
+        it('is not offered for failed or unfinished releases, whatever they saved', () => {
+            const components = [{ component: 'backend', status: 'succeeded', snapshot_path: '/root/clawdeploy/releases/shop_backend/r3' }];
+
+            expect(release('failed', components).rollback_available).toBe(false);
+            expect(release('running', components).rollback_available).toBe(false);
+        });
+    });
+});
@@ -0,0 +1,132 @@
+const RepoConfigService = require('../src/services/RepoConfigService');
+
+const service = new RepoConfigService();
+
+// Parse and validate a file like load() does: its errors as "path keyword: message"
+const problemsOf = (file, content) => {
+    const parsed = service.parseConfig(file, content);
+    return (parsed.errors || service.validateConfig(parsed.config)).map(error => `${error.path} ${error.keyword}: ${error.message}`);
+};
+
+describe('RepoConfigService', () => {
+    describe('YAML files', () => {
+        it('reads the same settings as the JSON file would', () => {
+            const yaml = service.parseConfig('clawdeploy.yml', [
+                'components:',
+                '  backend:',
+                '    start_command: node server.js',
+                "    node_version: '20'",
+                '    pre_deploy:',
+                '      - npm run migrate',
+                ''
+            ].join('\n'));
+            const json = service.parseConfig('clawdeploy.json',
+                '{"components":{"backend":{"start_command":"node server.js","node_version":"20","pre_deploy":["npm run migrate"]}}}');
+
+            expect(yaml).toEqual(json);
+        });
+
+        it('refuses tabs used for indentation, but not inside values', () => {
+            expect(problemsOf('clawdeploy.yaml', 'components:\n\tbackend:\n\t\tstart_command: npm start\n'))
+                .toEqual(['/ parse: invalid YAML: tab characters must not be used in indentation (2:1)']);
+            expect(problemsOf('clawdeploy.yaml', 'components:\n  backend:\n    start_command: "printf \'a\\tb\'"\n')).toEqual([]);
+        });
+
+        it('refuses a key given twice instead of silently keeping one', () => {
+            const twice = 'components:\n  backend:\n    start_command: npm start\n    start_command: node evil.js\n';
+
+            expect(problemsOf('clawdeploy.yaml', twice)).toEqual(['/ parse: invalid YAML: duplicated mapping key (4:5)']);
+        });
+
+        it('needs a mapping at the top', () => {
+            expect(problemsOf('clawdeploy.yaml', 'npm start')).toEqual(['/ type: must be object']);
+            expect(problemsOf('clawdeploy.yaml', '- components\n- cron\n')).toEqual(['/ type: must be object']);
+            expect(problemsOf('clawdeploy.yaml', '42')).toEqual(['/ type: must be object']);
+        });
+
+        it('treats an empty file or a lone null as no settings', () => {
+            expect(service.parseConfig('clawdeploy.yaml', '')).toEqual({ config: {} });
+            expect(service.parseConfig('clawdeploy.yaml', '# nothing yet\n~\n')).toEqual({ config: {} });
+        });
+
+        it('reports unquoted numbers where the schema wants text', () => {
+            expect(problemsOf('clawdeploy.yaml', 'components:\n  backend:\n    start_command: npm start\n    node_version: 18.10\n    health_check_status: 200\n'))
+                .toEqual(['/components/backend/node_version type: must be string', '/components/backend/health_check_status type: must be string']);
+        });
+    });
+
+    describe('JSON files', () => {
+        it('refuses a key given twice, like YAML files do', () => {
+            expect(problemsOf('clawdeploy.json', '{"components": {"backend": {"start_command": "npm start", "start_command": "node evil.js"}}}'))
+                .toEqual(['/ parse: invalid JSON: duplicated mapping key (1:59)']);
+        });
+
+        it('allows tab indentation', () => {
+            expect(problemsOf('clawdeploy.json', '{\n\t"components": {\n\t\t"backend": {"start_command": "npm start"}\n\t}\n}')).toEqual([]);
+        });
+
+        it('reports syntax errors and non-object roots', () => {
+            expect(problemsOf('clawdeploy.json', '{"components": ')).toEqual([expect.stringMatching(/^\/ parse: invalid JSON: /)]);
+            expect(problemsOf('clawdeploy.json', '["components"]')).toEqual(['/ type: must be object']);
+            expect(problemsOf('clawdeploy.json', '"npm start"')).toEqual(['/ type: must be object']);
+        });
+    });
+
+    describe('validateConfig', () => {
+        const errorsOf = (config) => service.validateConfig(config).map(error => `${error.path} ${error.keyword}`);
+
+        it('accepts a complete config', () => {
+            expect(service.validateConfig({
+                components: {
+                    frontend: { type: 'static', root_directory: 'apps/web', build_command: 'npm run build', output_directory: 'dist' },
+                    backend: {
+                        root_directory: 'apps/api',
+                        install_command: 'npm ci',
+                        start_command: 'node server.js',
+                        node_version: '20',
+                        pre_deploy: ['npm run migrate'],
+                        hook_failure: 'abort',
+                        health_check_path: '/healthz',
+                        health_check_status: '200-399',
+                        env: { required: ['DATABASE_URL'] }
+                    }
+                },
+                redirects: [{ source: '/docs', destination: 'https://docs.example.com', permanent: false }],
+                cron: [
+                    { schedule: '0 3 * * *', command: 'node scripts/cleanup.js' },
+                    { schedule: '@hourly', command: 'node scripts/sync.js', component: 'backend' }
+                ]
+            })).toEqual([]);
+        });
+
+        it.each([
+            ['an unknown setting', { components: { backend: { start: 'node server.js' } } }, ['/components/backend additionalProperties']],
+            ['an unknown top-level key', { deploy: true }, ['/ additionalProperties']],
+            ['a root directory above the repository', { components: { backend: { root_directory: '../secrets' } } }, ['/components/backend/root_directory pattern']],
+            ['an absolute root directory', { components: { backend: { root_directory: '/etc' } } }, ['/components/backend/root_directory pattern']],
+            ['an output directory climbing out', { components: { frontend: { type: 'static', output_directory: 'dist/../..' } } }, ['/components/frontend/output_directory pattern']],
+            ['build settings without a start command', { components: { backend: { build_command: 'npm run build' } } }, ['/components/backend dependencies']],
+            ['a redirect source with nginx syntax', { redirects: [{ source: '/a; return 200', destination: '/b' }] }, ['/redirects/0/source pattern']],
+            ['a script redirect', { redirects: [{ source: '/a', destination: 'javascript:alert(1)' }] }, ['/redirects/0/destination pattern']],
+            ['a cron schedule in words', { cron: [{ schedule: 'every day', command: 'node job.js' }] }, ['/cron/0/schedule pattern']],
+            ['a cron schedule with four fields', { cron: [{ schedule: '0 3 * *', command: 'node job.js' }] }, ['/cron/0/schedule pattern']],
+            ['a cron command with a second line', { cron: [{ schedule: '0 3 * * *', command: 'node job.js\n* * * * * root id' }] }, ['/cron/0/command pattern']],
+            ['a cron command ending in a carriage return', { cron: [{ schedule: '0 3 * * *', command: 'node job.js\r' }] }, ['/cron/0/command pattern']]
+        ])('rejects %s', (name, config, errors) => {
+            expect(errorsOf(config)).toEqual(errors);
+        });
+
+        it('explains process settings on static components', () => {
+            expect(service.validateConfig({ components: { frontend: { type: 'static', start_command: 'npm start' } } })).toEqual([
+                expect.objectContaining({ path: '/components/frontend/start_command', message: 'is not used by static components' })
+            ]);
+        });
+
+        it('reports every error at once', () => {
+            expect(errorsOf({
+                components: { backend: { hook_timeout: 0 } },
+                cron: [{ schedule: '@daily' }]
+            })).toEqual(['/components/backend/hook_timeout minimum', '/cron/0 required']);
+        });
+    });
+});
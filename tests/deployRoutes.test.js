@@ -0,0 +1,112 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Deployment = require('../src/models/Deployment');
+const DeploymentJob = require('../src/models/DeploymentJob');
+const Release = require('../src/models/Release');
+const { getDeploymentQueue } = require('../src/services/DeploymentQueue');
+
+const owner = new mongoose.Types.ObjectId();
+
+// Requests are signed in as the owner unless they send x-user
+jest.mock('../src/middleware/auth', () => ({
+    authenticate: (req, res, next) => {
+        req.user = { id: req.headers['x-user'] };
+        next();
+    }
+}));
+
+const deployRoutes = require('../src/routes/deploy');
+
+describe('deploy routes', () => {
+    let server;
+    let baseUrl;
+    let deployment;
+    let enqueue;
+
+    beforeAll(async () => {
+        const app = express();
+        app.use(express.json());
+        app.use('/api/deployments', deployRoutes);
+        server = app.listen(0);
+        await new Promise(resolve => server.once('listening', resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}/api/deployments`;
+    });
+
+    afterAll(async () => {
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    beforeEach(() => {
+        deployment = new Deployment({
+            user_id: owner,
+            project_name: 'Shop',
+            subdomain: 'shop',
+            status: 'deployed',
+            deployment_id: 'dep_shop',
+            backend_repo: 'https://github.com/acme/shop-api'
+        });
+        jest.spyOn(Deployment, 'findById').mockImplementation(async (id) => String(id) === deployment.id ? deployment : null);
+        jest.spyOn(Deployment, 'findByDeploymentId').mockImplementation(async (id) => id === deployment.deployment_id ? deployment : null);
+        jest.spyOn(Deployment, 'updateStatus').mockResolvedValue(null);
+        jest.spyOn(DeploymentJob, 'findActiveByDeploymentId').mockResolvedValue(null);
+        jest.spyOn(Release, 'findForDeployment').mockResolvedValue({
+            id: 'release-2',
+            number: 2,
+            components: [{ component: 'backend', status: 'succeeded', snapshot_path: '/root/clawdeploy/releases/r2' }],
+            toJSON: () => ({ rollback_available: true })
+        });
+        enqueue = jest.spyOn(getDeploymentQueue(), 'enqueue').mockResolvedValue({ id: 'job-1' });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    const post = (path, body = {}, user = owner) => fetch(`${baseUrl}${path}`, {
+        method: 'POST',
+        headers: { 'content-type': 'application/json', 'x-user': String(user) },
+        body: JSON.stringify(body)
+    });
+
+    const releaseId = new mongoose.Types.ObjectId();
+
+    describe.each([
+        ['redeploy', () => `/${deployment.deployment_id}/redeploy`],
+        ['rollback', () => `/${deployment.id}/releases/${releaseId}/rollback`]
+    ])('%s', (type, path) => {
+        it('queues a job for the owner', async () => {
+            const response = await post(path());
+
+            expect(response.status).toBe(200);
+            expect(Deployment.updateStatus).toHaveBeenCalledWith(deployment.id, 'deploying');
+            expect(enqueue).toHaveBeenCalledWith(expect.objectContaining({ deploymentId: deployment.id, type }));
+        });
+
+        it('refuses another user', async () => {
+            const response = await post(path(), {}, new mongoose.Types.ObjectId());
+
+            expect(response.status).toBe(403);
+            expect(enqueue).not.toHaveBeenCalled();
+        });
+
+        it('refuses a suspended deployment and leaves its status alone', async () => {
+            deployment.status = 'suspended';
+
+            const response = await post(path());
+
+            expect(response.status).toBe(403);
+            expect((await response.json()).error).toMatch(/^Deployment is suspended/);
+            expect(Deployment.updateStatus).not.toHaveBeenCalled();
+            expect(enqueue).not.toHaveBeenCalled();
+        });
+
+        it('refuses while another job runs', async () => {
+            DeploymentJob.findActiveByDeploymentId.mockResolvedValue({ id: 'job-0', status: 'running' });
+
+            const response = await post(path());
+
+            expect(response.status).toBe(409);
+            expect(Deployment.updateStatus).not.toHaveBeenCalled();
+        });
+    });
+});
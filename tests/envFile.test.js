@@ -0,0 +1,85 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const dotenv = require('dotenv');
+const ClawdBotService = require('../src/services/ClawdBotService');
+const { formatEnvFile, quoteEnvValue } = require('../src/utils/envFile');
+const { runLocally } = require('./helpers/localShell');
+
+const VALUES = {
+    DOUBLE_QUOTES: 'say "hi"',
+    BACKSLASHES: 'C:\\Users\\app\\n',
+    DOLLARS: '$$ $HOME ${PATH} $(id) `id`',
+    NEWLINES: '-----BEGIN KEY-----\nabc\ndef\n-----END KEY-----',
+    HASH: 'secret # not a comment',
+    SPACES: '  padded  ',
+    APOSTROPHE: "it's fine",
+    EMPTY: '',
+    NUMBER: 3000
+};
+
+describe('.env files', () => {
+    let dir;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'clawdeploy-env-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    // What a step sees after the prelude sources the file
+    const sourcedByBash = (keys) => {
+        const script = `set -a; . ./.env; set +a; node -e 'process.stdout.write(JSON.stringify(Object.fromEntries(process.argv.slice(1).map(k => [k, process.env[k]]))))' ${keys.join(' ')}`;
+        return JSON.parse(execFileSync('bash', ['-c', script], { cwd: dir, env: { PATH: process.env.PATH, HOME: '/home/app' } }).toString());
+    };
+
+    describe('writeEnvContent', () => {
+        const clawdBot = new ClawdBotService();
+
+        beforeEach(() => {
+            clawdBot.ssh = { executeCommand: runLocally };
+        });
+
+        it('writes a file dotenv and bash read back to the same values', async () => {
+            const envPath = path.join(dir, '.env');
+            const result = await clawdBot.writeEnvContent(envPath, VALUES);
+            const expected = Object.fromEntries(Object.entries(VALUES).map(([key, value]) => [key, String(value)]));
+
+            expect(result).toEqual({ success: true, path: envPath });
+            expect(dotenv.parse(fs.readFileSync(envPath))).toEqual(expected);
+            expect(sourcedByBash(Object.keys(VALUES))).toEqual(expected);
+            expect(fs.statSync(envPath).mode & 0o777).toBe(0o600);
+        });
+
+        it('leaves the previous file alone when a value cannot be written', async () => {
+            const envPath = path.join(dir, '.env');
+            fs.writeFileSync(envPath, "KEEP='me'\n");
+
+            const result = await clawdBot.writeEnvContent(envPath, { OK: 'x', BAD: `it's $HOME` });
+
+            expect(result.success).toBe(false);
+            expect(result.error).toMatch(/^Value of BAD cannot/);
+            expect(fs.readFileSync(envPath, 'utf8')).toBe("KEEP='me'\n");
+        });
+    });
+
+    describe('quoteEnvValue', () => {
+        it('single-quotes values and double-quotes those holding a single quote', () => {
+            expect(quoteEnvValue('$HOME')).toBe("'$HOME'");
+            expect(quoteEnvValue("it's")).toBe('"it\'s"');
+        });
+
+        it('has no form for a single quote next to characters bash expands in double quotes', () => {
+            for (const value of [`it's "quoted"`, `it's $HOME`, "it's `id`", "it's C:\\"]) {
+                expect(quoteEnvValue(value)).toBeNull();
+            }
+        });
+    });
+
+    it('writes nothing for no variables', () => {
+        expect(formatEnvFile({})).toBe('');
+    });
+});
@@ -0,0 +1,31 @@
+const { spawnSync } = require('child_process');
+const { SSHManager } = require('../../src/services/SSHManager');
+
+// Stands in for SSHManager.executeCommand by running the command with the
+// local bash, so tests see what the generated shell actually does. Output is
+// trimmed like node-ssh does unless noTrim is set.
+const runLocally = async (command, options = {}) => {
+    const result = spawnSync('bash', ['-c', command], {
+        cwd: options.cwd,
+        input: options.stdin,
+        env: options.env || process.env,
+        timeout: 20000
+    });
+    const output = (stream) => options.noTrim ? stream.toString() : stream.toString().trim();
+    return {
+        stdout: output(result.stdout),
+        stderr: output(result.stderr),
+        code: result.status,
+        success: result.status === 0
+    };
+};
+
+// An SSHManager whose commands run on this machine
+const localSshManager = () => {
+    const ssh = new SSHManager();
+    ssh.ensureConnection = async () => {};
+    ssh.executeCommand = runLocally;
+    return ssh;
+};
+
+module.exports = { runLocally, localSshManager };
@@ -0,0 +1,28 @@
+// Runs a validation chain ending in handleValidationErrors the way Express
+// would and returns the messages it rejected the request with
+const runValidation = async (chain, { body = {}, params = {}, query = {} } = {}) => {
+    const req = { body, params, query };
+    let rejected = null;
+    const res = {
+        status() {
+            return this;
+        },
+        json(data) {
+            rejected = data;
+            return this;
+        }
+    };
+
+    for (const middleware of chain) {
+        let passed = false;
+        await middleware(req, res, () => {
+            passed = true;
+        });
+        if (!passed) {
+            break;
+        }
+    }
+    return rejected ? rejected.errors.map(error => error.message) : [];
+};
+
+module.exports = { runValidation };
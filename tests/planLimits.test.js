@@ -0,0 +1,69 @@
+const Subscription = require('../src/models/Subscription');
+const { getIdleTimeout, getResourceLimits } = require('../src/middleware/planLimits');
+
+// A subscription to a plan, with the limits stored when it was bought
+const subscription = (planId, limits = {}, active = true) => ({ plan_id: planId, limits, isActive: () => active });
+
+describe('plan limits', () => {
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('getIdleTimeout', () => {
+        const idleTimeoutWith = async (current) => {
+            jest.spyOn(Subscription, 'findByUserId').mockResolvedValue(current);
+            return await getIdleTimeout('user-1');
+        };
+
+        it('hibernates free users after 15 minutes, also once their subscription lapsed', async () => {
+            expect(await idleTimeoutWith(null)).toBe(15);
+            expect(await idleTimeoutWith(subscription('business', {}, false))).toBe(15);
+        });
+
+        it("uses the plan's current value for subscriptions that stored none", async () => {
+            expect(await idleTimeoutWith(subscription('starter'))).toBe(30);
+            expect(await idleTimeoutWith(subscription('growth'))).toBe(120);
+        });
+
+        it('keeps apps of plans without a timeout running', async () => {
+            expect(await idleTimeoutWith(subscription('business'))).toBeNull();
+            expect(await idleTimeoutWith(subscription('retired-plan'))).toBeNull();
+        });
+
+        it('honours the stored limit, including one that turns hibernation off', async () => {
+            expect(await idleTimeoutWith(subscription('starter', { idle_timeout_minutes: 45 }))).toBe(45);
+            expect(await idleTimeoutWith(subscription('starter', { idle_timeout_minutes: null }))).toBeNull();
+        });
+    });
+
+    describe('getResourceLimits', () => {
+        const limitsWith = async (current) => {
+            jest.spyOn(Subscription, 'findByUserId').mockResolvedValue(current);
+            return await getResourceLimits('user-1');
+        };
+
+        it('gives free users and lapsed subscriptions the free limits', async () => {
+            expect(await limitsWith(null)).toEqual({ plan: 'free', memory_mb: 256, cpu_percent: 25 });
+            expect(await limitsWith(subscription('enterprise', { memory_mb: 4096 }, false))).toEqual({ plan: 'free', memory_mb: 256, cpu_percent: 25 });
+        });
+
+        it('grows with the plan', async () => {
+            const plans = ['starter', 'growth', 'business', 'enterprise'];
+            const limits = [];
+            for (const plan of plans) {
+                limits.push(await limitsWith(subscription(plan)));
+            }
+
+            expect(limits.map(({ memory_mb, cpu_percent }) => [memory_mb, cpu_percent])).toEqual([[512, 50], [1024, 100], [2048, 200], [4096, 400]]);
+        });
+
+        it('takes each stored limit on its own before the plan value', async () => {
+            expect(await limitsWith(subscription('growth', { memory_mb: 1536 }))).toEqual({ plan: 'growth', memory_mb: 1536, cpu_percent: 100 });
+            expect(await limitsWith(subscription('growth', { memory_mb: null, cpu_percent: 150 }))).toEqual({ plan: 'growth', memory_mb: 1024, cpu_percent: 150 });
+        });
+
+        it('falls back to the free limits for a plan that no longer exists', async () => {
+            expect(await limitsWith(subscription('retired-plan'))).toEqual({ plan: 'retired-plan', memory_mb: 256, cpu_percent: 25 });
+        });
+    });
+});
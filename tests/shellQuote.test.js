@@ -0,0 +1,22 @@
+const { execFileSync } = require('child_process');
+const { shellQuote } = require('../src/utils/shellQuote');
+
+// What bash makes of the quoted word
+const throughBash = (value) => execFileSync('bash', ['-c', `printf %s ${shellQuote(value)}`]).toString();
+
+describe('shellQuote', () => {
+    it.each([
+        ['plain words', 'node server.js'],
+        ['single quotes', "it's 'quoted'"],
+        ['expansions', '$HOME $(id) `id` ${PATH} $$ !!'],
+        ['escapes and globs', 'C:\\temp\\*.log ~ "double" ; | &'],
+        ['newlines', 'line one\nline two\n'],
+        ['an empty string', '']
+    ])('passes %s through unchanged', (_, value) => {
+        expect(throughBash(value)).toBe(value);
+    });
+
+    it('quotes non-string values', () => {
+        expect(shellQuote(3000)).toBe("'3000'");
+    });
+});
@@ -0,0 +1,150 @@
+const { validateDeployment } = require('../src/middleware/validation');
+const { runValidation } = require('./helpers/validate');
+
+const deployment = (fields) => ({ backend_repo: 'https://github.com/acme/shop-api', ...fields });
+
+describe('validateDeployment', () => {
+    describe('branch and commit pinning', () => {
+        it.each(['main', 'feature/login', 'release-2.1', 'user_42/fix.v2'])('accepts the branch %s', async (branch) => {
+            expect(await runValidation(validateDeployment, { body: deployment({ backend_branch: branch }) })).toEqual([]);
+        });
+
+        it.each(['-delete', 'a..b', 'a//b', 'main@{1}', 'main.', 'feature/', 'has space', 'semi;colon'])('rejects the branch %s', async (branch) => {
+            expect(await runValidation(validateDeployment, { body: deployment({ backend_branch: branch }) })).toEqual(['Invalid branch name']);
+        });
+
+        it('accepts short and full commit SHAs', async () => {
+            for (const commit of ['a1b2c3d', 'A1B2C3D4E5F60718293A4B5C6D7E8F9012345678']) {
+                expect(await runValidation(validateDeployment, { body: deployment({ backend_commit: commit }) })).toEqual([]);
+            }
+        });
+
+        it('rejects refs that are not a SHA', async () => {
+            for (const commit of ['a1b2c3', 'HEAD~1', 'main', `${'a'.repeat(41)}`]) {
+                expect(await runValidation(validateDeployment, { body: deployment({ backend_commit: commit }) }))
+                    .toEqual(['Commit must be a 7-40 character hexadecimal SHA']);
+            }
+        });
+    });
+
+    describe('monorepo root directories', () => {
+        it('normalizes ./ prefixes and trailing slashes away', async () => {
+            const body = deployment({ frontend_root_directory: './apps/web/', backend_root_directory: ' apps/api ' });
+
+            expect(await runValidation(validateDeployment, { body })).toEqual([]);
+            expect(body).toMatchObject({ frontend_root_directory: 'apps/web', backend_root_directory: 'apps/api' });
+        });
+
+        it('accepts dotted names that stay inside the repository', async () => {
+            for (const dir of ['.config/app', 'apps/web.v2', 'packages/..api']) {
+                expect(await runValidation(validateDeployment, { body: deployment({ backend_root_directory: dir }) })).toEqual([]);
+            }
+        });
+
+        it.each(['../secrets', 'apps/../../etc', 'apps/./web', '/etc', 'apps//web', "apps/we'b", 'apps/web;id', 'apps/$(id)'])(
+            'rejects the root directory %s', async (dir) => {
+                expect(await runValidation(validateDeployment, { body: deployment({ backend_root_directory: dir }) }))
+                    .toEqual(['Root directory must be a relative path inside the repository, e.g. apps/web']);
+            }
+        );
+
+        it('rejects a root directory that is only ./', async () => {
+            expect(await runValidation(validateDeployment, { body: deployment({ backend_root_directory: './' }) }))
+                .toContain('Root directory must be between 1 and 255 characters');
+        });
+    });
+
+    describe('configured commands', () => {
+        it('accepts a full set of commands with a Node version', async () => {
+            const body = deployment({
+                backend_install_command: 'npm ci',
+                backend_build_command: 'npm run build',
+                backend_start_command: '  node dist/server.js  ',
+                backend_node_version: 'lts/iron'
+            });
+
+            expect(await runValidation(validateDeployment, { body })).toEqual([]);
+            expect(body.backend_start_command).toBe('node dist/server.js');
+        });
+
+        it('requires a start command next to the other settings of an app', async () => {
+            expect(await runValidation(validateDeployment, { body: deployment({ backend_build_command: 'npm run build', backend_node_version: '20' }) }))
+                .toEqual(['backend_start_command is required when backend_build_command, backend_node_version is set']);
+        });
+
+        it('lets a static site build without a start command, but not start one', async () => {
+            const site = { frontend_repo: 'https://github.com/acme/shop-web', frontend_type: 'static', frontend_build_command: 'npm run build' };
+
+            expect(await runValidation(validateDeployment, { body: { ...site } })).toEqual([]);
+            expect(await runValidation(validateDeployment, { body: { ...site, frontend_start_command: 'npx serve' } }))
+                .toEqual(['frontend_start_command cannot be used with a static frontend']);
+        });
+
+        it.each(['20; rm -rf /', '$(id)', 'latest', '20.x'])('rejects the Node version %s', async (version) => {
+            expect(await runValidation(validateDeployment, { body: deployment({ backend_start_command: 'npm start', backend_node_version: version }) }))
+                .toEqual(['Node version must be a version like 20 or 18.19.0, an lts/<name> alias or node']);
+        });
+
+        it('rejects blank commands', async () => {
+            expect(await runValidation(validateDeployment, { body: deployment({ backend_start_command: '   ' }) }))
+                .toEqual(['Commands must be between 1 and 1000 characters']);
+        });
+    });
+
+    describe('health checks', () => {
+        it('accepts a path, a status or status range and probe timings', async () => {
+            const body = deployment({
+                backend_health_check_path: ' /healthz?full=1 ',
+                backend_health_check_status: '200-399',
+                backend_health_check_timeout: '3',
+                backend_health_check_interval: 30
+            });
+
+            expect(await runValidation(validateDeployment, { body })).toEqual([]);
+            expect(body).toMatchObject({ backend_health_check_path: '/healthz?full=1', backend_health_check_timeout: 3 });
+        });
+
+        it.each(['2xx', '600', '200-', '99'])('rejects the status %s', async (status) => {
+            expect(await runValidation(validateDeployment, { body: deployment({ backend_health_check_status: status }) }))
+                .toEqual(['Health check status must be a status code or range, e.g. 200 or 200-399']);
+        });
+
+        it('rejects a range that runs backwards', async () => {
+            expect(await runValidation(validateDeployment, { body: deployment({ backend_health_check_status: '399-200' }) }))
+                .toEqual(['Health check status range must run from low to high']);
+        });
+
+        it('rejects paths that could break out of the probe command', async () => {
+            for (const path of ['healthz', "/health'; reboot; '", '/a b']) {
+                expect(await runValidation(validateDeployment, { body: deployment({ backend_health_check_path: path }) }))
+                    .toEqual(['Health check path must start with / and contain no spaces, quotes, braces or semicolons']);
+            }
+        });
+
+        it('keeps probes between 1 and 60 seconds, at most every 10 seconds', async () => {
+            expect(await runValidation(validateDeployment, { body: deployment({ backend_health_check_timeout: 0, backend_health_check_interval: 5 }) }))
+                .toEqual(['Health check timeout must be between 1 and 60 seconds', 'Health check interval must be between 10 and 3600 seconds']);
+        });
+    });
+
+    describe('API URL variable names', () => {
+        it('accepts variable names and an empty list', async () => {
+            for (const names of [['VITE_API_URL', '_API'], []]) {
+                expect(await runValidation(validateDeployment, { body: deployment({ frontend_api_url_env_names: names }) })).toEqual([]);
+            }
+        });
+
+        it('rejects names a .env file cannot hold', async () => {
+            expect(await runValidation(validateDeployment, { body: deployment({ frontend_api_url_env_names: ['VITE-API-URL', '1API', 'API URL'] }) }))
+                .toEqual(['Invalid variable name', 'Invalid variable name', 'Invalid variable name']);
+        });
+
+        it('rejects a single name or too many', async () => {
+            const tooMany = Array.from({ length: 11 }, (_, i) => `API_${i}`);
+            for (const names of ['VITE_API_URL', tooMany]) {
+                expect(await runValidation(validateDeployment, { body: deployment({ frontend_api_url_env_names: names }) }))
+                    .toContain('frontend_api_url_env_names must be an array of at most 10 names');
+            }
+        });
+    });
+});
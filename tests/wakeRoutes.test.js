@@ -0,0 +1,118 @@
+const express = require('express');
+const Deployment = require('../src/models/Deployment');
+const { getHibernationService } = require('../src/services/HibernationService');
+const wakeRoutes = require('../src/routes/wake');
+
+describe('wake routes', () => {
+    const originalBaseDomain = process.env.BASE_DOMAIN;
+    let server;
+    let baseUrl;
+    let deployment;
+    let wake;
+
+    beforeAll(async () => {
+        process.env.BASE_DOMAIN = 'example.com';
+        const app = express();
+        app.use('/wake', wakeRoutes);
+        server = app.listen(0);
+        await new Promise(resolve => server.once('listening', resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}/wake`;
+    });
+
+    afterAll(async () => {
+        await new Promise(resolve => server.close(resolve));
+        if (originalBaseDomain === undefined) delete process.env.BASE_DOMAIN;
+        else process.env.BASE_DOMAIN = originalBaseDomain;
+    });
+
+    beforeEach(() => {
+        deployment = new Deployment({
+            user_id: '64b000000000000000000001',
+            name: 'Shop <beta>',
+            project_name: 'Shop',
+            subdomain: 'shop',
+            deployment_id: 'dep_shop',
+            status: 'hibernated',
+            pm2_frontend_name: 'shop_frontend',
+            frontend_url: 'https://shop.example.com',
+            custom_domains: [{ domain: 'shop.io', component: 'frontend', status: 'active' }],
+            hibernation: { enabled: true, components: ['frontend'] }
+        });
+        jest.spyOn(Deployment, 'findByDeploymentId').mockImplementation(async (id) => id === 'dep_shop' ? deployment : null);
+        wake = jest.spyOn(getHibernationService(), 'wake').mockResolvedValue({ success: true });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    const visit = (path, headers = {}) => fetch(`${baseUrl}${path}`, { redirect: 'manual', headers: { accept: 'text/html', ...headers } });
+
+    it('wakes a hibernated deployment and shows the waiting page', async () => {
+        const response = await visit('/dep_shop/https/shop.example.com/cart?item=42');
+        const html = await response.text();
+
+        expect(response.status).toBe(503);
+        expect(response.headers.get('retry-after')).toBe('5');
+        expect(response.headers.get('cache-control')).toBe('no-store');
+        expect(html).toContain('<title>Shop &lt;beta&gt; - Waking up…</title>');
+        expect(html).toContain('var target = "https://shop.example.com/cart?item=42";');
+        expect(html).toContain('var statusUrl = "/wake/dep_shop/status";');
+        expect(wake).toHaveBeenCalledTimes(1);
+    });
+
+    it('does not start a second wake-up while one is running', async () => {
+        jest.spyOn(getHibernationService(), 'isWaking').mockReturnValue(true);
+
+        const response = await visit('/dep_shop/https/shop.io/', { accept: 'application/json' });
+
+        expect(response.status).toBe(503);
+        expect(await response.json()).toEqual({ success: false, error: 'Deployment is waking up, retry shortly', state: 'waking' });
+        expect(wake).not.toHaveBeenCalled();
+    });
+
+    it('sends visitors back once the deployment is awake, keeping path and query', async () => {
+        deployment.status = 'deployed';
+        deployment.hibernation.components = [];
+
+        const response = await visit('/dep_shop/http/SHOP.IO/a/b%20c?x=1&y=2');
+
+        expect(response.status).toBe(302);
+        expect(response.headers.get('location')).toBe('http://shop.io/a/b%20c?x=1&y=2');
+        expect(wake).not.toHaveBeenCalled();
+    });
+
+    it('never redirects to a host that is not one of the deployment', async () => {
+        deployment.status = 'deployed';
+        deployment.hibernation.components = [];
+
+        for (const host of ['evil.com', 'shop.example.com.evil.com', 'beta.shop.io']) {
+            const response = await visit(`/dep_shop/https/${host}/`);
+            expect(response.status).toBe(404);
+        }
+        expect((await visit('/dep_other/https/shop.io/')).status).toBe(404);
+    });
+
+    it('tells visitors a stopped deployment is not coming back on its own', async () => {
+        deployment.status = 'stopped';
+
+        const response = await visit('/dep_shop/https/shop.io/');
+        const html = await response.text();
+
+        expect(response.status).toBe(503);
+        expect(html).toContain('This app is not running right now.');
+        expect(html).not.toContain('<script>');
+        expect(wake).not.toHaveBeenCalled();
+    });
+
+    it('reports the wake state for the waiting page', async () => {
+        const states = [];
+        for (const [status, components] of [['hibernated', ['frontend']], ['deployed', ['frontend']], ['deployed', []], ['failed', ['frontend']]]) {
+            deployment.status = status;
+            deployment.hibernation.components = components;
+            states.push((await (await fetch(`${baseUrl}/dep_shop/status`)).json()).data.state);
+        }
+
+        expect(states).toEqual(['waking', 'waking', 'ready', 'unavailable']);
+    });
+});